@@ -0,0 +1,166 @@
+// ═══════════════════════════════════════════════════════════════
+// Users, roles and sessions — credentials stay on this server
+// Passwords are scrypt-hashed; sessions are bearer tokens.
+// The first account is created through /api/auth/setup and is the CEO.
+// ═══════════════════════════════════════════════════════════════
+import crypto from "crypto";
+import { Router } from "express";
+import { readCollection, writeCollection } from "./store.js";
+import { ROLES, canAny } from "../src/roles.js";
+
+const USERS = "users";
+const SESSIONS = "sessions";
+const SESSION_TTL = 7 * 24 * 3600 * 1000; // 7 days
+
+export const auth = Router();
+export const users = Router();
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  return { salt, passwordHash: crypto.scryptSync(password, salt, 64).toString("hex") };
+}
+
+function passwordMatches(user, password) {
+  const { passwordHash } = hashPassword(password, user.salt);
+  return crypto.timingSafeEqual(Buffer.from(passwordHash, "hex"), Buffer.from(user.passwordHash, "hex"));
+}
+
+// What the browser gets to see of a user
+function publicUser({ id, username, name, role, disabled, createdAt }) {
+  return { id, username, name, role, disabled: !!disabled, createdAt };
+}
+
+function validateUserFields({ username, name, role, password }, { partial = false } = {}) {
+  if (!partial || username !== undefined) {
+    if (!/^[a-z0-9._-]{2,40}$/i.test(username || "")) return "Username must be 2–40 letters, digits, dots, dashes or underscores";
+  }
+  if ((!partial || name !== undefined) && !name?.trim()) return "Name is required";
+  if ((!partial || role !== undefined) && !ROLES[role]) return `Role must be one of: ${Object.keys(ROLES).join(", ")}`;
+  if ((!partial || password !== undefined) && (password || "").length < 8) return "Password must be at least 8 characters";
+  return null;
+}
+
+function createSession(user) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const sessions = readCollection(SESSIONS, {});
+  const now = Date.now();
+  // Drop expired sessions while we are here
+  for (const [t, s] of Object.entries(sessions)) if (s.expiresAt < now) delete sessions[t];
+  sessions[token] = { userId: user.id, expiresAt: now + SESSION_TTL };
+  writeCollection(SESSIONS, sessions);
+  return token;
+}
+
+function userForToken(token) {
+  if (!token) return null;
+  const session = readCollection(SESSIONS, {})[token];
+  if (!session || session.expiresAt < Date.now()) return null;
+  const user = readCollection(USERS).find(u => u.id === session.userId);
+  return user && !user.disabled ? user : null;
+}
+
+function bearer(req) {
+  const header = req.get("authorization") || "";
+  return header.startsWith("Bearer ") ? header.slice(7) : null;
+}
+
+// ─── Middleware ───
+export function requireUser(req, res, next) {
+  const user = userForToken(bearer(req));
+  if (!user) return res.status(401).json({ error: "Please sign in to continue" });
+  req.user = publicUser(user);
+  next();
+}
+
+// Passes if the signed-in user's role allows any of the given actions
+export function requirePermission(...actions) {
+  return (req, res, next) => {
+    if (!canAny(req.user, actions)) {
+      return res.status(403).json({ error: `${ROLES[req.user?.role]?.label || "This role"} cannot do that` });
+    }
+    next();
+  };
+}
+
+// ─── Sign-in ───
+auth.get("/status", (req, res) => {
+  const user = userForToken(bearer(req));
+  res.json({ setupRequired: readCollection(USERS).length === 0, user: user ? publicUser(user) : null });
+});
+
+auth.post("/setup", (req, res) => {
+  const list = readCollection(USERS);
+  if (list.length > 0) return res.status(409).json({ error: "Setup has already been completed" });
+  const fields = { ...req.body, role: "ceo" };
+  const problem = validateUserFields(fields);
+  if (problem) return res.status(400).json({ error: problem });
+  const user = {
+    id: `USR-${Date.now().toString(36).toUpperCase()}`,
+    username: fields.username.toLowerCase(),
+    name: fields.name.trim(),
+    role: "ceo",
+    ...hashPassword(fields.password),
+    createdAt: new Date().toISOString(),
+  };
+  writeCollection(USERS, [user]);
+  res.status(201).json({ token: createSession(user), user: publicUser(user) });
+});
+
+auth.post("/login", (req, res) => {
+  const { username, password } = req.body || {};
+  const user = readCollection(USERS).find(u => u.username === String(username || "").toLowerCase());
+  if (!user || user.disabled || !passwordMatches(user, String(password || ""))) {
+    return res.status(401).json({ error: "Incorrect username or password" });
+  }
+  res.json({ token: createSession(user), user: publicUser(user) });
+});
+
+auth.post("/logout", (req, res) => {
+  const sessions = readCollection(SESSIONS, {});
+  delete sessions[bearer(req)];
+  writeCollection(SESSIONS, sessions);
+  res.json({ ok: true });
+});
+
+// ─── User management (mounted behind requireUser) ───
+users.get("/", (_req, res) => {
+  res.json(readCollection(USERS).map(publicUser));
+});
+
+users.post("/", requirePermission("manage_users"), (req, res) => {
+  const problem = validateUserFields(req.body || {});
+  if (problem) return res.status(400).json({ error: problem });
+  const list = readCollection(USERS);
+  const username = req.body.username.toLowerCase();
+  if (list.some(u => u.username === username)) return res.status(409).json({ error: `Username ${username} is taken` });
+  const user = {
+    id: `USR-${Date.now().toString(36).toUpperCase()}`,
+    username,
+    name: req.body.name.trim(),
+    role: req.body.role,
+    ...hashPassword(req.body.password),
+    createdAt: new Date().toISOString(),
+  };
+  list.push(user);
+  writeCollection(USERS, list);
+  res.status(201).json(publicUser(user));
+});
+
+users.put("/:id", requirePermission("manage_users"), (req, res) => {
+  const { name, role, password, disabled } = req.body || {};
+  const problem = validateUserFields({ name, role, password }, { partial: true });
+  if (problem) return res.status(400).json({ error: problem });
+  const list = readCollection(USERS);
+  const idx = list.findIndex(u => u.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: `User ${req.params.id} not found` });
+  const next = { ...list[idx] };
+  if (name !== undefined) next.name = name.trim();
+  if (role !== undefined) next.role = role;
+  if (disabled !== undefined) next.disabled = !!disabled;
+  if (password !== undefined) Object.assign(next, hashPassword(password));
+  // Never leave the organisation without someone who can manage users
+  const managers = list.map((u, i) => (i === idx ? next : u)).filter(u => !u.disabled && u.role === "ceo");
+  if (managers.length === 0) return res.status(400).json({ error: "At least one active CEO account is required" });
+  list[idx] = next;
+  writeCollection(USERS, list);
+  res.json(publicUser(next));
+});
@@ -0,0 +1,89 @@
+// ═══════════════════════════════════════════════════════════════
+// Anthropic Messages API backend (api.anthropic.com)
+// ═══════════════════════════════════════════════════════════════
+import { BackendError, retryAfterMs, sseData } from "./shared.js";
+
+export const id = "anthropic";
+export const label = "Claude";
+
+// price: USD per million input / output tokens
+export const models = {
+  "claude-sonnet-4-20250514":  { label: "Claude Sonnet 4",  maxOutput: 64000, price: { input: 3,   output: 15 } },
+  "claude-opus-4-20250514":    { label: "Claude Opus 4",    maxOutput: 32000, price: { input: 15,  output: 75 } },
+  "claude-3-5-haiku-20241022": { label: "Claude Haiku 3.5", maxOutput: 8192,  price: { input: 0.8, output: 4 } },
+};
+
+function apiKey() {
+  const key = process.env.ANTHROPIC_API_KEY;
+  if (!key || key === "put_your_real_key_here" || key.trim() === "") return null;
+  return key.trim();
+}
+
+export function configError() {
+  return apiKey() ? null : "API key not configured. Add your ANTHROPIC_API_KEY to the .env file and restart the server.";
+}
+
+async function send({ model, max_tokens, system, messages, tools }, stream, signal) {
+  const resp = await fetch("https://api.anthropic.com/v1/messages", {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "x-api-key": apiKey(),
+      "anthropic-version": "2023-06-01"
+    },
+    body: JSON.stringify({ model, max_tokens, system, messages, tools, stream }),
+    signal
+  });
+  if (resp.status === 429) throw new BackendError(429, "Too many requests — please wait a moment and try again.", retryAfterMs(resp));
+  if (!resp.ok) {
+    const errText = await resp.text();
+    console.error(`Anthropic API ${resp.status}:`, errText.slice(0, 500));
+    throw new BackendError(resp.status, errText, retryAfterMs(resp));
+  }
+  return resp;
+}
+
+// Cache reads and writes are billed as input too
+function inputTokens(u = {}) {
+  return (u.input_tokens || 0) + (u.cache_creation_input_tokens || 0) + (u.cache_read_input_tokens || 0);
+}
+
+export async function complete(request, signal) {
+  const data = await (await send(request, false, signal)).json();
+  const content = data.content || [];
+  return {
+    text: content.map(c => c.text || "").join(""),
+    usage: data.usage ? { input_tokens: inputTokens(data.usage), output_tokens: data.usage.output_tokens || 0 } : null,
+    toolCalls: content.filter(c => c.type === "tool_use").map(({ id, name, input }) => ({ id, name, input })),
+  };
+}
+
+export async function* stream(request, signal) {
+  const resp = await send(request, true, signal);
+  let usage = null;
+  const tools = {}; // content block index → tool call whose input JSON is still arriving
+  for await (const payload of sseData(resp.body)) {
+    let parsed;
+    try { parsed = JSON.parse(payload); } catch { continue; }
+    if (parsed.type === "content_block_start" && parsed.content_block?.type === "tool_use") {
+      const { id, name } = parsed.content_block;
+      tools[parsed.index] = { id, name, json: "" };
+    }
+    if (parsed.type === "content_block_delta" && parsed.delta?.type === "input_json_delta") {
+      tools[parsed.index].json += parsed.delta.partial_json;
+    }
+    if (parsed.type === "content_block_stop" && tools[parsed.index]) {
+      const { id, name, json } = tools[parsed.index];
+      delete tools[parsed.index];
+      yield { toolCall: { id, name, input: json ? JSON.parse(json) : {} } };
+    }
+    if (parsed.type === "message_start" && parsed.message?.usage) {
+      usage = { input_tokens: inputTokens(parsed.message.usage), output_tokens: parsed.message.usage.output_tokens || 0 };
+    }
+    // output_tokens in message_delta is the running total, not an increment
+    if (parsed.type === "message_delta" && parsed.usage && usage) usage.output_tokens = parsed.usage.output_tokens;
+    if (parsed.type === "content_block_delta" && parsed.delta?.text) yield parsed.delta.text;
+    if (parsed.type === "error") throw new BackendError(502, parsed.error?.message || "Stream error");
+  }
+  return usage;
+}
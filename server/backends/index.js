@@ -0,0 +1,31 @@
+// ═══════════════════════════════════════════════════════════════
+// LLM backends — the proxy talks to whichever one LLM_BACKEND names
+//
+// A backend adapter exports:
+//   id, label
+//   models                     { [modelId]: { label, maxOutput, price } } it can serve,
+//                              price in USD per million { input, output } tokens
+//   configError()              null when ready, otherwise what to fix in .env
+//   complete(request, signal)  → Promise<{ text, usage, toolCalls }>
+//   stream(request, signal)    → async generator of text deltas, and { toolCall }
+//                              once each tool call is complete, that returns usage
+// where request = { model, max_tokens, system, messages, tools? } with
+// Anthropic-style messages (tool_use / tool_result blocks included) and tools,
+// toolCall = { id, name, input }, and usage = { input_tokens, output_tokens },
+// or null when the backend does not report it. Failures throw BackendError;
+// status 429 means rate limited.
+// ═══════════════════════════════════════════════════════════════
+import * as anthropic from "./anthropic.js";
+import * as openai from "./openai.js";
+import * as simulator from "./simulator.js";
+
+export { BackendError } from "./shared.js";
+
+const BACKENDS = { anthropic, openai, simulator };
+
+export function activeBackend() {
+  const id = (process.env.LLM_BACKEND || "anthropic").trim().toLowerCase();
+  const backend = BACKENDS[id];
+  if (!backend) throw new Error(`Unknown LLM_BACKEND "${id}". Expected one of: ${Object.keys(BACKENDS).join(", ")}`);
+  return backend;
+}
@@ -0,0 +1,124 @@
+// ═══════════════════════════════════════════════════════════════
+// OpenAI-compatible Chat Completions backend
+// For self-hosted servers (llama.cpp, vLLM, Ollama…) so data never
+// leaves the client's network. Configure with OPENAI_BASE_URL,
+// OPENAI_MODELS and, if the server needs one, OPENAI_API_KEY.
+// ═══════════════════════════════════════════════════════════════
+import { BackendError, contentText, retryAfterMs, sseData } from "./shared.js";
+
+export const id = "openai";
+export const label = "OpenAI-compatible";
+
+const MAX_OUTPUT = parseInt(process.env.OPENAI_MAX_OUTPUT) || 8192;
+// USD per million tokens; self-hosted models usually cost nothing per call
+const PRICE = {
+  input: parseFloat(process.env.OPENAI_PRICE_INPUT) || 0,
+  output: parseFloat(process.env.OPENAI_PRICE_OUTPUT) || 0,
+};
+
+// Model names as the endpoint knows them, e.g. OPENAI_MODELS=llama-3.1-70b-instruct,qwen2.5-32b
+export const models = Object.fromEntries(
+  (process.env.OPENAI_MODELS || "local-model")
+    .split(",").map(m => m.trim()).filter(Boolean)
+    .map(m => [m, { label: m, maxOutput: MAX_OUTPUT, price: PRICE }])
+);
+
+function baseUrl() {
+  return (process.env.OPENAI_BASE_URL || "").trim().replace(/\/+$/, "");
+}
+
+export function configError() {
+  return baseUrl() ? null : "OpenAI-compatible backend not configured. Set OPENAI_BASE_URL (e.g. http://localhost:8080/v1) in the .env file and restart the server.";
+}
+
+// Anthropic-style messages → Chat Completions messages. Tool calls ride on the
+// assistant message; each tool result becomes its own "tool" message.
+function toMessages(messages) {
+  return messages.flatMap(m => {
+    if (typeof m.content === "string") return [{ role: m.role, content: m.content }];
+    const calls = m.content.filter(b => b?.type === "tool_use");
+    const results = m.content.filter(b => b?.type === "tool_result");
+    const text = contentText(m.content);
+    if (calls.length) {
+      return [{
+        role: "assistant",
+        content: text || null,
+        tool_calls: calls.map(c => ({ id: c.id, type: "function", function: { name: c.name, arguments: JSON.stringify(c.input ?? {}) } })),
+      }];
+    }
+    return [
+      ...results.map(r => ({ role: "tool", tool_call_id: r.tool_use_id, content: typeof r.content === "string" ? r.content : contentText(r.content ?? []) })),
+      ...(text || !results.length ? [{ role: m.role, content: text }] : []),
+    ];
+  });
+}
+
+function toTools(tools) {
+  return tools?.map(t => ({ type: "function", function: { name: t.name, description: t.description, parameters: t.input_schema } }));
+}
+
+// Arguments arrive as a JSON string, which some servers leave empty
+function toToolCall(c) {
+  return { id: c.id, name: c.function.name, input: c.function.arguments ? JSON.parse(c.function.arguments) : {} };
+}
+
+async function send({ model, max_tokens, system, messages, tools }, stream, signal) {
+  const headers = { "content-type": "application/json" };
+  if (process.env.OPENAI_API_KEY) headers.authorization = `Bearer ${process.env.OPENAI_API_KEY.trim()}`;
+  const resp = await fetch(`${baseUrl()}/chat/completions`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({
+      model,
+      max_tokens,
+      messages: [
+        ...(system ? [{ role: "system", content: system }] : []),
+        ...toMessages(messages),
+      ],
+      tools: toTools(tools),
+      stream,
+      // Ask for a final chunk carrying token usage; servers that do not support it ignore this
+      ...(stream ? { stream_options: { include_usage: true } } : {}),
+    }),
+    signal
+  });
+  if (resp.status === 429) throw new BackendError(429, "Too many requests — please wait a moment and try again.", retryAfterMs(resp));
+  if (!resp.ok) {
+    const errText = await resp.text();
+    console.error(`OpenAI-compatible API ${resp.status}:`, errText.slice(0, 500));
+    throw new BackendError(resp.status, errText, retryAfterMs(resp));
+  }
+  return resp;
+}
+
+function toUsage(u) {
+  return u ? { input_tokens: u.prompt_tokens || 0, output_tokens: u.completion_tokens || 0 } : null;
+}
+
+export async function complete(request, signal) {
+  const data = await (await send(request, false, signal)).json();
+  const message = data.choices?.[0]?.message ?? {};
+  return { text: message.content || "", usage: toUsage(data.usage), toolCalls: (message.tool_calls ?? []).map(toToolCall) };
+}
+
+export async function* stream(request, signal) {
+  const resp = await send(request, true, signal);
+  let usage = null;
+  const calls = []; // tool calls by index, arguments arriving in pieces
+  for await (const payload of sseData(resp.body)) {
+    let parsed;
+    try { parsed = JSON.parse(payload); } catch { continue; }
+    if (parsed.error) throw new BackendError(502, parsed.error.message || "Stream error");
+    if (parsed.usage) usage = toUsage(parsed.usage);
+    const delta = parsed.choices?.[0]?.delta;
+    if (delta?.content) yield delta.content;
+    for (const part of delta?.tool_calls ?? []) {
+      const call = calls[part.index ?? 0] ??= { id: part.id, function: { name: "", arguments: "" } };
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.function.name += part.function.name;
+      if (part.function?.arguments) call.function.arguments += part.function.arguments;
+    }
+  }
+  for (const call of calls.filter(Boolean)) yield { toolCall: toToolCall(call) };
+  return usage;
+}
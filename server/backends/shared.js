@@ -0,0 +1,47 @@
+// Helpers shared by the backend adapters
+// retryAfter: milliseconds the backend asked us to wait, when it said
+export class BackendError extends Error {
+  constructor(status, message, retryAfter = null) {
+    super(message);
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// The retry-after header is either seconds or an HTTP date
+export function retryAfterMs(resp) {
+  const value = resp.headers.get("retry-after");
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Message content may be a string or Anthropic content blocks; keep only the text
+export function contentText(content) {
+  return typeof content === "string"
+    ? content
+    : content.filter(b => b?.type === "text").map(b => b.text).join("\n");
+}
+
+// Reads a fetch() body of server-sent events, yielding each `data:` payload
+export async function* sseData(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop() || "";
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith("data: ")) continue;
+      const payload = trimmed.slice(6);
+      if (payload === "[DONE]") continue;
+      yield payload;
+    }
+  }
+}
@@ -0,0 +1,889 @@
+// ═══════════════════════════════════════════════════════════════
+// Offline simulator — scripted replies for every prompt family in the app
+// Select with LLM_BACKEND=simulator to demo or test without an API key.
+// Replies are built from the data and decisions inside the request, and
+// the same request always produces the same reply.
+// ═══════════════════════════════════════════════════════════════
+import { contentText } from "./shared.js";
+
+export const id = "simulator";
+export const label = "Offline simulator";
+
+export const models = {
+  "simulator-v1": { label: "Scripted simulator", maxOutput: 8192, price: { input: 0, output: 0 } },
+};
+
+const CHUNK_DELAY_MS = parseInt(process.env.SIMULATOR_DELAY_MS ?? "15");
+
+export function configError() {
+  return null;
+}
+
+// No model behind it, so usage is left for the proxy to estimate
+export async function complete(request) {
+  const { text, toolCalls } = toolTurn(request) ?? { text: respond(request), toolCalls: [] };
+  return { text, usage: null, toolCalls };
+}
+
+// Streams a few words at a time so the UI behaves as it does against a real model
+export async function* stream(request, signal) {
+  const { text, toolCalls } = toolTurn(request) ?? { text: respond(request), toolCalls: [] };
+  const words = text.split(/(?<=\s)/);
+  for (let i = 0; i < words.length; i += 4) {
+    if (signal?.aborted) return;
+    if (CHUNK_DELAY_MS > 0) await new Promise(r => setTimeout(r, CHUNK_DELAY_MS));
+    yield words.slice(i, i + 4).join("");
+  }
+  for (const toolCall of toolCalls) yield { toolCall };
+  return null;
+}
+
+function respond({ system = "", messages, max_tokens }) {
+  const user = contentText([...messages].reverse().find(m => m.role === "user")?.content ?? "");
+  // Scans asked for the JSON schema (server/schemas.js) get JSON back
+  const ctx = { system, user, cur: currencyFor(system), structured: /^OUTPUT FORMAT$/m.test(system) };
+  let text;
+  if (/^CONSOLIDATION$/m.test(system)) text = consolidate(ctx);
+  else if (/Revenue Intelligence Scan/.test(system)) text = revenueScan(ctx);
+  else if (/running an Enterprise Scan/.test(system)) text = enterpriseScan(ctx);
+  else if (/"decisions_needed"/.test(system)) text = brief(ctx);
+  else if (/"rationale"/.test(system)) text = rationale(ctx);
+  else if (/Decision Profile/.test(system)) text = decisionProfile(ctx);
+  else if (/strategic advisor/i.test(system)) text = copilotOptions(ctx);
+  else if (/call script/i.test(system)) text = callScript(ctx);
+  else text = chat(ctx);
+  // Roughly four characters per token
+  return text.slice(0, max_tokens * 4);
+}
+
+// ─── Reading the request ───
+function currencyFor(system) {
+  const region = system.match(/Region:\s*(\w+)/)?.[1];
+  return { gulf: "AED", east_africa: "KES", generic: "USD" }[region] ?? "RM";
+}
+
+function money(cur, n) {
+  return `${cur} ${Math.round(n).toLocaleString("en-US")}`;
+}
+
+// Numbers, including "RM 1,200" and "45%", but not codes like "INV-100"
+function num(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const s = String(v ?? "").trim().replace(/^(RM|USD|AED|KES|SGD|\$|€|£)\s*/i, "").replace(/%$/, "");
+  return /^-?[\d,]*\.?\d+$/.test(s) ? Number(s.replace(/,/g, "")) : null;
+}
+
+// Data sources as written by summarizeData() or a scan part (src/scan-runner.js):
+// name, row count, columns and sample rows, the latter as objects or as value arrays
+function parseSources(text) {
+  const sources = [];
+  const blocks = text.split(/--- DATA SOURCE \d+: /).slice(1);
+  for (const block of blocks) {
+    const name = block.slice(0, block.indexOf(" ---"));
+    const rows = [...block.matchAll(/Rows: (\d+)|: (\d+) rows/g)].reduce((sum, m) => sum + Number(m[1] ?? m[2]), 0);
+    const columns = block.match(/Columns: (.*)/)?.[1].split(", ").filter(Boolean) ?? [];
+    const sample = [];
+    for (const m of block.matchAll(/(?:Sample|Rows \(values)[^\n]*:\n(\[[\s\S]*?\n\])/g)) {
+      try {
+        sample.push(...JSON.parse(m[1]).map(r => Array.isArray(r) ? Object.fromEntries(columns.map((c, i) => [c, r[i]])) : r));
+      } catch { /* truncated sample */ }
+    }
+    sources.push({ name, rows: rows || sample.length, columns, sample });
+  }
+  return sources;
+}
+
+const AMOUNT_COL = /amount|value|cost|price|total|revenue|balance|spend|fee|sales|payable|receivable/i;
+const AGE_COL = /days|age|ageing|aging|overdue|outstanding/i;
+const UTIL_COL = /util|capacity|load|occupancy/i;
+const CATEGORY_COL = /vendor|supplier|customer|client|partner|category|type|status|department|site|region|product|reason|owner|issue|stage/i;
+// Values that describe the normal case, so repeating them is not a finding
+const NORMAL_VALUE = /^(paid|closed|completed?|resolved|active|ok|done|delivered|approved|yes|no|n\/a)$/i;
+const EXCEPTION_COL = /status|stage|reason|issue/i;
+const RELATIONSHIP_COL = /customer|client|partner|supplier|vendor|account/i;
+
+function numericColumn(source, pattern) {
+  return source.columns.find(c => pattern.test(c) &&
+    source.sample.filter(r => num(r[c]) !== null).length >= Math.max(1, source.sample.length / 2));
+}
+
+function categoryColumns(source) {
+  return source.columns.filter(c => CATEGORY_COL.test(c) && source.sample.some(r => typeof r[c] === "string" && r[c].trim() && num(r[c]) === null));
+}
+
+// Most frequent value of a column in the sample
+function modeOf(rows, col) {
+  const counts = {};
+  rows.forEach(r => { const v = String(r[col] ?? "").trim(); if (v) counts[v] = (counts[v] || 0) + 1; });
+  const [value, count] = Object.entries(counts).filter(([v]) => !NORMAL_VALUE.test(v)).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0] ?? [null, 0];
+  return { value, count, distinct: Object.keys(counts).length };
+}
+
+function sumOf(rows, col) {
+  return rows.reduce((s, r) => s + (num(r[col]) ?? 0), 0);
+}
+
+function tierFor(exposure) {
+  return exposure >= 1000000 ? "Tier 3" : exposure >= 200000 ? "Tier 2" : "Tier 1";
+}
+
+function sampleConfidence(source) {
+  return source.sample.length >= 10
+    ? `MODERATE — based on ${source.sample.length} sampled rows of ${source.rows.toLocaleString("en-US")}`
+    : `LOW — only ${source.sample.length} sampled row(s) of ${source.rows.toLocaleString("en-US")}`;
+}
+
+// ─── Enterprise Scan: FINDING blocks ───
+function scanFindings(sources, cur) {
+  const findings = [];
+
+  // Cash traps: value held in ageing or concentrated amounts
+  const cash = sources
+    .map(s => ({ s, amountCol: numericColumn(s, AMOUNT_COL), ageCol: numericColumn(s, AGE_COL) }))
+    .filter(x => x.amountCol)
+    .map(x => ({ ...x, total: sumOf(x.s.sample, x.amountCol), scale: x.s.rows / Math.max(1, x.s.sample.length) }))
+    .sort((a, b) => b.total * b.scale - a.total * a.scale)[0];
+  if (cash) {
+    const { s, amountCol, ageCol, total, scale } = cash;
+    if (ageCol) {
+      const overdue = s.sample.filter(r => (num(r[ageCol]) ?? 0) > 30);
+      const overdueSum = sumOf(overdue, amountCol);
+      const oldest = Math.max(...s.sample.map(r => num(r[ageCol]) ?? 0));
+      findings.push({
+        pattern: `${overdue.length} of ${s.sample.length} sampled ${s.name} records are more than 30 days old, holding cash in ${amountCol}.`,
+        evidence: `${s.name}: sampled ${amountCol} totals ${money(cur, total)}; ${overdue.length} items over 30 days worth ${money(cur, overdueSum)}; oldest item ${oldest} days (${ageCol}).`,
+        recurrence: `${Math.round(overdue.length / Math.max(1, s.sample.length) * 100)}% of sampled records; ~${Math.round(overdue.length * scale)} across all ${s.rows} rows.`,
+        low: overdueSum * scale * 0.6, high: overdueSum * scale,
+        rootCause: "Process / governance — no escalation once items pass 30 days.",
+        fix: `Name a single owner for ${s.name} items past 30 days; weekly ageing review with a 48-hour escalation.`,
+        confidence: sampleConfidence(s),
+        assumptions: `${ageCol} is age in days (inferred); sample is representative of all ${s.rows} rows (inferred); ${amountCol} is in ${cur} (inferred).`,
+      });
+    } else {
+      const top = [...s.sample].sort((a, b) => (num(b[amountCol]) ?? 0) - (num(a[amountCol]) ?? 0)).slice(0, 3);
+      const topSum = sumOf(top, amountCol);
+      const labelCol = categoryColumns(s)[0];
+      findings.push({
+        pattern: `Value in ${s.name} is concentrated: the 3 largest ${amountCol} items hold ${Math.round(topSum / Math.max(1, total) * 100)}% of the sampled total.`,
+        evidence: `${s.name}: sampled ${amountCol} totals ${money(cur, total)}; largest item ${money(cur, num(top[0][amountCol]))}${labelCol ? ` (${top[0][labelCol]})` : ""}.`,
+        recurrence: `Visible across the ${s.sample.length} sampled rows; ${s.rows} rows in total.`,
+        low: total * scale * 0.1, high: total * scale * 0.2,
+        rootCause: "Governance — large items are not reviewed differently from small ones.",
+        fix: `Put the top ${amountCol} items in ${s.name} on a named-owner watchlist with monthly review.`,
+        confidence: sampleConfidence(s),
+        assumptions: `Sample is representative (inferred); 10–20% of the value is recoverable or at risk (inferred).`,
+      });
+    }
+  }
+
+  // Process leaks and recurring failures: one value repeating in a category column
+  const repeat = sources
+    .flatMap(s => categoryColumns(s).map(col => ({ s, col, ...modeOf(s.sample, col) })))
+    .filter(x => x.count >= 2 && x.distinct > 1)
+    // Exceptions (status, reason) say more than a busy counterparty does
+    .sort((a, b) => EXCEPTION_COL.test(b.col) - EXCEPTION_COL.test(a.col) ||
+      b.count / b.s.sample.length - a.count / a.s.sample.length || a.s.name.localeCompare(b.s.name))[0];
+  if (repeat) {
+    const { s, col, value, count } = repeat;
+    const scale = s.rows / Math.max(1, s.sample.length);
+    const amountCol = numericColumn(s, AMOUNT_COL);
+    const affected = s.sample.filter(r => String(r[col]).trim() === value);
+    const [low, high] = amountCol
+      ? [sumOf(affected, amountCol) * scale * 0.15, sumOf(affected, amountCol) * scale * 0.3]
+      : [count * scale * 350, count * scale * 900];
+    findings.push({
+      pattern: `"${value}" recurs in ${count} of ${s.sample.length} sampled ${s.name} records (${col}).`,
+      evidence: `${s.name}: ${col} = "${value}" in ${count} sampled rows${amountCol ? `, worth ${money(cur, sumOf(affected, amountCol))}` : ""}.`,
+      recurrence: `${count} of ${s.sample.length} sampled rows; ~${Math.round(count * scale)} across all ${s.rows} rows.`,
+      low, high,
+      rootCause: EXCEPTION_COL.test(col) ? "Process — the same exception is handled by hand each time." : "Governance — one counterparty or category dominates without a review.",
+      fix: EXCEPTION_COL.test(col)
+        ? `Trace the "${value}" cases to their source and fix the step that produces them; track the count weekly.`
+        : `Review exposure to ${value}: terms, pricing and a limit on how much of the ${col} book one name can hold.`,
+      confidence: sampleConfidence(s),
+      assumptions: amountCol ? `15–30% of the affected value is leakage (inferred).` : `Each occurrence costs ${money(cur, 350)}–${money(cur, 900)} in handling time (inferred).`,
+    });
+  }
+
+  // Capacity mismatches
+  for (const s of sources) {
+    const utilCol = numericColumn(s, UTIL_COL);
+    if (!utilCol) continue;
+    const over = s.sample.filter(r => num(r[utilCol]) > 95).length;
+    const idle = s.sample.filter(r => num(r[utilCol]) < 60).length;
+    if (!over && !idle) continue;
+    const scale = s.rows / Math.max(1, s.sample.length);
+    findings.push({
+      pattern: `${s.name} shows a capacity mismatch: ${over} overloaded and ${idle} under-used records on ${utilCol}.`,
+      evidence: `${s.name}: ${over} sampled rows above 95% and ${idle} below 60% ${utilCol}.`,
+      recurrence: `${over + idle} of ${s.sample.length} sampled rows.`,
+      low: (over + idle) * scale * 2500, high: (over + idle) * scale * 6000,
+      rootCause: "People / process — work is allocated without looking at load.",
+      fix: `Rebalance work from the ${over} overloaded to the ${idle} idle resources; review ${utilCol} fortnightly.`,
+      confidence: sampleConfidence(s),
+      assumptions: `${utilCol} is a percentage (inferred); each mismatched resource costs ${money(cur, 2500)}–${money(cur, 6000)} a month (inferred).`,
+    });
+    break;
+  }
+
+  // Cross-dataset correlation: a column shared by two sources links their findings
+  for (let i = 0; i < sources.length && findings.length < 4; i++) {
+    for (let j = i + 1; j < sources.length; j++) {
+      const a = sources[i], b = sources[j];
+      const shared = a.columns.find(c => b.columns.some(d => d.toLowerCase() === c.toLowerCase()));
+      if (!shared) continue;
+      const bCol = b.columns.find(d => d.toLowerCase() === shared.toLowerCase());
+      const aValues = new Set(a.sample.map(r => String(r[shared] ?? "").trim()).filter(Boolean));
+      const overlap = new Set(b.sample.map(r => String(r[bCol] ?? "").trim()).filter(v => aValues.has(v)));
+      const linked = findings.filter(f => f.evidence.startsWith(`${a.name}:`) || f.evidence.startsWith(`${b.name}:`));
+      findings.push({
+        pattern: `${a.name} and ${b.name} share "${shared}", so issues in one can be traced into the other.`,
+        evidence: `${overlap.size} ${shared} value(s) appear in both samples${overlap.size ? ` (e.g. ${[...overlap].slice(0, 3).join(", ")})` : ""}.`,
+        recurrence: "Structural — applies to every record that carries the key.",
+        low: linked.reduce((s, f) => s + f.low, 0), high: linked.reduce((s, f) => s + f.high, 0), overlapsOthers: true,
+        rootCause: "System — the two datasets are managed separately.",
+        fix: `Join ${a.name} and ${b.name} on ${shared} and review the combined exposure as one issue.`,
+        confidence: overlap.size ? "MODERATE — keys overlap in the samples" : "LOW — column names match but sampled values do not",
+        assumptions: `${shared} means the same thing in both sources (inferred).`,
+      });
+      break;
+    }
+  }
+
+  // Data gaps, when little else could be said
+  if (findings.length < 2) {
+    for (const s of sources) {
+      const cells = s.sample.length * Math.max(1, s.columns.length);
+      const blank = s.sample.reduce((n, r) => n + s.columns.filter(c => String(r[c] ?? "").trim() === "").length, 0);
+      if (!blank) continue;
+      findings.push({
+        pattern: `${Math.round(blank / cells * 100)}% of sampled cells in ${s.name} are blank, limiting every other analysis.`,
+        evidence: `${s.name}: ${blank} empty cells across ${s.sample.length} sampled rows and ${s.columns.length} columns.`,
+        recurrence: "Across the sample.",
+        low: 0, high: 0,
+        rootCause: "System — fields are optional at entry.",
+        fix: `Make the key ${s.name} fields mandatory at capture and backfill the open records.`,
+        confidence: sampleConfidence(s),
+        assumptions: "Blank means unknown rather than zero (inferred).",
+      });
+      break;
+    }
+  }
+  return findings;
+}
+
+const NO_DATA_FINDING = {
+  pattern: "No operational data was included with this scan.",
+  evidence: "The request carried no data sources.",
+  recurrence: "N/A",
+  impact: "Not quantifiable without data.",
+  low: 0, high: 0,
+  rootCause: "System — nothing uploaded yet.",
+  fix: "Upload at least one export (finance, operations or service) and re-run the scan.",
+  confidence: "LOW — no data.",
+  assumptions: "None.",
+};
+
+// Results of the client's fixed-rule detectors (src/detectors.js), when the scan sent them.
+// Their figures are exact, so they are reported as they are, at HIGH confidence.
+const DETECTOR_NARRATIVE = {
+  "CASH TRAP": { rootCause: "Process / governance — no escalation once items pass 30 days.", fix: "Name a single owner for items past 30 days; weekly ageing review with a 48-hour escalation." },
+  "PROCESS LEAK": { rootCause: "Process — the same exception is handled by hand each time.", fix: "Trace the repeated exceptions to their source and fix the step that produces them; track the count weekly." },
+  "CAPACITY MISMATCH": { rootCause: "People / process — work is allocated without looking at load.", fix: "Rebalance work from the overloaded to the under-used resources; review utilisation fortnightly." },
+  "RECURRING FAILURE": { rootCause: "System — the underlying fault is fixed case by case, not at its cause.", fix: "Run a root-cause review on the most frequent failure and set a 90-day recurrence target." },
+  "DECISION STALL": { rootCause: "Governance — no deadline or owner forces the decision.", fix: "Give each stalled decision an owner and a decide-by date at the next leadership meeting." },
+};
+
+function detectorFindings(user, cur) {
+  return [...user.matchAll(/^\[D\d+\] ([A-Z ]+) \| (.+?) \| ([\d,]+) items? \| (?:amount ([\d,]+)|no amount)\nRule: (.*)\nEvidence: (.*)(?:\nTrend: (.*))?$/gm)].map(m => {
+    const [, label, source, count, amount, rule, evidence, trend] = m;
+    const value = amount ? Number(amount.replace(/,/g, "")) : 0;
+    return {
+      pattern: `${label.charAt(0)}${label.slice(1).toLowerCase()} in ${source}: ${count} item(s) breach the rule "${rule}".`,
+      evidence: `${source}: ${evidence}`,
+      recurrence: trend ? `${rule} — ${trend}` : rule,
+      impact: value ? `${money(cur, value)} held or affected, counted row by row` : "Not monetary — counts only",
+      low: value, high: value,
+      ...DETECTOR_NARRATIVE[label],
+      confidence: "HIGH — computed over every row by a fixed rule",
+      assumptions: "Column roles were read correctly (inferred); thresholds as set in the scan (data-backed)",
+    };
+  });
+}
+
+function impactText(f, cur) {
+  if (f.impact) return f.impact;
+  return f.high > 0
+    ? `${money(cur, f.low)} - ${money(cur, f.high)} ${f.overlapsOthers ? "of the exposure above, linked" : "exposure"}`
+    : "Not quantified — limits confidence in other findings";
+}
+
+function dataGaps(sources) {
+  return sources.filter(s => s.sample.length < s.rows).map(s => `${s.name} analysed from ${s.sample.length} of ${s.rows} rows`);
+}
+
+// Warnings from the client's data quality profile (src/data-quality.js), when the scan sent them
+function qualityGaps(user) {
+  const block = user.split("DATA QUALITY PROFILE\n")[1];
+  if (!block) return [];
+  const gaps = [];
+  let table = "";
+  for (const line of block.split("\n")) {
+    table = line.match(/^\[(.+?)\] [\d,]+ rows/)?.[1] ?? table;
+    const warning = line.match(/^- WARN [^:]+: (.*)$/);
+    if (warning) gaps.push(`${table}: ${warning[1]}`);
+  }
+  return gaps;
+}
+
+// "MODERATE — based on 10 sampled rows" → ["MODERATE", "based on 10 sampled rows"]
+function splitConfidence(confidence) {
+  const [level, ...reason] = confidence.split(" — ");
+  return { confidence: level, confidence_reason: reason.join(" — ") };
+}
+
+function scanJson(findings, sources, cur, gaps = sources.length ? dataGaps(sources) : ["No data sources connected."]) {
+  const counted = findings.filter(f => !f.overlapsOthers);
+  return JSON.stringify({
+    findings: findings.map((f, i) => ({
+      id: i + 1,
+      pattern: f.pattern,
+      evidence: f.evidence,
+      recurrence: f.recurrence,
+      impact: impactText(f, cur),
+      impact_amount: f.overlapsOthers ? 0 : Math.round(f.high),
+      root_cause: f.rootCause,
+      fix: f.fix,
+      tier: Number(tierFor(f.high).slice(-1)),
+      ...splitConfidence(f.confidence),
+      assumptions: f.assumptions.split(/;\s+/),
+    })),
+    summary: {
+      total_exposure: Math.round(counted.reduce((s, f) => s + f.high, 0)),
+      currency: cur,
+      priority_actions: findings.slice(0, 3).map(f => f.fix.split(";")[0]),
+    },
+    data_gaps: gaps,
+  }, null, 2);
+}
+
+function enterpriseScan({ user, cur, structured }) {
+  const sources = parseSources(user);
+  const detected = detectorFindings(user, cur);
+  const gaps = [...(sources.length ? dataGaps(sources) : ["No data sources connected."]), ...qualityGaps(user)];
+  if (structured) return scanJson(detected.length ? detected : sources.length ? scanFindings(sources, cur) : [NO_DATA_FINDING], sources, cur, gaps);
+  if (sources.length === 0) {
+    return `FINDING 1
+PATTERN: No operational data was included with this scan.
+EVIDENCE: The request carried no data sources.
+RECURRENCE: N/A
+IMPACT: Not quantifiable without data.
+ROOT CAUSE: System — nothing uploaded yet.
+FIX: Upload at least one export (finance, operations or service) and re-run the scan.
+SEVERITY: Tier 1
+CONFIDENCE: LOW — no data.
+ASSUMPTIONS: None.
+
+SCAN SUMMARY
+- Total findings count: 1
+- Total financial exposure identified: not quantified
+- Top 3 priority actions: (1) Upload data, (2) re-run the scan, (3) log the first decision
+- Data gaps that limit the analysis: No data sources connected.`;
+  }
+  const findings = detected.length ? detected : scanFindings(sources, cur);
+  const blocks = findings.map((f, i) => `FINDING ${i + 1}
+PATTERN: ${f.pattern}
+EVIDENCE: ${f.evidence}
+RECURRENCE: ${f.recurrence}
+IMPACT: ${impactText(f, cur)}
+ROOT CAUSE: ${f.rootCause}
+FIX: ${f.fix}
+SEVERITY: ${tierFor(f.high)}
+CONFIDENCE: ${f.confidence}
+ASSUMPTIONS: ${f.assumptions}`);
+  const counted = findings.filter(f => !f.overlapsOthers);
+  const low = counted.reduce((s, f) => s + f.low, 0);
+  const high = counted.reduce((s, f) => s + f.high, 0);
+  return `${blocks.join("\n\n")}
+
+SCAN SUMMARY
+- Total findings count: ${findings.length}
+- Total financial exposure identified: ${high > 0 ? `${money(cur, low)} - ${money(cur, high)}` : "not quantified"}
+- Top 3 priority actions: ${findings.slice(0, 3).map((f, i) => `(${i + 1}) ${f.fix.split(";")[0]}`).join(", ")}
+- Data gaps that limit the analysis: ${gaps.length ? gaps.join("; ") : "None beyond the inferred assumptions above."}`;
+}
+
+// ─── Revenue Intelligence Scan: OPPORTUNITY blocks ───
+const NO_DATA_OPPORTUNITY = {
+  category: "Data Assets",
+  pattern: "No data was included, so no revenue opportunity can be evidenced yet.",
+  evidence: "The request carried no data sources.",
+  low: 0, high: 0,
+  timeframe: "Quick Win (0-90 days)",
+  action: "Upload customer, pricing and contract exports and re-run the scan.",
+  confidence: "LOW — no data.",
+  assumptions: "None.",
+};
+
+function revenueJson(opportunities, sources, cur, gaps = sources.length ? dataGaps(sources) : ["No data sources connected."]) {
+  const quick = opportunities.filter(o => o.timeframe.startsWith("Quick Win"));
+  return JSON.stringify({
+    opportunities: opportunities.map((o, i) => ({
+      id: i + 1,
+      category: o.category,
+      pattern: o.pattern,
+      evidence: o.evidence,
+      potential: o.high > 0 ? `${money(cur, o.low)} - ${money(cur, o.high)} per year` : "Not quantifiable without data.",
+      potential_min: Math.round(o.low),
+      potential_max: Math.round(o.high),
+      timeframe: o.timeframe.split(" (")[0],
+      action: o.action,
+      ...splitConfidence(o.confidence),
+      assumptions: o.assumptions.split(/;\s+/),
+    })),
+    summary: {
+      potential_min: Math.round(opportunities.reduce((s, o) => s + o.low, 0)),
+      potential_max: Math.round(opportunities.reduce((s, o) => s + o.high, 0)),
+      currency: cur,
+      quick_wins: (quick.length ? quick : opportunities).slice(0, 3).map(o => o.action),
+    },
+    data_gaps: gaps,
+  }, null, 2);
+}
+
+function revenueScan({ user, cur, structured }) {
+  const sources = parseSources(user);
+  const opportunities = [];
+  const biggest = [...sources].sort((a, b) => b.rows - a.rows)[0];
+
+  if (biggest) {
+    opportunities.push({
+      category: "Data Assets",
+      pattern: `${biggest.rows.toLocaleString("en-US")} records in ${biggest.name} form a benchmark dataset others in the sector would pay to see in anonymised form.`,
+      evidence: `${biggest.name}: ${biggest.rows} rows covering ${biggest.columns.slice(0, 4).join(", ") || "unstructured text"}.`,
+      low: Math.max(biggest.rows * 2, 20000), high: Math.max(biggest.rows * 6, 60000),
+      timeframe: "Strategic (12+ months)",
+      action: `Define an anonymised extract of ${biggest.name} and test interest with two industry partners.`,
+      confidence: "LOW — value depends on buyer demand not visible in the data",
+      assumptions: `Licensing value of ${money(cur, 2)}–${money(cur, 6)} per record per year (inferred).`,
+    });
+  }
+
+  for (const s of sources) {
+    const relCol = s.columns.find(c => RELATIONSHIP_COL.test(c));
+    const amountCol = numericColumn(s, AMOUNT_COL);
+    if (!relCol || !amountCol) continue;
+    const byAccount = {};
+    s.sample.forEach(r => { const k = String(r[relCol] ?? "").trim(); if (k) byAccount[k] = (byAccount[k] || 0) + (num(r[amountCol]) ?? 0); });
+    const top = Object.entries(byAccount).sort((a, b) => b[1] - a[1]).slice(0, 3);
+    const total = sumOf(s.sample, amountCol);
+    const scale = s.rows / Math.max(1, s.sample.length);
+    const topSum = top.reduce((n, [, v]) => n + v, 0);
+    opportunities.push({
+      category: "Relationship Value",
+      pattern: `The top ${top.length} ${relCol} relationships carry ${Math.round(topSum / Math.max(1, total) * 100)}% of sampled ${amountCol} but are served like everyone else.`,
+      evidence: `${s.name}: ${top.map(([k, v]) => `${k} ${money(cur, v)}`).join(", ")}.`,
+      low: topSum * scale * 0.05, high: topSum * scale * 0.12,
+      timeframe: "Medium Term (3-12 months)",
+      action: `Offer the top ${relCol} accounts a premium service tier with a named relationship owner.`,
+      confidence: sampleConfidence(s),
+      assumptions: "5–12% uplift from a premium tier (inferred).",
+    });
+    break;
+  }
+
+  for (const s of sources) {
+    const discountCol = s.columns.find(c => /discount|rebate|waiver|write.?off/i.test(c) && s.sample.some(r => num(r[c])));
+    const amountCol = numericColumn(s, AMOUNT_COL);
+    const scale = s.rows / Math.max(1, s.sample.length);
+    if (discountCol) {
+      const given = sumOf(s.sample, discountCol);
+      opportunities.push({
+        category: "Pricing Leakage",
+        pattern: `Discounts in ${s.name} (${discountCol}) are granted without a visible approval rule.`,
+        evidence: `${s.name}: ${s.sample.filter(r => num(r[discountCol])).length} sampled rows carry ${money(cur, given)} of ${discountCol}.`,
+        low: given * scale * 0.3, high: given * scale * 0.6,
+        timeframe: "Quick Win (0-90 days)",
+        action: `Require sign-off for ${discountCol} above a set threshold from next month.`,
+        confidence: sampleConfidence(s),
+        assumptions: "30–60% of discounts would not survive an approval step (inferred).",
+      });
+      break;
+    }
+    if (amountCol && s.sample.length >= 3) {
+      const values = s.sample.map(r => num(r[amountCol])).filter(v => v !== null).sort((a, b) => a - b);
+      const median = values[Math.floor(values.length / 2)];
+      const gap = values.filter(v => v < median).reduce((n, v) => n + (median - v), 0);
+      if (gap <= 0) continue;
+      opportunities.push({
+        category: "Pricing Leakage",
+        pattern: `${values.filter(v => v < median).length} sampled ${s.name} items are priced below the median ${amountCol} of ${money(cur, median)}.`,
+        evidence: `${s.name}: ${amountCol} ranges from ${money(cur, values[0])} to ${money(cur, values[values.length - 1])}.`,
+        low: gap * scale * 0.3, high: gap * scale * 0.6,
+        timeframe: "Quick Win (0-90 days)",
+        action: `Review every ${s.name} item priced below median and set a floor price.`,
+        confidence: sampleConfidence(s),
+        assumptions: "Items are comparable enough for a common floor (inferred).",
+      });
+      break;
+    }
+  }
+
+  for (const s of sources) {
+    const col = categoryColumns(s).find(c => /status|reason|issue|type/i.test(c));
+    if (!col) continue;
+    const { value, count } = modeOf(s.sample, col);
+    if (count < 2) continue;
+    const scale = s.rows / Math.max(1, s.sample.length);
+    opportunities.push({
+      category: "Service Gap",
+      pattern: `Customers repeatedly hit "${value}" in ${s.name} — a problem they would pay to have solved.`,
+      evidence: `${s.name}: ${col} = "${value}" in ${count} of ${s.sample.length} sampled rows.`,
+      low: count * scale * 150, high: count * scale * 400,
+      timeframe: "Medium Term (3-12 months)",
+      action: `Package a paid fast-track for "${value}" cases and pilot it with five customers.`,
+      confidence: sampleConfidence(s),
+      assumptions: `${money(cur, 150)}–${money(cur, 400)} per case (inferred).`,
+    });
+    break;
+  }
+
+  if (structured) return revenueJson(opportunities.length ? opportunities : [NO_DATA_OPPORTUNITY], sources, cur, [...(sources.length ? dataGaps(sources) : ["No data sources connected."]), ...qualityGaps(user)]);
+  if (opportunities.length === 0) {
+    return `OPPORTUNITY 1
+CATEGORY: Data Assets
+PATTERN: No data was included, so no revenue opportunity can be evidenced yet.
+EVIDENCE: The request carried no data sources.
+REVENUE POTENTIAL: Not quantifiable without data.
+TIMEFRAME: Quick Win (0-90 days)
+ACTION: Upload customer, pricing and contract exports and re-run the scan.
+CONFIDENCE: LOW — no data.
+ASSUMPTIONS: None.
+
+REVENUE INTELLIGENCE SUMMARY
+— Total opportunities identified: 0
+— Total revenue potential range: not quantified
+— Top 3 quick wins: upload data first`;
+  }
+  const blocks = opportunities.map((o, i) => `OPPORTUNITY ${i + 1}
+CATEGORY: ${o.category}
+PATTERN: ${o.pattern}
+EVIDENCE: ${o.evidence}
+REVENUE POTENTIAL: ${money(cur, o.low)} - ${money(cur, o.high)} per year
+TIMEFRAME: ${o.timeframe}
+ACTION: ${o.action}
+CONFIDENCE: ${o.confidence}
+ASSUMPTIONS: ${o.assumptions}`);
+  const quick = opportunities.filter(o => o.timeframe.startsWith("Quick Win"));
+  return `${blocks.join("\n\n")}
+
+REVENUE INTELLIGENCE SUMMARY
+— Total opportunities identified: ${opportunities.length}
+— Total revenue potential range: ${money(cur, opportunities.reduce((s, o) => s + o.low, 0))} - ${money(cur, opportunities.reduce((s, o) => s + o.high, 0))}
+— Top 3 quick wins: ${(quick.length ? quick : opportunities).slice(0, 3).map(o => o.action).join("; ")}`;
+}
+
+// ─── Scan consolidation: merging the partial results of a full-data scan ───
+// Results from different parts of the same file that share a root cause
+// (findings) or category (opportunities) are one pattern seen more than once.
+function consolidate({ system, user, cur }) {
+  const revenue = /Revenue Intelligence Scan/.test(system);
+  const listKey = revenue ? "opportunities" : "findings";
+  const parts = [...user.matchAll(/--- PART \d+: .* ---\n([\s\S]*?)(?=\n--- PART \d+: |\nLOCAL DETECTOR RESULTS|\nDATA QUALITY PROFILE|\nCONFIRMED RELATIONSHIPS|$)/g)].map(m => {
+    try { return JSON.parse(m[1]); } catch { return null; }
+  });
+  const items = parts.flatMap(p => p?.[listKey] ?? []);
+  const gaps = [...new Set([...parts.flatMap(p => p?.data_gaps ?? []), ...qualityGaps(user)])];
+  const skipped = parts.filter(p => !p).length;
+  if (skipped) gaps.push(`${skipped} part(s) replied in text and could not be merged`);
+  const detected = revenue ? [] : detectorFindings(user, cur);
+  if (detected.length) return scanJson(detected, [], cur, gaps);
+
+  const groups = new Map();
+  for (const item of items) {
+    const key = revenue ? `${item.category}|${item.evidence.split(":")[0]}` : `${item.root_cause}|${item.evidence.split(":")[0]}`;
+    groups.set(key, [...(groups.get(key) ?? []), item]);
+  }
+  const merged = [...groups.values()].map(group => {
+    const base = [...group].sort((a, b) => (b.impact_amount ?? b.potential_max) - (a.impact_amount ?? a.potential_max))[0];
+    const seen = group.length > 1 ? ` Seen in ${group.length} of ${parts.length} parts.` : "";
+    if (revenue) {
+      const low = group.reduce((s, o) => s + o.potential_min, 0);
+      const high = group.reduce((s, o) => s + o.potential_max, 0);
+      return { ...base, evidence: base.evidence + seen, potential: group.length > 1 ? `${money(cur, low)} - ${money(cur, high)} per year` : base.potential, potential_min: low, potential_max: high };
+    }
+    const amount = group.reduce((s, f) => s + f.impact_amount, 0);
+    return {
+      ...base,
+      evidence: base.evidence + seen,
+      recurrence: group.length > 1 ? `${base.recurrence} (largest part); found in ${group.length} of ${parts.length} parts.` : base.recurrence,
+      impact: group.length > 1 && amount > 0 ? `${money(cur, amount)} exposure across ${group.length} parts` : base.impact,
+      impact_amount: amount,
+      tier: amount > 0 ? Number(tierFor(amount).slice(-1)) : Math.max(...group.map(f => f.tier)),
+    };
+  }).sort((a, b) => revenue ? b.potential_max - a.potential_max : b.impact_amount - a.impact_amount)
+    .map((item, i) => ({ ...item, id: i + 1 }));
+
+  if (revenue) {
+    const quick = merged.filter(o => o.timeframe === "Quick Win");
+    return JSON.stringify({
+      opportunities: merged,
+      summary: {
+        potential_min: merged.reduce((s, o) => s + o.potential_min, 0),
+        potential_max: merged.reduce((s, o) => s + o.potential_max, 0),
+        currency: cur,
+        quick_wins: (quick.length ? quick : merged).slice(0, 3).map(o => o.action),
+      },
+      data_gaps: gaps,
+    }, null, 2);
+  }
+  return JSON.stringify({
+    findings: merged,
+    summary: {
+      total_exposure: merged.reduce((s, f) => s + f.impact_amount, 0),
+      currency: cur,
+      priority_actions: merged.slice(0, 3).map(f => f.fix.split(";")[0]),
+    },
+    data_gaps: gaps,
+  }, null, 2);
+}
+
+// ─── Executive brief JSON ───
+function scanFields(text, label) {
+  return [...text.matchAll(new RegExp(`^${label}:\\s*(.+)$`, "gmi"))].map(m => m[1].trim());
+}
+
+function briefConfidence(c = "") {
+  return /^HIGH/i.test(c) ? "High" : /^MODERATE/i.test(c) ? "Medium" : "Low";
+}
+
+function brief({ user }) {
+  const org = user.match(/Organisation:\s*([^|\n]+)/)?.[1].trim() || "The organisation";
+  const decisions = [...user.matchAll(/^\[\d+\]\s*(.*?)\s—\s(.*?)\s\|\sTier:(\S+)\s\|\sStatus:(.*)$/gm)]
+    .map(m => ({ date: m[1], statement: m[2], tier: m[3], status: m[4].trim() }));
+  const patterns = scanFields(user, "PATTERN");
+  const impacts = scanFields(user, "IMPACT");
+  const fixes = scanFields(user, "FIX");
+  const confidences = scanFields(user, "CONFIDENCE");
+  const open = decisions.filter(d => !/Closed|Reversed|Superseded|resolved/i.test(d.status));
+
+  const risks = patterns.slice(0, 3).map((p, i) => ({ text: p, confidence: briefConfidence(confidences[i]), evidence: impacts[i] || "From the latest Enterprise Scan" }));
+  open.filter(d => /Proposed|Draft/i.test(d.status)).forEach(d => risks.length < 3 && risks.push({
+    text: `"${d.statement}" is still ${d.status} — delay is itself a decision.`, confidence: "Medium", evidence: `Logged ${d.date}, Tier ${d.tier}`,
+  }));
+  while (risks.length < 3) {
+    risks.push([
+      { text: "Exposure is unmeasured — no Enterprise Scan is on record.", confidence: "Low", evidence: "No scan data available" },
+      { text: "Decisions are not being logged, so accountability cannot be traced.", confidence: "Low", evidence: `${decisions.length} recent decisions on record` },
+      { text: "Review dates may be slipping without anyone noticing.", confidence: "Low", evidence: `${open.length} decisions still open` },
+    ][risks.length]);
+  }
+
+  const opportunities = fixes.slice(0, 3).map((f, i) => ({ text: `Act on: ${f}`, confidence: briefConfidence(confidences[i]), evidence: patterns[i] || "Scan finding" }));
+  decisions.filter(d => /Closed/i.test(d.status)).forEach(d => opportunities.length < 3 && opportunities.push({
+    text: `Reuse what worked in "${d.statement}".`, confidence: "Medium", evidence: `Closed decision from ${d.date}`,
+  }));
+  while (opportunities.length < 3) {
+    opportunities.push([
+      { text: "Run an Enterprise Scan to put numbers on current exposure.", confidence: "High", evidence: "Scan takes minutes once data is uploaded" },
+      { text: "Log this week's decisions so their outcomes can be reviewed.", confidence: "Medium", evidence: `${decisions.length} decisions logged so far` },
+      { text: "Set review dates on open decisions to close the learning loop.", confidence: "Medium", evidence: `${open.length} open decisions` },
+    ][opportunities.length]);
+  }
+
+  const decisions_needed = [];
+  if (fixes[0]) decisions_needed.push({ text: `Approve and assign an owner for: ${fixes[0]}` });
+  const weightiest = [...open].sort((a, b) => Number(b.tier) - Number(a.tier))[0];
+  if (weightiest) decisions_needed.push({ text: `Move "${weightiest.statement}" forward from ${weightiest.status}.` });
+  if (decisions_needed.length === 0) decisions_needed.push({ text: "Decide which dataset to upload first for the Enterprise Scan." });
+
+  const situation = `${org}: ${patterns.length} scan finding(s) on record and ${open.length} of ${decisions.length} recent decision(s) still open.`;
+  return JSON.stringify({ situation, risks, opportunities, decisions_needed: decisions_needed.slice(0, 2) }, null, 2);
+}
+
+// ─── Decision rationale JSON ───
+function rationale({ user }) {
+  const statement = user.match(/Decision:\s*(.*)/)?.[1].trim() || "This decision";
+  const tier = parseInt(user.match(/Tier:\s*(\d)/)?.[1]) || 1;
+  const expected = user.match(/Expected:\s*(.*)/)?.[1].trim();
+  const confidence = !expected || expected === "undefined" ? "Low" : tier >= 3 ? "Medium" : "High";
+  return JSON.stringify({
+    rationale: `${statement} is logged as a Tier ${tier} decision. ${expected && expected !== "undefined" ? `Success is defined as: ${expected}.` : "No expected outcome was stated, so success cannot yet be measured."} ${tier >= 3 ? "Its reach justifies board-level sign-off before execution." : "It can proceed under the owner's authority."}`,
+    context: `Tier ${tier} decision${expected && expected !== "undefined" ? " with a measurable expected outcome" : " without a stated outcome"}.`,
+    confidence,
+  });
+}
+
+// ─── Decision profile ───
+function decisionProfile({ user }) {
+  const rows = [...user.matchAll(/^\[(.*?)\]\s(.*?)\s\|\sType:\s(.*?)\s\|\sTier:\s(.*?)\s\|\sConfidence:\s(.*?)\s\|\sAssumptions:\s(.*)$/gm)]
+    .map(m => ({ statement: m[2], type: m[3], tier: m[4], confidence: m[5], assumptions: m[6] }));
+  const n = rows.length || 1;
+  const count = (key) => rows.reduce((acc, r) => ({ ...acc, [r[key]]: (acc[r[key]] || 0) + 1 }), {});
+  const types = Object.entries(count("type")).sort((a, b) => b[1] - a[1]);
+  const confidences = count("confidence");
+  const noAssumptions = rows.filter(r => /none logged|^$/i.test(r.assumptions)).length;
+  const allTypes = ["technical", "human", "political", "cultural"];
+  const missing = allTypes.filter(t => !types.some(([k]) => k === t));
+  const highTier = rows.filter(r => Number(r.tier) >= 3);
+  const highTierSure = highTier.filter(r => /high/i.test(r.confidence)).length;
+  return `1. DOMINANT DECISION TYPE
+${types[0] ? `${types[0][0]} — ${types[0][1]} of ${rows.length} decisions (${Math.round(types[0][1] / n * 100)}%).` : "No decisions to analyse."} ${types[0]?.[0] === "technical" ? "You default to problems that can be engineered; people and politics get less airtime." : "Your attention goes where the friction is, not where the systems are."}
+
+2. CONFIDENCE PATTERN
+${Object.entries(confidences).map(([k, v]) => `${k}: ${v}`).join(", ") || "No confidence recorded."}. ${highTier.length ? `${highTierSure} of ${highTier.length} Tier 3 decisions were logged with high confidence${highTierSure ? " — high stakes are not lowering your certainty" : ""}.` : "No Tier 3 decisions yet, so calibration under pressure is untested."}
+
+3. ASSUMPTION RISK
+${noAssumptions} of ${rows.length} decisions have no assumptions logged. ${noAssumptions / n > 0.5 ? "Most of your reasoning is invisible, so it cannot be challenged or learned from." : "You are mostly making assumptions explicit — keep flagging which are data-backed."}
+
+4. BLIND SPOT
+${missing.length ? `No ${missing.join(" or ")} decisions logged. Either they are not happening or they are being made off the record.` : "All decision types appear; the blind spot is review — check how many have a closed outcome."}
+
+5. ONE COACHING INSIGHT
+${noAssumptions / n > 0.5 ? "Write one assumption down before every decision. It is the cheapest way to learn whether you were right for the right reasons." : `Balance your ${types[0]?.[0] || "dominant"} lens with a deliberate look at the ${missing[0] || "human"} side before you commit.`}`;
+}
+
+// ─── Brief copilot and call script ───
+function copilotOptions({ user }) {
+  const situation = user.match(/situation:\s*(.*?)\.\s*Top risk:/i)?.[1] || "the current situation";
+  const risk = user.match(/Top risk:\s*(.*?)\.\s*Format/i)?.[1] || "the top risk";
+  return `Option 1 — Contain
+Assign a single owner to "${risk}" this week, with a 14-day checkpoint. Lowest cost, buys time, does not fix the cause.
+
+Option 2 — Fix the process
+Commission a 30-day fix of the process behind ${situation}. Moderate cost; removes recurrence if the root cause is what the data suggests.
+
+Option 3 — Restructure
+Move accountability for this area to a different executive and reset targets. Highest disruption; only justified if Options 1 and 2 have already failed.
+
+Recommendation
+Option 1 now, Option 2 in parallel. Containment stops the bleeding while the fix is built; decide on Option 3 only at the 30-day review, with evidence.`;
+}
+
+function callScript({ user }) {
+  const situation = user.match(/Situation:\s*(.*)/)?.[1].trim() || "the current situation";
+  const risk = user.match(/Top Risk:\s*(.*)/)?.[1].trim() || "the top risk";
+  return `Opening: "Thanks for picking up — I need ten minutes on something urgent."
+
+Context: "${situation}"
+
+The issue: "The risk I am most worried about is: ${risk}. I need to understand where we actually are, not where the report says we are."
+
+Ask: "What do you know today that is not in the numbers? What is blocking you, and who owns it?"
+
+Commit: "By Friday I want one page: the owner, the next action, and the date it will be fixed. If you need a decision from me, tell me now."
+
+Close: "I will put a review in the diary for next week. Thank you — I know this is not easy, but it cannot wait."`;
+}
+
+// ─── Chat with data tools: one query_dataset call, then an answer from its result ───
+// Datasets and column types come from the tool description the browser sends
+function toolCatalogue(tools) {
+  const description = tools.find(t => t.name === "query_dataset")?.description ?? "";
+  return [...description.matchAll(/^- (.+?) \((\d+) rows\): (.*)$/gm)].map(m => ({
+    name: m[1],
+    columns: [...m[3].matchAll(/([^,]+?) \((number|date|text)(?:; role: \w+)?\)/g)].map(c => ({ name: c[1].trim(), type: c[2] })),
+  }));
+}
+
+function toolTurn({ messages, tools }) {
+  if (!tools?.some(t => t.name === "query_dataset")) return null;
+  const last = messages[messages.length - 1];
+  const results = Array.isArray(last.content) ? last.content.filter(b => b?.type === "tool_result") : [];
+  if (results.length) return { text: answerFromResults(results), toolCalls: [] };
+
+  const user = contentText(last.content);
+  const question = (user.split("[QUESTION]").pop() || user).trim().toLowerCase();
+  if (!/total|sum|average|avg|mean|how many|count|top|highest|largest|biggest|trend|monthly|per month|by month|breakdown|\bby\b/.test(question)) return null;
+  const tables = toolCatalogue(tools);
+  const table = tables.find(t => question.includes(t.name.toLowerCase().replace(/\.\w+$/, ""))) ?? tables[0];
+  if (!table) return null;
+
+  const mentioned = (type) => table.columns.filter(c => c.type === type &&
+    [c.name, c.name.replace(/_/g, " ")].some(n => question.includes(n.toLowerCase())));
+  const amount = mentioned("number")[0] ?? table.columns.find(c => c.type === "number" && AMOUNT_COL.test(c.name));
+  const group = mentioned("text")[0];
+  const date = table.columns.find(c => c.type === "date");
+  const op = /average|avg|mean/.test(question) ? "avg" : /how many|count/.test(question) || !amount ? "count" : "sum";
+  const input = {
+    dataset: table.name,
+    ...(group ? { group_by: [group.name] } : {}),
+    ...(/trend|monthly|per month|by month/.test(question) && date ? { date_bucket: { column: date.name, unit: "month" } } : {}),
+    metrics: [op === "count" ? { op } : { op, column: amount.name }],
+    ...(/top|highest|largest|biggest/.test(question) ? { limit: 5 } : {}),
+  };
+  return { text: `I will compute this over the full ${table.name} dataset.\n\n`, toolCalls: [{ id: `sim_call_${messages.length}`, name: "query_dataset", input }] };
+}
+
+function answerFromResults(results) {
+  const lines = results.map(r => {
+    let out;
+    try { out = JSON.parse(typeof r.content === "string" ? r.content : contentText(r.content)); } catch { out = {}; }
+    if (out.error) return `The computation failed: ${out.error}`;
+    const rows = (out.result ?? []).slice(0, 8).map(row => `- ${Object.entries(row).map(([k, v]) => `${k}: ${typeof v === "number" ? v.toLocaleString("en-US") : v}`).join(" | ")}`);
+    return `From ${out.dataset} (${out.rows_matched} matching rows${out.truncated ? ", first results shown" : ""}):
+${rows.join("\n")}`;
+  });
+  return `${lines.join("\n\n")}
+
+These figures are computed over every row, not a sample.
+
+CONFIDENCE: HIGH — computed directly from the uploaded data
+
+What decision does this number need to inform?`;
+}
+
+// ─── Chat: the diagnostic chain over whatever data came with the question ───
+function chat({ system, user, cur }) {
+  const question = (user.split("[QUESTION]").pop() || user).split("[ATTACHED FILES]")[0].trim();
+  const sources = parseSources(user);
+  if (sources.length && /scan|finding|pattern/i.test(question)) return `I will follow the diagnostic chain.\n\n${enterpriseScan({ user, cur })}`;
+
+  const connected = [...system.matchAll(/^- (.+?) \((\w+), ~(\d+) records\)$/gm)].map(m => ({ name: m[1], rows: Number(m[3]) }));
+  const journal = [...system.matchAll(/^\[(.*?)\]\s(.*?)\s—\sStatus:\s(.*?),\sTier:\s(.*)$/gm)].map(m => ({ statement: m[2], status: m[3] }));
+  const words = question.toLowerCase().split(/\W+/).filter(w => w.length > 3);
+  const relevant = connected.filter(c => words.some(w => c.name.toLowerCase().includes(w)));
+
+  const dataLines = [];
+  if (sources.length) {
+    for (const s of sources) {
+      const amountCol = numericColumn(s, AMOUNT_COL);
+      dataLines.push(`- ${s.name}: ${s.rows} rows, columns ${s.columns.slice(0, 5).join(", ")}${amountCol ? `; sampled ${amountCol} totals ${money(cur, sumOf(s.sample, amountCol))}` : ""}.`);
+    }
+  } else if (connected.length) {
+    dataLines.push(`- Connected: ${connected.map(c => `${c.name} (~${c.rows} records)`).join(", ")}.`);
+    dataLines.push(`- ${relevant.length ? `Most relevant to your question: ${relevant.map(c => c.name).join(", ")}.` : "None of the source names match your question directly — tell me which one to use."}`);
+  } else {
+    dataLines.push("- No data is connected, so everything below is inference. Upload an export to ground it.");
+  }
+
+  const related = journal.filter(j => words.some(w => j.statement.toLowerCase().includes(w)));
+  const realityLine = related.length
+    ? `- The Decision Journal already has ${related.length} related decision(s), latest: "${related[0].statement}" (${related[0].status}).`
+    : journal.length
+      ? `- ${journal.length} decision(s) in the journal, none on this topic — this would be a new decision.`
+      : "- No decisions logged yet, so there is no prior position to build on.";
+
+  return `I will follow the diagnostic chain.
+
+STEP 1 — DATA TRUTH
+${dataLines.join("\n")}
+
+STEP 2 — CURRENT REALITY
+${realityLine}
+- I cannot see who owns this today. Name the owner before anything else.
+
+STEP 3 — IMPACT
+- ${sources.length ? "The figures above are from samples; treat them as direction, not totals." : "Without data I will not put a number on this. Guessing would be worse than saying nothing."}
+
+STEP 4 — ASSUMPTIONS
+- The question "${question.slice(0, 120)}${question.length > 120 ? "…" : ""}" reflects a current, not historical, problem (inferred).
+- The connected data covers the period that matters (inferred — please confirm).
+
+CONFIDENCE: ${sources.length ? "MODERATE — grounded in sampled data" : "LOW — no data behind this answer"}
+
+What decision are you trying to make right now?
+1) The decision statement (one sentence)
+2) The options on the table (2-3 max)
+3) When this decision becomes expensive if delayed`;
+}
@@ -0,0 +1,59 @@
+// ═══════════════════════════════════════════════════════════════
+// Response cache — identical AI requests reuse the earlier answer
+// Keyed on a hash of backend, model, system prompt and messages, so the
+// same brief or scan input is only paid for once per TTL. Chat is never
+// cached. Entries are files under data/cache/; set LLM_CACHE=off to disable.
+// ═══════════════════════════════════════════════════════════════
+import { createHash } from "crypto";
+import { readCollection, writeCollection, listCollections, deleteCollection } from "./store.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// How long each feature's answers stay fresh. Features not listed are not cached.
+const TTL = {
+  brief:        6 * HOUR,
+  copilot:      6 * HOUR,
+  call_script:  6 * HOUR,
+  scan:         24 * HOUR,
+  revenue_scan: 24 * HOUR,
+  rationale:    24 * HOUR,
+  profile:      24 * HOUR,
+};
+
+const ENABLED = (process.env.LLM_CACHE || "on").trim().toLowerCase() !== "off";
+const PRUNE_EVERY = HOUR;
+let prunedAt = 0;
+
+// null when this request should not be cached
+export function cacheKey(backendId, { feature, model, system, messages, tools }) {
+  if (!ENABLED || !TTL[feature]) return null;
+  return createHash("sha256").update(JSON.stringify([backendId, model, system, messages, tools ?? null])).digest("hex");
+}
+
+// { text, feature, createdAt, expiresAt } or null when missing or stale
+export function readCached(key) {
+  const entry = readCollection(`cache/${key}`, null);
+  return entry && Date.parse(entry.expiresAt) > Date.now() ? entry : null;
+}
+
+export function writeCached(key, feature, text) {
+  const now = Date.now();
+  const entry = { text, feature, createdAt: new Date(now).toISOString(), expiresAt: new Date(now + TTL[feature]).toISOString() };
+  writeCollection(`cache/${key}`, entry);
+  pruneExpired();
+  return entry;
+}
+
+// Expired entries are skipped on read; this just keeps the folder from growing
+function pruneExpired() {
+  if (Date.now() - prunedAt < PRUNE_EVERY) return;
+  prunedAt = Date.now();
+  for (const name of listCollections("cache")) {
+    try {
+      const entry = readCollection(name, null);
+      if (!entry || Date.parse(entry.expiresAt) <= Date.now()) deleteCollection(name);
+    } catch {
+      deleteCollection(name); // unreadable, so useless
+    }
+  }
+}
@@ -0,0 +1,160 @@
+// ═══════════════════════════════════════════════════════════════
+// Saved database connections — live data sources for a workspace
+// Mounted under /api/workspaces/:workspace/connections by server/index.js.
+// A connection names a driver (server/databases/) and its settings, plus
+// saved read-only queries with $1, $2… parameters. Running a query returns
+// its result set, which the browser keeps as a dataset like an upload.
+// Passwords stay on the server: they are never sent back to the browser.
+// ═══════════════════════════════════════════════════════════════
+import { Router } from "express";
+import { randomUUID } from "crypto";
+import { readCollection, writeCollection } from "./store.js";
+import { requirePermission } from "./auth.js";
+import { scoped } from "./workspaces.js";
+import { DRIVERS, DatabaseError, readOnlyError, placeholderCount } from "./databases/index.js";
+
+const CONNECTIONS = "connections";
+const MAX_ROWS = 200000;
+const TIMEOUT_MS = 60000;
+
+const SETTINGS = {
+  sqlite:   ["path"],
+  postgres: ["host", "port", "database", "user", "password", "passwordEnv", "ssl", "sslSkipVerify"],
+};
+const FLAGS = ["ssl", "sslSkipVerify"];
+
+export const connections = Router();
+
+function col(req) {
+  return scoped(req.workspace.id, CONNECTIONS);
+}
+
+// What the browser sees of a connection
+function publicView({ config, ...conn }) {
+  const { password, ...rest } = config;
+  return { ...conn, config: { ...rest, hasPassword: !!password } };
+}
+
+// Settings for a driver from a request body; an omitted password keeps the saved one
+function pickConfig(kind, body = {}, saved = {}) {
+  const config = {};
+  for (const key of SETTINGS[kind]) {
+    if (body[key] !== undefined && body[key] !== "") config[key] = key === "port" ? Number(body[key]) : FLAGS.includes(key) ? !!body[key] : String(body[key]).trim();
+  }
+  if (kind === "postgres" && body.password === undefined && saved.password) config.password = saved.password;
+  return config;
+}
+
+// Saved queries, checked: { id, name, sql, params: [{ name, value }] }
+function pickQueries(list = [], saved = []) {
+  if (!Array.isArray(list)) return { error: "queries must be a list" };
+  const queries = [];
+  for (const q of list) {
+    const name = String(q?.name ?? "").trim();
+    if (!name) return { error: "Every query needs a name" };
+    const problem = readOnlyError(q.sql);
+    if (problem) return { error: `${name}: ${problem}` };
+    const params = Array.isArray(q.params) ? q.params.map((p, i) => ({ name: String(p?.name || `$${i + 1}`), value: String(p?.value ?? "") })) : [];
+    if (placeholderCount(q.sql) !== params.length) {
+      return { error: `${name}: the query uses ${placeholderCount(q.sql)} parameter(s) ($1, $2…) but ${params.length} value(s) were given` };
+    }
+    const prior = saved.find(s => s.id === q.id);
+    queries.push({ id: prior?.id ?? randomUUID(), name, sql: String(q.sql).trim(), params, lastSyncedAt: prior?.lastSyncedAt ?? null });
+  }
+  return { queries };
+}
+
+// A connection from a request body, or { error }
+function buildConnection(body, saved = null) {
+  const kind = body?.kind ?? saved?.kind;
+  if (!DRIVERS[kind]) return { error: `Unknown database kind "${kind}". Expected one of: ${Object.keys(DRIVERS).join(", ")}` };
+  const name = String(body?.name ?? saved?.name ?? "").trim();
+  if (!name) return { error: "The connection needs a name" };
+  const config = body?.config ? pickConfig(kind, body.config, saved?.config) : saved?.config;
+  const configError = DRIVERS[kind].configError(config);
+  if (configError) return { error: configError };
+  const { queries, error } = body?.queries !== undefined ? pickQueries(body.queries, saved?.queries) : { queries: saved?.queries ?? [] };
+  if (error) return { error };
+  return { connection: { id: saved?.id ?? `DB-${Date.now().toString(36).toUpperCase()}`, name, kind, config, queries, createdAt: saved?.createdAt ?? new Date().toISOString() } };
+}
+
+// Column names made unique, so rows can be objects ("id", "id (2)")
+function uniqueColumns(columns) {
+  return columns.map((c, i) => {
+    const name = String(c || `column ${i + 1}`);
+    return columns.slice(0, i).includes(c) ? `${name} (${i + 1})` : name;
+  });
+}
+
+// ─── Connections ───
+connections.get("/", (req, res) => {
+  res.json(readCollection(col(req)).map(publicView));
+});
+
+// A new connection must answer a trivial query before it is saved
+connections.post("/", requirePermission("manage_connections"), async (req, res) => {
+  const { connection, error } = buildConnection(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    await DRIVERS[connection.kind].query(connection.config, "SELECT 1", [], { maxRows: 1, timeoutMs: TIMEOUT_MS });
+  } catch (err) {
+    return res.status(400).json({ error: `Could not connect: ${err.message}` });
+  }
+  const list = readCollection(col(req));
+  list.push(connection);
+  writeCollection(col(req), list);
+  res.status(201).json(publicView(connection));
+});
+
+connections.put("/:id", requirePermission("manage_connections"), (req, res) => {
+  const list = readCollection(col(req));
+  const idx = list.findIndex(c => c.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: `Connection ${req.params.id} not found` });
+  const { connection, error } = buildConnection({ ...req.body, kind: list[idx].kind }, list[idx]);
+  if (error) return res.status(400).json({ error });
+  list[idx] = connection;
+  writeCollection(col(req), list);
+  res.json(publicView(connection));
+});
+
+connections.delete("/:id", requirePermission("manage_connections"), (req, res) => {
+  const list = readCollection(col(req));
+  if (!list.some(c => c.id === req.params.id)) return res.status(404).json({ error: `Connection ${req.params.id} not found` });
+  writeCollection(col(req), list.filter(c => c.id !== req.params.id));
+  res.json({ deleted: req.params.id });
+});
+
+// ─── Running a saved query ───
+// Anyone in the workspace may sync; only the saved SQL runs, with the
+// saved parameter values unless the body overrides them by name.
+// Replies { columns, rows (objects), rowCount, truncated, syncedAt }.
+connections.post("/:id/queries/:queryId/run", async (req, res) => {
+  const list = readCollection(col(req));
+  const conn = list.find(c => c.id === req.params.id);
+  const saved = conn?.queries.find(q => q.id === req.params.queryId);
+  if (!saved) return res.status(404).json({ error: `Query ${req.params.queryId} not found` });
+  const overrides = req.body?.params ?? {};
+  const values = saved.params.map(p => overrides[p.name] !== undefined ? String(overrides[p.name]) : p.value);
+  try {
+    const { columns: names, rows, truncated } = await DRIVERS[conn.kind].query(conn.config, saved.sql, values, { maxRows: MAX_ROWS, timeoutMs: TIMEOUT_MS });
+    const columns = uniqueColumns(names);
+    const syncedAt = new Date().toISOString();
+    // Re-read: another request may have changed the list while the query ran
+    const fresh = readCollection(col(req));
+    const q = fresh.find(c => c.id === conn.id)?.queries.find(x => x.id === saved.id);
+    if (q) {
+      q.lastSyncedAt = syncedAt;
+      writeCollection(col(req), fresh);
+    }
+    res.json({
+      columns,
+      rows: rows.map(r => Object.fromEntries(columns.map((c, i) => [c, r[i] ?? ""]))),
+      rowCount: rows.length,
+      truncated,
+      syncedAt,
+    });
+  } catch (err) {
+    if (!(err instanceof DatabaseError)) console.error("Query failed:", err);
+    res.status(err instanceof DatabaseError ? 400 : 500).json({ error: err.message });
+  }
+});
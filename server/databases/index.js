@@ -0,0 +1,45 @@
+// ═══════════════════════════════════════════════════════════════
+// Database drivers — where saved connections (server/connections.js) read from
+//
+// A driver exports:
+//   id, label
+//   configError(config)                 null when the settings are usable
+//   query(config, sql, params, limits)  → Promise<{ columns, rows, truncated }>
+// where params are the values for $1, $2… in order, limits =
+// { maxRows, timeoutMs }, and rows are arrays in column order, at most
+// maxRows of them. Failures throw DatabaseError with a message fit to show.
+// ═══════════════════════════════════════════════════════════════
+import * as sqlite from "./sqlite.js";
+import * as postgres from "./postgres.js";
+
+export { DatabaseError } from "./shared.js";
+
+export const DRIVERS = { sqlite, postgres };
+
+// Statements that write, even inside a SELECT (SELECT … INTO, data-modifying
+// CTEs). Postgres queries also run in a READ ONLY transaction, and SQLite
+// ones against an in-memory copy of the file, so this is the first of two checks.
+const WRITE_WORD = /\b(insert|update|delete|merge|upsert|create|alter|drop|truncate|grant|revoke|attach|detach|pragma|vacuum|reindex|into|copy)\b/i;
+
+function withoutLiterals(sql) {
+  return sql
+    .replace(/'(?:[^']|'')*'/g, "''")
+    .replace(/"(?:[^"]|"")*"/g, '""')
+    .replace(/--[^\n]*/g, " ")
+    .replace(/\/\*[\s\S]*?\*\//g, " ");
+}
+
+// Why sql may not be saved or run, or null for a single read-only query
+export function readOnlyError(sql) {
+  const bare = withoutLiterals(String(sql ?? "")).trim().replace(/;\s*$/, "");
+  if (!bare) return "The query is empty";
+  if (bare.includes(";")) return "Only one statement per query";
+  if (!/^(select|with)\b/i.test(bare)) return "Queries must start with SELECT or WITH";
+  const word = bare.match(WRITE_WORD);
+  return word ? `Queries are read-only: ${word[0].toUpperCase()} is not allowed` : null;
+}
+
+// Highest $n placeholder in sql, outside string literals
+export function placeholderCount(sql) {
+  return [...withoutLiterals(String(sql ?? "")).matchAll(/\$(\d+)/g)].reduce((max, m) => Math.max(max, Number(m[1])), 0);
+}
@@ -0,0 +1,55 @@
+// PostgreSQL over node-postgres. Every query runs in a READ ONLY transaction
+// with a statement timeout and is rolled back, on a connection of its own.
+// SSL verifies the server's certificate unless the connection is saved with
+// sslSkipVerify, for servers with a self-signed certificate.
+import pg from "pg";
+import { DatabaseError } from "./shared.js";
+
+export const id = "postgres";
+export const label = "PostgreSQL";
+
+const CONNECT_TIMEOUT_MS = 10000;
+
+export function configError(config) {
+  const missing = ["host", "database", "user"].filter(k => !config?.[k]);
+  if (missing.length) return `PostgreSQL needs ${missing.join(", ")}`;
+  if (config.port !== undefined && !(Number.isInteger(config.port) && config.port > 0)) return "The port must be a whole number";
+  if (config.passwordEnv && process.env[config.passwordEnv] === undefined) return `${config.passwordEnv} is not set on the server`;
+  return null;
+}
+
+export async function query(config, sql, params, { maxRows, timeoutMs }) {
+  const client = new pg.Client({
+    host: config.host,
+    port: config.port ?? 5432,
+    database: config.database,
+    user: config.user,
+    password: config.passwordEnv ? process.env[config.passwordEnv] : config.password,
+    ssl: config.ssl ? { rejectUnauthorized: !config.sslSkipVerify } : undefined,
+    connectionTimeoutMillis: CONNECT_TIMEOUT_MS,
+    statement_timeout: timeoutMs,
+  });
+  try {
+    await client.connect();
+    await client.query("BEGIN TRANSACTION READ ONLY");
+    // One row past the limit tells us whether the result was cut. A final ";" goes
+    // (comments after it too), and the closing parenthesis gets a line of its own
+    // so a trailing -- comment cannot hide it.
+    const inner = sql.trim().replace(/;\s*(?:--[^\n]*\s*|\/\*[\s\S]*?\*\/\s*)*$/, "");
+    const result = await client.query({
+      text: `SELECT * FROM (${inner}\n) AS saved_query LIMIT ${maxRows + 1}`,
+      values: params,
+      rowMode: "array",
+    });
+    return {
+      columns: result.fields.map(f => f.name),
+      rows: result.rows.slice(0, maxRows).map(r => r.map(v => v instanceof Date ? v.toISOString() : Buffer.isBuffer(v) ? `[binary, ${v.length} bytes]` : v)),
+      truncated: result.rows.length > maxRows,
+    };
+  } catch (err) {
+    throw new DatabaseError(err.message);
+  } finally {
+    await client.query("ROLLBACK").catch(() => {});
+    await client.end().catch(() => {});
+  }
+}
@@ -0,0 +1,2 @@
+// Helpers shared by the database drivers
+export class DatabaseError extends Error {}
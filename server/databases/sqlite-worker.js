@@ -0,0 +1,37 @@
+// Runs one SQLite query off the event loop for sqlite.js, which terminates
+// this thread when the statement timeout passes. Posts back
+// { columns, rows, truncated } or { error }.
+import fs from "fs";
+import { parentPort, workerData } from "worker_threads";
+import initSqlJs from "sql.js";
+
+function cellValue(v) {
+  return v instanceof Uint8Array ? `[binary, ${v.length} bytes]` : v;
+}
+
+const { path, sql, params, maxRows } = workerData;
+const engine = await initSqlJs();
+let db = null;
+try {
+  db = new engine.Database(fs.readFileSync(path));
+} catch (err) {
+  parentPort.postMessage({ error: `Could not open ${path}: ${err.message}` });
+}
+if (db) {
+  try {
+    const stmt = db.prepare(sql);
+    stmt.bind(Object.fromEntries(params.map((v, i) => [`$${i + 1}`, v])));
+    const columns = stmt.getColumnNames();
+    // One row past the limit tells us whether the result was cut
+    const rows = [];
+    while (rows.length <= maxRows && stmt.step()) rows.push(stmt.get().map(cellValue));
+    stmt.free();
+    const truncated = rows.length > maxRows;
+    if (truncated) rows.length = maxRows;
+    parentPort.postMessage({ columns, rows, truncated });
+  } catch (err) {
+    parentPort.postMessage({ error: err.message });
+  } finally {
+    db.close();
+  }
+}
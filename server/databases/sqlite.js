@@ -0,0 +1,39 @@
+// SQLite files on the server's disk, read with sql.js (WebAssembly, no native build).
+// Each run loads the file afresh into memory, so a sync sees the latest data
+// and nothing a query does can reach the file.
+import fs from "fs";
+import { Worker } from "worker_threads";
+import { DatabaseError } from "./shared.js";
+
+export const id = "sqlite";
+export const label = "SQLite file";
+
+export function configError(config) {
+  if (!config?.path || typeof config.path !== "string") return "The path of the SQLite file is required";
+  try {
+    fs.accessSync(config.path, fs.constants.R_OK);
+  } catch {
+    return `Cannot read ${config.path} on the server`;
+  }
+  return null;
+}
+
+// The query runs in a worker thread of its own: sql.js is synchronous, and
+// on the main thread a slow query would stall every other request.
+export function query(config, sql, params, { maxRows, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./sqlite-worker.js", import.meta.url), {
+      workerData: { path: config.path, sql, params, maxRows },
+    });
+    const finish = (settle) => {
+      clearTimeout(timer);
+      worker.terminate();
+      settle();
+    };
+    // The same error PostgreSQL gives when statement_timeout passes
+    const timer = setTimeout(() => finish(() => reject(new DatabaseError("canceling statement due to statement timeout"))), timeoutMs);
+    worker.once("message", (result) => finish(() => result.error ? reject(new DatabaseError(result.error)) : resolve(result)));
+    worker.once("error", (err) => finish(() => reject(new DatabaseError(err.message))));
+    worker.once("exit", (code) => finish(() => reject(new DatabaseError(`The SQLite query stopped unexpectedly (exit code ${code})`))));
+  });
+}
@@ -4,9 +4,21 @@
 // Run: npm start  (builds frontend then starts this server)
 // ═══════════════════════════════════════════════════════════════
 import "dotenv/config";
+import { randomUUID } from "crypto";
 import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
+import { ledger } from "./ledger.js";
+import { auth, users, requireUser } from "./auth.js";
+import { workspaces, requireWorkspace, findWorkspace, DEFAULT_WORKSPACE } from "./workspaces.js";
+import { models, resolveModelRequest } from "./models.js";
+import { activeBackend, BackendError } from "./backends/index.js";
+import { usage, recordUsage } from "./usage.js";
+import { redactions, recordRedactions } from "./redactions.js";
+import { connections } from "./connections.js";
+import { queue, runQueued } from "./queue.js";
+import { cacheKey, readCached, writeCached } from "./cache.js";
+import { SCHEMAS, schemaPrompt, parseStructured, repairMessages } from "./schemas.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
@@ -16,119 +28,188 @@ app.use(express.json({ limit: "50mb" }));
 const distPath = path.join(__dirname, "..", "dist");
 app.use(express.static(distPath));
 
-function getApiKey() {
-  const key = process.env.ANTHROPIC_API_KEY;
-  if (!key || key === "put_your_real_key_here" || key.trim() === "") return null;
-  return key.trim();
-}
-
 // Health check — frontend calls this to know if API is ready
 app.get("/api/health", (_req, res) => {
-  res.json({ ok: true, apiConfigured: !!getApiKey() });
+  const backend = activeBackend();
+  res.json({ ok: true, apiConfigured: !backend.configError(), backend: backend.label, simulated: backend.id === "simulator" });
 });
 
-// Claude API proxy with streaming support
-app.post("/api/claude", async (req, res) => {
-  const KEY = getApiKey();
-  if (!KEY) {
-    return res.status(500).json({
-      error: "API key not configured. Add your ANTHROPIC_API_KEY to the .env file and restart the server."
-    });
-  }
+// Sign-in and first-run setup; everything below requires a signed-in user
+app.use("/api/auth", auth);
+app.use("/api", requireUser);
+app.use("/api/users", users);
 
-  const { systemPrompt, messages, stream } = req.body || {};
+app.use("/api/workspaces", workspaces);
+app.use("/api/models", models);
+app.use("/api/usage", usage);
+app.use("/api/redactions", redactions);
 
-  // Validate input
-  if (!messages || !Array.isArray(messages) || messages.length === 0) {
-    return res.status(400).json({ error: "Messages array is required" });
-  }
+// Saved database connections and their read-only queries, one set per workspace
+app.use("/api/workspaces/:workspace/connections", requireWorkspace, connections);
 
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 120000); // 2 min timeout
+// Decision Ledger persistence (decisions, reviews, audit log), one per workspace
+app.use("/api/workspaces/:workspace", requireWorkspace, ledger);
 
-  try {
-    const apiResponse = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "content-type": "application/json",
-        "x-api-key": KEY,
-        "anthropic-version": "2023-06-01"
-      },
-      body: JSON.stringify({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 4096,
-        system: systemPrompt || "",
-        messages,
-        stream: !!stream
-      }),
-      signal: controller.signal
-    });
+// Where a request stands in the LLM queue, by the requestId the client sent
+app.use("/api/claude/queue", queue);
 
-    clearTimeout(timeout);
+// LLM proxy — the route keeps its /api/claude name whichever backend is active.
+// Streams newline-delimited JSON: {"text": "..."} per chunk, {"error": "..."} on failure,
+// and {"tool_call": {id, name, input}} for each tool the model calls when `tools` are sent.
+// Every completed call is metered against the user and the `workspace` in the body.
+// Calls wait their turn in the queue (server/queue.js), which also retries 429s.
+// Briefs and scans are answered from the cache (server/cache.js) unless `refresh`
+// is set; replies say `cached` and `generatedAt` (a last NDJSON line when streaming).
+// `schema` (non-streaming only) asks for JSON in that format (server/schemas.js):
+// the reply adds `data`, or `schemaErrors` when even a repair attempt failed.
+// The `redaction` report the browser sends is logged per request (server/redactions.js).
+app.post("/api/claude", async (req, res) => {
+  const backend = activeBackend();
+  const configError = backend.configError();
+  if (configError) return res.status(500).json({ error: configError });
 
-    if (apiResponse.status === 429) {
-      return res.status(429).json({ error: "rate_limited", message: "Too many requests — please wait a moment and try again." });
+  // Validate input and pick the model for this task
+  const request = resolveModelRequest(req.body || {});
+  if (request.error) return res.status(400).json({ error: request.error });
+  const { stream, ...upstream } = request;
+  const { schema } = req.body;
+  if (schema !== undefined) {
+    if (!SCHEMAS[schema]) return res.status(400).json({ error: `Unknown schema "${schema}". Expected one of: ${Object.keys(SCHEMAS).join(", ")}` });
+    if (stream) return res.status(400).json({ error: "Structured output is not available when streaming" });
+    upstream.system = `${upstream.system}\n\n${schemaPrompt(schema)}`;
+  }
+  const workspace = findWorkspace(req.body.workspace ?? DEFAULT_WORKSPACE);
+  if (!workspace) return res.status(404).json({ error: `Workspace ${req.body.workspace} not found` });
+  try {
+    recordRedactions({ user: req.user, workspace: workspace.id, feature: request.feature, requestId: typeof req.body.requestId === "string" ? req.body.requestId.slice(0, 64) : null, report: req.body.redaction });
+  } catch (err) {
+    console.error("Redaction audit failed:", err.message);
+  }
+  const meter = (text, usage, sent = upstream) => {
+    try {
+      recordUsage({ user: req.user, workspace: workspace.id, feature: request.feature, request: sent, text, usage });
+    } catch (err) {
+      console.error("Usage metering failed:", err.message);
     }
-    if (!apiResponse.ok) {
-      const errText = await apiResponse.text();
-      console.error(`Anthropic API ${apiResponse.status}:`, errText.slice(0, 500));
-      return res.status(apiResponse.status).json({ error: errText });
+  };
+
+  // ─── Cache hit: no queue, no backend call, nothing metered ───
+  const key = cacheKey(backend.id, upstream);
+  const hit = key && !req.body.refresh ? readCached(key) : null;
+  if (hit) {
+    const meta = { cached: true, generatedAt: hit.createdAt };
+    if (!stream) return res.json({ text: hit.text, ...(schema && { data: parseStructured(schema, hit.text).data }), ...meta });
+    res.setHeader("Content-Type", "text/plain; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache");
+    return res.end(JSON.stringify({ text: hit.text }) + "\n" + JSON.stringify(meta) + "\n");
+  }
+  const remember = (text) => {
+    if (!key || !text) return new Date().toISOString();
+    try {
+      return writeCached(key, request.feature, text).createdAt;
+    } catch (err) {
+      console.error("Cache write failed:", err.message);
+      return new Date().toISOString();
     }
+  };
+
+  const controller = new AbortController();
+  // A client that gives up leaves the queue, or cancels its upstream call
+  res.on("close", () => { if (!res.writableEnded) controller.abort(); });
+  // The 2 min limit counts from when the request leaves the queue, per attempt
+  let timeout = null;
+  const startTimer = () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => controller.abort(), 120000);
+  };
+  const slot = {
+    id: typeof req.body.requestId === "string" && req.body.requestId ? req.body.requestId.slice(0, 64) : randomUUID(),
+    userId: req.user.id,
+    feature: request.feature,
+    signal: controller.signal,
+  };
+  let release = () => {};
 
+  try {
     // ─── Non-streaming ───
     if (!stream) {
-      const data = await apiResponse.json();
-      const text = (data.content || []).map(c => c.text || "").join("");
-      return res.json({ text });
+      const complete = async (sent) => {
+        const queued = await runQueued(slot, () => {
+          startTimer();
+          return backend.complete(sent, controller.signal);
+        });
+        queued.release();
+        meter(queued.result.text, queued.result.usage, sent);
+        return queued.result;
+      };
+      const first = await complete(upstream);
+      let { text } = first;
+      if (first.toolCalls?.length) return res.json({ text, toolCalls: first.toolCalls, cached: false, generatedAt: new Date().toISOString() });
+      if (!schema) return res.json({ text, cached: false, generatedAt: remember(text) });
+
+      // Structured: one repair attempt, and only a valid reply is cached
+      let parsed = parseStructured(schema, text);
+      if (parsed.errors) {
+        console.warn(`Invalid ${schema} JSON, asking for a repair: ${parsed.errors[0]}`);
+        const { text: repaired } = await complete({ ...upstream, messages: repairMessages(upstream.messages, text, parsed.errors) });
+        const second = parseStructured(schema, repaired);
+        if (second.data) [text, parsed] = [repaired, second];
+      }
+      if (parsed.errors) {
+        return res.json({ text, schemaErrors: parsed.errors, cached: false, generatedAt: new Date().toISOString() });
+      }
+      return res.json({ text, data: parsed.data, cached: false, generatedAt: remember(text) });
     }
 
-    // ─── Streaming: Anthropic SSE → newline-delimited JSON ───
+    // ─── Streaming: backend text deltas → newline-delimited JSON ───
+    // Pull the first chunk inside the queue, so upstream errors are retried and keep their status
+    const queued = await runQueued(slot, async () => {
+      startTimer();
+      const deltas = backend.stream(upstream, controller.signal);
+      return { deltas, first: await deltas.next() };
+    });
+    release = queued.release;
+    const { deltas } = queued.result;
+    let next = queued.result.first;
+    let text = "";
+    let failed = false;
+    let calledTools = false;
     res.setHeader("Content-Type", "text/plain; charset=utf-8");
     res.setHeader("Cache-Control", "no-cache");
     res.setHeader("X-Accel-Buffering", "no");
-
-    const reader = apiResponse.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = "";
-
     try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split("\n");
-        buffer = lines.pop() || "";
-
-        for (const line of lines) {
-          const trimmed = line.trim();
-          if (!trimmed.startsWith("data: ")) continue;
-          const payload = trimmed.slice(6);
-          if (payload === "[DONE]") continue;
-
-          try {
-            const parsed = JSON.parse(payload);
-            if (parsed.type === "content_block_delta" && parsed.delta?.text) {
-              res.write(JSON.stringify({ text: parsed.delta.text }) + "\n");
-            }
-            // Handle error events from the API
-            if (parsed.type === "error") {
-              res.write(JSON.stringify({ error: parsed.error?.message || "Stream error" }) + "\n");
-            }
-          } catch {}
+      while (!next.done) {
+        if (typeof next.value === "string") {
+          text += next.value;
+          res.write(JSON.stringify({ text: next.value }) + "\n");
+        } else {
+          calledTools = true;
+          res.write(JSON.stringify({ tool_call: next.value.toolCall }) + "\n");
         }
+        next = await deltas.next();
       }
     } catch (streamErr) {
       console.error("Stream read error:", streamErr.message);
+      failed = true;
       // Try to send error through the stream
       try {
         res.write(JSON.stringify({ error: streamErr.message }) + "\n");
       } catch {}
     } finally {
+      // The generator's return value is the usage, when the backend reports it
+      meter(text, next.done ? next.value : null);
+      // Only a complete answer is worth caching; a turn that calls tools is not an answer
+      const generatedAt = failed || calledTools ? new Date().toISOString() : remember(text);
+      try {
+        res.write(JSON.stringify({ cached: false, generatedAt }) + "\n");
+      } catch {}
       res.end();
     }
   } catch (err) {
-    clearTimeout(timeout);
+    if (err instanceof BackendError && err.status === 429) {
+      return res.status(429).json({ error: "rate_limited", message: err.message });
+    }
+    if (err instanceof BackendError) return res.status(err.status).json({ error: err.message });
     const msg = err.name === "AbortError"
       ? "Request timed out (120s). Try a shorter question."
       : err.message || "Internal server error";
@@ -138,6 +219,9 @@ app.post("/api/claude", async (req, res) => {
     } else {
       try { res.end(); } catch {}
     }
+  } finally {
+    clearTimeout(timeout);
+    release();
   }
 });
 
@@ -152,18 +236,20 @@ app.use((req, res, next) => {
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
-  const key = getApiKey();
+  const backend = activeBackend();
+  const configError = backend.configError();
   console.log();
   console.log("  Decision Accountability OS");
   console.log("  Built by 30GENS");
   console.log("  ───────────────────────────────────");
   console.log(`  Running at:  http://localhost:${PORT}`);
-  console.log(`  API status:  ${key ? "Ready" : "NOT CONFIGURED"}`);
-  if (!key) {
+  console.log(`  AI backend:  ${backend.label}`);
+  console.log(`  API status:  ${configError ? "NOT CONFIGURED" : "Ready"}`);
+  if (configError) {
     console.log();
     console.log("  To enable live AI:");
     console.log("  1. Open .env in this folder");
-    console.log("  2. Set ANTHROPIC_API_KEY=sk-ant-...");
+    console.log(backend.id === "anthropic" ? "  2. Set ANTHROPIC_API_KEY=sk-ant-..." : "  2. Set OPENAI_BASE_URL=http://localhost:8080/v1");
     console.log("  3. Restart the server");
   }
   console.log();
@@ -0,0 +1,293 @@
+// ═══════════════════════════════════════════════════════════════
+// Decision Ledger API — journal entries, reviews and the audit log
+// Mounted under /api/workspaces/:workspace by server/index.js, behind requireUser;
+// every collection read here is the current workspace's copy
+// ═══════════════════════════════════════════════════════════════
+import { Router } from "express";
+import { readCollection, writeCollection } from "./store.js";
+import { sealRecord, verifyChain, stableStringify } from "../src/audit-chain.js";
+import { requirePermission } from "./auth.js";
+import { can } from "../src/roles.js";
+import { canTransition, normalizeStatus, approvalState, SIGNOFF_VERDICTS } from "../src/dal-storage.js";
+import { scoped } from "./workspaces.js";
+
+const JOURNAL = "journal";
+const AUDIT = "audit";
+const VERSIONS = "decision-versions";
+
+export const ledger = Router();
+
+function col(req, name) {
+  return scoped(req.workspace.id, name);
+}
+
+function findDecision(journal, id, res) {
+  const idx = journal.findIndex(e => e.id === id);
+  if (idx === -1) res.status(404).json({ error: `Decision ${id} not found` });
+  return idx;
+}
+
+// Every change archives the prior state and bumps the version.
+// Archived versions are only ever appended to, never edited.
+function reviseDecision(req, prior, changes) {
+  const next = { ...prior, ...changes, id: prior.id, version: prior.version ?? 1 };
+  if (stableStringify(next) === stableStringify(prior)) return prior;
+  const versions = readCollection(col(req, VERSIONS), {});
+  (versions[prior.id] ||= []).push({ ...prior, archived_at: new Date().toISOString() });
+  writeCollection(col(req, VERSIONS), versions);
+  return { ...next, version: (prior.version ?? 1) + 1 };
+}
+
+// ─── Decisions ───
+ledger.get("/decisions", (req, res) => {
+  res.json(readCollection(col(req, JOURNAL)));
+});
+
+ledger.post("/decisions", requirePermission("decide"), (req, res) => {
+  const entry = req.body;
+  if (!entry?.id || !entry.statement) {
+    return res.status(400).json({ error: "Decision id and statement are required" });
+  }
+  const invalid = newDecisionError(entry);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const journal = readCollection(col(req, JOURNAL));
+  if (journal.some(e => e.id === entry.id)) {
+    return res.status(409).json({ error: `Decision ${entry.id} already exists` });
+  }
+  journal.unshift(entry);
+  writeCollection(col(req, JOURNAL), journal);
+  res.status(201).json(entry);
+});
+
+function changedFields(prior, body) {
+  return Object.keys(body).filter(k => k !== "version" && stableStringify(body[k]) !== stableStringify(prior[k]) &&
+    // A legacy spelling of the same status is no change
+    !(k === "status" && normalizeStatus(body[k]) === normalizeStatus(prior[k])));
+}
+
+// A status move recorded under the signed-in user's name; the client's
+// status_history is never trusted, only the target status
+function statusMove(req, prior, to) {
+  const from = normalizeStatus(prior.status);
+  return { status: to, status_history: [...(prior.status_history ?? []), { from, to, at: new Date().toISOString(), by: req.user.name }] };
+}
+
+// New decisions (created or superseding) enter the lifecycle at its start,
+// with no status history of their own. Returns an error message or null.
+function newDecisionError(entry) {
+  if (!["Draft", "Proposed"].includes(normalizeStatus(entry.status))) return "A new decision starts as Draft, or Proposed when it needs sign-off";
+  if (entry.status_history?.length) return "The status history is written by the server";
+  if (entry.approval) {
+    const { required, quorum, signoffs } = entry.approval;
+    if (!Array.isArray(required) || !required.length || !(quorum >= 1 && quorum <= required.length)) {
+      return "Sign-off needs named approvers and a quorum between 1 and their number";
+    }
+    if (signoffs?.length) return "A new decision starts with no sign-offs";
+  }
+  return null;
+}
+
+// What a sign-off says, without the time the browser stamped on it
+function votesOf(signoffs) {
+  return stableStringify(signoffs.map(s => ({ approver: s?.approver, verdict: s?.verdict, comment: String(s?.comment ?? "").trim() })));
+}
+
+// The approval with at most one vote appended, whatever the role: in the signed-in
+// user's own name, from a required approver, on a decision awaiting sign-off. The
+// approvers, quorum and earlier votes always stay as stored.
+// Returns { approval } (null when no vote was added) or { error }.
+function signoffChange(req, prior, sent) {
+  const stored = prior.approval;
+  if (!stored) return { error: `${prior.id} does not require sign-off` };
+  const signoffs = sent?.signoffs;
+  if (stableStringify(sent?.required) !== stableStringify(stored.required) || sent?.quorum !== stored.quorum) {
+    return { error: "The approvers and quorum of a decision cannot be changed" };
+  }
+  if (!Array.isArray(signoffs) || votesOf(signoffs.slice(0, stored.signoffs.length)) !== votesOf(stored.signoffs)) {
+    return { error: "Earlier sign-offs cannot be changed or removed" };
+  }
+  const added = signoffs.slice(stored.signoffs.length);
+  if (!added.length) return { approval: null };
+  if (added.length > 1) return { error: "A sign-off appends exactly one vote to the decision's approval" };
+  const [vote] = added;
+  if (vote?.approver !== req.user.name) return { error: "You can only sign off in your own name" };
+  if (!stored.required.includes(req.user.name)) return { error: `${req.user.name} is not an approver on ${prior.id}` };
+  if (!SIGNOFF_VERDICTS.includes(vote.verdict)) return { error: `Unknown sign-off verdict: ${vote.verdict}` };
+  if (normalizeStatus(prior.status) !== "Proposed") return { error: `${prior.id} is no longer awaiting sign-off` };
+  const signoff = { approver: req.user.name, verdict: vote.verdict, comment: String(vote.comment ?? "").trim(), at: new Date().toISOString() };
+  return { approval: { required: stored.required, quorum: stored.quorum, signoffs: [...stored.signoffs, signoff] } };
+}
+
+// Checks an update against the lifecycle and the sign-off rules. A role with edit
+// may change the decision's own fields; a sign-off-only role (e.g. Reviewer) may
+// only vote and approve. Every role votes through signoffChange, and the move to
+// Approved waits for the quorum. Returns the changes to apply, or { error } for a 403.
+function decisionChanges(req, prior, body) {
+  const changed = changedFields(prior, body);
+  const editor = can(req.user, "edit");
+  if (!editor && changed.some(k => !["approval", "status"].includes(k))) {
+    return { error: "Your role can only sign off on decisions, not edit them" };
+  }
+  if (changed.includes("status_history")) return { error: "The status history is written by the server when the status changes" };
+  const changes = Object.fromEntries(changed.map(k => [k, body[k]]));
+  if (changed.includes("approval")) {
+    const checked = signoffChange(req, prior, body.approval);
+    if (checked.error) return checked;
+    if (checked.approval) changes.approval = checked.approval;
+    else delete changes.approval;
+  }
+  if (changed.includes("status")) {
+    const from = normalizeStatus(prior.status);
+    if (!canTransition(from, body.status)) return { error: `A decision cannot move from ${from} to ${body.status}` };
+    if (!editor && (body.status !== "Approved" || !prior.approval)) {
+      return { error: "Your role can only move a decision to Approved once its sign-offs meet the quorum" };
+    }
+    if (body.status === "Approved" && prior.approval && !approvalState({ ...prior, ...changes }).quorumMet) {
+      return { error: `${prior.id} needs ${prior.approval.quorum} approval(s) before it can be Approved` };
+    }
+    Object.assign(changes, statusMove(req, prior, body.status));
+  }
+  return { changes };
+}
+
+ledger.put("/decisions/:id", requirePermission("edit", "signoff"), (req, res) => {
+  const journal = readCollection(col(req, JOURNAL));
+  const idx = findDecision(journal, req.params.id, res);
+  if (idx === -1) return;
+  const checked = decisionChanges(req, journal[idx], req.body || {});
+  if (checked.error) return res.status(403).json({ error: checked.error });
+  journal[idx] = reviseDecision(req, journal[idx], checked.changes);
+  writeCollection(col(req, JOURNAL), journal);
+  res.json(journal[idx]);
+});
+
+// Archived versions oldest first, ending with the current entry
+ledger.get("/decisions/:id/versions", (req, res) => {
+  const journal = readCollection(col(req, JOURNAL));
+  const idx = findDecision(journal, req.params.id, res);
+  if (idx === -1) return;
+  const archived = readCollection(col(req, VERSIONS), {})[req.params.id] ?? [];
+  res.json([...archived, journal[idx]]);
+});
+
+// Replace a decision with a new one; the old entry stays on record, marked Superseded
+ledger.post("/decisions/:id/supersede", requirePermission("decide"), (req, res) => {
+  const next = req.body?.entry;
+  if (!next?.id || !next.statement) {
+    return res.status(400).json({ error: "Replacement decision id and statement are required" });
+  }
+  const invalid = newDecisionError(next);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const journal = readCollection(col(req, JOURNAL));
+  const idx = findDecision(journal, req.params.id, res);
+  if (idx === -1) return;
+  if (journal.some(e => e.id === next.id)) {
+    return res.status(409).json({ error: `Decision ${next.id} already exists` });
+  }
+  if (!canTransition(journal[idx].status, "Superseded")) {
+    return res.status(403).json({ error: `A decision cannot move from ${normalizeStatus(journal[idx].status)} to Superseded` });
+  }
+  const superseded = reviseDecision(req, journal[idx], { ...statusMove(req, journal[idx], "Superseded"), superseded_by: next.id });
+  const replacement = { ...next, supersedes: req.params.id };
+  journal[idx] = superseded;
+  journal.unshift(replacement);
+  writeCollection(col(req, JOURNAL), journal);
+  res.status(201).json({ superseded, entry: replacement });
+});
+
+// Appends a review. The only other change it may carry is the move to Under Review
+// the lifecycle allows from the current status; any other field is a 403.
+ledger.post("/decisions/:id/reviews", requirePermission("review"), (req, res) => {
+  const { review, ...rest } = req.body || {};
+  if (!review?.id) return res.status(400).json({ error: "Review id is required" });
+  const journal = readCollection(col(req, JOURNAL));
+  const idx = findDecision(journal, req.params.id, res);
+  if (idx === -1) return;
+  const entry = journal[idx];
+  const changed = changedFields(entry, rest);
+  if (changed.some(k => k !== "status" && k !== "status_history")) {
+    return res.status(403).json({ error: `A review cannot change ${changed.filter(k => k !== "status" && k !== "status_history").join(", ")}` });
+  }
+  let changes = {};
+  if (changed.includes("status")) {
+    if (rest.status !== "Under Review" || !canTransition(entry.status, "Under Review")) {
+      return res.status(403).json({ error: `A review can only move a decision to Under Review, not from ${normalizeStatus(entry.status)} to ${rest.status}` });
+    }
+    changes = statusMove(req, entry, "Under Review");
+  } else if (changed.includes("status_history")) {
+    return res.status(403).json({ error: "The status history changes only with the status" });
+  }
+  const signed = { ...review, reviewer: req.user.name, reviewer_id: req.user.id };
+  journal[idx] = reviseDecision(req, entry, { ...changes, reviews: [...(entry.reviews ?? []), signed] });
+  writeCollection(col(req, JOURNAL), journal);
+  res.status(201).json(journal[idx]);
+});
+
+// ─── Audit log (append-only, hash-chained) ───
+// Sealing is async, so appends run one at a time to keep the chain linear.
+let auditQueue = Promise.resolve();
+
+function appendAudit(req, entries) {
+  const run = auditQueue.then(async () => {
+    const audit = readCollection(col(req, AUDIT));
+    const sealed = [];
+    // Records written before the chain existed are sealed in place, oldest first,
+    // on the first append only. Once the chain has begun nothing is sealed again,
+    // so a record whose seal was stripped stays a break for /audit/verify.
+    if (!audit.some(r => r.hash || r.seq)) {
+      for (let i = 0; i < audit.length; i++) audit[i] = await sealRecord(audit[i - 1], audit[i]);
+    }
+    for (const entry of entries) {
+      const record = await sealRecord(audit.findLast(r => r.hash), entry);
+      audit.push(record);
+      sealed.push(record);
+    }
+    writeCollection(col(req, AUDIT), audit);
+    return sealed;
+  });
+  auditQueue = run.catch(() => {});
+  return run;
+}
+
+ledger.get("/audit", (req, res) => {
+  res.json(readCollection(col(req, AUDIT)));
+});
+
+ledger.get("/audit/verify", async (req, res) => {
+  res.json(await verifyChain(readCollection(col(req, AUDIT))));
+});
+
+// The actor is always the signed-in user, whatever the browser claims
+ledger.post("/audit", requirePermission("decide", "edit", "review", "signoff"), async (req, res) => {
+  const { entityId, action, version, snapshot } = req.body || {};
+  if (!entityId || !action) return res.status(400).json({ error: "entityId and action are required" });
+  const actor = req.user.name;
+  const [record] = await appendAudit(req, [{ ts: new Date().toISOString(), actor, entityId, action, version, snapshot }]);
+  res.status(201).json(record);
+});
+
+// ─── One-off import of a browser's localStorage ledger ───
+// Entries already on the server win. Imported audit records are sealed onto the end
+// of the chain in their original order, under the signed-in user's name and the time
+// of import; the time and actor the browser claimed are kept beside them, sealed but
+// not trusted.
+ledger.post("/migrate", requirePermission("decide"), async (req, res) => {
+  const { journal: incoming = [], audit: incomingAudit = [] } = req.body || {};
+  const journal = readCollection(col(req, JOURNAL));
+  const known = new Set(journal.map(e => e.id));
+  const added = incoming.filter(e => e?.id && !known.has(e.id));
+  if (added.length) writeCollection(col(req, JOURNAL), [...journal, ...added]);
+
+  const key = (r) => `${r.originalTs ?? r.ts}|${r.entityId}|${r.action}`;
+  const seen = new Set(readCollection(col(req, AUDIT)).map(key));
+  const importedAt = new Date().toISOString();
+  const addedAudit = incomingAudit
+    .filter(r => r?.entityId && r.action && !seen.has(key(r)))
+    .sort((a, b) => (a.ts < b.ts ? -1 : a.ts > b.ts ? 1 : 0))
+    .map(r => ({
+      ts: importedAt, actor: req.user.name, entityId: r.entityId, action: r.action, version: r.version, snapshot: r.snapshot,
+      importedBy: req.user.name, importedAt, originalTs: r.ts ?? null, originalActor: r.actor ?? null,
+    }));
+  if (addedAudit.length) await appendAudit(req, addedAudit);
+  res.json({ decisions: added.length, audit: addedAudit.length });
+});
@@ -0,0 +1,134 @@
+// ═══════════════════════════════════════════════════════════════
+// Model registry — which model and token budget each feature uses
+// Defaults live here; admins can change them from Settings, which
+// stores the overrides in the "model-settings" collection. Only models
+// served by the active backend (LLM_BACKEND) are offered.
+// ═══════════════════════════════════════════════════════════════
+import { Router } from "express";
+import { readCollection, writeCollection } from "./store.js";
+import { requirePermission } from "./auth.js";
+import { activeBackend } from "./backends/index.js";
+import { FEATURES } from "./usage.js";
+
+const SETTINGS = "model-settings";
+
+const MODELS = activeBackend().models;
+const DEFAULT_MODEL = Object.keys(MODELS)[0];
+
+// allowedModels: models a request may ask for instead of the default.
+// A request may ask for fewer tokens than max_tokens; asking for more gets max_tokens.
+function defaultProfile(label, max_tokens) {
+  return { label, model: DEFAULT_MODEL, max_tokens: Math.min(max_tokens, MODELS[DEFAULT_MODEL].maxOutput), allowedModels: [] };
+}
+
+export const TASKS = {
+  chat:      defaultProfile("Chat", 4096),
+  scan:      defaultProfile("Enterprise Scan", 4096),
+  brief:     defaultProfile("Executive Brief", 4096),
+  rationale: defaultProfile("Decision Rationale", 1024),
+  profile:   defaultProfile("Decision Profile", 4096),
+};
+
+export const models = Router();
+
+// Saved settings for models the active backend does not serve are ignored
+export function taskProfiles() {
+  const saved = readCollection(SETTINGS, {});
+  return Object.fromEntries(Object.entries(TASKS).map(([task, defaults]) => {
+    const custom = MODELS[saved[task]?.model] ? saved[task] : {};
+    const allowedModels = (custom.allowedModels ?? defaults.allowedModels).filter(m => MODELS[m]);
+    return [task, { ...defaults, ...custom, allowedModels }];
+  }));
+}
+
+function validateProfile({ model, max_tokens, allowedModels }) {
+  if (!MODELS[model]) return `Unknown model ${model}`;
+  if (!Number.isInteger(max_tokens) || max_tokens < 1 || max_tokens > MODELS[model].maxOutput) {
+    return `max_tokens must be between 1 and ${MODELS[model].maxOutput} for ${MODELS[model].label}`;
+  }
+  if (!Array.isArray(allowedModels) || allowedModels.some(m => !MODELS[m])) return "allowedModels must list known models";
+  return null;
+}
+
+function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) return "Messages array is required";
+  for (const m of messages) {
+    if (m?.role !== "user" && m?.role !== "assistant") return "Each message needs a role of user or assistant";
+    if (typeof m.content !== "string" && !Array.isArray(m.content)) return "Each message needs text or content blocks";
+  }
+  return null;
+}
+
+// Tool definitions the model may call: { name, description, input_schema }
+function validateTools(tools) {
+  if (!Array.isArray(tools) || tools.length > 16) return "tools must be an array of at most 16 tool definitions";
+  for (const t of tools) {
+    if (!/^[a-zA-Z0-9_-]{1,64}$/.test(t?.name ?? "")) return "Each tool needs a name of letters, digits, _ or -";
+    if (typeof t.description !== "string") return `Tool ${t.name} needs a description`;
+    if (!t.input_schema || typeof t.input_schema !== "object") return `Tool ${t.name} needs an input_schema object`;
+  }
+  return null;
+}
+
+// Turns a /api/claude body into the upstream request, or { error } when it is not allowed.
+// `system` is accepted as an alias of `systemPrompt`; `feature` (for usage
+// reporting) defaults to the task. `tools` is passed through when present.
+export function resolveModelRequest(body = {}) {
+  const { task = "chat", messages, stream, model, max_tokens, tools } = body;
+  const feature = body.feature ?? task;
+  const system = body.systemPrompt ?? body.system ?? "";
+  const profile = taskProfiles()[task];
+  if (!profile) return { error: `Unknown task "${task}". Expected one of: ${Object.keys(TASKS).join(", ")}` };
+  if (!FEATURES[feature]) return { error: `Unknown feature "${feature}". Expected one of: ${Object.keys(FEATURES).join(", ")}` };
+  const badMessages = validateMessages(messages);
+  if (badMessages) return { error: badMessages };
+  if (typeof system !== "string") return { error: "systemPrompt must be a string" };
+  const badTools = tools === undefined ? null : validateTools(tools);
+  if (badTools) return { error: badTools };
+
+  if (model !== undefined && model !== profile.model && !profile.allowedModels.includes(model)) {
+    return { error: `Model ${model} is not allowed for ${profile.label}` };
+  }
+  if (max_tokens !== undefined && (!Number.isInteger(max_tokens) || max_tokens < 1)) {
+    return { error: "max_tokens must be a positive whole number" };
+  }
+  return {
+    task,
+    feature,
+    model: model ?? profile.model,
+    max_tokens: Math.min(max_tokens ?? profile.max_tokens, profile.max_tokens),
+    system,
+    messages,
+    ...(tools?.length ? { tools } : {}),
+    stream: !!stream,
+  };
+}
+
+// ─── Settings API (mounted under /api/models, behind requireUser) ───
+models.get("/", (_req, res) => {
+  res.json({ backend: activeBackend().label, models: MODELS, tasks: taskProfiles(), defaults: TASKS });
+});
+
+models.put("/tasks/:task", requirePermission("manage_settings"), (req, res) => {
+  const { task } = req.params;
+  if (!TASKS[task]) return res.status(404).json({ error: `Unknown task ${task}` });
+  const current = taskProfiles()[task];
+  const { model = current.model, max_tokens = current.max_tokens, allowedModels = current.allowedModels } = req.body || {};
+  const next = { model, max_tokens, allowedModels: Array.isArray(allowedModels) ? allowedModels.filter(m => m !== model) : allowedModels };
+  const problem = validateProfile(next);
+  if (problem) return res.status(400).json({ error: problem });
+  const saved = readCollection(SETTINGS, {});
+  saved[task] = next;
+  writeCollection(SETTINGS, saved);
+  res.json({ ...TASKS[task], ...next });
+});
+
+// Back to the built-in defaults
+models.delete("/tasks/:task", requirePermission("manage_settings"), (req, res) => {
+  const { task } = req.params;
+  if (!TASKS[task]) return res.status(404).json({ error: `Unknown task ${task}` });
+  const saved = readCollection(SETTINGS, {});
+  delete saved[task];
+  writeCollection(SETTINGS, saved);
+  res.json(TASKS[task]);
+});
@@ -0,0 +1,150 @@
+// ═══════════════════════════════════════════════════════════════
+// LLM request queue — every /api/claude call waits here for a slot
+// Interactive features jump ahead of scans, at most LLM_MAX_CONCURRENT
+// calls run at once, a token bucket keeps starts under
+// LLM_REQUESTS_PER_MINUTE, and rate-limited or overloaded calls are
+// retried with jittered backoff that honours the backend's retry-after.
+// Clients poll GET /api/claude/queue/:requestId to show their position.
+// ═══════════════════════════════════════════════════════════════
+import { Router } from "express";
+import { BackendError } from "./backends/index.js";
+
+const MAX_CONCURRENT = Math.max(1, parseInt(process.env.LLM_MAX_CONCURRENT) || 2);
+const PER_MINUTE = Math.max(1, parseInt(process.env.LLM_REQUESTS_PER_MINUTE) || 50);
+const MAX_RETRIES = Math.max(0, parseInt(process.env.LLM_MAX_RETRIES ?? "3"));
+
+// Lower runs first. Someone waiting on screen beats a background scan.
+const PRIORITY = { chat: 0, rationale: 0, copilot: 0, call_script: 0, brief: 1, profile: 2, scan: 2, revenue_scan: 2 };
+// Waiting this long moves a request up one priority level, so scans still run on a busy server
+const AGEING_MS = 30000;
+
+const RETRYABLE = new Set([429, 500, 502, 503, 504, 529]);
+
+const waiting = [];         // { id, userId, priority, seq, enqueuedAt, start }
+const running = new Map();  // id → userId
+const retrying = new Map(); // id → { userId, until } while backing off between attempts
+let seq = 0;
+let pausedUntil = 0;        // set by a 429 so nothing else hits the backend until retry-after passes
+let bucket = PER_MINUTE;
+let refilledAt = Date.now();
+let wakeTimer = null;
+
+export const queue = Router();
+
+function refill() {
+  const now = Date.now();
+  bucket = Math.min(PER_MINUTE, bucket + ((now - refilledAt) / 60000) * PER_MINUTE);
+  refilledAt = now;
+}
+
+function rank(entry, now) {
+  return entry.priority - Math.floor((now - entry.enqueuedAt) / AGEING_MS);
+}
+
+function ordered() {
+  const now = Date.now();
+  return [...waiting].sort((a, b) => rank(a, now) - rank(b, now) || a.seq - b.seq);
+}
+
+function wakeIn(ms) {
+  if (wakeTimer) return;
+  wakeTimer = setTimeout(() => { wakeTimer = null; pump(); }, Math.max(10, ms));
+}
+
+// Starts as many waiting requests as the slot limit, rate limit and any pause allow
+function pump() {
+  while (waiting.length && running.size < MAX_CONCURRENT) {
+    const now = Date.now();
+    if (now < pausedUntil) return wakeIn(pausedUntil - now);
+    refill();
+    if (bucket < 1) return wakeIn(((1 - bucket) / PER_MINUTE) * 60000);
+    const next = ordered()[0];
+    waiting.splice(waiting.indexOf(next), 1);
+    bucket -= 1;
+    running.set(next.id, next.userId);
+    next.start();
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => { clearTimeout(timer); reject(signal.reason); }, { once: true });
+  });
+}
+
+// Resolves once the request holds a slot; the caller must call the returned release()
+function acquire({ id, userId, priority, seq: keepSeq, signal }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const entry = {
+      id, userId, priority, seq: keepSeq, enqueuedAt: Date.now(),
+      start: () => {
+        let released = false;
+        resolve(() => {
+          if (released) return;
+          released = true;
+          running.delete(id);
+          pump();
+        });
+      },
+    };
+    signal?.addEventListener("abort", () => {
+      const i = waiting.indexOf(entry);
+      if (i === -1) return;
+      waiting.splice(i, 1);
+      reject(signal.reason);
+    }, { once: true });
+    waiting.push(entry);
+    pump();
+  });
+}
+
+function backoff(err, attempt) {
+  const jitter = Math.random() * 1000;
+  if (err.retryAfter) return err.retryAfter + jitter;
+  return Math.min(30000, 1000 * 2 ** attempt) + jitter;
+}
+
+// Runs start() in a queue slot, retrying retryable backend failures.
+// Resolves to { result, release }: the slot stays held until release(),
+// so a stream can keep it while it is read.
+export async function runQueued({ id, userId, feature, signal }, start) {
+  const priority = PRIORITY[feature] ?? 1;
+  const mySeq = seq++;
+  for (let attempt = 0; ; attempt++) {
+    const release = await acquire({ id, userId, priority, seq: mySeq, signal });
+    try {
+      return { result: await start(), release };
+    } catch (err) {
+      release();
+      const retryable = err instanceof BackendError && RETRYABLE.has(err.status);
+      if (!retryable || attempt >= MAX_RETRIES || signal?.aborted) throw err;
+      const wait = backoff(err, attempt);
+      if (err.status === 429) pausedUntil = Math.max(pausedUntil, Date.now() + wait);
+      console.warn(`Backend ${err.status}, retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(wait / 1000)}s`);
+      retrying.set(id, { userId, until: Date.now() + wait });
+      try {
+        await sleep(wait, signal);
+      } finally {
+        retrying.delete(id);
+      }
+    }
+  }
+}
+
+// ─── Queue position (mounted under /api/claude/queue, behind requireUser) ───
+// state: queued (position counts from 1), running, retrying (retryIn ms),
+// or unknown once the request has finished or before it arrives.
+queue.get("/:requestId", (req, res) => {
+  const { requestId } = req.params;
+  const mine = (userId) => userId === req.user.id;
+  const load = { running: running.size, waiting: waiting.length };
+  if (running.has(requestId) && mine(running.get(requestId))) return res.json({ state: "running", ...load });
+  const backingOff = retrying.get(requestId);
+  if (backingOff && mine(backingOff.userId)) {
+    return res.json({ state: "retrying", retryIn: Math.max(0, Math.round(backingOff.until - Date.now())), ...load });
+  }
+  const position = ordered().findIndex(e => e.id === requestId && mine(e.userId)) + 1;
+  res.json(position ? { state: "queued", position, ...load } : { state: "unknown", ...load });
+});
@@ -0,0 +1,64 @@
+// ═══════════════════════════════════════════════════════════════
+// Redaction audit — what the browser redacted from each AI request
+// The client pseudonymises personal data before calling /api/claude
+// (src/redaction.js) and sends a report of counts per detector, never
+// the values. The proxy records one entry per request, cached or not,
+// in a collection per month (redactions/2026-10).
+// ═══════════════════════════════════════════════════════════════
+import { Router } from "express";
+import { readCollection, writeCollection } from "./store.js";
+import { requirePermission } from "./auth.js";
+
+const MAX_LISTED = 500;
+
+export const redactions = Router();
+
+function monthOf(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+function monthCollection(month) {
+  return `redactions/${month}`;
+}
+
+// Keeps only detector ids and whole counts, whatever the client sent
+function cleanReport(report) {
+  const counts = {};
+  for (const [id, n] of Object.entries(report?.counts ?? {})) {
+    if (/^[a-z_]{1,40}$/.test(id) && Number.isInteger(n) && n > 0) counts[id] = n;
+  }
+  const detectors = Array.isArray(report?.detectors) ? report.detectors.filter(id => typeof id === "string" && /^[a-z_]{1,40}$/.test(id)) : [];
+  return { counts, total: Object.values(counts).reduce((s, n) => s + n, 0), detectors };
+}
+
+// Called by the proxy for every /api/claude request. A request without a
+// report is recorded too, flagged unredacted, so gaps show up in the log.
+export function recordRedactions({ user, workspace, feature, requestId, report }) {
+  const entry = {
+    at: new Date().toISOString(),
+    requestId,
+    workspace,
+    userId: user.id,
+    user: user.name,
+    feature,
+    redacted: !!report,
+    ...cleanReport(report),
+  };
+  const name = monthCollection(monthOf());
+  const entries = readCollection(name);
+  entries.push(entry);
+  writeCollection(name, entries);
+  return entry;
+}
+
+// ─── Redaction audit API (mounted under /api/redactions, behind requireUser) ───
+
+redactions.get("/", requirePermission("view_usage"), (req, res) => {
+  const month = /^\d{4}-\d{2}$/.test(req.query.month || "") ? req.query.month : monthOf();
+  const entries = readCollection(monthCollection(month));
+  const totals = entries.reduce((t, e) => {
+    for (const [id, n] of Object.entries(e.counts)) t.counts[id] = (t.counts[id] ?? 0) + n;
+    return { ...t, requests: t.requests + 1, redacted: t.redacted + (e.total > 0 ? 1 : 0), unredacted: t.unredacted + (e.redacted ? 0 : 1) };
+  }, { requests: 0, redacted: 0, unredacted: 0, counts: {} });
+  res.json({ month, totals, entries: entries.slice(-MAX_LISTED).reverse() });
+});
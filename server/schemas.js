@@ -0,0 +1,178 @@
+// ═══════════════════════════════════════════════════════════════
+// Structured scan output — the JSON the Enterprise and Revenue scans return
+// A /api/claude body with `schema: "scan"` or `schema: "revenue_scan"` gets
+// the format appended to its system prompt, and the reply is checked here.
+// A reply that does not match is sent back once for repair; if that fails
+// too the client falls back to reading the text.
+// ═══════════════════════════════════════════════════════════════
+
+// ─── Field specs: "string" | "number" | "integer" | { oneOf } | { listOf } | { fields } ───
+const text = "string";
+const amount = "number";
+const list = (spec) => ({ listOf: spec });
+const oneOf = (...values) => ({ oneOf: values });
+const CONFIDENCE = oneOf("HIGH", "MODERATE", "LOW");
+
+const FINDING = {
+  fields: {
+    id: "integer",
+    pattern: text,
+    evidence: text,
+    recurrence: text,
+    impact: text,
+    impact_amount: amount,
+    root_cause: text,
+    fix: text,
+    tier: oneOf(1, 2, 3),
+    confidence: CONFIDENCE,
+    confidence_reason: text,
+    assumptions: list(text),
+  },
+};
+
+const OPPORTUNITY = {
+  fields: {
+    id: "integer",
+    category: oneOf("Data Assets", "Relationship Value", "Service Gap", "Whitelabel Potential", "Pricing Leakage"),
+    pattern: text,
+    evidence: text,
+    potential: text,
+    potential_min: amount,
+    potential_max: amount,
+    timeframe: oneOf("Quick Win", "Medium Term", "Strategic"),
+    action: text,
+    confidence: CONFIDENCE,
+    confidence_reason: text,
+    assumptions: list(text),
+  },
+};
+
+export const SCHEMAS = {
+  scan: {
+    spec: {
+      fields: {
+        findings: list(FINDING),
+        summary: { fields: { total_exposure: amount, currency: text, priority_actions: list(text) } },
+        data_gaps: list(text),
+      },
+    },
+    format: `{
+  "findings": [
+    {
+      "id": 1,
+      "pattern": "<what is happening>",
+      "evidence": "<specific data points with dates and amounts>",
+      "recurrence": "<frequency and period>",
+      "impact": "<financial + time + risk, quantified, with currency>",
+      "impact_amount": <largest financial exposure as a plain number; 0 if not quantified or already counted in another finding>,
+      "root_cause": "<process / people / system / governance>",
+      "fix": "<specific corrective action>",
+      "tier": <1, 2 or 3 — 3 is the most severe>,
+      "confidence": "HIGH|MODERATE|LOW",
+      "confidence_reason": "<one line>",
+      "assumptions": ["<assumption> (data-backed|inferred)"]
+    }
+  ],
+  "summary": {
+    "total_exposure": <plain number, the sum of impact_amount>,
+    "currency": "<currency code, e.g. RM>",
+    "priority_actions": ["<top 3 priority actions>"]
+  },
+  "data_gaps": ["<data gap that limits the analysis>"]
+}`,
+  },
+  revenue_scan: {
+    spec: {
+      fields: {
+        opportunities: list(OPPORTUNITY),
+        summary: { fields: { potential_min: amount, potential_max: amount, currency: text, quick_wins: list(text) } },
+        data_gaps: list(text),
+      },
+    },
+    format: `{
+  "opportunities": [
+    {
+      "id": 1,
+      "category": "Data Assets|Relationship Value|Service Gap|Whitelabel Potential|Pricing Leakage",
+      "pattern": "<what the opportunity is — one clear sentence>",
+      "evidence": "<specific data points from uploaded files with values>",
+      "potential": "<estimated range with currency, showing your working>",
+      "potential_min": <low end of the range as a plain number>,
+      "potential_max": <high end of the range as a plain number>,
+      "timeframe": "Quick Win|Medium Term|Strategic",
+      "action": "<the single most important next step>",
+      "confidence": "HIGH|MODERATE|LOW",
+      "confidence_reason": "<one line>",
+      "assumptions": ["<assumption> (data-backed|inferred)"]
+    }
+  ],
+  "summary": {
+    "potential_min": <plain number>,
+    "potential_max": <plain number>,
+    "currency": "<currency code, e.g. RM>",
+    "quick_wins": ["<top 3 quick wins>"]
+  },
+  "data_gaps": ["<data that would sharpen this analysis>"]
+}`,
+  },
+};
+
+// Instructions appended to the system prompt of a structured request
+export function schemaPrompt(name) {
+  return `OUTPUT FORMAT
+Return ONLY valid JSON — no markdown fences, no preamble, no trailing text.
+Amounts are plain numbers without currency symbols or commas.
+Schema:
+${SCHEMAS[name].format}`;
+}
+
+function check(value, spec, path, errors) {
+  if (errors.length >= 10) return;
+  if (spec === "string") {
+    if (typeof value !== "string") errors.push(`${path} must be a string`);
+  } else if (spec === "number") {
+    if (typeof value !== "number" || !Number.isFinite(value)) errors.push(`${path} must be a number`);
+  } else if (spec === "integer") {
+    if (!Number.isInteger(value)) errors.push(`${path} must be a whole number`);
+  } else if (spec.oneOf) {
+    if (!spec.oneOf.includes(value)) errors.push(`${path} must be one of ${spec.oneOf.map(v => JSON.stringify(v)).join(", ")}`);
+  } else if (spec.listOf) {
+    if (!Array.isArray(value)) return errors.push(`${path} must be an array`);
+    value.forEach((item, i) => check(item, spec.listOf, `${path}[${i}]`, errors));
+  } else {
+    if (!value || typeof value !== "object" || Array.isArray(value)) return errors.push(`${path} must be an object`);
+    for (const [key, field] of Object.entries(spec.fields)) {
+      if (!(key in value)) errors.push(`${path}.${key} is missing`);
+      else check(value[key], field, `${path}.${key}`, errors);
+    }
+  }
+}
+
+// { data } when the reply matches the schema, otherwise { errors }.
+// Tolerates code fences or a sentence around the JSON object.
+export function parseStructured(name, reply) {
+  const start = reply.indexOf("{");
+  const end = reply.lastIndexOf("}");
+  if (start === -1 || end < start) return { errors: ["The reply contains no JSON object"] };
+  let data;
+  try {
+    data = JSON.parse(reply.slice(start, end + 1));
+  } catch (err) {
+    return { errors: [`The reply is not valid JSON: ${err.message}`] };
+  }
+  const errors = [];
+  check(data, SCHEMAS[name].spec, "$", errors);
+  return errors.length ? { errors } : { data };
+}
+
+// Follow-up conversation asking the model to fix its own reply
+export function repairMessages(messages, reply, errors) {
+  return [
+    ...messages,
+    { role: "assistant", content: reply },
+    {
+      role: "user",
+      content: `Your reply did not match the required JSON schema:\n${errors.map(e => `- ${e}`).join("\n")}\n\nReturn the same analysis again as ONLY valid JSON that matches the schema exactly.`,
+    },
+  ];
+}
@@ -0,0 +1,47 @@
+// ═══════════════════════════════════════════════════════════════
+// On-disk JSON store — one file per collection under DATA_DIR
+// Set DAO_DATA_DIR to move it (defaults to ./data next to server/)
+// ═══════════════════════════════════════════════════════════════
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DATA_DIR = process.env.DAO_DATA_DIR || path.join(__dirname, "..", "data");
+
+function fileFor(name) {
+  return path.join(DATA_DIR, `${name}.json`);
+}
+
+export function readCollection(name, fallback = []) {
+  try {
+    return JSON.parse(fs.readFileSync(fileFor(name), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+// Write to a temp file then rename, so a crash never leaves half a file behind
+export function writeCollection(name, value) {
+  const file = fileFor(name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(value, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// Collection names under a directory, e.g. listCollections("cache") → ["cache/ab12…"]
+export function listCollections(dir) {
+  try {
+    return fs.readdirSync(path.join(DATA_DIR, dir))
+      .filter(f => f.endsWith(".json"))
+      .map(f => `${dir}/${f.slice(0, -".json".length)}`);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+export function deleteCollection(name) {
+  fs.rmSync(fileFor(name), { force: true });
+}
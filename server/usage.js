@@ -0,0 +1,173 @@
+// ═══════════════════════════════════════════════════════════════
+// Usage metering — tokens and cost of every AI request
+// The proxy records one entry per /api/claude call in a collection per
+// month (usage/2026-10). Budgets are soft limits: crossing one flags it
+// on the dashboard and in the app header but never blocks a request.
+// ═══════════════════════════════════════════════════════════════
+import { Router } from "express";
+import { readCollection, writeCollection } from "./store.js";
+import { requirePermission } from "./auth.js";
+import { activeBackend } from "./backends/index.js";
+import { contentText } from "./backends/shared.js";
+import { listWorkspaces, DEFAULT_WORKSPACE } from "./workspaces.js";
+
+const BUDGETS = "usage-budgets";
+
+// What a request is for, as shown on the dashboard. Sent as `feature`
+// alongside `task`, which picks the model; defaults to the task name.
+export const FEATURES = {
+  chat:         "Chat",
+  scan:         "Operational scan",
+  revenue_scan: "Revenue scan",
+  brief:        "Executive brief",
+  copilot:      "Brief copilot",
+  call_script:  "Call script",
+  rationale:    "Decision rationale",
+  profile:      "Decision profile",
+};
+
+// workspaces: monthly USD budget per workspace id; perUser: monthly USD
+// budget for each user; warnAt: percentage of a budget that raises a warning
+const DEFAULT_BUDGETS = { workspaces: {}, perUser: null, warnAt: 80 };
+
+export const usage = Router();
+
+function monthOf(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+function monthCollection(month) {
+  return `usage/${month}`;
+}
+
+function readBudgets() {
+  return { ...DEFAULT_BUDGETS, ...readCollection(BUDGETS, {}) };
+}
+
+// Backends that do not report usage get roughly four characters per token
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function costOf(model, { input_tokens, output_tokens }) {
+  const price = activeBackend().models[model]?.price ?? { input: 0, output: 0 };
+  return (input_tokens * price.input + output_tokens * price.output) / 1e6;
+}
+
+// Called by the proxy once a request finishes, including streams that fail
+// part-way: whatever was generated has been paid for.
+export function recordUsage({ user, workspace, feature, request, text, usage: reported }) {
+  const tokens = reported ?? {
+    input_tokens: estimateTokens(request.system + request.messages.map(m => contentText(m.content)).join("\n")),
+    output_tokens: estimateTokens(text),
+  };
+  const entry = {
+    at: new Date().toISOString(),
+    workspace,
+    userId: user.id,
+    user: user.name,
+    feature,
+    task: request.task,
+    backend: activeBackend().id,
+    model: request.model,
+    input_tokens: tokens.input_tokens,
+    output_tokens: tokens.output_tokens,
+    estimated: !reported,
+    cost: costOf(request.model, tokens),
+  };
+  const name = monthCollection(monthOf());
+  const entries = readCollection(name);
+  entries.push(entry);
+  writeCollection(name, entries);
+  return entry;
+}
+
+function level(spent, budget, warnAt) {
+  if (!budget) return "none";
+  if (spent >= budget) return "over";
+  return spent >= budget * warnAt / 100 ? "warning" : "ok";
+}
+
+function budgetLine(spent, budget, warnAt) {
+  return { spent, budget: budget || null, level: level(spent, budget, warnAt) };
+}
+
+// Where a user and workspace stand against their budgets this month
+export function budgetStatus(userId, workspace) {
+  const entries = readCollection(monthCollection(monthOf()));
+  const { workspaces, perUser, warnAt } = readBudgets();
+  const spent = (match) => entries.filter(match).reduce((s, e) => s + e.cost, 0);
+  return {
+    month: monthOf(),
+    workspace: budgetLine(spent(e => e.workspace === workspace), workspaces[workspace], warnAt),
+    user: budgetLine(spent(e => e.userId === userId), perUser, warnAt),
+  };
+}
+
+function tally(entries) {
+  return entries.reduce((t, e) => ({
+    requests: t.requests + 1,
+    input_tokens: t.input_tokens + e.input_tokens,
+    output_tokens: t.output_tokens + e.output_tokens,
+    cost: t.cost + e.cost,
+    estimated: t.estimated + (e.estimated ? 1 : 0),
+  }), { requests: 0, input_tokens: 0, output_tokens: 0, cost: 0, estimated: 0 });
+}
+
+function groupBy(entries, key, labelOf = k => k) {
+  const groups = {};
+  for (const e of entries) (groups[e[key]] ??= []).push(e);
+  return Object.entries(groups)
+    .map(([k, list]) => ({ key: k, label: labelOf(k, list[list.length - 1]), ...tally(list) }))
+    .sort((a, b) => b.cost - a.cost || b.requests - a.requests);
+}
+
+// ─── Usage API (mounted under /api/usage, behind requireUser) ───
+
+// Any signed-in user may see their own and their workspace's budget position
+usage.get("/status", (req, res) => {
+  res.json(budgetStatus(req.user.id, req.query.workspace || DEFAULT_WORKSPACE));
+});
+
+usage.get("/", requirePermission("view_usage"), (req, res) => {
+  const month = /^\d{4}-\d{2}$/.test(req.query.month || "") ? req.query.month : monthOf();
+  const entries = readCollection(monthCollection(month));
+  const budgets = readBudgets();
+  const wsNames = Object.fromEntries(listWorkspaces().map(w => [w.id, w.name]));
+  const byWorkspace = groupBy(entries, "workspace", k => wsNames[k] ?? `${k} (deleted)`).map(g => ({
+    ...g,
+    ...budgetLine(g.cost, budgets.workspaces[g.key], budgets.warnAt),
+  }));
+  const byUser = groupBy(entries, "userId", (_k, e) => e.user).map(g => ({
+    ...g,
+    ...budgetLine(g.cost, budgets.perUser, budgets.warnAt),
+  }));
+  res.json({
+    month,
+    totals: tally(entries),
+    byFeature: groupBy(entries, "feature", k => FEATURES[k] ?? k),
+    byUser,
+    byWorkspace,
+    byModel: groupBy(entries, "model", k => activeBackend().models[k]?.label ?? k),
+    byDay: groupBy(entries.map(e => ({ ...e, day: e.at.slice(0, 10) })), "day").sort((a, b) => a.key.localeCompare(b.key)),
+    budgets,
+    workspaces: listWorkspaces().map(w => ({ id: w.id, name: w.name })),
+  });
+});
+
+usage.put("/budgets", requirePermission("manage_settings"), (req, res) => {
+  const current = readBudgets();
+  const { workspaces = current.workspaces, perUser = current.perUser, warnAt = current.warnAt } = req.body || {};
+  const isBudget = (v) => v === null || (typeof v === "number" && Number.isFinite(v) && v > 0);
+  if (typeof workspaces !== "object" || workspaces === null || !Object.values(workspaces).every(isBudget)) {
+    return res.status(400).json({ error: "Workspace budgets must be positive amounts in USD" });
+  }
+  if (!isBudget(perUser)) return res.status(400).json({ error: "The per-user budget must be a positive amount in USD" });
+  if (!Number.isInteger(warnAt) || warnAt < 1 || warnAt > 100) {
+    return res.status(400).json({ error: "warnAt must be a whole percentage between 1 and 100" });
+  }
+  // null clears a workspace budget
+  const next = { workspaces: Object.fromEntries(Object.entries(workspaces).filter(([, v]) => v !== null)), perUser, warnAt };
+  writeCollection(BUDGETS, next);
+  res.json(next);
+});
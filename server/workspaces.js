@@ -0,0 +1,70 @@
+// ═══════════════════════════════════════════════════════════════
+// Workspaces — one per client organisation, each with its own ledger
+// Collections live under data/workspaces/<id>/. The "default" workspace
+// keeps the top-level files written before workspaces existed.
+// ═══════════════════════════════════════════════════════════════
+import { Router } from "express";
+import { readCollection, writeCollection } from "./store.js";
+import { requirePermission } from "./auth.js";
+
+const WORKSPACES = "workspaces";
+export const DEFAULT_WORKSPACE = "default";
+
+export const workspaces = Router();
+
+export function listWorkspaces() {
+  return readCollection(WORKSPACES, [
+    { id: DEFAULT_WORKSPACE, name: "My organisation", org: "", industry: "", region: "", createdAt: null },
+  ]);
+}
+
+// Collection name for one workspace's copy of a collection
+export function scoped(workspaceId, name) {
+  return workspaceId === DEFAULT_WORKSPACE ? name : `workspaces/${workspaceId}/${name}`;
+}
+
+export function findWorkspace(id) {
+  return listWorkspaces().find(w => w.id === id) ?? null;
+}
+
+// Middleware for routes under /api/workspaces/:workspace
+export function requireWorkspace(req, res, next) {
+  const ws = findWorkspace(req.params.workspace);
+  if (!ws) return res.status(404).json({ error: `Workspace ${req.params.workspace} not found` });
+  req.workspace = ws;
+  next();
+}
+
+function pickFields({ name, org, industry, region } = {}) {
+  const fields = { name, org, industry, region };
+  Object.keys(fields).forEach(k => fields[k] === undefined ? delete fields[k] : fields[k] = String(fields[k]).trim());
+  return fields;
+}
+
+workspaces.get("/", (_req, res) => {
+  res.json(listWorkspaces());
+});
+
+workspaces.post("/", requirePermission("manage_workspaces"), (req, res) => {
+  const fields = pickFields(req.body);
+  if (!fields.name) return res.status(400).json({ error: "Workspace name is required" });
+  const list = listWorkspaces();
+  const ws = {
+    id: `WS-${Date.now().toString(36).toUpperCase()}`,
+    org: "", industry: "", region: "",
+    ...fields,
+    createdAt: new Date().toISOString(),
+    createdBy: req.user.name,
+  };
+  list.push(ws);
+  writeCollection(WORKSPACES, list);
+  res.status(201).json(ws);
+});
+
+workspaces.put("/:workspace", requirePermission("manage_workspaces"), requireWorkspace, (req, res) => {
+  const fields = pickFields(req.body);
+  if (fields.name === "") return res.status(400).json({ error: "Workspace name cannot be empty" });
+  const list = listWorkspaces().map(w => (w.id === req.workspace.id ? { ...w, ...fields } : w));
+  writeCollection(WORKSPACES, list);
+  res.json(list.find(w => w.id === req.workspace.id));
+});
@@ -1,8 +1,35 @@
-import { useState, useEffect, useRef, useCallback } from "react";
+import { useState, useEffect, useRef, useCallback, useMemo } from "react";
 import * as Papa from "papaparse";
 import * as XLSX from "xlsx";
-import { upgradedDecision, validateDecision, bumpVersion, logAudit, saveJournal } from './dal-storage.js';
+import { upgradedDecision, validateDecision, bumpVersion, logAudit, saveJournal, loadJournal, appendReview, supersedeDecision, DECISION_STATUSES, normalizeStatus, canTransition, allowedTransitions, transitionDecision, awaitsReview, isFinalStatus, createApproval, recordSignoff, approvalState } from './dal-storage.js';
 import BriefView from './BriefView.jsx';
+import AuditView from './AuditView.jsx';
+import DecisionHistory from './DecisionHistory.jsx';
+import ApprovalPanel from './ApprovalPanel.jsx';
+import LoginView from './LoginView.jsx';
+import UsersView from './UsersView.jsx';
+import SettingsView from './SettingsView.jsx';
+import UsageView from './UsageView.jsx';
+import ColumnMapper from './ColumnMapper.jsx';
+import RedactionSettings from './RedactionSettings.jsx';
+import ConnectionsPanel from './ConnectionsPanel.jsx';
+import RelationshipsPanel from './RelationshipsPanel.jsx';
+import { fetchSession, signOut, fetchUsers } from './session.js';
+import { ROLES, can } from './roles.js';
+import { currentWorkspaceId, switchWorkspace, scopedKey, fetchWorkspaces, createWorkspace, updateWorkspace } from './workspace.js';
+import { fetchBudgetStatus, formatUsd } from './usage.js';
+import { postClaude, queueLabel } from './ai-request.js';
+import { reidentify, configureRedaction } from './redaction.js';
+import { dataTools, dataTables, runDataTool, describeToolCall } from './data-tools.js';
+import { runFullScan } from './scan-runner.js';
+import { runDetectors, detectionsPrompt, trendText, DETECTOR_CATEGORIES } from './detectors.js';
+import { withColumnRoles, mappingKey, rolesLine } from './column-roles.js';
+import { loadDatasets, syncDatasets, storageUsage, newDatasetId } from './dataset-store.js';
+import { documentFormat, parseDocument, textType, DOCUMENT_FORMATS, DOCUMENT_EXTENSIONS } from './file-parsers.js';
+import { findPreviousVersion, asNewVersion, asReplacement, withTrends, datasetChangesPrompt, diffText } from './dataset-versions.js';
+import { runQuery, queryDataset, sameSource } from './connections.js';
+import { profileDataset, qualitySummary, qualityPrompt, QUALITY_CHECKS } from './data-quality.js';
+import { findJoinCandidates, decideRelationship, joinedViews, relationshipsPrompt } from './join-keys.js';
 
 // ═══════════════════════════════════════════════════════════════
 // DECISION ACCOUNTABILITY OS — MVP
@@ -22,6 +49,18 @@ const AMBER = "#F59E0B";
 const RED = "#EF4444";
 const GOLD = "#F59E0B";
 
+// Decision lifecycle stage colours (Decision Ledger badges and filters)
+const STATUS_COLORS = {
+  "Draft": TEXT_DIM,
+  "Proposed": "#A78BFA",
+  "Approved": ACCENT,
+  "Implementing": AMBER,
+  "Under Review": "#EC4899",
+  "Closed": GREEN,
+  "Reversed": RED,
+  "Superseded": "#64748B"
+};
+
 // Demo mode starts true (safe default). Gets flipped to false when API health check passes.
 let DEMO_MODE = true;
 
@@ -82,24 +121,19 @@ CRITICAL — CROSS-DATASET CORRELATION:
 For each finding in one dataset, check ALL other datasets for correlating patterns.
 If correlation found: present as SINGLE narrative with COMBINED impact.
 
-For EVERY finding, output in this EXACT format:
-FINDING [number]
-PATTERN: [what is happening]
-EVIDENCE: [specific data points with dates and amounts]
-RECURRENCE: [frequency and period]
-IMPACT: [financial + time + risk, quantified]
-ROOT CAUSE: [process / people / system / governance]
-FIX: [specific corrective action]
-SEVERITY: [Tier 1 / Tier 2 / Tier 3]
-CONFIDENCE: [HIGH / MODERATE / LOW] — [one-line reasoning]
-ASSUMPTIONS: [list, flagged as data-backed or inferred]
-
-After all findings, provide:
-SCAN SUMMARY
-- Total findings count
-- Total financial exposure identified
-- Top 3 priority actions
-- Data gaps that limit the analysis`;
+For EVERY finding, establish:
+- PATTERN: what is happening
+- EVIDENCE: specific data points with dates and amounts
+- RECURRENCE: frequency and period
+- IMPACT: financial + time + risk, quantified
+- ROOT CAUSE: process / people / system / governance
+- FIX: specific corrective action
+- SEVERITY: Tier 1 / Tier 2 / Tier 3
+- CONFIDENCE: HIGH / MODERATE / LOW, with one-line reasoning
+- ASSUMPTIONS: each flagged as data-backed or inferred
+
+Then summarise: total financial exposure identified, top 3 priority actions, and data gaps that limit the analysis.
+Follow the OUTPUT FORMAT below exactly.`;
 
 const INDUSTRY_UPLOAD_GUIDANCE = {
   "Biotech": {
@@ -160,24 +194,23 @@ INDUSTRY-SPECIFIC LENS:
 — Financial Services: Cross-sell data patterns, fee recovery, dormant relationship reactivation.
 — Technology: Usage data licensing, API monetisation, feature-to-tier upgrade triggers.
 
-For EVERY opportunity found, output in this EXACT format:
-
-OPPORTUNITY [number]
-CATEGORY: [Data Assets / Relationship Value / Service Gap / Whitelabel Potential / Pricing Leakage]
-PATTERN: [what the opportunity is — one clear sentence]
-EVIDENCE: [specific data points from uploaded files with values where available]
-REVENUE POTENTIAL: [estimated value in currency — give a range, show your working]
-TIMEFRAME: [Quick Win (0-90 days) / Medium Term (3-12 months) / Strategic (12+ months)]
-ACTION: [the single most important next step to capture this opportunity]
-CONFIDENCE: [HIGH / MODERATE / LOW] — [one-line reasoning]
-ASSUMPTIONS: [list, flagged as data-backed or inferred]
-
-After all opportunities provide:
-REVENUE INTELLIGENCE SUMMARY
-— Total opportunities identified
-— Total revenue potential range
-— Top 3 quick wins
-— Data gaps that would sharpen this analysis`;
+For EVERY opportunity found, establish:
+— CATEGORY: Data Assets / Relationship Value / Service Gap / Whitelabel Potential / Pricing Leakage
+— PATTERN: what the opportunity is — one clear sentence
+— EVIDENCE: specific data points from uploaded files with values where available
+— REVENUE POTENTIAL: estimated value in currency — give a range, show your working
+— TIMEFRAME: Quick Win (0-90 days) / Medium Term (3-12 months) / Strategic (12+ months)
+— ACTION: the single most important next step to capture this opportunity
+— CONFIDENCE: HIGH / MODERATE / LOW, with one-line reasoning
+— ASSUMPTIONS: each flagged as data-backed or inferred
+
+Then summarise: total revenue potential range, top 3 quick wins, and data gaps that would sharpen this analysis.
+Follow the OUTPUT FORMAT below exactly.`;
+
+const DATA_TOOLS_PROMPT = `DATA TOOLS: You can compute over every row of the connected datasets with the query_dataset and describe_column tools. For any total, average, count, ranking or trend, call a tool instead of estimating from the sample rows, then quote the computed figures and say which dataset and filters they came from.`;
+
+// Tool-call rounds allowed per chat message before the answer is cut short
+const MAX_TOOL_ROUNDS = 5;
 
 const STYLE_PROMPTS = {
   direct: "Communication style: DIRECT. Lead with the problem. State impact in numbers. Two options max. No softening. Ask for a decision.",
@@ -186,12 +219,12 @@ const STYLE_PROMPTS = {
 };
 
 // ═══════════════════════════════════════════════════════════════
-// STORAGE HELPERS (localStorage-backed)
+// STORAGE HELPERS (localStorage-backed, scoped to the active workspace)
 // ═══════════════════════════════════════════════════════════════
 const store = {
   get(key) {
     try {
-      const v = window.localStorage.getItem(key);
+      const v = window.localStorage.getItem(scopedKey(key));
       return v ? JSON.parse(v) : null;
     } catch {
       return null;
@@ -199,14 +232,14 @@ const store = {
   },
   set(key, val) {
     try {
-      window.localStorage.setItem(key, JSON.stringify(val));
+      window.localStorage.setItem(scopedKey(key), JSON.stringify(val));
     } catch (e) {
       console.error("Storage error:", e);
     }
   },
   del(key) {
     try {
-      window.localStorage.removeItem(key);
+      window.localStorage.removeItem(scopedKey(key));
     } catch {}
   }
 };
@@ -214,7 +247,10 @@ const store = {
 // ═══════════════════════════════════════════════════════════════
 // CLAUDE API — with timeouts and proper error handling
 // ═══════════════════════════════════════════════════════════════
-async function callClaude(systemPrompt, messages, onChunk) {
+// `task` picks the server-side model profile (chat, scan, brief, rationale, profile);
+// `feature` tags the request on the usage dashboard; `onQueue` hears queue position.
+// Resolves to { text, toolCalls }; toolCalls is non-empty only when `tools` were sent.
+async function callClaude(systemPrompt, messages, onChunk, { task = "chat", feature = task, tools, onQueue } = {}) {
   if (DEMO_MODE) {
     const full = mockAssistant(systemPrompt, messages);
     let i = 0;
@@ -222,124 +258,90 @@ async function callClaude(systemPrompt, messages, onChunk) {
       const tick = () => {
         i = Math.min(full.length, i + Math.max(12, Math.floor(full.length / 120)));
         onChunk?.(full.slice(0, i));
-        if (i >= full.length) return resolve(full);
+        if (i >= full.length) return resolve({ text: full, toolCalls: [] });
         setTimeout(tick, 25);
       };
       tick();
     });
   }
 
-  // Live mode: call backend proxy with timeout
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 90000); // 90s timeout
-
-  try {
-    const resp = await fetch("/api/claude", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ systemPrompt, messages, stream: true }),
-      signal: controller.signal
-    });
-
-    clearTimeout(timeout);
+  // Live mode: the server queues and retries; we just wait our turn
+  const resp = await postClaude(
+    { task, feature, workspace: currentWorkspaceId(), systemPrompt, messages, tools, stream: true },
+    { onQueue }
+  );
 
-    if (!resp.ok) {
-      let errMsg;
-      try {
-        const errData = await resp.json();
-        errMsg = errData.error || `API error (${resp.status})`;
-      } catch {
-        errMsg = await resp.text().catch(() => `API error (${resp.status})`);
-      }
-      throw new Error(errMsg);
+  if (!resp.ok) {
+    let errMsg;
+    try {
+      const errData = await resp.json();
+      errMsg = errData.error || `API error (${resp.status})`;
+    } catch {
+      errMsg = await resp.text().catch(() => `API error (${resp.status})`);
     }
+    throw new Error(errMsg);
+  }
 
-    const reader = resp.body.getReader();
-    const decoder = new TextDecoder();
-    let full = "";
-    let buffer = "";
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split(/\r?\n/);
-      buffer = lines.pop() || "";
-      for (const line of lines) {
-        const t = line.trim();
-        if (!t) continue;
-        try {
-          const parsed = JSON.parse(t);
-          if (parsed.error) throw new Error(parsed.error);
-          if (parsed.text) {
-            full += parsed.text;
-            onChunk?.(full);
-          }
-        } catch (e) {
-          if (e.message && !e.message.includes("JSON")) throw e;
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let full = "";
+  let buffer = "";
+  const toolCalls = [];
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop() || "";
+    for (const line of lines) {
+      const t = line.trim();
+      if (!t) continue;
+      try {
+        const parsed = JSON.parse(t);
+        if (parsed.error) throw new Error(parsed.error);
+        if (parsed.text) {
+          full += parsed.text;
+          onChunk?.(reidentify(full));
         }
+        if (parsed.tool_call) toolCalls.push(reidentify(parsed.tool_call));
+      } catch (e) {
+        if (e.message && !e.message.includes("JSON")) throw e;
       }
     }
-    return full;
-  } catch (err) {
-    clearTimeout(timeout);
-    if (err.name === "AbortError") {
-      throw new Error("Request timed out. Please try a shorter question or check your connection.");
-    }
-    throw err;
-  }
-}
-
-// ── Retry wrapper for 429 rate-limit responses ───────────────────
-async function fetchWithRetry(url, options, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    const res = await fetch(url, options);
-    if (res.status === 429) {
-      const wait = (i + 1) * 8000;
-      await new Promise(r => setTimeout(r, wait));
-      continue;
-    }
-    return res;
   }
-  throw new Error("Rate limited after retries. Please wait 30 seconds and try again.");
+  return { text: reidentify(full), toolCalls };
 }
 
-async function callClaudeSync(systemPrompt, messages) {
-  if (DEMO_MODE) return mockAssistant(systemPrompt, messages);
-
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 90000);
-
-  try {
-    const resp = await fetchWithRetry("/api/claude", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ systemPrompt, messages, stream: false }),
-      signal: controller.signal
-    });
+// Resolves to { text, data, cached, generatedAt }. Briefs and scans may come from
+// the server's cache; refresh: true asks for a fresh answer. With a schema
+// ("scan" or "revenue_scan") the server returns validated JSON as data, or
+// data: null when the model never produced it and only the text is usable.
+async function requestClaude(systemPrompt, messages, { task = "chat", feature = task, schema, refresh = false, onQueue } = {}) {
+  if (DEMO_MODE) return { text: mockAssistant(systemPrompt, messages), data: null, cached: false, generatedAt: new Date().toISOString() };
 
-    clearTimeout(timeout);
-
-    if (!resp.ok) {
-      let errMsg;
-      try {
-        const errData = await resp.json();
-        errMsg = errData.error || `API error (${resp.status})`;
-      } catch {
-        errMsg = `API error (${resp.status})`;
-      }
-      throw new Error(errMsg);
-    }
+  const resp = await postClaude(
+    { task, feature, schema, workspace: currentWorkspaceId(), systemPrompt, messages, stream: false, refresh },
+    { onQueue }
+  );
 
-    const data = await resp.json();
-    return data.text || "";
-  } catch (err) {
-    clearTimeout(timeout);
-    if (err.name === "AbortError") {
-      throw new Error("Request timed out. Please try again.");
+  if (!resp.ok) {
+    let errMsg;
+    try {
+      const errData = await resp.json();
+      errMsg = errData.error || `API error (${resp.status})`;
+    } catch {
+      errMsg = `API error (${resp.status})`;
     }
-    throw err;
+    throw new Error(errMsg);
   }
+
+  const data = await resp.json();
+  return { text: reidentify(data.text || ""), data: reidentify(data.data ?? null), cached: !!data.cached, generatedAt: data.generatedAt || new Date().toISOString() };
+}
+
+async function callClaudeSync(systemPrompt, messages, options) {
+  return (await requestClaude(systemPrompt, messages, options)).text;
 }
 
 function mockAssistant(systemPrompt, messages) {
@@ -387,6 +389,7 @@ SCAN SUMMARY
 // FILE PARSING
 // ═══════════════════════════════════════════════════════════════
 function parseFile(file) {
+  if (documentFormat(file.name)) return parseDocument(file);
   return new Promise((resolve, reject) => {
     const name = file.name.toLowerCase();
     if (name.endsWith(".csv") || name.endsWith(".tsv")) {
@@ -421,29 +424,80 @@ function parseFile(file) {
   });
 }
 
-function summarizeData(datasets, fullScan = false) {
+// A parsed upload as it is kept: an id for storage, when it was added, and
+// its column roles. `replacing` passes on the id of the dataset it replaces.
+function newDataset(parsed, savedRoles, replacing = null) {
+  return { id: replacing?.id ?? newDatasetId(), addedAt: new Date().toISOString(), ...withColumnRoles(parsed, savedRoles) };
+}
+
+function summarizeData(datasets) {
   let summary = "";
   datasets.forEach((ds, i) => {
     summary += `\n--- DATA SOURCE ${i + 1}: ${ds.name} ---\n`;
+    if (ds.source) summary += `Live query on ${ds.source.connection}, last synced ${ds.syncedAt}\n`;
     if (ds.type === "csv") {
       summary += `Type: CSV | Rows: ${ds.rowCount} | Columns: ${ds.headers.join(", ")}\n`;
-      const sample = ds.rows.slice(0, fullScan ? 15 : 3);
+      if (rolesLine(ds.columnRoles?.[ds.name])) summary += `${rolesLine(ds.columnRoles[ds.name])}\n`;
+      const sample = ds.rows.slice(0, 3);
       summary += `Sample (${sample.length} rows):\n${JSON.stringify(sample, null, 1)}\n`;
-    } else if (ds.type === "excel") {
+    } else if (ds.sheets) {
       ds.sheetNames.forEach(sn => {
         const sh = ds.sheets[sn];
         summary += `Sheet "${sn}": ${sh.rowCount} rows | Columns: ${sh.headers.join(", ")}\n`;
-        const sample = sh.rows.slice(0, fullScan ? 15 : 3);
+        const roles = rolesLine(ds.columnRoles?.[ds.sheetNames.length === 1 ? ds.name : `${ds.name} / ${sn}`]);
+        if (roles) summary += `${roles}\n`;
+        const sample = sh.rows.slice(0, 3);
         summary += `Sample:\n${JSON.stringify(sample, null, 1)}\n`;
       });
-    } else {
-      summary += `Type: Text | Length: ${ds.charCount} chars\n`;
+    }
+    // Plain text, and the text of PDFs and Word documents (which may also have tables)
+    if (typeof ds.content === "string") {
+      summary += `Type: ${textType(ds)} | Length: ${ds.charCount} chars\n`;
       summary += ds.content.substring(0, 2000) + "\n";
     }
   });
   return summary;
 }
 
+// ── Structured scan results (server/schemas.js) → the card shapes below ──
+function confidenceText(item) {
+  return item.confidence_reason ? `${item.confidence} — ${item.confidence_reason}` : item.confidence;
+}
+
+function findingsFromScanData(data) {
+  return data.findings.map((f, i) => ({
+    id: f.id || i + 1,
+    pattern: f.pattern,
+    evidence: f.evidence,
+    recurrence: f.recurrence,
+    impact: f.impact,
+    rootCause: f.root_cause,
+    fix: f.fix,
+    tier: String(f.tier),
+    confidence: confidenceText(f),
+    assumptions: f.assumptions.join("; "),
+    maxAmount: Math.max(0, Math.round(f.impact_amount)),
+    dailyCost: f.impact_amount > 0 ? Math.round(f.impact_amount / 30) : 0
+  })).filter(f => f.pattern);
+}
+
+function opportunitiesFromScanData(data) {
+  return data.opportunities.map((o, i) => ({
+    id: o.id || i + 1,
+    category: o.category,
+    pattern: o.pattern,
+    evidence: o.evidence,
+    potential: o.potential,
+    timeframe: o.timeframe,
+    action: o.action,
+    confidence: confidenceText(o),
+    assumptions: o.assumptions.join("; "),
+    maxAmount: Math.max(0, Math.round(o.potential_max)),
+    isQuickWin: o.timeframe === "Quick Win"
+  })).filter(o => o.pattern);
+}
+
+// Text fallback for scans without structured data
 function parseRevenueFindings(text) {
   if (!text) return [];
   const opportunities = [];
@@ -547,7 +601,11 @@ const XIcon = (p) => <Icon {...p} d={<><path d="M18 6 6 18M6 6l12 12"/></>}/>;
 const CheckIcon = (p) => <Icon {...p} d={<><polyline points="20 6 9 17 4 12"/></>}/>;
 const UploadIcon = (p) => <Icon {...p} d={<><path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4"/><polyline points="17 8 12 3 7 8"/><line x1="12" y1="3" x2="12" y2="15"/></>}/>;
 const PaperclipIcon = (p) => <Icon {...p} d={<><path d="m21.44 11.05-9.19 9.19a6 6 0 01-8.49-8.49l8.57-8.57A4 4 0 1118 8.84l-8.59 8.57a2 2 0 01-2.83-2.83l8.49-8.48"/></>}/>;
+const ShieldIcon = (p) => <Icon {...p} d={<><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/><polyline points="9 12 11 14 15 10"/></>}/>;
 const ClipboardIcon = (p) => <Icon {...p} d={<><path d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2"/><rect x="9" y="3" width="6" height="4" rx="1"/><path d="M9 12h6M9 16h4"/></>}/>;
+const UsersIcon = (p) => <Icon {...p} d={<><path d="M17 21v-2a4 4 0 00-4-4H5a4 4 0 00-4 4v2"/><circle cx="9" cy="7" r="4"/><path d="M23 21v-2a4 4 0 00-3-3.87M16 3.13a4 4 0 010 7.75"/></>}/>;
+const GaugeIcon = (p) => <Icon {...p} d={<><path d="M12 14l4-4"/><path d="M3.34 19a10 10 0 1117.32 0"/></>}/>;
+const SettingsIcon = (p) => <Icon {...p} d={<><circle cx="12" cy="12" r="3"/><path d="M19.4 15a1.65 1.65 0 00.33 1.82l.06.06a2 2 0 11-2.83 2.83l-.06-.06a1.65 1.65 0 00-1.82-.33 1.65 1.65 0 00-1 1.51V21a2 2 0 11-4 0v-.09A1.65 1.65 0 009 19.4a1.65 1.65 0 00-1.82.33l-.06.06a2 2 0 11-2.83-2.83l.06-.06A1.65 1.65 0 004.6 15a1.65 1.65 0 00-1.51-1H3a2 2 0 110-4h.09A1.65 1.65 0 004.6 9a1.65 1.65 0 00-.33-1.82l-.06-.06a2 2 0 112.83-2.83l.06.06A1.65 1.65 0 009 4.6a1.65 1.65 0 001-1.51V3a2 2 0 114 0v.09a1.65 1.65 0 001 1.51 1.65 1.65 0 001.82-.33l.06-.06a2 2 0 112.83 2.83l-.06.06A1.65 1.65 0 0019.4 9a1.65 1.65 0 001.51 1H21a2 2 0 110 4h-.09a1.65 1.65 0 00-1.51 1z"/></>}/>;
 
 function RevenueCard({ opp }) {
   const [expanded, setExpanded] = useState(false);
@@ -669,6 +727,188 @@ function HealthRing({ resolved, total }) {
   );
 }
 
+// Tool calls behind a chat answer: one line each, expandable to the result
+function ComputationTrace({ trace }) {
+  const [open, setOpen] = useState(false);
+  const [shown, setShown] = useState(null);
+  return (
+    <div style={{ marginTop: 10, borderTop: "1px solid #1E3A5F", paddingTop: 8, whiteSpace: "normal" }}>
+      <button onClick={() => setOpen(!open)} style={{ background: "none", border: "none", color: "#94A3B8", cursor: "pointer", fontSize: 12, padding: 0 }}>
+        {open ? "▲" : "▼"} 🧮 {trace.length} computation{trace.length === 1 ? "" : "s"} over the full data
+      </button>
+      {open && trace.map((step, i) => {
+        const rows = step.result.result ?? (step.result.error ? null : [step.result]);
+        const columns = rows?.length ? Object.keys(rows[0]).filter(k => typeof rows[0][k] !== "object") : [];
+        return (
+          <div key={i} style={{ background: "#1E293B", borderRadius: 8, padding: "8px 10px", marginTop: 6, fontSize: 12 }}>
+            <button onClick={() => setShown(shown === i ? null : i)} style={{ background: "none", border: "none", color: step.result.error ? "#EF4444" : "#0EA5E9", cursor: "pointer", fontSize: 12, padding: 0, textAlign: "left" }}>
+              {describeToolCall(step.name, step.input)}
+              {step.result.rows_matched !== undefined && <span style={{ color: "#94A3B8" }}> · {step.result.rows_matched.toLocaleString()} rows</span>}
+            </button>
+            {shown === i && (step.result.error ? (
+              <div style={{ color: "#EF4444", marginTop: 6 }}>{step.result.error}</div>
+            ) : (
+              <div style={{ overflowX: "auto", marginTop: 6 }}>
+                <table style={{ borderCollapse: "collapse", fontSize: 11, fontFamily: "'JetBrains Mono',monospace" }}>
+                  <thead><tr>{columns.map(c => <th key={c} style={{ textAlign: "left", padding: "2px 8px", color: "#94A3B8", fontWeight: 600 }}>{c}</th>)}</tr></thead>
+                  <tbody>
+                    {rows.slice(0, 20).map((row, r) => (
+                      <tr key={r}>{columns.map(c => <td key={c} style={{ padding: "2px 8px", color: "#E2E8F0" }}>{typeof row[c] === "number" ? row[c].toLocaleString() : String(row[c] ?? "")}</td>)}</tr>
+                    ))}
+                  </tbody>
+                </table>
+                {(rows.length > 20 || step.result.truncated) && <div style={{ color: "#94A3B8", marginTop: 4 }}>Showing {Math.min(rows.length, 20)} of {step.result.groups ?? step.result.rows_matched} rows</div>}
+              </div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// When a scan ran; cached results (same data, within the TTL) offer a fresh run
+function ScanTimestamp({ result, onRegenerate }) {
+  const when = new Date(result.timestamp).toLocaleString();
+  if (!result.cached) return <p style={{ color: "#94A3B8", fontSize: 11, margin: "4px 0 0" }}>{when}</p>;
+  return (
+    <p style={{ color: "#94A3B8", fontSize: 11, margin: "4px 0 0" }}>
+      Cached result from {when} ·{" "}
+      <button onClick={onRegenerate} style={{ background: "none", border: "none", padding: 0, color: "#0EA5E9", fontSize: 11, cursor: "pointer" }}>Regenerate</button>
+    </p>
+  );
+}
+
+// Progress of a running scan: one bar for all parts, then a line per file
+function ScanProgress({ progress }) {
+  const pct = progress.parts ? Math.round(progress.done / progress.parts * 100) : 0;
+  const fileStatus = (f) => f.skipped ? ["No rows — upload again", "#94A3B8"]
+    : f.failed && f.done + f.failed === f.parts ? [`${f.failed} of ${f.parts} part(s) failed`, "#EF4444"]
+    : f.done + f.failed === f.parts ? ["Done", "#10B981"]
+    : [`${f.done + f.failed} of ${f.parts} part(s)`, "#0EA5E9"];
+  return (
+    <div style={{ maxWidth: 420, margin: "20px auto 0", textAlign: "left" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12, color: "#94A3B8", marginBottom: 6 }}>
+        <span>{progress.phase === "reduce" ? "Consolidating findings across parts…" : `Scanning part ${Math.min(progress.done + 1, progress.parts)} of ${progress.parts}`}</span>
+        <span>{pct}%</span>
+      </div>
+      <div style={{ height: 6, background: "#1E3A5F", borderRadius: 3, overflow: "hidden", marginBottom: 14 }}>
+        <div style={{ width: `${pct}%`, height: "100%", background: "#0EA5E9", transition: "width 0.3s" }}/>
+      </div>
+      {progress.files.map((f, i) => {
+        const [label, color] = fileStatus(f);
+        return (
+          <div key={i} style={{ display: "flex", justifyContent: "space-between", gap: 12, fontSize: 12, padding: "4px 0", borderBottom: "1px solid #1E3A5F" }}>
+            <span style={{ color: "#E2E8F0", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{f.name}</span>
+            <span style={{ color, flexShrink: 0 }}>{label}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Exact figures from the local detectors (detectors.js) behind the scan's findings
+function DetectorResults({ detections }) {
+  const [open, setOpen] = useState(false);
+  return (
+    <div style={{ background: "#111827", border: "1px solid #1E3A5F", borderRadius: 12, padding: "12px 16px", marginBottom: 16 }}>
+      <button onClick={() => setOpen(o => !o)} style={{ background: "none", border: "none", padding: 0, color: "#E2E8F0", fontSize: 13, fontWeight: 600, cursor: "pointer", width: "100%", textAlign: "left" }}>
+        {open ? "▾" : "▸"} Rule-based checks — {detections.length} threshold breach{detections.length === 1 ? "" : "es"}, computed over every row
+      </button>
+      {open && detections.map((d, i) => (
+        <div key={i} style={{ borderTop: "1px solid #1E3A5F", marginTop: 10, paddingTop: 10 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", gap: 12, fontSize: 12 }}>
+            <span style={{ color: "#F59E0B", fontWeight: 600 }}>{DETECTOR_CATEGORIES[d.category]} · <span style={{ color: "#94A3B8", fontWeight: 400 }}>{d.source}</span></span>
+            <span style={{ color: "#E2E8F0", flexShrink: 0 }}>{d.count.toLocaleString()} item{d.count === 1 ? "" : "s"}{d.amount !== null ? ` · ${Math.round(d.amount).toLocaleString()}` : ""}</span>
+          </div>
+          <div style={{ fontSize: 11, color: "#94A3B8", marginTop: 4 }}>{d.rule}</div>
+          <div style={{ fontSize: 12, color: "#E2E8F0", marginTop: 4, lineHeight: 1.5 }}>{d.evidence}</div>
+          {d.trend && (
+            <div style={{ fontSize: 11, fontWeight: 600, marginTop: 4, color: d.trend === "worse" || d.trend === "new" ? "#EF4444" : d.trend === "better" ? "#10B981" : "#94A3B8" }}>
+              {d.trend === "worse" ? "▲" : d.trend === "better" ? "▼" : d.trend === "new" ? "●" : "="} {trendText(d)}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Each upload of a dataset with its row diff, amount totals and threshold breaches,
+// newest first, each compared with the version before it
+function VersionHistory({ versions }) {
+  const change = (now, then) => {
+    if (then === undefined || now === then) return null;
+    const up = now > then;
+    return <span style={{ color: up ? "#F59E0B" : "#10B981" }}> {up ? "▲" : "▼"} {Math.round(Math.abs(now - then)).toLocaleString()}</span>;
+  };
+  return (
+    <div style={{ marginTop: 10, borderTop: "1px solid #1E3A5F" }}>
+      {[...versions].reverse().map((v, i, list) => {
+        const before = list[i + 1];
+        const breaches = v.detections.reduce((s, d) => s + d.count, 0);
+        return (
+          <div key={v.version} style={{ padding: "8px 0", borderBottom: "1px solid #1E3A5F", fontSize: 12 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", gap: 12 }}>
+              <span style={{ color: "#E2E8F0", fontWeight: 600 }}>v{v.version} <span style={{ color: "#94A3B8", fontWeight: 400 }}>· {v.name} · {v.addedAt ? new Date(v.addedAt).toLocaleString() : "unknown date"}</span></span>
+              <span style={{ color: "#94A3B8", flexShrink: 0 }}>{v.rows.toLocaleString()} rows{before && change(v.rows, before.rows)}</span>
+            </div>
+            {v.diff && <div style={{ color: "#0EA5E9", marginTop: 2 }}>{diffText(v.diff)}{v.diff.some(t => !t.matchedOn) ? " (rows without an Entity ID column are matched on their full contents)" : ""}</div>}
+            {Object.entries(v.amounts).map(([col, total]) => (
+              <div key={col} style={{ color: "#94A3B8", marginTop: 2 }}>{col}: {Math.round(total).toLocaleString()}{before && change(total, before.amounts[col])}</div>
+            ))}
+            <div style={{ color: "#94A3B8", marginTop: 2 }}>
+              {v.detections.length ? `${v.detections.length} threshold breach${v.detections.length === 1 ? "" : "es"} covering ${breaches.toLocaleString()} items` : "No threshold breaches"}
+              {before && change(breaches, before.detections.reduce((s, d) => s + d.count, 0))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Column-by-column profile of each table (data-quality.js), issues first
+function QualityReport({ profile }) {
+  const day = (d) => d.toISOString().slice(0, 10);
+  return (
+    <div style={{ marginTop: 10, borderTop: "1px solid #1E3A5F" }}>
+      {profile.tables.map(t => (
+        <div key={t.name} style={{ padding: "8px 0", borderBottom: "1px solid #1E3A5F", fontSize: 12 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", gap: 12 }}>
+            <span style={{ color: "#E2E8F0", fontWeight: 600 }}>{t.name}</span>
+            <span style={{ color: "#94A3B8", flexShrink: 0 }}>{t.rows.toLocaleString()} rows{t.latest ? ` · latest record ${day(t.latest)}` : ""}</span>
+          </div>
+          {t.issues.map((issue, i) => (
+            <div key={i} style={{ color: issue.severity === "warn" ? "#F59E0B" : "#94A3B8", marginTop: 2 }}>
+              {issue.severity === "warn" ? "⚠" : "·"} <b style={{ fontWeight: 600 }}>{QUALITY_CHECKS[issue.check]}</b> — {issue.text}
+            </div>
+          ))}
+          <div style={{ overflowX: "auto", marginTop: 6 }}>
+            <table style={{ borderCollapse: "collapse", fontSize: 11, fontFamily: "'JetBrains Mono', monospace", color: "#94A3B8" }}>
+              <thead>
+                <tr>{["Column", "Type", "Blank", "Distinct", "Range"].map(h => <th key={h} style={{ textAlign: "left", padding: "2px 8px", color: "#E2E8F0", fontWeight: 600 }}>{h}</th>)}</tr>
+              </thead>
+              <tbody>
+                {t.columns.map(c => (
+                  <tr key={c.column}>
+                    <td style={{ padding: "2px 8px", color: "#E2E8F0" }}>{c.column}</td>
+                    <td style={{ padding: "2px 8px" }}>{c.type}{c.role ? ` (${c.role})` : ""}</td>
+                    <td style={{ padding: "2px 8px", color: c.blankRate >= 0.2 ? "#F59E0B" : undefined }}>{Math.round(c.blankRate * 100)}%</td>
+                    <td style={{ padding: "2px 8px" }}>{c.distinct.toLocaleString()}</td>
+                    <td style={{ padding: "2px 8px" }}>{c.from ? `${day(c.from)} – ${day(c.to)}` : c.min !== undefined ? `${c.min.toLocaleString()} – ${c.max.toLocaleString()}` : ""}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function FindingCard({ finding, resolved, onToggle }) {
   const [expanded, setExpanded] = useState(false);
   const tierColor = finding.tier === "3" ? "#EF4444" : finding.tier === "2" ? "#F59E0B" : "#10B981";
@@ -772,9 +1012,40 @@ export default function App() {
   const [reviewTab, setReviewTab] = useState("all");
   const [reviewModal, setReviewModal] = useState(null);
   const [reviewForm, setReviewForm] = useState({ verdict: "Right", actual_outcome: "", lesson: "", variance: "" });
+  const [editForm, setEditForm] = useState(null);
+  const [historyEntry, setHistoryEntry] = useState(null);
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [supersedeTarget, setSupersedeTarget] = useState(null);
+  const [approvalForm, setApprovalForm] = useState({ approvers: "", quorum: "" });
+  const [approvalError, setApprovalError] = useState("");
+  // checking | signed-in | signed-out | offline (no server: single-user, local only)
+  const [session, setSession] = useState({ status: "checking", user: null, setupRequired: false });
+  const [team, setTeam] = useState([]);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [newWorkspaceName, setNewWorkspaceName] = useState(null); // null = dialog closed
+
+  const user = session.user;
+  const actor = user?.name || profile?.name;
+  // Without a server there is nobody to enforce roles, so the local user may do everything
+  const allowed = (action) => session.status === "offline" || can(user, action);
+  const offline = session.status === "offline";
+  const workspace = workspaces.find(w => w.id === currentWorkspaceId());
 
   // API status: "checking" | "live" | "demo" | "error"
   const [apiStatus, setApiStatus] = useState("checking");
+  const [aiBackend, setAiBackend] = useState("Claude");
+  const [aiSimulated, setAiSimulated] = useState(false); // scripted replies, no model behind them
+  const [budget, setBudget] = useState(null); // this month's spend against the workspace and personal budgets
+  const [queueStatus, setQueueStatus] = useState(null); // where the current AI request stands in the server queue
+  const [scanProgress, setScanProgress] = useState(null); // parts scanned so far, per file, while a scan runs
+  const [mappingIndex, setMappingIndex] = useState(null); // dataset whose column roles are open in the Data tab
+  const [historyIndex, setHistoryIndex] = useState(null); // dataset whose version history is open in the Data tab
+  const [qualityIndex, setQualityIndex] = useState(null); // dataset whose quality report is open in the Data tab
+  const [relationships, setRelationships] = useState(store.get("dao-relationships") || []); // join keys confirmed or rejected in the Data tab
+  const [datasetsLoaded, setDatasetsLoaded] = useState(false); // stored datasets read back from IndexedDB
+  const [datasetStorage, setDatasetStorage] = useState({ error: null, usage: null }); // save failures and space used
+  const replaceRef = useRef(null);
+  const replaceIndex = useRef(null);
   const [chatFiles, setChatFiles] = useState([]);
   const [resolvedFindings, setResolvedFindings] = useState(store.get("dao-resolved-findings") || []);
   const [parsedFindings, setParsedFindings] = useState([]);
@@ -796,6 +1067,8 @@ export default function App() {
         if (data.apiConfigured) {
           DEMO_MODE = false;
           setApiStatus("live");
+          if (data.backend) setAiBackend(data.backend);
+          setAiSimulated(!!data.simulated);
         } else {
           DEMO_MODE = true;
           setApiStatus("demo");
@@ -807,6 +1080,19 @@ export default function App() {
       });
   }, []);
 
+  // Who is signed in — decides whether the login screen shows
+  useEffect(() => {
+    fetchSession()
+      .then(({ user, setupRequired }) => setSession({ status: user ? "signed-in" : "signed-out", user, setupRequired }))
+      .catch(() => setSession({ status: "offline", user: null, setupRequired: false }));
+  }, []);
+
+  // Budget position — refreshed when the user moves around or an AI request finishes
+  useEffect(() => {
+    if (!user || apiStatus !== "live" || streaming || scanning) return;
+    fetchBudgetStatus().then(setBudget).catch(() => setBudget(null));
+  }, [user?.id, apiStatus, view, streaming, scanning]);
+
   // Load persisted state
   useEffect(() => {
     const p = store.get("dao-profile");
@@ -815,19 +1101,84 @@ export default function App() {
     const s = store.get("dao-scan");
     const c = store.get("dao-chat");
     if (p) setProfile(p);
-    if (j) setJournal(j);
+    if (j) setJournal(j.map(upgradedDecision));
     if (d) setDatasets(d);
     if (s) setScanResults(s);
     if (c) setChatMsgs(c);
     setLoading(false);
+    // The meta list only names the datasets; their rows come back from IndexedDB
+    loadDatasets()
+      .then(list => { if (list.length) setDatasets(list); })
+      .catch(e => setDatasetStorage(st => ({ ...st, error: e.message })))
+      .finally(() => setDatasetsLoaded(true));
   }, []);
 
+  // Server ledger replaces the local copy once someone is signed in
+  useEffect(() => {
+    if (!user) return;
+    setOb(o => ({ ...o, name: o.name || user.name }));
+    loadJournal().then(serverJournal => { if (serverJournal) setJournal(serverJournal.map(upgradedDecision)); });
+    fetchUsers().then(setTeam).catch(() => setTeam([]));
+  }, [user?.id]);
+
+  // Workspace list — once signed in, or straight away when running without a server
+  useEffect(() => {
+    if (session.status !== "signed-in" && !offline) return;
+    fetchWorkspaces({ offline })
+      .then(list => {
+        const ws = list.find(w => w.id === currentWorkspaceId());
+        if (!ws) {
+          if (list.length) switchWorkspace(list[0].id);
+          return;
+        }
+        setWorkspaces(list);
+        setOb(o => ({ ...o, org: o.org || ws.org || ws.name, industry: o.industry || ws.industry, region: ws.region || o.region }));
+      })
+      .catch(err => console.error("Could not load workspaces:", err));
+  }, [session.status, user?.id]);
+
+  // A workspace created before its details were known takes them from the profile
+  useEffect(() => {
+    if (!workspace || workspace.org || !profile?.org || !allowed("manage_workspaces")) return;
+    const details = { name: profile.org, org: profile.org, industry: profile.industry, region: profile.region };
+    updateWorkspace(workspace.id, details, { offline })
+      .then(ws => setWorkspaces(list => list.map(w => (w.id === ws.id ? ws : w))))
+      .catch(err => console.error("Could not update workspace:", err));
+  }, [workspace?.id, profile?.org]);
+
+  // New workspaces open on the onboarding screen, pre-filled with the client's name
+  const addWorkspace = async () => {
+    const name = newWorkspaceName.trim();
+    if (!name) return;
+    try {
+      const ws = await createWorkspace({ name, org: name }, { offline });
+      switchWorkspace(ws.id);
+    } catch (err) {
+      alert(`Could not create workspace: ${err.message}`);
+    }
+  };
+
+  const handleSignOut = async () => {
+    await signOut();
+    setSideOpen(false);
+    setView("chat");
+    setTeam([]);
+    setSession({ status: "signed-out", user: null, setupRequired: false });
+  };
+
   // Persist
   useEffect(() => { if (journal.length) store.set("dao-journal", journal); }, [journal]);
   useEffect(() => { if (chatMsgs.length) store.set("dao-chat", chatMsgs); }, [chatMsgs]);
   useEffect(() => { if (scanResults) store.set("dao-scan", scanResults); }, [scanResults]);
-  useEffect(() => { if (scanResults?.text) setParsedFindings(parseFindings(scanResults.text)); }, [scanResults]);
-  useEffect(() => { if (revenueScanResults?.text) setRevenueFindings(parseRevenueFindings(revenueScanResults.text)); }, [revenueScanResults]);
+  // Structured results when the server validated them; older and fallback results are parsed from text
+  useEffect(() => {
+    if (scanResults?.data) setParsedFindings(findingsFromScanData(scanResults.data));
+    else if (scanResults?.text) setParsedFindings(parseFindings(scanResults.text));
+  }, [scanResults]);
+  useEffect(() => {
+    if (revenueScanResults?.data) setRevenueFindings(opportunitiesFromScanData(revenueScanResults.data));
+    else if (revenueScanResults?.text) setRevenueFindings(parseRevenueFindings(revenueScanResults.text));
+  }, [revenueScanResults]);
   useEffect(() => { if (revenueScanResults) store.set("dao-revenue-scan", revenueScanResults); }, [revenueScanResults]);
   useEffect(() => { store.set("dao-resolved-findings", resolvedFindings); }, [resolvedFindings]);
   useEffect(() => { store.set("dao-change-projects", changeProjects); }, [changeProjects]);
@@ -859,7 +1210,28 @@ export default function App() {
     setResolvedFindings(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
   };
 
-  useEffect(() => { if (datasets.length) store.set("dao-datasets-meta", datasets.map(d => ({ name: d.name, type: d.type, rowCount: d.totalRows || d.rowCount || 0 }))); }, [datasets]);
+  // Not until the stored datasets are back, or the meta list would overwrite them
+  useEffect(() => {
+    if (!datasetsLoaded) return;
+    store.set("dao-datasets-meta", datasets.map(d => ({ name: d.name, type: d.type, rowCount: d.totalRows || d.rowCount || 0 })));
+    syncDatasets(datasets)
+      .then(() => setDatasetStorage(st => ({ ...st, error: null })))
+      .catch(e => setDatasetStorage(st => ({ ...st, error: e.message })))
+      .finally(() => storageUsage().then(usage => setDatasetStorage(st => ({ ...st, usage }))));
+  }, [datasets, datasetsLoaded]);
+
+  // Redaction needs the region's ID formats and the values of name, account and ID columns
+  useEffect(() => { configureRedaction({ region: profile?.region, datasets }); }, [profile?.region, datasets]);
+
+  // Join keys between tables (join-keys.js): suggestions still to decide, and a
+  // joined view per confirmed one, which the scan and chat read beside the datasets
+  const joinCandidates = useMemo(() => findJoinCandidates(datasets, relationships), [datasets, relationships]);
+  const joinViews = useMemo(() => joinedViews(datasets, relationships), [datasets, relationships]);
+  const analysisDatasets = useMemo(() => [...datasets, ...joinViews], [datasets, joinViews]);
+  const saveRelationships = (list) => {
+    setRelationships(list);
+    store.set("dao-relationships", list);
+  };
 
   // Auto-scroll chat
   useEffect(() => { chatEnd.current?.scrollIntoView({ behavior: "smooth" }); }, [chatMsgs, streaming]);
@@ -869,29 +1241,34 @@ export default function App() {
     if (!profile) return IDENTITY_PROMPT;
     const styleLine = STYLE_PROMPTS[profile.style] || STYLE_PROMPTS.balanced;
     const dataSummary = datasets.length > 0
-      ? `\n\nCONNECTED DATA SOURCES:\n${datasets.map(d => `- ${d.name} (${d.type}, ~${d.totalRows || d.rowCount || 0} records)`).join("\n")}`
+      ? `\n\nCONNECTED DATA SOURCES:\n${analysisDatasets.map(d => `- ${d.name} (${d.type}, ~${d.totalRows || d.rowCount || 0} records)`).join("\n")}`
       : "\n\nNo data sources connected yet. If the CEO asks analytical questions, note that data needs to be uploaded first.";
     const journalContext = journal.length > 0
       ? `\n\nDECISION JOURNAL (${journal.length} entries):\n${journal.slice(-5).map(j => `[${j.date}] ${j.statement} — Status: ${j.status}, Tier: ${j.tier}`).join("\n")}`
       : "";
     return `${IDENTITY_PROMPT}\n\n${styleLine}\n\nCEO PROFILE:\nName: ${profile.name}\nOrganisation: ${profile.org}\nIndustry: ${profile.industry}\nRegion: ${profile.region}\n${dataSummary}${journalContext}\n\n${DIAGNOSTIC_CHAIN}`;
-  }, [profile, datasets, journal]);
+  }, [profile, datasets, analysisDatasets, journal]);
 
   // ═══════════ ONBOARDING ═══════════
   const completeOnboarding = () => {
     const p = { ...ob, createdAt: new Date().toISOString() };
     setProfile(p);
     store.set("dao-profile", p);
-    const modeLabel = apiStatus === "live" ? "Live AI" : "Demo";
+    const modeLabel = apiStatus !== "live" ? "Demo" : aiSimulated ? "Simulated AI" : "Live AI";
     setChatMsgs([{ role: "assistant", content: `Welcome, ${p.name}. I'm your Decision Accountability OS. [${modeLabel} Mode]\n\nI've configured for ${p.style === "direct" ? "Direct" : p.style === "solution" ? "Solution-First" : "Balanced"} communication. I'll ${p.style === "direct" ? "lead with problems and numbers — no softening" : p.style === "solution" ? "lead with recommendations, then show you why" : "present options with trade-offs and my recommendation"}.\n\n${datasets.length > 0 ? `I can see ${datasets.length} data source(s) connected. Say "Run Enterprise Scan" or ask me anything about your operations.` : "To get started, upload your data — drop Excel files, CSVs, or documents right here in chat or use the Data tab. Then I can run an Enterprise Scan to find patterns your team may have missed."}\n\nWhat would you like to explore?` }]);
   };
 
-  if (loading) return (
+  if (loading || session.status === "checking") return (
     <div style={{ background: BG_DARK, minHeight: "100vh", display: "flex", alignItems: "center", justifyContent: "center" }}>
       <div style={{ color: ACCENT, fontSize: 18, fontFamily: "'DM Sans', sans-serif" }}>Loading...</div>
     </div>
   );
 
+  // ═══════════ SIGN-IN SCREEN ═══════════
+  if (session.status === "signed-out") return (
+    <LoginView setupRequired={session.setupRequired} onSignedIn={u => setSession({ status: "signed-in", user: u, setupRequired: false })}/>
+  );
+
   // ═══════════ ONBOARDING SCREEN ═══════════
   if (!profile) return (
     <div style={{ background: BG_DARK, minHeight: "100vh", fontFamily: "'DM Sans', sans-serif", color: TEXT, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", padding: 24 }}>
@@ -972,27 +1349,90 @@ export default function App() {
   );
 
   // ═══════════ HANDLE FILE UPLOAD ═══════════
+  // Column roles are guessed (or reused from an earlier upload of the same
+  // export); the first upload still needing a check opens its mapping.
+  // A table with the name of a connected one becomes its next version
+  // (dataset-versions.js) instead of a second dataset; one with only the
+  // same columns does if the user confirms. Files are only ever matched
+  // against datasets from before this upload, each at most once, so no
+  // file's rows give way to another's from the same upload.
   const handleFiles = async (files) => {
     const newDatasets = [...datasets];
+    const touched = [];
+    const savedRoles = store.get("dao-column-roles") || {};
     for (const file of files) {
       try {
-        const parsed = await parseFile(file);
-        newDatasets.push(parsed);
+        const upload = newDataset(await parseFile(file), savedRoles);
+        const match = findPreviousVersion(datasets, upload);
+        const previous = match && !touched.includes(match.index) && (match.by === "name" ||
+          window.confirm(`${upload.name} has the same columns as ${datasets[match.index].name}. Add it as the next version of ${datasets[match.index].name}, replacing its rows? Cancel adds it as a separate dataset.`))
+          ? match.index : -1;
+        if (previous === -1) {
+          newDatasets.push(upload);
+          touched.push(newDatasets.length - 1);
+        } else {
+          newDatasets[previous] = asNewVersion(newDatasets[previous], upload);
+          touched.push(previous);
+        }
       } catch (e) {
         console.error("Parse error:", e);
       }
     }
     setDatasets(newDatasets);
+    const unchecked = touched.find(i => newDatasets[i].columnRoles && !newDatasets[i].rolesConfirmed);
+    if (unchecked !== undefined) setMappingIndex(unchecked);
     return newDatasets;
   };
 
+  // Saves a dataset's confirmed column roles, then moves on to the next one to check
+  const confirmColumnRoles = (index, columnRoles) => {
+    const confirmed = { ...datasets[index], columnRoles, rolesConfirmed: true };
+    const updated = datasets.map((d, i) => i === index ? confirmed : d);
+    const saved = store.get("dao-column-roles") || {};
+    for (const t of dataTables([confirmed])) saved[mappingKey(t)] = columnRoles[t.name];
+    store.set("dao-column-roles", saved);
+    setDatasets(updated);
+    const next = updated.findIndex(d => d.columnRoles && !d.rolesConfirmed);
+    setMappingIndex(next === -1 ? null : next);
+  };
+
+  // Replace keeps the dataset's place and id, so it overwrites the stored copy,
+  // and stands in for its latest version rather than adding one
+  const replaceDataset = async (index, file) => {
+    try {
+      const replaced = asReplacement(datasets[index], newDataset(await parseFile(file), store.get("dao-column-roles") || {}, datasets[index]));
+      setDatasets(prev => prev.map((d, i) => i === index ? replaced : d));
+      setMappingIndex(replaced.columnRoles && !replaced.rolesConfirmed ? index : null);
+    } catch (e) {
+      console.error("Parse error:", e);
+    }
+  };
+
+  // A saved database query (connections.js) lands like an upload: the first
+  // sync adds a dataset, later ones become its next version.
+  const syncQuery = async (source) => {
+    const synced = newDataset(queryDataset(source, await runQuery(source.connectionId, source.queryId)), store.get("dao-column-roles") || {});
+    setDatasets(prev => {
+      const index = prev.findIndex(d => sameSource(d.source, source));
+      return index === -1 ? [...prev, synced] : prev.map((d, i) => i === index ? asNewVersion(d, synced) : d);
+    });
+  };
+
+  const deleteDataset = (index) => {
+    setDatasets(prev => prev.filter((_, i) => i !== index));
+    setMappingIndex(null);
+    setHistoryIndex(null);
+    setQualityIndex(null);
+  };
+
   // Handle files dropped/selected directly in chat
   const handleChatFiles = async (files) => {
     const parsedFiles = [];
+    const savedRoles = store.get("dao-column-roles") || {};
     for (const file of files) {
       try {
         const parsed = await parseFile(file);
-        parsedFiles.push(parsed);
+        parsedFiles.push(newDataset(parsed, savedRoles));
       } catch (e) {
         console.error("Parse error:", e);
       }
@@ -1003,38 +1443,44 @@ export default function App() {
   };
 
   // ═══════════ ENTERPRISE SCAN ═══════════
-  const runScan = async () => {
+  // Every row of every dataset, in parts, consolidated (scan-runner.js).
+  // The operational scan also runs the local detectors and has the model
+  // narrate their exact figures; both scans get the data quality profile
+  // as their data gaps, and the joined views of confirmed relationships.
+  // refresh skips the server's cached answer.
+  const runScan = async ({ refresh = false } = {}) => {
     if (datasets.length === 0) return;
     setScanning(true);
+    setScanProgress(null);
     setView("scan");
-    const scanDatasets = datasets.slice(0, 3);
-    if (datasets.length > 3) console.warn("Scan capped at 3 sources. Upload fewer files for best results.");
-    const dataSummary = summarizeData(scanDatasets, true);
+    const revenue = scanMode === "revenue";
+    const feature = revenue ? "revenue_scan" : "scan";
     try {
-      if (scanMode === "revenue") {
-        setRevenueScanResults(null);
-        const sysPrompt = `${IDENTITY_PROMPT}\n\n${STYLE_PROMPTS[profile.style] || ""}\n\nCEO: ${profile.name} | Org: ${profile.org} | Industry: ${profile.industry}\n\n${REVENUE_SCAN_PROMPT}`;
-        const result = await callClaudeSync(sysPrompt, [
-          { role: "user", content: `Here is data from ${profile.org} (Industry: ${profile.industry}). Run a full Revenue Intelligence Scan.\n\n${dataSummary}` }
-        ]);
-        setRevenueScanResults({ text: result, timestamp: new Date().toISOString(), industry: profile.industry });
-      } else {
-        setScanResults(null);
-        const sysPrompt = `${IDENTITY_PROMPT}\n\n${STYLE_PROMPTS[profile.style] || ""}\n\nCEO: ${profile.name} | Org: ${profile.org} | Industry: ${profile.industry}\n\n${SCAN_PROMPT}`;
-        const result = await callClaudeSync(sysPrompt, [
-          { role: "user", content: `Here is all the operational data from ${profile.org}. Run a full Enterprise Scan.\n\n${dataSummary}` }
-        ]);
-        setScanResults({ text: result, timestamp: new Date().toISOString() });
-      }
+      revenue ? setRevenueScanResults(null) : setScanResults(null);
+      const detections = revenue ? null : withTrends(runDetectors(datasets, { journal }), datasets);
+      const result = await runFullScan({
+        datasets: analysisDatasets,
+        systemPrompt: `${IDENTITY_PROMPT}\n\n${STYLE_PROMPTS[profile.style] || ""}\n\nCEO: ${profile.name} | Org: ${profile.org} | Industry: ${profile.industry}\n\n${revenue ? REVENUE_SCAN_PROMPT : SCAN_PROMPT}`,
+        instruction: revenue
+          ? `Here is data from ${profile.org} (Industry: ${profile.industry}). Run a full Revenue Intelligence Scan.`
+          : `Here is all the operational data from ${profile.org}. Run a full Enterprise Scan.`,
+        facts: [detections && detectionsPrompt(detections), detections && datasetChangesPrompt(datasets, detections), qualityPrompt(datasets), relationshipsPrompt(joinViews)].filter(Boolean).join("\n\n") || null,
+        listKey: revenue ? "opportunities" : "findings",
+        ask: (system, content) => requestClaude(system, [{ role: "user", content }], { task: "scan", feature, schema: feature, refresh, onQueue: setQueueStatus }),
+        onProgress: setScanProgress,
+      });
+      const saved = { text: result.text, data: result.data, timestamp: result.generatedAt, cached: result.cached };
+      revenue ? setRevenueScanResults({ ...saved, industry: profile.industry }) : setScanResults({ ...saved, detections });
     } catch (e) {
       const isRateLimit = e.message.toLowerCase().includes("rate");
       const errText = isRateLimit
         ? "Scan rate limited. Please wait 30 seconds and click Re-scan."
         : `Error running scan: ${e.message}`;
       const errObj = { text: errText, timestamp: new Date().toISOString(), error: true };
-      scanMode === "revenue" ? setRevenueScanResults(errObj) : setScanResults(errObj);
+      revenue ? setRevenueScanResults(errObj) : setScanResults(errObj);
     }
     setScanning(false);
+    setScanProgress(null);
   };
 
   // ═══════════ CHAT ═══════════
@@ -1090,7 +1536,7 @@ export default function App() {
       const isDataQuestion = /data|scan|analyse|analyze|show|tell me about|pattern|finding|upload/i.test(fullContent);
 
       if (datasets.length > 0 && chatFiles.length === 0 && (isFirstMessage || isDataQuestion)) {
-        const dataSummary = summarizeData(datasets, false);
+        const dataSummary = summarizeData(analysisDatasets);
         contextMsg = `[DATA CONTEXT — ${datasets.length} source(s) connected]\n${dataSummary}\n\n[QUESTION]\n${fullContent}`;
       }
 
@@ -1102,14 +1548,38 @@ export default function App() {
 
       const streamMsgs = [...newMsgs, { role: "assistant", content: "" }];
       setChatMsgs(streamMsgs);
-
-      await callClaude(sysPrompt, history, (partial) => {
-        setChatMsgs(prev => {
-          const updated = [...prev];
-          updated[updated.length - 1] = { role: "assistant", content: partial };
-          return updated;
-        });
+      const showReply = (reply) => setChatMsgs(prev => {
+        const updated = [...prev];
+        updated[updated.length - 1] = reply;
+        return updated;
       });
+
+      // With rows in memory the model can compute over them: each round either
+      // answers or asks for tool calls, which run here and go back as results
+      const tools = DEMO_MODE ? [] : dataTools(analysisDatasets);
+      const chatPrompt = tools.length ? `${sysPrompt}\n\n${DATA_TOOLS_PROMPT}` : sysPrompt;
+      const trace = [];
+      let convo = history;
+      let earlier = ""; // text from rounds that ended in tool calls
+      for (let round = 1; ; round++) {
+        const { text, toolCalls } = await callClaude(chatPrompt, convo, (partial) => {
+          showReply({ role: "assistant", content: earlier + partial, ...(trace.length ? { trace: [...trace] } : {}) });
+        }, { tools: tools.length ? tools : undefined, onQueue: setQueueStatus });
+        if (!toolCalls.length) break;
+        if (round > MAX_TOOL_ROUNDS) {
+          showReply({ role: "assistant", content: `${earlier}${text}\n\n(Stopped after ${MAX_TOOL_ROUNDS} rounds of computation — ask a narrower question.)`, trace });
+          break;
+        }
+        const results = toolCalls.map(call => ({ call, result: runDataTool(call.name, call.input, analysisDatasets) }));
+        trace.push(...results.map(({ call, result }) => ({ name: call.name, input: call.input, result })));
+        earlier += text;
+        showReply({ role: "assistant", content: earlier, trace: [...trace] });
+        convo = [
+          ...convo,
+          { role: "assistant", content: [...(text.trim() ? [{ type: "text", text }] : []), ...toolCalls.map(c => ({ type: "tool_use", id: c.id, name: c.name, input: c.input }))] },
+          { role: "user", content: results.map(({ call, result }) => ({ type: "tool_result", tool_use_id: call.id, content: JSON.stringify(result), ...(result.error ? { is_error: true } : {}) })) },
+        ];
+      }
     } catch (e) {
       setChatMsgs(prev => {
         const updated = [...prev];
@@ -1216,8 +1686,8 @@ export default function App() {
       owner: jf.owner,
       review_date: jf.review_date,
       reviewDate: new Date(Date.now() + jf.reviewDays * 86400000).toISOString().split("T")[0],
-      decidedBy: profile.name,
-      status: "pending",
+      decidedBy: actor,
+      status: "Draft",
       actualOutcome: "",
       learning: "",
       rationale: "",
@@ -1234,10 +1704,8 @@ export default function App() {
 
     // Tier 1 → save immediately
     const entry = upgradedDecision(rawEntry);
-    const updated = [entry, ...journal];
-    setJournal(updated);
-    saveJournal(updated);
-    logAudit(profile.name, entry.id, 'CREATE', 1);
+    const updated = await commitDecision(entry, 'CREATE');
+    if (!updated) return;
     setShowJournalForm(false);
     setJf({ statement: "", tier: "1", type: "technical", evidence: "", assumptions: "", confidence: "moderate", expected: "", owner: "", review_date: "", reviewDays: 30 });
 
@@ -1250,7 +1718,8 @@ export default function App() {
         ).join("\n");
         const profileResult = await callClaudeSync(
           `You are analysing a CEO's decision-making patterns to build their Decision Profile. Be direct, specific, and evidence-based. Only state what the data shows — do not fill gaps with generalities.`,
-          [{ role: "user", content: `Analyse these ${updated.length} decisions made by ${profile.name} at ${profile.org}:\n\n${journalText}\n\nIdentify:\n1. DOMINANT DECISION TYPE (technical/human/political/cultural) and what this reveals\n2. CONFIDENCE PATTERN (do they over- or under-index confidence vs tier?)\n3. ASSUMPTION RISK (are assumptions data-backed or inferred?)\n4. BLIND SPOT (what decision type is conspicuously absent or under-documented?)\n5. ONE COACHING INSIGHT (the single most important pattern to be aware of)\n\nBe blunt. This is a private profile for the CEO's own growth.` }]
+          [{ role: "user", content: `Analyse these ${updated.length} decisions made by ${profile.name} at ${profile.org}:\n\n${journalText}\n\nIdentify:\n1. DOMINANT DECISION TYPE (technical/human/political/cultural) and what this reveals\n2. CONFIDENCE PATTERN (do they over- or under-index confidence vs tier?)\n3. ASSUMPTION RISK (are assumptions data-backed or inferred?)\n4. BLIND SPOT (what decision type is conspicuously absent or under-documented?)\n5. ONE COACHING INSIGHT (the single most important pattern to be aware of)\n\nBe blunt. This is a private profile for the CEO's own growth.` }],
+          { task: "profile" }
         );
         const profile_data = { text: profileResult, generatedAt: new Date().toISOString(), basedOn: updated.length };
         setDecisionProfile(profile_data);
@@ -1262,21 +1731,94 @@ export default function App() {
     }
   };
 
+  // Adds a new entry to the ledger, or swaps it in for the decision being superseded
+  const commitDecision = async (entry, action) => {
+    let updated;
+    if (supersedeTarget) {
+      try {
+        const { superseded, entry: saved } = await supersedeDecision(supersedeTarget.id, entry);
+        updated = [saved, ...journal.map(e => e.id === superseded.id ? superseded : e)];
+        logAudit(actor, superseded.id, "SUPERSEDE", superseded.version, superseded);
+      } catch (e) {
+        setDalErrors([`Could not supersede ${supersedeTarget.id}: ${e.message}`]);
+        return null;
+      }
+      setSupersedeTarget(null);
+    } else {
+      updated = [entry, ...journal];
+      saveJournal(updated);
+    }
+    setJournal(updated);
+    logAudit(actor, entry.id, action, entry.version, entry);
+    return updated;
+  };
+
+  const startSupersede = (entry) => {
+    setSupersedeTarget(entry);
+    setDalErrors([]);
+    setJf({ statement: entry.statement, tier: String(entry.tier), type: entry.type || "technical", evidence: entry.evidence || "", assumptions: entry.assumptions || "", confidence: entry.confidence || "moderate", expected: entry.expected_outcome || entry.expected || "", owner: entry.owner || "", review_date: entry.review_date || "", reviewDays: 30 });
+    setShowJournalForm(true);
+  };
+
+  const changeStatus = (entry, to) => {
+    let next;
+    try {
+      next = transitionDecision(entry, to, actor);
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+    const updated = journal.map(e => e.id === next.id ? next : e);
+    setJournal(updated);
+    saveJournal(updated);
+    logAudit(actor, next.id, "TRANSITION", next.version, next);
+  };
+
+  // Tier 3: each sign-off is audited; reaching quorum approves the decision
+  const signOff = (entry, approver, verdict, comment) => {
+    let next;
+    try {
+      next = recordSignoff(entry, approver, verdict, comment);
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+    logAudit(actor, next.id, "SIGNOFF", next.version, next);
+    if (approvalState(next).quorumMet) {
+      next = transitionDecision(next, "Approved", actor);
+      logAudit(actor, next.id, "TRANSITION", next.version, next);
+    }
+    const updated = journal.map(e => e.id === next.id ? next : e);
+    setJournal(updated);
+    saveJournal(updated);
+  };
+
   const confirmDecision = async () => {
+    // Tier 3 needs a named approver set before it can be proposed
+    let approval = null;
+    if (parseInt(challengePending?.tier) >= 3) {
+      const approvers = approvalForm.approvers.split(",");
+      try {
+        approval = createApproval(approvers, approvalForm.quorum || Math.floor(approvers.filter(a => a.trim()).length / 2) + 1);
+      } catch (e) {
+        setApprovalError(e.message);
+        return;
+      }
+    }
+    setApprovalError("");
     setRationaleLoading(true);
     let rationale = "", context = "", confidence = "";
     try {
-      const res = await fetchWithRetry("/api/claude", {
-        method: "POST", headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          system: `Return JSON only: {"rationale":"2-3 sentence rationale","context":"1 line context","confidence":"High|Medium|Low"}`,
-          messages: [{ role: "user", content:
-            `Decision: ${challengePending?.statement}\nTier: ${challengePending?.tier}\nExpected: ${challengePending?.expected_outcome}` }],
-          stream: false
-        })
-      });
+      const res = await postClaude({
+        task: "rationale",
+        workspace: currentWorkspaceId(),
+        system: `Return JSON only: {"rationale":"2-3 sentence rationale","context":"1 line context","confidence":"High|Medium|Low"}`,
+        messages: [{ role: "user", content:
+          `Decision: ${challengePending?.statement}\nTier: ${challengePending?.tier}\nExpected: ${challengePending?.expected_outcome}` }],
+        stream: false
+      }, { onQueue: setQueueStatus });
       const data = await res.json();
-      const text = data.content?.[0]?.text || "";
+      const text = reidentify(data.text || "");
       const parsed = JSON.parse(text.replace(/```json|```/g, "").trim());
       rationale = parsed.rationale;
       context = parsed.context;
@@ -1288,16 +1830,15 @@ export default function App() {
       rationale,
       context,
       confidence,
-      challenge_flags: checkedFlags
+      challenge_flags: checkedFlags,
+      ...(approval && { approval, status: "Proposed" })
     });
-    const updated = [entry, ...journal];
-    setJournal(updated);
-    saveJournal(updated);
-    logAudit(profile?.name, entry.id, "CONFIRM", entry.version);
+    await commitDecision(entry, "CONFIRM");
     setRationaleLoading(false);
     setChallengeOpen(false);
     setChallengePending(null);
     setCheckedFlags([]);
+    setApprovalForm({ approvers: "", quorum: "" });
     setShowJournalForm(false);
   };
 
@@ -1305,24 +1846,51 @@ export default function App() {
     const reviewEntry = {
       id: `REV-${Date.now().toString(36).toUpperCase()}`,
       reviewed_at: new Date().toISOString(),
+      reviewer: actor,
       verdict: reviewForm.verdict,
       actual_outcome: reviewForm.actual_outcome,
       lesson: reviewForm.lesson,
       variance: reviewForm.variance,
       version: 1,
     };
-    const updated = journal.map(e => {
-      if (e.id !== reviewModal.id) return e;
-      const reviews = [...(e.reviews ?? []), reviewEntry];
-      return { ...e, reviews, status: "Reviewed" };
-    });
+    // A review moves a live decision to Under Review; Close / Reverse stays an explicit call
+    const prior = journal.find(e => e.id === reviewModal.id);
+    const withReview = { ...prior, reviews: [...(prior.reviews ?? []), reviewEntry] };
+    const moves = canTransition(prior.status, "Under Review");
+    const reviewed = moves ? transitionDecision(withReview, "Under Review", actor) : bumpVersion(withReview);
+    const updated = journal.map(e => e.id === reviewed.id ? reviewed : e);
     setJournal(updated);
-    saveJournal(updated);
-    logAudit(profile.name, reviewModal.id, 'REVIEW', reviewModal.version ?? 1);
+    appendReview(reviewed.id, reviewEntry, { status: reviewed.status }).catch(e => {
+      console.error("Review not saved to server, kept locally:", e);
+      saveJournal(updated);
+    });
+    logAudit(actor, reviewed.id, 'REVIEW', reviewed.version, reviewed);
+    if (moves) logAudit(actor, reviewed.id, "TRANSITION", reviewed.version, reviewed);
     setReviewModal(null);
     setReviewForm({ verdict: "Right", actual_outcome: "", lesson: "", variance: "" });
   };
 
+  // Edits keep the prior version on the server; the ledger shows the drift in Version History
+  const saveDecisionEdit = () => {
+    const prior = journal.find(e => e.id === editForm.id);
+    const { valid, errors } = validateDecision({ ...editForm, tier: parseInt(prior.tier) });
+    if (!valid) { setDalErrors(errors); return; }
+    setDalErrors([]);
+    const entry = bumpVersion({
+      ...prior,
+      statement: editForm.statement,
+      owner: editForm.owner,
+      review_date: editForm.review_date,
+      expected_outcome: editForm.expected_outcome,
+      expected: editForm.expected_outcome
+    });
+    const updated = journal.map(e => e.id === entry.id ? entry : e);
+    setJournal(updated);
+    saveJournal(updated);
+    logAudit(actor, entry.id, "UPDATE", entry.version, entry);
+    setEditForm(null);
+  };
+
   const generateBoardReport = async () => {
     try {
       const { jsPDF } = await import("jspdf");
@@ -1361,7 +1929,7 @@ export default function App() {
       gap(4);
       const activeF = parsedFindings.filter(f => !resolvedFindings.includes(f.id));
       const totalExp = activeF.reduce((s, f) => s + f.maxAmount, 0);
-      const overdue = journal.filter(j => new Date(j.reviewDate) < new Date() && j.status !== "resolved").length;
+      const overdue = journal.filter(j => new Date(j.reviewDate) < new Date() && !isFinalStatus(j.status)).length;
       line(`Active Findings: ${activeF.length}   |   Resolved: ${resolvedFindings.length}   |   Financial Exposure: RM ${totalExp.toLocaleString()}`, 9, false, [226, 232, 240]);
       gap(2);
       line(`Decisions Logged: ${journal.length}   |   Overdue Reviews: ${overdue}   |   Revenue Opportunities: ${revenueFindings.length}`, 9, false, [226, 232, 240]);
@@ -1462,19 +2030,32 @@ export default function App() {
     setShowChangeForm(false);
   };
 
+  // Header warning once either budget passes its warning threshold; the worse one wins
+  const budgetAlert = budget && [["workspace", "This workspace"], ["user", "Your personal"]]
+    .map(([key, who]) => ({ ...budget[key], who }))
+    .filter(b => b.level === "warning" || b.level === "over")
+    .map(b => ({ level: b.level, pct: Math.round((b.spent / b.budget) * 100), title: `${b.who} AI budget: ${formatUsd(b.spent)} of ${formatUsd(b.budget)} used this month` }))
+    .sort((a, b) => b.pct - a.pct)[0];
+
   const navItems = [
     { id: "dashboard", label: "Dashboard", icon: DashboardIcon },
     { id: "chat", label: "Chat", icon: ChatIcon },
     { id: "scan", label: "Scan", icon: ScanIcon },
     { id: "journal", label: "Decision Ledger", icon: BookIcon, badge: journal.length || null },
     { id: "track", label: "Track", icon: ClipboardIcon, badge: changeProjects.length || null },
+    { id: "audit", label: "Audit", icon: ShieldIcon },
     { id: "data", label: "Data", icon: FileIcon, badge: datasets.length || null },
+    ...(can(user, "manage_users") ? [{ id: "team", label: "Team", icon: UsersIcon }] : []),
+    ...(can(user, "view_usage") ? [{ id: "usage", label: "Usage", icon: GaugeIcon }] : []),
+    ...(can(user, "manage_settings") ? [{ id: "settings", label: "Settings", icon: SettingsIcon }] : []),
   ];
 
   // ═══════════ MAIN LAYOUT ═══════════
   return (
     <div style={{ background: BG_DARK, minHeight: "100vh", fontFamily: "'DM Sans', sans-serif", color: TEXT, display: "flex", flexDirection: "column" }}>
       <link href="https://fonts.googleapis.com/css2?family=DM+Sans:wght@400;500;600;700&family=JetBrains+Mono:wght@400;500&display=swap" rel="stylesheet"/>
+      {/* Team names offered in the decision owner fields */}
+      <datalist id="dao-team">{team.filter(m => !m.disabled).map(m => <option key={m.id} value={m.name}>{ROLES[m.role]?.label}</option>)}</datalist>
 
       {/* HEADER */}
       <header style={{ background: BG_CARD, borderBottom: `1px solid ${BORDER}`, padding: "12px 16px", display: "flex", alignItems: "center", justifyContent: "space-between", position: "sticky", top: 0, zIndex: 50 }}>
@@ -1484,7 +2065,14 @@ export default function App() {
           </button>
           <div>
             <div style={{ fontSize: 13, letterSpacing: 3, color: ACCENT, fontWeight: 600 }}>30GENS</div>
-            <div style={{ fontSize: 11, color: TEXT_DIM }}>{profile.org} • {profile.industry}</div>
+            {workspaces.length > 1 || allowed("manage_workspaces") ? (
+              <select value={currentWorkspaceId()} onChange={e => e.target.value === "__new" ? setNewWorkspaceName("") : switchWorkspace(e.target.value)} style={{ background: "none", border: "none", color: TEXT_DIM, fontSize: 11, padding: 0, cursor: "pointer", outline: "none", fontFamily: "'DM Sans', sans-serif" }}>
+                {workspaces.map(w => <option key={w.id} value={w.id}>{w.id === workspace?.id ? `${profile.org} • ${profile.industry}` : w.name}</option>)}
+                {allowed("manage_workspaces") && <option value="__new">+ New workspace…</option>}
+              </select>
+            ) : (
+              <div style={{ fontSize: 11, color: TEXT_DIM }}>{profile.org} • {profile.industry}</div>
+            )}
           </div>
         </div>
         <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
@@ -1495,15 +2083,24 @@ export default function App() {
             color: apiStatus === "live" ? GREEN : AMBER,
             letterSpacing: 0.5
           }}>
-            {apiStatus === "live" ? "LIVE" : "DEMO"}
+            {apiStatus !== "live" ? "DEMO" : aiSimulated ? "SIM" : "LIVE"}
           </span>
+          {budgetAlert && (
+            <span title={budgetAlert.title} style={{
+              fontSize: 10, fontWeight: 600, padding: "3px 8px", borderRadius: 12, letterSpacing: 0.5,
+              background: budgetAlert.level === "over" ? `${RED}20` : `${AMBER}20`,
+              color: budgetAlert.level === "over" ? RED : AMBER,
+            }}>
+              {budgetAlert.level === "over" ? "OVER BUDGET" : "BUDGET"} {budgetAlert.pct}%
+            </span>
+          )}
           {datasets.length > 0 && (
-            <button onClick={runScan} disabled={scanning} style={{ ...btnSmall, background: scanning ? BG_SURFACE : `${GREEN}20`, color: scanning ? TEXT_DIM : GREEN, border: `1px solid ${scanning ? BORDER : GREEN}40` }}>
+            <button onClick={() => runScan()} disabled={scanning} style={{ ...btnSmall, background: scanning ? BG_SURFACE : `${GREEN}20`, color: scanning ? TEXT_DIM : GREEN, border: `1px solid ${scanning ? BORDER : GREEN}40` }}>
               {scanning ? "Scanning..." : "Scan"}
             </button>
           )}
           <div style={{ width: 32, height: 32, borderRadius: "50%", background: `${ACCENT}20`, display: "flex", alignItems: "center", justifyContent: "center", fontSize: 13, fontWeight: 600, color: ACCENT }}>
-            {profile.name.charAt(0)}
+            {actor.charAt(0)}
           </div>
         </div>
       </header>
@@ -1539,9 +2136,15 @@ export default function App() {
               Mode: {profile.style === "direct" ? "Direct" : profile.style === "solution" ? "Solution-First" : "Balanced"}
             </div>
             <div style={{ fontSize: 12, color: apiStatus === "live" ? GREEN : AMBER, marginBottom: 8 }}>
-              AI: {apiStatus === "live" ? "Live (Claude)" : "Demo Mode"}
+              AI: {apiStatus !== "live" ? "Demo Mode" : aiSimulated ? aiBackend : `Live (${aiBackend})`}
             </div>
-            <button onClick={resetAll} style={{ fontSize: 12, color: RED, background: "none", border: "none", cursor: "pointer", padding: 0 }}>Reset Everything</button>
+            {user && (
+              <div style={{ fontSize: 12, color: TEXT, marginBottom: 8 }}>
+                Signed in as {user.name} <span style={{ color: TEXT_DIM }}>· {ROLES[user.role]?.label}</span>
+                <button onClick={handleSignOut} style={{ display: "block", fontSize: 12, color: ACCENT, background: "none", border: "none", cursor: "pointer", padding: 0, marginTop: 4 }}>Sign out</button>
+              </div>
+            )}
+            <button onClick={resetAll} style={{ fontSize: 12, color: RED, background: "none", border: "none", cursor: "pointer", padding: 0 }}>Reset This Workspace</button>
           </div>
         </aside>
 
@@ -1581,7 +2184,8 @@ export default function App() {
                       padding: "12px 16px", fontSize: 14, lineHeight: 1.6,
                       whiteSpace: "pre-wrap", wordBreak: "break-word"
                     }}>
-                      {msg.content || (streaming && i === chatMsgs.length - 1 ? <span style={{ color: TEXT_DIM }}>Thinking...</span> : "")}
+                      {msg.content || (streaming && i === chatMsgs.length - 1 ? <span style={{ color: TEXT_DIM }}>{queueLabel(queueStatus) || "Thinking..."}</span> : "")}
+                      {msg.trace?.length > 0 && <ComputationTrace trace={msg.trace}/>}
                     </div>
                     {/* Auto-Log Decision Button for AI messages with decisions */}
                     {msg.role === "assistant" && msg.content && detectDecisionInMessage(msg.content) && !streaming && (
@@ -1647,7 +2251,7 @@ export default function App() {
                   <button onClick={() => chatFileRef.current?.click()} style={{ background: BG_SURFACE, border: `1px solid ${BORDER}`, borderRadius: 10, padding: "10px", cursor: "pointer", color: TEXT_DIM, display: "flex", flexShrink: 0 }} title="Attach file">
                     <PaperclipIcon size={18}/>
                   </button>
-                  <input ref={chatFileRef} type="file" multiple accept=".xlsx,.xls,.csv,.tsv,.txt,.pdf,.doc,.docx" style={{ display: "none" }}
+                  <input ref={chatFileRef} type="file" multiple accept={`.xlsx,.xls,.csv,.tsv,.txt,${DOCUMENT_EXTENSIONS.join(",")}`} style={{ display: "none" }}
                     onChange={e => { handleChatFiles(Array.from(e.target.files)); e.target.value = ""; }}
                   />
                   <input
@@ -1708,7 +2312,7 @@ export default function App() {
               {/* ── DAL Health widget ── */}
               {(() => {
                 const today = new Date().toISOString().split("T")[0];
-                const due = journal.filter(e => e.review_date && e.review_date <= today && e.status !== "Reviewed").length;
+                const due = journal.filter(e => e.review_date && e.review_date <= today && awaitsReview(e)).length;
                 return (
                   <button onClick={() => setView("journal")} style={{ display: "flex", alignItems: "center", justifyContent: "space-between", width: "100%", background: BG_CARD, border: `1px solid ${due > 0 ? AMBER : GREEN}40`, borderRadius: 10, padding: "10px 14px", cursor: "pointer", marginBottom: 16, textAlign: "left", fontFamily: "'DM Sans', sans-serif", boxSizing: "border-box" }}>
                     <span style={{ fontSize: 12, color: TEXT_DIM }}>Reviews Due</span>
@@ -1730,8 +2334,8 @@ export default function App() {
                 {[
                   { label: "ACTIVE FINDINGS", value: parsedFindings.filter(f => !resolvedFindings.includes(f.id)).length, color: parsedFindings.filter(f => !resolvedFindings.includes(f.id) && f.tier === "3").length > 0 ? "#EF4444" : "#F59E0B", sub: `${resolvedFindings.length} resolved` },
                   { label: "FINANCIAL EXPOSURE", value: `RM ${parsedFindings.filter(f => !resolvedFindings.includes(f.id)).reduce((s, f) => s + f.maxAmount, 0).toLocaleString()}`, color: "#EF4444", sub: "active & unresolved" },
-                  { label: "DECISIONS LOGGED", value: journal.length, color: "#0EA5E9", sub: `${journal.filter(j => j.status === "pending").length} pending review` },
-                  { label: "OVERDUE REVIEWS", value: journal.filter(j => new Date(j.reviewDate) < new Date() && j.status !== "resolved").length, color: "#F59E0B", sub: "need attention" }
+                  { label: "DECISIONS LOGGED", value: journal.length, color: "#0EA5E9", sub: `${journal.filter(awaitsReview).length} pending review` },
+                  { label: "OVERDUE REVIEWS", value: journal.filter(j => new Date(j.reviewDate) < new Date() && !isFinalStatus(j.status)).length, color: "#F59E0B", sub: "need attention" }
                 ].map((stat, i) => (
                   <div key={i} style={{ background: "#111827", border: "1px solid #1E3A5F", borderRadius: 12, padding: 16 }}>
                     <div style={{ fontSize: 10, color: "#94A3B8", marginBottom: 8, fontWeight: 600, letterSpacing: 0.5 }}>{stat.label}</div>
@@ -1826,17 +2430,19 @@ export default function App() {
                     <div style={{ textAlign: "center", padding: "60px 20px" }}>
                       <div style={{ fontSize: 48, marginBottom: 16 }}>{scanMode === "revenue" ? "💰" : "🔍"}</div>
                       <h2 style={{ fontSize: 20, fontWeight: 600, margin: "0 0 8px" }}>{scanMode === "revenue" ? "Revenue Intelligence Running" : "Enterprise Scan Running"}</h2>
-                      <p style={{ color: TEXT_DIM, fontSize: 14 }}>Analysing {datasets.length} source(s)...</p>
+                      <p style={{ color: TEXT_DIM, fontSize: 14 }}>{queueLabel(queueStatus) || `Analysing ${datasets.length} source(s)...`}</p>
+                      {scanProgress && <ScanProgress progress={scanProgress}/>}
                     </div>
                   ) : scanMode === "operational" ? (
                     <div>
                       <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 12 }}>
                         <div>
                           <h2 style={{ fontSize: 18, fontWeight: 600, margin: 0 }}>Operational Scan</h2>
-                          {scanResults && <p style={{ color: TEXT_DIM, fontSize: 11, margin: "4px 0 0" }}>{new Date(scanResults.timestamp).toLocaleString()}</p>}
+                          {scanResults && <ScanTimestamp result={scanResults} onRegenerate={() => runScan({ refresh: true })}/>}
                         </div>
-                        <button onClick={runScan} style={btnSmall}>{scanResults ? "Re-scan" : "Run Scan"}</button>
+                        <button onClick={() => runScan()} style={btnSmall}>{scanResults ? "Re-scan" : "Run Scan"}</button>
                       </div>
+                      {scanResults?.detections?.length > 0 && <DetectorResults detections={scanResults.detections}/>}
                       {scanResults?.text ? (
                         parsedFindings.length > 0 ? (
                           <div>
@@ -1855,7 +2461,7 @@ export default function App() {
                       ) : (
                         <div style={{ textAlign: "center", padding: "40px 20px", color: TEXT_DIM }}>
                           <h3 style={{ color: TEXT, fontSize: 16 }}>Ready to scan {datasets.length} source(s)</h3>
-                          <button onClick={runScan} style={{ ...btnPrimary, marginTop: 16 }}>Run Operational Scan</button>
+                          <button onClick={() => runScan()} style={{ ...btnPrimary, marginTop: 16 }}>Run Operational Scan</button>
                         </div>
                       )}
                     </div>
@@ -1864,9 +2470,9 @@ export default function App() {
                       <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 12 }}>
                         <div>
                           <h2 style={{ fontSize: 18, fontWeight: 600, margin: 0, color: GOLD }}>Revenue Intelligence</h2>
-                          {revenueScanResults && <p style={{ color: TEXT_DIM, fontSize: 11, margin: "4px 0 0" }}>{new Date(revenueScanResults.timestamp).toLocaleString()}</p>}
+                          {revenueScanResults && <ScanTimestamp result={revenueScanResults} onRegenerate={() => runScan({ refresh: true })}/>}
                         </div>
-                        <button onClick={runScan} style={{ ...btnSmall, color: GOLD, borderColor: `${GOLD}40` }}>{revenueScanResults ? "Re-scan" : "Run Scan"}</button>
+                        <button onClick={() => runScan()} style={{ ...btnSmall, color: GOLD, borderColor: `${GOLD}40` }}>{revenueScanResults ? "Re-scan" : "Run Scan"}</button>
                       </div>
                       {revenueScanResults?.text ? (
                         revenueFindings.length > 0 ? (
@@ -1886,7 +2492,7 @@ export default function App() {
                           <div style={{ fontSize: 36, marginBottom: 12 }}>💰</div>
                           <h3 style={{ color: TEXT, fontSize: 16, margin: "0 0 8px" }}>Ready to find your hidden revenue</h3>
                           <p style={{ fontSize: 13, maxWidth: 320, margin: "0 auto 16px" }}>Upload the recommended files above then run the scan.</p>
-                          <button onClick={runScan} style={{ ...btnPrimary, background: GOLD }}>Run Revenue Intelligence Scan</button>
+                          <button onClick={() => runScan()} style={{ ...btnPrimary, background: GOLD }}>Run Revenue Intelligence Scan</button>
                         </div>
                       )}
                     </div>
@@ -1901,12 +2507,12 @@ export default function App() {
             <div style={{ flex: 1, overflowY: "auto", padding: 16 }}>
               <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 16 }}>
                 <h2 style={{ fontSize: 20, fontWeight: 600, margin: 0 }}>Decision Ledger</h2>
-                <button onClick={() => setShowJournalForm(true)} style={btnPrimary}><PlusIcon size={16}/> Log Decision</button>
+                {allowed("decide") && <button onClick={() => setShowJournalForm(true)} style={btnPrimary}><PlusIcon size={16}/> Log Decision</button>}
               </div>
 
               {showJournalForm && (
                 <div style={{ background: BG_CARD, borderRadius: 12, border: `1px solid ${ACCENT}40`, padding: 20, marginBottom: 16 }}>
-                  <h3 style={{ fontSize: 16, fontWeight: 600, marginTop: 0, marginBottom: 16 }}>New Decision Entry</h3>
+                  <h3 style={{ fontSize: 16, fontWeight: 600, marginTop: 0, marginBottom: 16 }}>{supersedeTarget ? `Replacement for ${supersedeTarget.id}` : "New Decision Entry"}</h3>
                   <label style={labelStyle}>
                     <span style={labelText}>Decision Statement</span>
                     <textarea value={jf.statement} onChange={e => setJf({...jf, statement: e.target.value})} placeholder="What was decided..." rows={2} style={{...inputStyle, resize: "vertical"}}/>
@@ -1968,7 +2574,7 @@ export default function App() {
                       </label>
                       <label style={labelStyle}>
                         <span style={labelText}>Owner</span>
-                        <input type="text" value={jf.owner} onChange={e => setJf({...jf, owner: e.target.value})} placeholder="Decision owner name or role..." style={inputStyle}/>
+                        <input type="text" list="dao-team" value={jf.owner} onChange={e => setJf({...jf, owner: e.target.value})} placeholder="Decision owner name or role..." style={inputStyle}/>
                       </label>
                       <label style={labelStyle}>
                         <span style={labelText}>Review Date</span>
@@ -1983,7 +2589,7 @@ export default function App() {
                   )}
                   <div style={{ display: "flex", gap: 8, marginTop: 16 }}>
                     <button onClick={addJournalEntry} disabled={!jf.statement} style={{ ...btnPrimary, opacity: jf.statement ? 1 : 0.4 }}>Save to Journal</button>
-                    <button onClick={() => setShowJournalForm(false)} style={btnSmall}>Cancel</button>
+                    <button onClick={() => { setShowJournalForm(false); setSupersedeTarget(null); }} style={btnSmall}>Cancel</button>
                   </div>
                 </div>
               )}
@@ -2012,15 +2618,35 @@ export default function App() {
                         <span style={{ fontSize: 13, color: TEXT }}>{flag}</span>
                       </label>
                     ))}
+                    {parseInt(challengePending?.tier) >= 3 && (
+                      <div style={{ borderTop: `1px solid ${BORDER}`, marginTop: 12, paddingTop: 12 }}>
+                        <div style={{ fontSize: 11, fontWeight: 700, letterSpacing: 1, color: RED, marginBottom: 8 }}>TIER 3 — REQUIRED APPROVERS</div>
+                        <label style={labelStyle}>
+                          <span style={labelText}>Approvers (comma-separated names)</span>
+                          <input value={approvalForm.approvers} onChange={e => setApprovalForm({...approvalForm, approvers: e.target.value})} placeholder="e.g. CFO, COO, Board Chair" style={inputStyle}/>
+                        </label>
+                        <label style={labelStyle}>
+                          <span style={labelText}>Quorum (approvals needed — defaults to a majority)</span>
+                          <input type="number" min="1" value={approvalForm.quorum} onChange={e => setApprovalForm({...approvalForm, quorum: e.target.value})} style={inputStyle}/>
+                        </label>
+                        {team.some(m => can(m, "signoff") && !m.disabled) && (
+                          <div style={{ fontSize: 12, color: TEXT_DIM, marginBottom: 4 }}>
+                            Can sign off: {team.filter(m => can(m, "signoff") && !m.disabled).map(m => m.name).join(", ")}
+                          </div>
+                        )}
+                        <div style={{ fontSize: 12, color: TEXT_DIM }}>The decision stays Proposed until the quorum approves.</div>
+                        {approvalError && <div style={{ fontSize: 12, color: RED, marginTop: 6 }}>⚠ {approvalError}</div>}
+                      </div>
+                    )}
                     {rationaleLoading && (
-                      <div style={{ fontSize: 12, color: ACCENT, marginTop: 8, marginBottom: 4 }}>Generating rationale via Claude…</div>
+                      <div style={{ fontSize: 12, color: ACCENT, marginTop: 8, marginBottom: 4 }}>{queueLabel(queueStatus) ? `Rationale: ${queueLabel(queueStatus)}…` : "Generating rationale via Claude…"}</div>
                     )}
                     <div style={{ display: "flex", gap: 8, marginTop: 20 }}>
                       <button onClick={confirmDecision} disabled={rationaleLoading} style={{ ...btnPrimary, opacity: rationaleLoading ? 0.5 : 1 }}>
-                        {rationaleLoading ? "Saving…" : "Confirm"}
+                        {rationaleLoading ? "Saving…" : parseInt(challengePending?.tier) >= 3 ? "Propose for Sign-off" : "Confirm"}
                       </button>
                       <button onClick={() => setChallengeOpen(false)} disabled={rationaleLoading} style={btnSmall}>Revise</button>
-                      <button onClick={() => { setChallengeOpen(false); setChallengePending(null); setCheckedFlags([]); setJf({ statement: "", tier: "1", type: "technical", evidence: "", assumptions: "", confidence: "moderate", expected: "", owner: "", review_date: "", reviewDays: 30 }); }} disabled={rationaleLoading} style={{ ...btnSmall, color: RED }}>Defer</button>
+                      <button onClick={() => { setChallengeOpen(false); setChallengePending(null); setCheckedFlags([]); setSupersedeTarget(null); setApprovalForm({ approvers: "", quorum: "" }); setApprovalError(""); setJf({ statement: "", tier: "1", type: "technical", evidence: "", assumptions: "", confidence: "moderate", expected: "", owner: "", review_date: "", reviewDays: 30 }); }} disabled={rationaleLoading} style={{ ...btnSmall, color: RED }}>Defer</button>
                     </div>
                   </div>
                 </div>
@@ -2046,11 +2672,29 @@ export default function App() {
                 <button onClick={() => setReviewTab("queue")} style={{ flex: 1, padding: "10px 0", borderRadius: 10, border: "none", cursor: "pointer", fontSize: 13, fontWeight: 600, background: reviewTab === "queue" ? BG_CARD : "transparent", color: reviewTab === "queue" ? AMBER : TEXT_DIM, boxShadow: reviewTab === "queue" ? "0 1px 4px rgba(0,0,0,0.3)" : "none", transition: "all 0.2s" }}>📋 Review Queue</button>
               </div>
 
+              {/* ── Lifecycle filter ── */}
+              {reviewTab === "all" && journal.length > 0 && (
+                <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 16 }}>
+                  {["all", ...DECISION_STATUSES].map(s => {
+                    const count = s === "all" ? journal.length : journal.filter(e => normalizeStatus(e.status) === s).length;
+                    const color = s === "all" ? ACCENT : STATUS_COLORS[s];
+                    if (s !== "all" && count === 0) return null;
+                    return (
+                      <button key={s} onClick={() => setStatusFilter(s)} style={{ fontSize: 11, padding: "4px 10px", borderRadius: 20, cursor: "pointer", border: `1px solid ${statusFilter === s ? color : BORDER}`, background: statusFilter === s ? `${color}20` : "transparent", color: statusFilter === s ? color : TEXT_DIM, fontWeight: statusFilter === s ? 700 : 500 }}>
+                        {s === "all" ? "All" : s} ({count})
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+
               {/* ── Journal list ── */}
               {(() => {
                 const today = new Date().toISOString().split("T")[0];
-                const queueEntries = journal.filter(e => e.review_date && e.review_date <= today && e.status !== "Reviewed");
-                const displayEntries = reviewTab === "queue" ? queueEntries : journal;
+                const queueEntries = journal.filter(e => e.review_date && e.review_date <= today && awaitsReview(e));
+                const displayEntries = reviewTab === "queue"
+                  ? queueEntries
+                  : statusFilter === "all" ? journal : journal.filter(e => normalizeStatus(e.status) === statusFilter);
 
                 if (displayEntries.length === 0) return (
                   <div style={{ textAlign: "center", padding: "60px 20px", color: TEXT_DIM }}>
@@ -2067,15 +2711,18 @@ export default function App() {
                 return displayEntries.map((entry) => {
                   const isOverdue = entry.review_date && entry.review_date < today;
                   const isDueToday = entry.review_date && entry.review_date === today;
-                  const inQueue = entry.review_date && entry.review_date <= today && entry.status !== "Reviewed";
+                  const inQueue = entry.review_date && entry.review_date <= today && awaitsReview(entry);
+                  const stage = normalizeStatus(entry.status);
+                  const nextStages = allowedTransitions(entry).filter(s => s !== "Superseded");
                   return (
-                    <div key={entry.id} style={{ background: BG_CARD, borderRadius: 12, border: `1px solid ${BORDER}`, padding: 16, marginBottom: 12 }}>
+                    <div key={entry.id} style={{ background: BG_CARD, borderRadius: 12, border: `1px solid ${BORDER}`, borderLeft: `4px solid ${STATUS_COLORS[stage]}`, padding: 16, marginBottom: 12, opacity: isFinalStatus(stage) ? 0.75 : 1 }}>
                       <div style={{ display: "flex", alignItems: "flex-start", justifyContent: "space-between", marginBottom: 8 }}>
                         <div>
                           <span style={{ fontSize: 11, fontFamily: "'JetBrains Mono', monospace", color: TEXT_DIM }}>{entry.id}</span>
                           <h4 style={{ fontSize: 15, fontWeight: 600, margin: "4px 0 0" }}>{entry.statement}</h4>
                         </div>
                         <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap", justifyContent: "flex-end" }}>
+                          <span style={{ fontSize: 11, fontWeight: 700, padding: "3px 10px", borderRadius: 20, background: `${STATUS_COLORS[stage]}20`, color: STATUS_COLORS[stage] }}>{stage}</span>
                           {isOverdue && <span style={{ fontSize: 11, fontWeight: 700, padding: "3px 10px", borderRadius: 20, background: `${RED}20`, color: RED }}>Overdue</span>}
                           {isDueToday && <span style={{ fontSize: 11, fontWeight: 700, padding: "3px 10px", borderRadius: 20, background: `${AMBER}20`, color: AMBER }}>Due Today</span>}
                           <span style={{
@@ -2090,23 +2737,69 @@ export default function App() {
                         <span>{entry.type}</span>
                         <span>{entry.confidence === "high" ? "HIGH" : entry.confidence === "moderate" ? "MODERATE" : "LOW"}</span>
                         <span>Review: {entry.reviewDate}</span>
-                        <span style={{ color: entry.status === "Reviewed" ? GREEN : entry.status === "resolved" ? GREEN : entry.status === "in_progress" ? AMBER : TEXT_DIM }}>
-                          {entry.status}
-                        </span>
+                        {entry.supersedes && <span>Supersedes {entry.supersedes}</span>}
+                        {entry.superseded_by && <span>Superseded by {entry.superseded_by}</span>}
                       </div>
                       {entry.evidence && <p style={{ fontSize: 13, color: TEXT_DIM, margin: "8px 0 0", lineHeight: 1.5 }}><strong>Evidence:</strong> {entry.evidence}</p>}
                       {entry.assumptions && <p style={{ fontSize: 13, color: TEXT_DIM, margin: "4px 0 0", lineHeight: 1.5 }}><strong>Assumptions:</strong> {entry.assumptions}</p>}
                       {entry.expected && <p style={{ fontSize: 13, color: TEXT_DIM, margin: "4px 0 0", lineHeight: 1.5 }}><strong>Expected:</strong> {entry.expected}</p>}
-                      {inQueue && (
-                        <div style={{ marginTop: 12 }}>
-                          <button onClick={() => { setReviewModal(entry); setReviewForm({ verdict: "Right", actual_outcome: "", lesson: "" }); }} style={{ ...btnSmall, color: ACCENT, borderColor: `${ACCENT}40` }}>📝 Review</button>
+                      {entry.approval && (
+                        <ApprovalPanel entry={entry} signers={entry.approval.required.filter(n => session.status === "offline" || (allowed("signoff") && n === user?.name))} onSignoff={(approver, verdict, comment) => signOff(entry, approver, verdict, comment)}/>
+                      )}
+                      {editForm?.id === entry.id && (
+                        <div style={{ marginTop: 12, background: BG_SURFACE, borderRadius: 10, padding: 12 }}>
+                          <label style={labelStyle}>
+                            <span style={labelText}>Decision Statement</span>
+                            <textarea value={editForm.statement} onChange={e => setEditForm({...editForm, statement: e.target.value})} rows={2} style={{...inputStyle, resize: "vertical"}}/>
+                          </label>
+                          <label style={labelStyle}>
+                            <span style={labelText}>Expected Outcome</span>
+                            <textarea value={editForm.expected_outcome} onChange={e => setEditForm({...editForm, expected_outcome: e.target.value})} rows={2} style={{...inputStyle, resize: "vertical"}}/>
+                          </label>
+                          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+                            <label style={labelStyle}>
+                              <span style={labelText}>Owner</span>
+                              <input list="dao-team" value={editForm.owner} onChange={e => setEditForm({...editForm, owner: e.target.value})} style={inputStyle}/>
+                            </label>
+                            <label style={labelStyle}>
+                              <span style={labelText}>Review Date</span>
+                              <input type="date" value={editForm.review_date} onChange={e => setEditForm({...editForm, review_date: e.target.value})} style={inputStyle}/>
+                            </label>
+                          </div>
+                          {dalErrors.length > 0 && (
+                            <div style={{ color: "#EF4444", fontSize: 12, marginBottom: 8 }}>
+                              {dalErrors.map((err, i) => <div key={i}>⚠ {err}</div>)}
+                            </div>
+                          )}
+                          <div style={{ display: "flex", gap: 8 }}>
+                            <button onClick={saveDecisionEdit} disabled={!editForm.statement.trim()} style={{ ...btnPrimary, padding: "6px 14px", fontSize: 12, opacity: editForm.statement.trim() ? 1 : 0.4 }}>Save as v{(entry.version ?? 1) + 1}</button>
+                            <button onClick={() => { setEditForm(null); setDalErrors([]); }} style={btnSmall}>Cancel</button>
+                          </div>
                         </div>
                       )}
+                      <div style={{ display: "flex", gap: 8, marginTop: 12, flexWrap: "wrap", alignItems: "center" }}>
+                        {inQueue && allowed("review") && (
+                          <button onClick={() => { setReviewModal(entry); setReviewForm({ verdict: "Right", actual_outcome: "", lesson: "" }); }} style={{ ...btnSmall, color: ACCENT, borderColor: `${ACCENT}40` }}>📝 Review</button>
+                        )}
+                        {editForm?.id !== entry.id && allowed("edit") && (
+                          <button onClick={() => { setDalErrors([]); setEditForm({ id: entry.id, statement: entry.statement || "", owner: entry.owner || "", review_date: entry.review_date || "", expected_outcome: entry.expected_outcome || entry.expected || "" }); }} style={btnSmall}>✎ Edit</button>
+                        )}
+                        <button onClick={() => setHistoryEntry(entry)} style={btnSmall}>🕘 History</button>
+                        {allowed("edit") && nextStages.map(to => (
+                          <button key={to} onClick={() => changeStatus(entry, to)} style={{ ...btnSmall, color: STATUS_COLORS[to], borderColor: `${STATUS_COLORS[to]}40` }}>→ {to}</button>
+                        ))}
+                        {canTransition(stage, "Superseded") && allowed("decide") && (
+                          <button onClick={() => startSupersede(entry)} style={{ ...btnSmall, color: STATUS_COLORS.Superseded }}>⇄ Supersede</button>
+                        )}
+                        <span style={{ fontSize: 11, color: TEXT_DIM, fontFamily: "'JetBrains Mono', monospace" }}>v{entry.version ?? 1}</span>
+                      </div>
                     </div>
                   );
                 });
               })()}
 
+              {historyEntry && <DecisionHistory entry={historyEntry} onClose={() => setHistoryEntry(null)}/>}
+
               {/* ── Review modal ── */}
               {reviewModal && (
                 <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.75)", zIndex: 1000, display: "flex", alignItems: "center", justifyContent: "center", padding: 16 }}>
@@ -2198,6 +2891,12 @@ export default function App() {
             </div>
           )}
 
+          {/* ═══════ AUDIT VIEW ═══════ */}
+          {view === "audit" && <AuditView/>}
+          {view === "team" && <UsersView currentUser={user} onChange={setTeam}/>}
+          {view === "usage" && <UsageView canEditBudgets={can(user, "manage_settings")}/>}
+          {view === "settings" && <SettingsView/>}
+
           {/* ═══════ DATA VIEW ═══════ */}
           {view === "brief" && (
             <BriefView
@@ -2226,36 +2925,104 @@ export default function App() {
               >
                 <UploadIcon size={36} color={TEXT_DIM}/>
                 <p style={{ fontSize: 15, fontWeight: 500, margin: "12px 0 4px" }}>Drop files here or click to upload</p>
-                <p style={{ fontSize: 13, color: TEXT_DIM, margin: 0 }}>Excel (.xlsx), CSV, TSV, or text files</p>
-                <input ref={fileRef} type="file" multiple accept=".xlsx,.xls,.csv,.tsv,.txt,.pdf" style={{ display: "none" }}
+                <p style={{ fontSize: 13, color: TEXT_DIM, margin: 0 }}>Excel (.xlsx), CSV, TSV, JSON / NDJSON, PDF, Word (.docx), email (.eml, .mbox) or text files</p>
+                <input ref={fileRef} type="file" multiple accept={`.xlsx,.xls,.csv,.tsv,.txt,${DOCUMENT_EXTENSIONS.join(",")}`} style={{ display: "none" }}
                   onChange={e => { handleFiles(Array.from(e.target.files)); e.target.value = ""; }}
                 />
               </div>
 
+              {datasetStorage.error && (
+                <div style={{ background: `${RED}10`, border: `1px solid ${RED}40`, borderRadius: 10, padding: 12, marginBottom: 16, fontSize: 13, color: RED, lineHeight: 1.5 }}>
+                  {datasetStorage.error}
+                </div>
+              )}
+
+              <RedactionSettings key={currentWorkspaceId()} region={profile?.region}/>
+              <ConnectionsPanel key={currentWorkspaceId()} canManage={allowed("manage_connections")} onSync={syncQuery}/>
+
               {/* Connected Sources */}
               {datasets.length > 0 && (
                 <div>
                   <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 12 }}>
                     <h3 style={{ fontSize: 16, fontWeight: 600, margin: 0 }}>Connected ({datasets.length})</h3>
-                    <button onClick={() => { setDatasets([]); store.del("dao-datasets-meta"); }} style={{ ...btnSmall, color: RED, borderColor: `${RED}40` }}>Clear All</button>
+                    <button onClick={() => { setDatasets([]); setMappingIndex(null); setHistoryIndex(null); setQualityIndex(null); store.del("dao-datasets-meta"); }} style={{ ...btnSmall, color: RED, borderColor: `${RED}40` }}>Clear All</button>
                   </div>
+                  {datasetStorage.usage && (
+                    <p style={{ fontSize: 11, color: TEXT_DIM, margin: "-4px 0 12px" }}>
+                      Kept in this browser · {(datasetStorage.usage.usage / 1048576).toFixed(1)} MB used of {Math.round(datasetStorage.usage.quota / 1048576).toLocaleString()} MB available
+                    </p>
+                  )}
+                  <input ref={replaceRef} type="file" accept={`.xlsx,.xls,.csv,.tsv,.txt,${DOCUMENT_EXTENSIONS.join(",")}`} style={{ display: "none" }}
+                    onChange={e => { if (e.target.files[0]) replaceDataset(replaceIndex.current, e.target.files[0]); e.target.value = ""; }}
+                  />
                   {datasets.map((ds, i) => (
-                    <div key={i} style={{ background: BG_CARD, borderRadius: 10, border: `1px solid ${BORDER}`, padding: 14, marginBottom: 8, display: "flex", alignItems: "center", gap: 12 }}>
-                      <div style={{ width: 40, height: 40, borderRadius: 8, background: `${GREEN}15`, display: "flex", alignItems: "center", justifyContent: "center" }}>
-                        <FileIcon size={20} color={GREEN}/>
-                      </div>
-                      <div style={{ flex: 1 }}>
-                        <div style={{ fontSize: 14, fontWeight: 500 }}>{ds.name}</div>
-                        <div style={{ fontSize: 12, color: TEXT_DIM }}>
-                          {ds.type === "excel" ? `Excel • ${ds.sheetNames?.length || "?"} sheet(s) • ${ds.totalRows || "?"} rows` :
-                           ds.type === "csv" ? `CSV • ${ds.rowCount || "?"} rows • ${ds.headers?.length || "?"} columns` :
-                           `Text • ${(ds.charCount || 0).toLocaleString()} chars`}
+                    <div key={i} style={{ background: BG_CARD, borderRadius: 10, border: `1px solid ${BORDER}`, padding: 14, marginBottom: 8 }}>
+                      <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+                        <div style={{ width: 40, height: 40, borderRadius: 8, background: `${GREEN}15`, display: "flex", alignItems: "center", justifyContent: "center" }}>
+                          <FileIcon size={20} color={GREEN}/>
                         </div>
+                        <div style={{ flex: 1 }}>
+                          <div style={{ fontSize: 14, fontWeight: 500 }}>{ds.name}</div>
+                          <div style={{ fontSize: 12, color: TEXT_DIM }}>
+                            {ds.type === "excel" ? `Excel • ${ds.sheetNames?.length || "?"} sheet(s) • ${ds.totalRows || "?"} rows` :
+                             ds.type === "csv" ? `CSV • ${ds.rowCount || "?"} rows • ${ds.headers?.length || "?"} columns` :
+                             ds.type === "database" ? `Database • ${(ds.totalRows || 0).toLocaleString()} rows • last synced ${new Date(ds.syncedAt).toLocaleString()}` :
+                             DOCUMENT_FORMATS[ds.type] ? [
+                               DOCUMENT_FORMATS[ds.type].label,
+                               ds.pageCount && `${ds.pageCount} page(s)`,
+                               ds.sheetNames?.length && `${ds.sheetNames.length} table(s) • ${(ds.totalRows || 0).toLocaleString()} rows`,
+                               typeof ds.content === "string" && `${ds.charCount.toLocaleString()} chars`,
+                             ].filter(Boolean).join(" • ") :
+                             `Text • ${(ds.charCount || 0).toLocaleString()} chars`}
+                          </div>
+                          {ds.warnings?.map(w => <div key={w} style={{ fontSize: 11, color: GOLD, marginTop: 2 }}>⚠ {w}</div>)}
+                          {qualitySummary(profileDataset(ds)) && (
+                            <div style={{ fontSize: 11, color: profileDataset(ds).warnings ? GOLD : TEXT_DIM, marginTop: 2 }}>Data quality: {qualitySummary(profileDataset(ds))}</div>
+                          )}
+                          {!ds.id && <div style={{ fontSize: 11, color: GOLD, marginTop: 2 }}>Rows were not kept from an earlier session — replace with the file to scan it</div>}
+                          {ds.versions?.length > 1 && (() => {
+                            const [before, latest] = ds.versions.slice(-2);
+                            return (
+                              <div style={{ fontSize: 11, color: ACCENT, marginTop: 2 }}>
+                                v{latest.version} · {latest.diff ? `${diffText(latest.diff)} since v${before.version}` : `replaced, no comparison with v${before.version}`}
+                              </div>
+                            );
+                          })()}
+                        </div>
+                        {profileDataset(ds).tables.length > 0 && (
+                          <button onClick={() => setQualityIndex(qualityIndex === i ? null : i)} style={btnSmall}>Quality</button>
+                        )}
+                        {ds.versions?.length > 1 && (
+                          <button onClick={() => setHistoryIndex(historyIndex === i ? null : i)} style={btnSmall}>History</button>
+                        )}
+                        {ds.columnRoles && (
+                          <button onClick={() => setMappingIndex(mappingIndex === i ? null : i)} style={{ ...btnSmall, color: ds.rolesConfirmed ? TEXT_DIM : GOLD, borderColor: ds.rolesConfirmed ? BORDER : `${GOLD}60` }}>
+                            {ds.rolesConfirmed ? "Column roles" : "Check columns"}
+                          </button>
+                        )}
+                        {ds.source ? (
+                          <button onClick={() => syncQuery(ds.source).catch(e => alert(`Sync failed: ${e.message}`))} style={{ ...btnSmall, color: ACCENT, borderColor: `${ACCENT}40` }}>Sync</button>
+                        ) : (
+                          <button onClick={() => { replaceIndex.current = i; replaceRef.current?.click(); }} style={btnSmall}>Replace</button>
+                        )}
+                        <button onClick={() => deleteDataset(i)} style={{ ...btnSmall, color: RED, borderColor: `${RED}40` }}>Delete</button>
                       </div>
-                      <CheckIcon size={18} color={GREEN}/>
+                      {mappingIndex === i && ds.columnRoles && (
+                        <ColumnMapper key={ds.name} dataset={ds} onConfirm={roles => confirmColumnRoles(i, roles)} onClose={() => setMappingIndex(null)}/>
+                      )}
+                      {historyIndex === i && ds.versions && <VersionHistory versions={ds.versions}/>}
+                      {qualityIndex === i && <QualityReport profile={profileDataset(ds)}/>}
                     </div>
                   ))}
-                  <button onClick={runScan} disabled={scanning} style={{ ...btnPrimary, width: "100%", marginTop: 16 }}>
+                  <RelationshipsPanel
+                    candidates={joinCandidates}
+                    relationships={relationships}
+                    views={joinViews}
+                    onConfirm={c => saveRelationships([...relationships, decideRelationship(c, "confirmed")])}
+                    onReject={c => saveRelationships([...relationships, decideRelationship(c, "rejected")])}
+                    onRemove={id => saveRelationships(relationships.filter(r => r.id !== id))}
+                  />
+                  <button onClick={() => runScan()} disabled={scanning} style={{ ...btnPrimary, width: "100%", marginTop: 16 }}>
                     {scanning ? "Scanning..." : "Run Enterprise Scan"}
                   </button>
                 </div>
@@ -2265,6 +3032,24 @@ export default function App() {
         </main>
       </div>
 
+      {/* NEW WORKSPACE DIALOG */}
+      {newWorkspaceName !== null && (
+        <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.75)", zIndex: 1000, display: "flex", alignItems: "center", justifyContent: "center", padding: 16 }}>
+          <div style={{ background: BG_SURFACE, borderRadius: 16, border: `1px solid ${ACCENT}40`, padding: 24, width: "100%", maxWidth: 420 }}>
+            <h3 style={{ fontSize: 16, fontWeight: 700, margin: "0 0 4px", color: TEXT }}>New Workspace</h3>
+            <p style={{ fontSize: 12, color: TEXT_DIM, margin: "0 0 16px" }}>Each client organisation gets its own ledger, scans, data and change projects.</p>
+            <label style={labelStyle}>
+              <span style={labelText}>Client organisation</span>
+              <input autoFocus value={newWorkspaceName} onChange={e => setNewWorkspaceName(e.target.value)} onKeyDown={e => e.key === "Enter" && addWorkspace()} placeholder="e.g. PBAPP" style={inputStyle}/>
+            </label>
+            <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+              <button onClick={() => setNewWorkspaceName(null)} style={btnSmall}>Cancel</button>
+              <button onClick={addWorkspace} disabled={!newWorkspaceName.trim()} style={{ ...btnPrimary, opacity: newWorkspaceName.trim() ? 1 : 0.4 }}>Create & Switch</button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* BOTTOM NAV */}
       <nav style={{
         position: "sticky", bottom: 0, background: BG_CARD, borderTop: `1px solid ${BORDER}`,
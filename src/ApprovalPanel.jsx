@@ -0,0 +1,92 @@
+import { useState } from "react";
+import { approvalState } from "./dal-storage.js";
+
+// ── Design tokens matching App.jsx ──────────────────────────────
+const BG_SURFACE= "#1E293B";
+const BORDER    = "#1E3A5F";
+const TEXT      = "#E2E8F0";
+const TEXT_DIM  = "#94A3B8";
+const GREEN     = "#10B981";
+const AMBER     = "#F59E0B";
+const RED       = "#EF4444";
+
+const VOTE_STYLE = {
+  approve: { label: "Approved", color: GREEN },
+  reject:  { label: "Rejected", color: RED },
+};
+
+// ── Tier 3 sign-off panel shown on a Decision Ledger card ───────
+// `signers` are the approver names the current user may sign as.
+export default function ApprovalPanel({ entry, signers, onSignoff }) {
+  const [signAs, setSignAs]   = useState("");
+  const [comment, setComment] = useState("");
+  const state = approvalState(entry);
+  const { required, quorum, signoffs } = entry.approval;
+  const open = entry.status === "Proposed";
+  const signer = signAs || signers[0] || "";
+  const headColor = state.quorumMet ? GREEN : state.blocked ? RED : AMBER;
+
+  const submit = (verdict) => {
+    onSignoff(signer, verdict, comment);
+    setComment("");
+  };
+
+  return (
+    <div style={{ marginTop: 12, background: BG_SURFACE, border: `1px solid ${headColor}40`, borderRadius: 10, padding: 12 }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 8 }}>
+        <span style={{ fontSize: 10, fontWeight: 700, letterSpacing: 1.5, color: headColor }}>
+          {state.quorumMet ? "SIGN-OFF COMPLETE" : state.blocked ? "SIGN-OFF BLOCKED" : "PENDING APPROVAL"}
+        </span>
+        <span style={{ fontSize: 11, color: TEXT_DIM }}>{state.approvals.length} / {quorum} approvals needed · {required.length} approver(s)</span>
+      </div>
+
+      {required.map(name => {
+        const vote = VOTE_STYLE[state.votes[name]];
+        return (
+          <div key={name} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, marginBottom: 4 }}>
+            <span style={{ flex: 1, color: TEXT }}>{name}</span>
+            <span style={{ fontWeight: 700, color: vote ? vote.color : TEXT_DIM }}>{vote ? vote.label : "Awaiting"}</span>
+          </div>
+        );
+      })}
+
+      {signoffs.length > 0 && (
+        <div style={{ borderTop: `1px solid ${BORDER}`, marginTop: 8, paddingTop: 8 }}>
+          {signoffs.map((s, i) => (
+            <div key={i} style={{ fontSize: 11, color: TEXT_DIM, marginBottom: 4, lineHeight: 1.5 }}>
+              <span style={{ color: TEXT }}>{s.approver}</span> {s.verdict === "comment" ? "commented" : `${s.verdict}d`} · {new Date(s.at).toLocaleString()}
+              {s.comment && <div style={{ color: TEXT, fontStyle: "italic" }}>“{s.comment}”</div>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {open && signers.length > 0 && (
+        <div style={{ borderTop: `1px solid ${BORDER}`, marginTop: 8, paddingTop: 8 }}>
+          {signers.length > 1 && (
+            <select value={signer} onChange={e => setSignAs(e.target.value)} style={{ ...fieldStyle, marginBottom: 6 }}>
+              {signers.map(n => <option key={n} value={n}>Signing as {n}</option>)}
+            </select>
+          )}
+          <textarea value={comment} onChange={e => setComment(e.target.value)} placeholder="Comment (optional for approve / reject)" rows={2} style={{ ...fieldStyle, resize: "vertical" }}/>
+          <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+            <button onClick={() => submit("approve")} style={{ ...btnVote, color: GREEN, borderColor: `${GREEN}40` }}>✓ Approve</button>
+            <button onClick={() => submit("reject")} style={{ ...btnVote, color: RED, borderColor: `${RED}40` }}>✕ Reject</button>
+            <button onClick={() => submit("comment")} disabled={!comment.trim()} style={{ ...btnVote, opacity: comment.trim() ? 1 : 0.4 }}>💬 Comment</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const fieldStyle = {
+  width: "100%", padding: "6px 10px", background: "#111827", border: `1px solid ${BORDER}`,
+  borderRadius: 8, color: TEXT, fontSize: 12, outline: "none", fontFamily: "'DM Sans', sans-serif",
+  boxSizing: "border-box",
+};
+const btnVote = {
+  background: "transparent", color: TEXT_DIM, border: `1px solid ${BORDER}`, borderRadius: 8,
+  padding: "5px 12px", fontSize: 12, fontWeight: 600, cursor: "pointer",
+  fontFamily: "'DM Sans', sans-serif",
+};
@@ -0,0 +1,138 @@
+import { useState, useEffect } from "react";
+import { fetchAudit, verifyAuditLog } from "./dal-storage.js";
+
+// ── Design tokens matching App.jsx ──────────────────────────────
+const ACCENT    = "#0EA5E9";
+const BG_DARK   = "#0B1120";
+const BG_CARD   = "#111827";
+const BG_SURFACE= "#1E293B";
+const BORDER    = "#1E3A5F";
+const TEXT      = "#E2E8F0";
+const TEXT_DIM  = "#94A3B8";
+const GREEN     = "#10B981";
+const RED       = "#EF4444";
+
+const ACTION_COLORS = { CREATE: ACCENT, CONFIRM: GREEN, REVIEW: "#A78BFA", UPDATE: "#F59E0B", TRANSITION: "#EC4899", SUPERSEDE: "#64748B", SIGNOFF: "#F97316" };
+
+// ── Main component ───────────────────────────────────────────────
+export default function AuditView() {
+  const [status, setStatus]   = useState("loading"); // loading | done | error
+  const [records, setRecords] = useState([]);
+  const [result, setResult]   = useState(null);
+  const [errorMsg, setErrorMsg] = useState("");
+  const [openSeq, setOpenSeq] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const log = await fetchAudit();
+        setRecords(log);
+        setResult(await verifyAuditLog(log));
+        setStatus("done");
+      } catch (err) {
+        setErrorMsg(err.message || "Unknown error");
+        setStatus("error");
+      }
+    }
+    load();
+  }, [reloadKey]);
+
+  const reload = () => { setStatus("loading"); setReloadKey(k => k + 1); };
+
+  if (status === "loading") {
+    return <div style={{ flex: 1, padding: 32, color: TEXT_DIM, fontSize: 14, textAlign: "center", background: BG_DARK }}>Verifying audit chain…</div>;
+  }
+
+  if (status === "error") {
+    return (
+      <div style={{ flex: 1, overflowY: "auto", padding: 16, background: BG_DARK }}>
+        <div style={{ background: `${RED}10`, border: `1px solid ${RED}40`, borderRadius: 12, padding: 16 }}>
+          <p style={{ color: RED, fontWeight: 600, margin: "0 0 8px" }}>Could not load the audit log</p>
+          <p style={{ color: TEXT_DIM, fontSize: 12, margin: "0 0 12px" }}>{errorMsg}</p>
+          <button onClick={reload} style={btnSmall}>↺ Retry</button>
+        </div>
+      </div>
+    );
+  }
+
+  // Several checks can fail on one record; group them by position in the log
+  const breaksByIndex = {};
+  result.breaks.forEach(b => { (breaksByIndex[b.index] ||= []).push(b.reason); });
+  const bannerColor = result.ok ? GREEN : RED;
+
+  return (
+    <div style={{ flex: 1, overflowY: "auto", padding: 16, background: BG_DARK }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 16 }}>
+        <div>
+          <h2 style={{ fontSize: 20, fontWeight: 600, margin: "0 0 4px", color: TEXT }}>Audit Trail</h2>
+          <p style={{ fontSize: 12, color: TEXT_DIM, margin: 0 }}>Every ledger action, sealed into a SHA-256 hash chain</p>
+        </div>
+        <button onClick={reload} style={btnSmall}>↺ Re-verify</button>
+      </div>
+
+      {/* Chain status */}
+      <div style={{ background: `${bannerColor}10`, border: `1px solid ${bannerColor}40`, borderRadius: 12, padding: "12px 16px", marginBottom: 16 }}>
+        <div style={{ fontSize: 14, fontWeight: 700, color: bannerColor }}>
+          {result.ok
+            ? `✓ Chain intact — ${result.checked} record(s) verified`
+            : `⚠ ${Object.keys(breaksByIndex).length} record(s) break the chain`}
+        </div>
+        <div style={{ fontSize: 12, color: TEXT_DIM, marginTop: 4 }}>
+          {result.ok
+            ? "No audit record has been edited, removed or inserted since it was written."
+            : "History has been altered at the flagged records. Everything after the first break should be treated as unverified."}
+        </div>
+      </div>
+
+      {records.length === 0 && (
+        <div style={{ textAlign: "center", padding: "40px 20px", color: TEXT_DIM, fontSize: 14 }}>No audit records yet.</div>
+      )}
+
+      {records.slice().reverse().map((r, revIdx) => {
+        const idx = records.length - 1 - revIdx;
+        const reasons = breaksByIndex[idx];
+        const actionColor = ACTION_COLORS[r.action] || TEXT_DIM;
+        const isOpen = openSeq === idx;
+        return (
+          <div key={idx} style={{
+            background: BG_CARD,
+            border: `1px solid ${reasons ? `${RED}80` : BORDER}`,
+            borderLeft: `3px solid ${reasons ? RED : actionColor}`,
+            borderRadius: 10, padding: "10px 14px", marginBottom: 8,
+          }}>
+            <div onClick={() => setOpenSeq(isOpen ? null : idx)} style={{ display: "flex", alignItems: "center", gap: 10, cursor: "pointer", flexWrap: "wrap" }}>
+              <span style={{ fontSize: 11, fontFamily: "'JetBrains Mono', monospace", color: TEXT_DIM }}>#{r.seq ?? "?"}</span>
+              <span style={{ fontSize: 10, fontWeight: 700, padding: "2px 8px", borderRadius: 20, background: `${actionColor}20`, color: actionColor }}>{r.action}</span>
+              <span style={{ fontSize: 12, fontFamily: "'JetBrains Mono', monospace", color: TEXT }}>{r.entityId}</span>
+              <span style={{ fontSize: 12, color: TEXT_DIM }}>v{r.version ?? "?"}</span>
+              <span style={{ fontSize: 12, color: TEXT_DIM, flex: 1 }}>{r.actor || "unknown"}{r.importedBy && " · imported from a browser"}</span>
+              <span style={{ fontSize: 11, color: TEXT_DIM }}>{r.ts ? new Date(r.ts).toLocaleString() : ""}</span>
+            </div>
+            {reasons && reasons.map((reason, i) => (
+              <div key={i} style={{ fontSize: 12, color: RED, marginTop: 6 }}>⚠ {reason}</div>
+            ))}
+            {isOpen && (
+              <div style={{ marginTop: 10, background: BG_SURFACE, borderRadius: 8, padding: 10, fontSize: 11, fontFamily: "'JetBrains Mono', monospace", color: TEXT_DIM, wordBreak: "break-all" }}>
+                <div>hash:     {r.hash || "—"}</div>
+                <div>prev:     {r.prevHash || "—"}</div>
+                <div>snapshot: {r.snapshotHash || "—"}</div>
+                {r.importedBy && <div>claimed:  {r.originalActor || "unknown"} at {r.originalTs || "—"} (not verified)</div>}
+                {r.snapshot && (
+                  <pre style={{ margin: "8px 0 0", whiteSpace: "pre-wrap", color: TEXT }}>{JSON.stringify(r.snapshot, null, 2)}</pre>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ── Local button styles (no shared module available) ─────────────
+const btnSmall = {
+  background: BG_SURFACE, color: TEXT_DIM, border: `1px solid ${BORDER}`, borderRadius: 8,
+  padding: "6px 14px", fontSize: 12, fontWeight: 500, cursor: "pointer",
+  fontFamily: "'DM Sans', sans-serif",
+};
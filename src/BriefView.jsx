@@ -1,4 +1,7 @@
 import { useState, useEffect } from "react";
+import { postClaude, queueLabel } from "./ai-request.js";
+import { reidentify } from "./redaction.js";
+import { scopedKey, currentWorkspaceId } from "./workspace.js";
 
 // ── Design tokens matching App.jsx ──────────────────────────────
 const ACCENT    = "#0EA5E9";
@@ -12,38 +15,25 @@ const GREEN     = "#10B981";
 const AMBER     = "#F59E0B";
 const RED       = "#EF4444";
 
-// ── Retry wrapper for 429 rate-limit responses ───────────────────
-async function fetchWithRetry(url, options, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    const res = await fetch(url, options);
-    if (res.status === 429) {
-      const wait = (i + 1) * 8000;
-      await new Promise(r => setTimeout(r, wait));
-      continue;
-    }
-    return res;
-  }
-  throw new Error("Rate limited after retries. Please wait 30 seconds and try again.");
-}
-
 // ── Replicate the same non-streaming fetch the app uses ─────────
-async function callBriefAPI(systemPrompt, userMessage) {
-  const resp = await fetchWithRetry("/api/claude", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      systemPrompt,
-      messages: [{ role: "user", content: userMessage }],
-      stream: false,
-    }),
-  });
+// Resolves to { text, cached, generatedAt }; refresh bypasses the server cache
+async function callBriefAPI(systemPrompt, userMessage, { feature = "brief", refresh = false, onQueue } = {}) {
+  const resp = await postClaude({
+    task: "brief",
+    feature,
+    workspace: currentWorkspaceId(),
+    systemPrompt,
+    messages: [{ role: "user", content: userMessage }],
+    stream: false,
+    refresh,
+  }, { onQueue });
   if (!resp.ok) {
     let msg;
     try { msg = (await resp.json()).error; } catch { msg = null; }
     throw new Error(msg || `API error (${resp.status})`);
   }
   const data = await resp.json();
-  return data.text || "";
+  return { text: reidentify(data.text || ""), cached: !!data.cached, generatedAt: data.generatedAt };
 }
 
 // ── System prompt that demands JSON-only output ─────────────────
@@ -128,10 +118,12 @@ export default function BriefView({ profile, onBack, onChat, onNavigate }) {
   const [callScriptOpen, setCallScriptOpen]       = useState(false);
   const [callScript, setCallScript]               = useState("");
   const [callScriptLoading, setCallScriptLoading] = useState(false);
-  const [retryKey, setRetryKey]                   = useState(0);
+  const [retryKey, setRetryKey]                   = useState(0); // > 0 once the user asks for a fresh brief
+  const [generated, setGenerated]                 = useState(null); // { cached, generatedAt } of the brief shown
   const [copilotOpen, setCopilotOpen]             = useState(false);
   const [copilotResult, setCopilotResult]         = useState(null);
   const [copilotLoading, setCopilotLoading]       = useState(false);
+  const [queueStatus, setQueueStatus]             = useState(null); // server queue position while a request waits
 
   useEffect(() => {
     async function fetchBrief() {
@@ -139,11 +131,11 @@ export default function BriefView({ profile, onBack, onChat, onNavigate }) {
       let journal = [];
       let scan    = null;
       try {
-        const jRaw = localStorage.getItem("dao-journal");
+        const jRaw = localStorage.getItem(scopedKey("dao-journal"));
         if (jRaw) journal = JSON.parse(jRaw);
       } catch { journal = []; }
       try {
-        const sRaw = localStorage.getItem("dao-scan");
+        const sRaw = localStorage.getItem(scopedKey("dao-scan"));
         if (sRaw) scan = JSON.parse(sRaw);
       } catch { scan = null; }
 
@@ -155,8 +147,14 @@ export default function BriefView({ profile, onBack, onChat, onNavigate }) {
         ? `RECENT DECISIONS (last ${journalLines.length}):\n${journalLines.join("\n")}`
         : "RECENT DECISIONS: none logged yet.";
 
-      const scanBlock = scan?.text
-        ? `ENTERPRISE SCAN SUMMARY:\n${scan.text.slice(0, 1200)}`
+      // Structured scans are restated as labelled lines; older scans are plain text
+      const scanText = scan?.data
+        ? scan.data.findings.map(f =>
+            `PATTERN: ${f.pattern}\nIMPACT: ${f.impact}\nFIX: ${f.fix}\nSEVERITY: Tier ${f.tier}\nCONFIDENCE: ${f.confidence}`
+          ).join("\n\n")
+        : scan?.text;
+      const scanBlock = scanText
+        ? `ENTERPRISE SCAN SUMMARY:\n${scanText.slice(0, 1200)}`
         : "ENTERPRISE SCAN: no scan data available.";
 
       const orgLine = profile
@@ -167,8 +165,9 @@ export default function BriefView({ profile, onBack, onChat, onNavigate }) {
 
       // 3. Call the API
       try {
-        const raw = await callBriefAPI(BRIEF_SYSTEM, userMessage);
+        const { text: raw, cached, generatedAt } = await callBriefAPI(BRIEF_SYSTEM, userMessage, { refresh: retryKey > 0, onQueue: setQueueStatus });
         setRawText(raw);
+        setGenerated({ cached, generatedAt });
 
         // 4. Parse JSON — strip markdown fences if present
         const cleaned = raw.replace(/^```json\s*/i, "").replace(/^```\s*/i, "").replace(/```\s*$/g, "").trim();
@@ -182,28 +181,27 @@ export default function BriefView({ profile, onBack, onChat, onNavigate }) {
     }
 
     fetchBrief();
-  }, [retryKey]); // re-runs when user clicks Retry
+  }, [retryKey]); // re-runs when user clicks Retry or Regenerate
 
   // ── Copilot Options loader ───────────────────────────────────
   const loadCopilot = async () => {
     setCopilotLoading(true);
     try {
-      const res = await fetchWithRetry("/api/claude", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          model: "claude-sonnet-4-20250514",
-          max_tokens: 1500,
-          system: "You are a strategic advisor. Be concise and direct.",
-          messages: [{
-            role: "user",
-            content: `Give me exactly 3 strategic options and a recommendation for this situation: ${brief?.situation || "the current business situation"}. Top risk: ${brief?.risks?.[0]?.text || "unknown"}. Format your response with clear Option 1, Option 2, Option 3 headings and a final Recommendation section.`
-          }],
-          stream: false
-        })
-      });
+      const res = await postClaude({
+        task: "brief",
+        feature: "copilot",
+        workspace: currentWorkspaceId(),
+        max_tokens: 1500,
+        system: "You are a strategic advisor. Be concise and direct.",
+        messages: [{
+          role: "user",
+          content: `Give me exactly 3 strategic options and a recommendation for this situation: ${brief?.situation || "the current business situation"}. Top risk: ${brief?.risks?.[0]?.text || "unknown"}. Format your response with clear Option 1, Option 2, Option 3 headings and a final Recommendation section.`
+        }],
+        stream: false
+      }, { onQueue: setQueueStatus });
       const data = await res.json();
-      const text = data.content?.[0]?.text || "";
+      if (!res.ok) throw new Error(data.error || `API error (${res.status})`);
+      const text = reidentify(data.text || "");
       if (!text) throw new Error("Empty response");
       setCopilotResult({ raw: text });
     } catch(e) {
@@ -212,6 +210,8 @@ export default function BriefView({ profile, onBack, onChat, onNavigate }) {
     setCopilotLoading(false);
   };
 
+  const regenerate = () => { setStatus("loading"); setErrorMsg(""); setRawText(""); setBrief(null); setRetryKey(k => k + 1); };
+
   // ── Loading state ────────────────────────────────────────────
   if (status === "loading") {
     return (
@@ -226,7 +226,7 @@ export default function BriefView({ profile, onBack, onChat, onNavigate }) {
           animation: "spin 0.8s linear infinite",
         }}/>
         <style>{`@keyframes spin { to { transform: rotate(360deg); } }`}</style>
-        <p style={{ color: TEXT_DIM, fontSize: 14, margin: 0 }}>Generating your executive brief…</p>
+        <p style={{ color: TEXT_DIM, fontSize: 14, margin: 0 }}>{queueLabel(queueStatus) || "Generating your executive brief…"}</p>
       </div>
     );
   }
@@ -244,7 +244,7 @@ export default function BriefView({ profile, onBack, onChat, onNavigate }) {
           <p style={{ color: RED, fontWeight: 600, margin: "0 0 8px" }}>Could not generate brief</p>
           <p style={{ color: TEXT_DIM, fontSize: 12, margin: "0 0 12px" }}>{displayMsg}</p>
           <button
-            onClick={() => { setStatus("loading"); setErrorMsg(""); setRawText(""); setBrief(null); setRetryKey(k => k + 1); }}
+            onClick={regenerate}
             style={{ background: ACCENT, color: "#fff", border: "none", borderRadius: 8, padding: "8px 16px", fontSize: 13, fontWeight: 600, cursor: "pointer", fontFamily: "'DM Sans', sans-serif", marginBottom: 8 }}
           >↺ Retry</button>
           {rawText && !isRateLimit && (
@@ -276,6 +276,12 @@ export default function BriefView({ profile, onBack, onChat, onNavigate }) {
       <div style={{ fontSize: 11, fontWeight: 700, letterSpacing: 2, color: ACCENT, marginBottom: 6 }}>
         EXECUTIVE BRIEF
       </div>
+      {generated?.cached && (
+        <p style={{ fontSize: 11, color: TEXT_DIM, margin: "0 0 8px" }}>
+          Cached at {new Date(generated.generatedAt).toLocaleString()} ·{" "}
+          <button onClick={regenerate} style={btnLink}>Regenerate</button>
+        </p>
+      )}
 
       {/* Situation */}
       <div style={{
@@ -342,7 +348,7 @@ export default function BriefView({ profile, onBack, onChat, onNavigate }) {
         <div style={{ marginTop: 16, marginBottom: 4 }}>
           <SectionHead label="COPILOT OPTIONS" color={ACCENT} />
           {copilotLoading ? (
-            <p style={{ color: TEXT_DIM, fontSize: 13, margin: "8px 0" }}>Generating options…</p>
+            <p style={{ color: TEXT_DIM, fontSize: 13, margin: "8px 0" }}>{queueLabel(queueStatus) || "Generating options…"}</p>
           ) : copilotResult?.error ? (
             <div style={{
               background: `${RED}10`, border: `1px solid ${RED}40`,
@@ -388,9 +394,10 @@ export default function BriefView({ profile, onBack, onChat, onNavigate }) {
             setCallScript("");
             try {
               const ctx = `Situation: ${situation}\nTop Risk: ${risks[0]?.text || "N/A"}`;
-              const raw = await callBriefAPI(
+              const { text: raw } = await callBriefAPI(
                 "You are an executive communications coach. Write a concise 150-word phone call script for a CEO to use when calling their PM to discuss an urgent business issue. Be direct, structured, and professional. Return plain text only.",
-                `Write a 150-word call script using this context:\n${ctx}`
+                `Write a 150-word call script using this context:\n${ctx}`,
+                { feature: "call_script", onQueue: setQueueStatus }
               );
               setCallScript(raw);
             } catch (e) {
@@ -409,7 +416,7 @@ export default function BriefView({ profile, onBack, onChat, onNavigate }) {
             <button onClick={() => setCallScriptOpen(false)} style={{ background: "none", border: "none", color: TEXT_DIM, cursor: "pointer", fontSize: 16, padding: 0, lineHeight: 1 }}>✕</button>
           </div>
           {callScriptLoading ? (
-            <p style={{ color: TEXT_DIM, fontSize: 13, margin: 0 }}>Generating script…</p>
+            <p style={{ color: TEXT_DIM, fontSize: 13, margin: 0 }}>{queueLabel(queueStatus) || "Generating script…"}</p>
           ) : (
             <>
               <pre style={{ color: TEXT, fontSize: 13, whiteSpace: "pre-wrap", lineHeight: 1.6, margin: "0 0 12px", background: BG_SURFACE, borderRadius: 8, padding: 12 }}>{callScript}</pre>
@@ -456,3 +463,7 @@ const btnNBA = {
   cursor: "pointer", fontFamily: "'DM Sans', sans-serif", textAlign: "left",
   width: "100%",
 };
+const btnLink = {
+  background: "none", border: "none", padding: 0, color: ACCENT,
+  fontSize: 11, cursor: "pointer", fontFamily: "'DM Sans', sans-serif",
+};
@@ -0,0 +1,73 @@
+import { useState } from "react";
+import { COLUMN_ROLES } from "./column-roles.js";
+import { dataTables } from "./data-tools.js";
+
+// ── Design tokens matching App.jsx ──────────────────────────────
+const ACCENT    = "#0EA5E9";
+const BG_SURFACE= "#1E293B";
+const BORDER    = "#1E3A5F";
+const TEXT      = "#E2E8F0";
+const TEXT_DIM  = "#94A3B8";
+const GREEN     = "#10B981";
+const AMBER     = "#F59E0B";
+
+const SAMPLE_VALUES = 3;
+
+function sampleValues(rows, column) {
+  const values = [];
+  for (const r of rows) {
+    const v = String(r[column] ?? "").trim();
+    if (v && !values.includes(v)) values.push(v);
+    if (values.length >= SAMPLE_VALUES) break;
+  }
+  return values;
+}
+
+// ── Column role mapping for one dataset, shown in the Data tab ──
+// Starts from the roles guessed on upload; onConfirm gets
+// { [table name]: { [column]: role or null } } once the user accepts.
+export default function ColumnMapper({ dataset, onConfirm, onClose }) {
+  const tables = dataTables([dataset]);
+  const [draft, setDraft] = useState(() => structuredClone(dataset.columnRoles ?? {}));
+
+  const setRole = (table, column, role) => {
+    setDraft(d => ({ ...d, [table]: { ...d[table], [column]: role || null } }));
+  };
+
+  return (
+    <div style={{ marginTop: 10, background: BG_SURFACE, border: `1px solid ${dataset.rolesConfirmed ? BORDER : `${AMBER}60`}`, borderRadius: 10, padding: 12 }}>
+      <div style={{ fontSize: 10, fontWeight: 700, letterSpacing: 1.5, color: dataset.rolesConfirmed ? GREEN : AMBER, marginBottom: 4 }}>
+        {dataset.rolesConfirmed ? "COLUMN ROLES CONFIRMED" : "CHECK THE GUESSED COLUMN ROLES"}
+      </div>
+      <p style={{ fontSize: 12, color: TEXT_DIM, margin: "0 0 10px", lineHeight: 1.5 }}>
+        The scan, the chat's data tools and the rule-based checks read columns by these roles — an amount column without the Currency amount role is not counted as exposure.
+      </p>
+
+      {tables.map(t => (
+        <div key={t.name} style={{ marginBottom: 10 }}>
+          {tables.length > 1 && <div style={{ fontSize: 12, fontWeight: 600, color: TEXT, margin: "8px 0 4px" }}>{t.sheet}</div>}
+          {t.headers.map(h => (
+            <div key={h} style={{ display: "flex", alignItems: "center", gap: 10, padding: "5px 0", borderBottom: `1px solid ${BORDER}` }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontSize: 12, color: TEXT, fontWeight: 500 }}>{h}</div>
+                <div style={{ fontSize: 11, color: TEXT_DIM, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                  {sampleValues(t.rows, h).join(" · ") || "(empty)"}
+                </div>
+              </div>
+              <select value={draft[t.name]?.[h] ?? ""} onChange={e => setRole(t.name, h, e.target.value)}
+                style={{ background: "#111827", color: draft[t.name]?.[h] ? TEXT : TEXT_DIM, border: `1px solid ${BORDER}`, borderRadius: 6, padding: "4px 6px", fontSize: 12 }}>
+                <option value="">— No role —</option>
+                {Object.entries(COLUMN_ROLES).map(([role, label]) => <option key={role} value={role}>{label}</option>)}
+              </select>
+            </div>
+          ))}
+        </div>
+      ))}
+
+      <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+        <button onClick={onClose} style={{ background: "none", border: `1px solid ${BORDER}`, borderRadius: 8, padding: "6px 12px", fontSize: 12, color: TEXT_DIM, cursor: "pointer" }}>Close</button>
+        <button onClick={() => onConfirm(draft)} style={{ background: ACCENT, border: "none", borderRadius: 8, padding: "6px 14px", fontSize: 12, fontWeight: 600, color: "#fff", cursor: "pointer" }}>Confirm roles</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,203 @@
+import { useState, useEffect } from "react";
+import { DATABASE_KINDS, fetchConnections, createConnection, updateConnection, deleteConnection, querySource } from "./connections.js";
+
+// ── Design tokens matching App.jsx ──────────────────────────────
+const ACCENT    = "#0EA5E9";
+const BG_CARD   = "#111827";
+const BG_SURFACE= "#1E293B";
+const BORDER    = "#1E3A5F";
+const TEXT      = "#E2E8F0";
+const TEXT_DIM  = "#94A3B8";
+const RED       = "#EF4444";
+
+const EMPTY_CONNECTION = { name: "", kind: "sqlite", path: "", host: "", port: "", database: "", user: "", password: "", ssl: false, sslSkipVerify: false };
+const EMPTY_QUERY = { name: "", sql: "", params: "" };
+
+// ── Live database sources ────────────────────────────────────────
+// Saved connections run on the server; each saved query syncs into a
+// dataset through `onSync(source)`, which resolves once it is in the list.
+// Only users with manage_connections can add or remove connections and queries.
+export default function ConnectionsPanel({ canManage, onSync }) {
+  const [open, setOpen] = useState(false);
+  const [list, setList] = useState(null);
+  const [errorMsg, setErrorMsg] = useState("");
+  const [syncing, setSyncing] = useState(null);
+  const [form, setForm] = useState(null);
+  const [queryFor, setQueryFor] = useState(null);
+  const [queryForm, setQueryForm] = useState(EMPTY_QUERY);
+
+  const refresh = () => fetchConnections()
+    .then(setList)
+    .catch(err => setErrorMsg(err.message || "Could not load connections"));
+
+  useEffect(() => { if (open && !list) refresh(); }, [open]);
+
+  const run = async (action) => {
+    setErrorMsg("");
+    try {
+      await action();
+      await refresh();
+      return true;
+    } catch (err) {
+      setErrorMsg(err.message || "Request failed");
+      return false;
+    }
+  };
+
+  const sync = async (conn, query) => {
+    setSyncing(query.id);
+    await run(() => onSync(querySource(conn, query)));
+    setSyncing(null);
+  };
+
+  const addConnection = async () => {
+    const { name, kind, ...settings } = form;
+    const config = kind === "sqlite" ? { path: settings.path } : { host: settings.host, port: settings.port, database: settings.database, user: settings.user, password: settings.password, ssl: settings.ssl, sslSkipVerify: settings.ssl && settings.sslSkipVerify };
+    if (await run(() => createConnection({ name, kind, config }))) setForm(null);
+  };
+
+  // Parameter values are one per line, for $1, $2… in order
+  const addQuery = async (conn) => {
+    const values = queryForm.params ? queryForm.params.split("\n") : [];
+    const query = { name: queryForm.name, sql: queryForm.sql, params: values.map((value, i) => ({ name: `$${i + 1}`, value })) };
+    if (await run(() => updateConnection(conn.id, { queries: [...conn.queries, query] }))) {
+      setQueryFor(null);
+      setQueryForm(EMPTY_QUERY);
+    }
+  };
+
+  const removeQuery = (conn, id) => run(() => updateConnection(conn.id, { queries: conn.queries.filter(q => q.id !== id) }));
+
+  const queryCount = list?.reduce((n, c) => n + c.queries.length, 0) ?? 0;
+
+  return (
+    <div style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 10, padding: 14, marginBottom: 16 }}>
+      <button onClick={() => setOpen(o => !o)} style={{ background: "none", border: "none", padding: 0, color: TEXT, fontSize: 13, fontWeight: 600, cursor: "pointer", width: "100%", textAlign: "left" }}>
+        {open ? "▾" : "▸"} Databases {list && <span style={{ color: ACCENT, fontWeight: 400 }}>· {list.length} connection{list.length === 1 ? "" : "s"}, {queryCount} saved quer{queryCount === 1 ? "y" : "ies"}</span>}
+      </button>
+      {open && (
+        <>
+          <p style={{ fontSize: 12, color: TEXT_DIM, margin: "8px 0 10px", lineHeight: 1.5 }}>
+            Saved read-only queries run on the server. Each sync brings the result in as a dataset, or as the next version of the one it made last time.
+          </p>
+          {errorMsg && <p style={{ color: RED, fontSize: 12, margin: "0 0 8px" }}>⚠ {errorMsg}</p>}
+          {!list && !errorMsg && <p style={{ color: TEXT_DIM, fontSize: 12, margin: 0 }}>Loading connections…</p>}
+          {list?.length === 0 && <p style={{ color: TEXT_DIM, fontSize: 12, margin: "0 0 8px" }}>No connections yet{canManage ? "" : " — ask the CEO or an executive to add one"}.</p>}
+
+          {list?.map(conn => (
+            <div key={conn.id} style={{ border: `1px solid ${BORDER}`, borderRadius: 8, padding: 10, marginBottom: 8 }}>
+              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ fontSize: 13, fontWeight: 600, color: TEXT }}>{conn.name}</div>
+                  <div style={{ fontSize: 11, color: TEXT_DIM, fontFamily: "'JetBrains Mono', monospace", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                    {DATABASE_KINDS[conn.kind]?.label} · {conn.kind === "sqlite" ? conn.config.path : `${conn.config.user}@${conn.config.host}:${conn.config.port ?? 5432}/${conn.config.database}${conn.config.sslSkipVerify ? " · certificate not checked" : ""}`}
+                  </div>
+                </div>
+                {canManage && <button onClick={() => { setQueryFor(queryFor === conn.id ? null : conn.id); setQueryForm(EMPTY_QUERY); }} style={btnSmall}>Add query</button>}
+                {canManage && <button onClick={() => run(() => deleteConnection(conn.id))} style={{ ...btnSmall, color: RED, borderColor: `${RED}40` }}>Remove</button>}
+              </div>
+              {conn.queries.map(q => (
+                <div key={q.id} style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 8, paddingTop: 8, borderTop: `1px solid ${BORDER}` }}>
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontSize: 12, color: TEXT }}>{q.name}</div>
+                    <div style={{ fontSize: 11, color: TEXT_DIM, fontFamily: "'JetBrains Mono', monospace", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={q.sql}>{q.sql}</div>
+                    {q.params.length > 0 && <div style={{ fontSize: 11, color: TEXT_DIM }}>{q.params.map(p => `${p.name} = ${p.value}`).join(" · ")}</div>}
+                    <div style={{ fontSize: 11, color: TEXT_DIM }}>{q.lastSyncedAt ? `Last synced ${new Date(q.lastSyncedAt).toLocaleString()}` : "Never synced"}</div>
+                  </div>
+                  <button onClick={() => sync(conn, q)} disabled={syncing !== null} style={{ ...btnSmall, color: ACCENT, borderColor: `${ACCENT}40`, opacity: syncing !== null && syncing !== q.id ? 0.4 : 1 }}>
+                    {syncing === q.id ? "Syncing…" : "Sync"}
+                  </button>
+                  {canManage && <button onClick={() => removeQuery(conn, q.id)} style={{ ...btnSmall, color: RED, borderColor: `${RED}40` }}>✕</button>}
+                </div>
+              ))}
+              {queryFor === conn.id && (
+                <div style={{ marginTop: 10 }}>
+                  <label style={{ display: "block", marginBottom: 8 }}>
+                    <span style={labelText}>Query name</span>
+                    <input value={queryForm.name} onChange={e => setQueryForm({ ...queryForm, name: e.target.value })} placeholder="e.g. Open invoices" style={inputStyle}/>
+                  </label>
+                  <label style={{ display: "block", marginBottom: 8 }}>
+                    <span style={labelText}>SQL (one SELECT or WITH statement; $1, $2… for parameters)</span>
+                    <textarea value={queryForm.sql} onChange={e => setQueryForm({ ...queryForm, sql: e.target.value })} rows={4} style={{ ...inputStyle, fontFamily: "'JetBrains Mono', monospace", resize: "vertical" }}/>
+                  </label>
+                  <label style={{ display: "block", marginBottom: 8 }}>
+                    <span style={labelText}>Parameter values, one per line ($1 first)</span>
+                    <textarea value={queryForm.params} onChange={e => setQueryForm({ ...queryForm, params: e.target.value })} rows={2} style={{ ...inputStyle, resize: "vertical" }}/>
+                  </label>
+                  <button onClick={() => addQuery(conn)} disabled={!queryForm.name || !queryForm.sql} style={{ ...btnPrimary, opacity: queryForm.name && queryForm.sql ? 1 : 0.4 }}>Save query</button>
+                </div>
+              )}
+            </div>
+          ))}
+
+          {canManage && !form && <button onClick={() => setForm(EMPTY_CONNECTION)} style={btnSmall}>+ New connection</button>}
+          {canManage && form && (
+            <div style={{ border: `1px solid ${BORDER}`, borderRadius: 8, padding: 10 }}>
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
+                <label style={{ display: "block" }}>
+                  <span style={labelText}>Name</span>
+                  <input value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} placeholder="e.g. Finance warehouse" style={inputStyle}/>
+                </label>
+                <label style={{ display: "block" }}>
+                  <span style={labelText}>Database</span>
+                  <select value={form.kind} onChange={e => setForm({ ...form, kind: e.target.value })} style={inputStyle}>
+                    {Object.entries(DATABASE_KINDS).map(([key, k]) => <option key={key} value={key}>{k.label}</option>)}
+                  </select>
+                </label>
+                {form.kind === "sqlite" ? (
+                  <label style={{ display: "block", gridColumn: "1 / -1" }}>
+                    <span style={labelText}>File path on the server</span>
+                    <input value={form.path} onChange={e => setForm({ ...form, path: e.target.value })} placeholder="/data/finance.sqlite" style={inputStyle}/>
+                  </label>
+                ) : (
+                  <>
+                    {[["host", "Host"], ["port", "Port (5432)"], ["database", "Database name"], ["user", "User"]].map(([key, label]) => (
+                      <label key={key} style={{ display: "block" }}>
+                        <span style={labelText}>{label}</span>
+                        <input value={form[key]} onChange={e => setForm({ ...form, [key]: e.target.value })} style={inputStyle}/>
+                      </label>
+                    ))}
+                    <label style={{ display: "block" }}>
+                      <span style={labelText}>Password</span>
+                      <input type="password" value={form.password} onChange={e => setForm({ ...form, password: e.target.value })} autoComplete="new-password" style={inputStyle}/>
+                    </label>
+                    <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, color: TEXT, alignSelf: "end", paddingBottom: 8 }}>
+                      <input type="checkbox" checked={form.ssl} onChange={e => setForm({ ...form, ssl: e.target.checked })}/> Use SSL
+                    </label>
+                    {form.ssl && (
+                      <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, color: TEXT, gridColumn: "1 / -1" }}>
+                        <input type="checkbox" checked={form.sslSkipVerify} onChange={e => setForm({ ...form, sslSkipVerify: e.target.checked })}/> Skip the certificate check (self-signed certificates only; the connection can then be intercepted)
+                      </label>
+                    )}
+                  </>
+                )}
+              </div>
+              <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+                <button onClick={addConnection} disabled={!form.name} style={{ ...btnPrimary, opacity: form.name ? 1 : 0.4 }}>Test & save</button>
+                <button onClick={() => setForm(null)} style={btnSmall}>Cancel</button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ── Local styles (no shared module available) ─────────────────────
+const inputStyle = {
+  width: "100%", padding: "8px 12px", background: BG_SURFACE, border: `1px solid ${BORDER}`,
+  borderRadius: 10, color: TEXT, fontSize: 13, outline: "none", fontFamily: "'DM Sans', sans-serif",
+  boxSizing: "border-box",
+};
+const btnPrimary = {
+  background: ACCENT, color: "#fff", border: "none", borderRadius: 10,
+  padding: "8px 18px", fontSize: 13, fontWeight: 600, cursor: "pointer",
+  fontFamily: "'DM Sans', sans-serif",
+};
+const btnSmall = {
+  background: BG_SURFACE, color: TEXT_DIM, border: `1px solid ${BORDER}`, borderRadius: 8,
+  padding: "6px 14px", fontSize: 12, fontWeight: 500, cursor: "pointer",
+  fontFamily: "'DM Sans', sans-serif",
+};
+const labelText = { fontSize: 12, color: TEXT_DIM, display: "block", marginBottom: 4 };
@@ -0,0 +1,85 @@
+import { useState, useEffect } from "react";
+import { fetchVersions, diffVersions } from "./dal-storage.js";
+
+// ── Design tokens matching App.jsx ──────────────────────────────
+const ACCENT    = "#0EA5E9";
+const BG_CARD   = "#111827";
+const BG_SURFACE= "#1E293B";
+const BORDER    = "#1E3A5F";
+const TEXT      = "#E2E8F0";
+const TEXT_DIM  = "#94A3B8";
+const GREEN     = "#10B981";
+const RED       = "#EF4444";
+
+function versionLabel(v, isCurrent) {
+  const when = v.archived_at ? new Date(v.archived_at).toLocaleString() : "current";
+  return `v${v.version ?? 1} — ${isCurrent ? "current" : `replaced ${when}`}`;
+}
+
+// ── Version history modal with a field-level diff ───────────────
+export default function DecisionHistory({ entry, onClose }) {
+  const [versions, setVersions] = useState(null);
+  const [errorMsg, setErrorMsg] = useState("");
+  const [fromIdx, setFromIdx]   = useState(0);
+  const [toIdx, setToIdx]       = useState(0);
+
+  useEffect(() => {
+    fetchVersions(entry.id)
+      .then(list => {
+        setVersions(list);
+        // Default to first version vs current: shows all drift since the decision was made
+        setFromIdx(0);
+        setToIdx(list.length - 1);
+      })
+      .catch(err => setErrorMsg(err.message || "Could not load versions"));
+  }, [entry.id]);
+
+  const changes = versions ? diffVersions(versions[fromIdx], versions[toIdx]) : [];
+
+  return (
+    <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.75)", zIndex: 1000, display: "flex", alignItems: "center", justifyContent: "center", padding: 16 }}>
+      <div style={{ background: BG_SURFACE, borderRadius: 16, border: `1px solid ${ACCENT}40`, padding: 24, width: "100%", maxWidth: 640, maxHeight: "85vh", overflowY: "auto" }}>
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 4 }}>
+          <h3 style={{ fontSize: 16, fontWeight: 700, margin: 0, color: TEXT }}>Version History</h3>
+          <button onClick={onClose} style={{ background: "none", border: "none", color: TEXT_DIM, cursor: "pointer", fontSize: 16, padding: 0 }}>✕</button>
+        </div>
+        <p style={{ fontSize: 12, color: TEXT_DIM, margin: "0 0 16px", fontFamily: "'JetBrains Mono', monospace" }}>{entry.id}</p>
+
+        {errorMsg && <p style={{ color: RED, fontSize: 13 }}>{errorMsg}</p>}
+        {!versions && !errorMsg && <p style={{ color: TEXT_DIM, fontSize: 13 }}>Loading versions…</p>}
+
+        {versions && (
+          <>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginBottom: 16 }}>
+              {[["Compare from", fromIdx, setFromIdx], ["To", toIdx, setToIdx]].map(([label, value, set]) => (
+                <label key={label} style={{ display: "block" }}>
+                  <span style={{ fontSize: 12, color: TEXT_DIM, display: "block", marginBottom: 4 }}>{label}</span>
+                  <select value={value} onChange={e => set(parseInt(e.target.value))} style={selectStyle}>
+                    {versions.map((v, i) => <option key={i} value={i}>{versionLabel(v, i === versions.length - 1)}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            {versions.length === 1 && <p style={{ color: TEXT_DIM, fontSize: 13 }}>This decision has not been changed since it was logged.</p>}
+            {versions.length > 1 && changes.length === 0 && <p style={{ color: TEXT_DIM, fontSize: 13 }}>No tracked fields differ between these versions.</p>}
+
+            {changes.map(c => (
+              <div key={c.field} style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 10, padding: "10px 14px", marginBottom: 8 }}>
+                <div style={{ fontSize: 10, fontWeight: 700, letterSpacing: 1, color: TEXT_DIM, marginBottom: 6 }}>{c.label.toUpperCase()}</div>
+                <div style={{ fontSize: 13, color: RED, textDecoration: "line-through", lineHeight: 1.5 }}>{String(c.from) || "(empty)"}</div>
+                <div style={{ fontSize: 13, color: GREEN, lineHeight: 1.5 }}>{String(c.to) || "(empty)"}</div>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const selectStyle = {
+  width: "100%", padding: "8px 12px", background: BG_CARD, border: `1px solid ${BORDER}`,
+  borderRadius: 10, color: TEXT, fontSize: 13, outline: "none", fontFamily: "'DM Sans', sans-serif",
+  boxSizing: "border-box",
+};
@@ -0,0 +1,90 @@
+import { useState } from "react";
+import { signIn, setupFirstUser } from "./session.js";
+
+// ── Design tokens matching App.jsx ──────────────────────────────
+const ACCENT    = "#0EA5E9";
+const BG_DARK   = "#0B1120";
+const BG_CARD   = "#111827";
+const BG_SURFACE= "#1E293B";
+const BORDER    = "#1E3A5F";
+const TEXT      = "#E2E8F0";
+const TEXT_DIM  = "#94A3B8";
+const RED       = "#EF4444";
+
+// ── Sign-in screen; on a fresh server it creates the CEO account ─
+export default function LoginView({ setupRequired, onSignedIn }) {
+  const [form, setForm]       = useState({ username: "", name: "", password: "" });
+  const [busy, setBusy]       = useState(false);
+  const [errorMsg, setErrorMsg] = useState("");
+
+  const ready = form.username && form.password && (!setupRequired || form.name);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!ready) return;
+    setBusy(true);
+    setErrorMsg("");
+    try {
+      const user = setupRequired
+        ? await setupFirstUser(form)
+        : await signIn(form.username, form.password);
+      onSignedIn(user);
+    } catch (err) {
+      setErrorMsg(err.message || "Could not sign in");
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div style={{ background: BG_DARK, minHeight: "100vh", fontFamily: "'DM Sans', sans-serif", color: TEXT, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", padding: 24 }}>
+      <link href="https://fonts.googleapis.com/css2?family=DM+Sans:wght@400;500;600;700&family=JetBrains+Mono:wght@400;500&display=swap" rel="stylesheet"/>
+      <div style={{ maxWidth: 400, width: "100%" }}>
+        <div style={{ textAlign: "center", marginBottom: 32 }}>
+          <div style={{ fontSize: 13, letterSpacing: 4, color: ACCENT, fontWeight: 600, marginBottom: 8 }}>30GENS</div>
+          <h1 style={{ fontSize: 28, fontWeight: 700, margin: 0, lineHeight: 1.2 }}>Decision Accountability OS</h1>
+        </div>
+
+        <form onSubmit={submit} style={{ background: BG_CARD, borderRadius: 16, padding: 32, border: `1px solid ${BORDER}` }}>
+          <h2 style={{ fontSize: 18, fontWeight: 600, marginTop: 0, marginBottom: 8 }}>{setupRequired ? "Create the CEO account" : "Sign in"}</h2>
+          <p style={{ color: TEXT_DIM, fontSize: 13, margin: "0 0 20px" }}>
+            {setupRequired
+              ? "This is a new installation. The first account is the CEO, who can then add the rest of the team."
+              : "Every decision, review and sign-off is recorded under your name."}
+          </p>
+          {setupRequired && (
+            <label style={labelStyle}>
+              <span style={labelText}>Full name</span>
+              <input value={form.name} onChange={e => setForm({...form, name: e.target.value})} placeholder="e.g. Harith Menon" style={inputStyle}/>
+            </label>
+          )}
+          <label style={labelStyle}>
+            <span style={labelText}>Username</span>
+            <input value={form.username} onChange={e => setForm({...form, username: e.target.value})} autoComplete="username" style={inputStyle}/>
+          </label>
+          <label style={{ ...labelStyle, marginBottom: 20 }}>
+            <span style={labelText}>Password{setupRequired ? " (at least 8 characters)" : ""}</span>
+            <input type="password" value={form.password} onChange={e => setForm({...form, password: e.target.value})} autoComplete={setupRequired ? "new-password" : "current-password"} style={inputStyle}/>
+          </label>
+          {errorMsg && <p style={{ color: RED, fontSize: 13, margin: "0 0 12px" }}>⚠ {errorMsg}</p>}
+          <button type="submit" disabled={!ready || busy} style={{ ...btnPrimary, width: "100%", justifyContent: "center", opacity: ready && !busy ? 1 : 0.4 }}>
+            {busy ? "Please wait…" : setupRequired ? "Create account" : "Sign in"}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// ── Local styles (no shared module available) ─────────────────────
+const inputStyle = {
+  width: "100%", padding: "10px 14px", background: BG_SURFACE, border: `1px solid ${BORDER}`,
+  borderRadius: 10, color: TEXT, fontSize: 14, outline: "none", fontFamily: "'DM Sans', sans-serif",
+  boxSizing: "border-box",
+};
+const btnPrimary = {
+  background: ACCENT, color: "#fff", border: "none", borderRadius: 10,
+  padding: "10px 20px", fontSize: 14, fontWeight: 600, cursor: "pointer",
+  display: "flex", alignItems: "center", gap: 6, fontFamily: "'DM Sans', sans-serif",
+};
+const labelStyle = { display: "block", marginBottom: 12 };
+const labelText = { fontSize: 12, color: TEXT_DIM, display: "block", marginBottom: 4 };
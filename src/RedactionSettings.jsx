@@ -0,0 +1,54 @@
+import { useState } from "react";
+import { PII_DETECTORS, REDACTION_REGIONS, redactionSettings, setDetectorEnabled } from "./redaction.js";
+
+// ── Design tokens matching App.jsx ──────────────────────────────
+const BG_CARD   = "#111827";
+const BORDER    = "#1E3A5F";
+const TEXT      = "#E2E8F0";
+const TEXT_DIM  = "#94A3B8";
+const GREEN     = "#10B981";
+
+// ── Which personal data is redacted before a request is sent ────
+// Settings are per workspace and kept in this browser; regional ID
+// formats start on for the workspace's region only.
+export default function RedactionSettings({ region }) {
+  const [open, setOpen] = useState(false);
+  const [enabled, setEnabled] = useState(() => redactionSettings());
+
+  const toggle = (id) => {
+    setDetectorEnabled(id, !enabled[id]);
+    setEnabled(redactionSettings());
+  };
+
+  const groups = [
+    ["Everywhere", Object.keys(PII_DETECTORS).filter(id => !PII_DETECTORS[id].region)],
+    ...Object.entries(REDACTION_REGIONS).map(([r, label]) => [`${label}${r === region ? " (this workspace)" : ""}`, Object.keys(PII_DETECTORS).filter(id => PII_DETECTORS[id].region === r)]),
+  ];
+  const on = Object.values(enabled).filter(Boolean).length;
+
+  return (
+    <div style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 10, padding: 14, marginBottom: 16 }}>
+      <button onClick={() => { setEnabled(redactionSettings()); setOpen(o => !o); }} style={{ background: "none", border: "none", padding: 0, color: TEXT, fontSize: 13, fontWeight: 600, cursor: "pointer", width: "100%", textAlign: "left" }}>
+        {open ? "▾" : "▸"} Personal data redaction <span style={{ color: GREEN, fontWeight: 400 }}>· {on} of {Object.keys(PII_DETECTORS).length} detectors on</span>
+      </button>
+      {open && (
+        <>
+          <p style={{ fontSize: 12, color: TEXT_DIM, margin: "8px 0 10px", lineHeight: 1.5 }}>
+            Matches are replaced with pseudonyms such as [PERSON_3] before anything is sent to the AI service, and shown with the real values here. The same value always gets the same pseudonym in this workspace.
+          </p>
+          {groups.map(([label, ids]) => (
+            <div key={label} style={{ marginBottom: 8 }}>
+              <div style={{ fontSize: 10, fontWeight: 700, letterSpacing: 1.5, color: TEXT_DIM, marginBottom: 4 }}>{label.toUpperCase()}</div>
+              {ids.map(id => (
+                <label key={id} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, color: TEXT, padding: "3px 0", cursor: "pointer" }}>
+                  <input type="checkbox" checked={enabled[id]} onChange={() => toggle(id)}/>
+                  {PII_DETECTORS[id].label}
+                </label>
+              ))}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
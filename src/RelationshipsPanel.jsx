@@ -0,0 +1,73 @@
+import { useState } from "react";
+
+// ── Design tokens matching App.jsx ──────────────────────────────
+const ACCENT    = "#0EA5E9";
+const BG_CARD   = "#111827";
+const BG_SURFACE= "#1E293B";
+const BORDER    = "#1E3A5F";
+const TEXT      = "#E2E8F0";
+const TEXT_DIM  = "#94A3B8";
+const GREEN     = "#10B981";
+const RED       = "#EF4444";
+
+function keyText({ table, column }) {
+  return <><span style={{ color: TEXT }}>{column}</span> in {table}</>;
+}
+
+// ── Relationships between datasets (join-keys.js) ────────────────
+// Suggested join keys wait for a yes or no; confirmed ones become the
+// joined views the scan and chat receive. `views` are the joined views
+// built from the confirmed relationships.
+export default function RelationshipsPanel({ candidates, relationships, views, onConfirm, onReject, onRemove }) {
+  const [open, setOpen] = useState(false);
+  const confirmed = relationships.filter(r => r.status === "confirmed");
+  if (!confirmed.length && !candidates.length) return null;
+
+  return (
+    <div style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 10, padding: 14, marginTop: 8 }}>
+      <button onClick={() => setOpen(o => !o)} style={{ background: "none", border: "none", padding: 0, color: TEXT, fontSize: 13, fontWeight: 600, cursor: "pointer", width: "100%", textAlign: "left" }}>
+        {open ? "▾" : "▸"} Relationships <span style={{ color: candidates.length ? ACCENT : GREEN, fontWeight: 400 }}>· {confirmed.length} confirmed{candidates.length ? `, ${candidates.length} suggested` : ""}</span>
+      </button>
+      {open && (
+        <>
+          <p style={{ fontSize: 12, color: TEXT_DIM, margin: "8px 0 10px", lineHeight: 1.5 }}>
+            Columns in different datasets that share values, such as vendor IDs or project codes. Each confirmed link adds a joined view with one row per shared value, so the scan and chat can combine both sides.
+          </p>
+          {confirmed.map(r => {
+            const view = views.find(v => v.join.id === r.id);
+            return (
+              <div key={r.id} style={{ display: "flex", alignItems: "center", gap: 8, padding: "8px 0", borderTop: `1px solid ${BORDER}`, fontSize: 12, color: TEXT_DIM }}>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div>{keyText(r.left)} <span style={{ color: GREEN }}>↔</span> {keyText(r.right)}</div>
+                  <div style={{ fontSize: 11, marginTop: 2 }}>
+                    {view ? `Joined view "${view.name}" · ${view.join.shared.toLocaleString()} shared values of ${view.totalRows.toLocaleString()}` : "One of these datasets is not connected — no joined view"}
+                  </div>
+                </div>
+                <button onClick={() => onRemove(r.id)} style={{ ...btnSmall, color: RED, borderColor: `${RED}40` }}>Remove</button>
+              </div>
+            );
+          })}
+          {candidates.map(c => (
+            <div key={c.id} style={{ display: "flex", alignItems: "center", gap: 8, padding: "8px 0", borderTop: `1px solid ${BORDER}`, fontSize: 12, color: TEXT_DIM }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div>{keyText(c.left)} <span style={{ color: ACCENT }}>↔?</span> {keyText(c.right)}</div>
+                <div style={{ fontSize: 11, marginTop: 2 }}>
+                  {c.shared.toLocaleString()} shared values · {Math.round(c.coverage * 100)}% of the smaller side · e.g. {c.examples.join(", ")}
+                </div>
+              </div>
+              <button onClick={() => onConfirm(c)} style={{ ...btnSmall, color: GREEN, borderColor: `${GREEN}40` }}>Confirm</button>
+              <button onClick={() => onReject(c)} style={btnSmall}>Not a match</button>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ── Local styles (no shared module available) ─────────────────────
+const btnSmall = {
+  background: BG_SURFACE, color: TEXT_DIM, border: `1px solid ${BORDER}`, borderRadius: 8,
+  padding: "6px 14px", fontSize: 12, fontWeight: 500, cursor: "pointer",
+  fontFamily: "'DM Sans', sans-serif",
+};
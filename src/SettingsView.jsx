@@ -0,0 +1,139 @@
+import { useState, useEffect } from "react";
+import { authHeaders } from "./session.js";
+
+// ── Design tokens matching App.jsx ──────────────────────────────
+const ACCENT    = "#0EA5E9";
+const BG_DARK   = "#0B1120";
+const BG_CARD   = "#111827";
+const BG_SURFACE= "#1E293B";
+const BORDER    = "#1E3A5F";
+const TEXT      = "#E2E8F0";
+const TEXT_DIM  = "#94A3B8";
+const GREEN     = "#10B981";
+const RED       = "#EF4444";
+
+async function settingsApi(path, method = "GET", body) {
+  const resp = await fetch(`/api/models${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(data.error || `Settings API error (${resp.status})`);
+  return data;
+}
+
+// ── Admin settings: which model each AI feature uses ─────────────
+export default function SettingsView() {
+  const [registry, setRegistry] = useState(null); // { backend, models, tasks, defaults }
+  const [drafts, setDrafts]     = useState({});
+  const [errorMsg, setErrorMsg] = useState("");
+  const [savedTask, setSavedTask] = useState(null);
+
+  const load = () => settingsApi("")
+    .then(data => { setRegistry(data); setDrafts(data.tasks); })
+    .catch(err => setErrorMsg(err.message));
+
+  useEffect(() => { load(); }, []);
+
+  const edit = (task, changes) => setDrafts(d => ({ ...d, [task]: { ...d[task], ...changes } }));
+
+  const save = async (task, reset = false) => {
+    setErrorMsg("");
+    try {
+      const { model, max_tokens, allowedModels } = drafts[task];
+      const next = reset
+        ? await settingsApi(`/tasks/${task}`, "DELETE")
+        : await settingsApi(`/tasks/${task}`, "PUT", { model, max_tokens: parseInt(max_tokens), allowedModels });
+      setRegistry(r => ({ ...r, tasks: { ...r.tasks, [task]: next } }));
+      setDrafts(d => ({ ...d, [task]: next }));
+      setSavedTask(task);
+    } catch (err) {
+      setErrorMsg(`${registry.tasks[task].label}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div style={{ flex: 1, overflowY: "auto", padding: 16, background: BG_DARK }}>
+      <h2 style={{ fontSize: 20, fontWeight: 600, margin: "0 0 4px", color: TEXT }}>AI Model Settings</h2>
+      <p style={{ fontSize: 12, color: TEXT_DIM, margin: "0 0 16px" }}>
+        The model and output budget each feature uses. Changes apply to every workspace on this server.
+        {registry && <> Backend: <span style={{ color: TEXT }}>{registry.backend}</span> (set with LLM_BACKEND in .env).</>}
+      </p>
+
+      {errorMsg && <p style={{ color: RED, fontSize: 13, margin: "0 0 12px" }}>⚠ {errorMsg}</p>}
+      {!registry && !errorMsg && <p style={{ color: TEXT_DIM, fontSize: 13 }}>Loading settings…</p>}
+
+      {registry && Object.entries(drafts).map(([task, draft]) => {
+        const current = registry.tasks[task];
+        const isDefault = JSON.stringify(current) === JSON.stringify(registry.defaults[task]);
+        const dirty = JSON.stringify({ ...draft, max_tokens: parseInt(draft.max_tokens) }) !== JSON.stringify(current);
+        const limit = registry.models[draft.model]?.maxOutput;
+        return (
+          <div key={task} style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 12, padding: 16, marginBottom: 12 }}>
+            <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 12 }}>
+              <div>
+                <div style={{ fontSize: 14, fontWeight: 600, color: TEXT }}>{current.label}</div>
+                <div style={{ fontSize: 11, color: TEXT_DIM, fontFamily: "'JetBrains Mono', monospace" }}>task: {task}</div>
+              </div>
+              <span style={{ fontSize: 10, fontWeight: 700, padding: "2px 8px", borderRadius: 20, background: isDefault ? `${TEXT_DIM}20` : `${ACCENT}20`, color: isDefault ? TEXT_DIM : ACCENT }}>
+                {isDefault ? "DEFAULT" : "CUSTOM"}
+              </span>
+            </div>
+            <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr", gap: 12 }}>
+              <label style={{ display: "block" }}>
+                <span style={labelText}>Model</span>
+                <select value={draft.model} onChange={e => edit(task, { model: e.target.value })} style={inputStyle}>
+                  {Object.entries(registry.models).map(([id, m]) => <option key={id} value={id}>{m.label}</option>)}
+                </select>
+              </label>
+              <label style={{ display: "block" }}>
+                <span style={labelText}>Max output tokens (≤ {limit})</span>
+                <input type="number" min="1" max={limit} value={draft.max_tokens} onChange={e => edit(task, { max_tokens: e.target.value })} style={inputStyle}/>
+              </label>
+            </div>
+            <div style={{ marginTop: 10 }}>
+              <span style={labelText}>Requests may also ask for</span>
+              <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+                {Object.entries(registry.models).filter(([id]) => id !== draft.model).map(([id, m]) => (
+                  <label key={id} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: TEXT, cursor: "pointer" }}>
+                    <input
+                      type="checkbox"
+                      checked={draft.allowedModels.includes(id)}
+                      onChange={e => edit(task, { allowedModels: e.target.checked ? [...draft.allowedModels, id] : draft.allowedModels.filter(x => x !== id) })}
+                      style={{ accentColor: ACCENT }}
+                    />
+                    {m.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div style={{ display: "flex", gap: 8, marginTop: 12, alignItems: "center" }}>
+              <button onClick={() => save(task)} disabled={!dirty} style={{ ...btnPrimary, opacity: dirty ? 1 : 0.4 }}>Save</button>
+              {!isDefault && <button onClick={() => save(task, true)} style={btnSmall}>Reset to default</button>}
+              {savedTask === task && !dirty && <span style={{ fontSize: 12, color: GREEN }}>✓ Saved</span>}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ── Local styles (no shared module available) ─────────────────────
+const inputStyle = {
+  width: "100%", padding: "8px 12px", background: BG_SURFACE, border: `1px solid ${BORDER}`,
+  borderRadius: 10, color: TEXT, fontSize: 13, outline: "none", fontFamily: "'DM Sans', sans-serif",
+  boxSizing: "border-box",
+};
+const btnPrimary = {
+  background: ACCENT, color: "#fff", border: "none", borderRadius: 10,
+  padding: "8px 18px", fontSize: 13, fontWeight: 600, cursor: "pointer",
+  fontFamily: "'DM Sans', sans-serif",
+};
+const btnSmall = {
+  background: BG_SURFACE, color: TEXT_DIM, border: `1px solid ${BORDER}`, borderRadius: 8,
+  padding: "6px 14px", fontSize: 12, fontWeight: 500, cursor: "pointer",
+  fontFamily: "'DM Sans', sans-serif",
+};
+const labelText = { fontSize: 12, color: TEXT_DIM, display: "block", marginBottom: 4 };
@@ -0,0 +1,302 @@
+import { useState, useEffect } from "react";
+import { fetchUsage, fetchRedactions, saveBudgets, formatUsd } from "./usage.js";
+import { PII_DETECTORS } from "./redaction.js";
+
+// ── Design tokens matching App.jsx ──────────────────────────────
+const ACCENT    = "#0EA5E9";
+const BG_DARK   = "#0B1120";
+const BG_CARD   = "#111827";
+const BG_SURFACE= "#1E293B";
+const BORDER    = "#1E3A5F";
+const TEXT      = "#E2E8F0";
+const TEXT_DIM  = "#94A3B8";
+const GREEN     = "#10B981";
+const AMBER     = "#F59E0B";
+const RED       = "#EF4444";
+
+const LEVEL_COLOR = { ok: GREEN, warning: AMBER, over: RED, none: TEXT_DIM };
+
+function tokens(n) {
+  return n >= 1e6 ? `${(n / 1e6).toFixed(1)}M` : n >= 1e3 ? `${(n / 1e3).toFixed(1)}k` : String(n);
+}
+
+// ── One budget line: spend against a soft limit ──────────────────
+function BudgetBar({ label, spent, budget, level }) {
+  const pct = budget ? Math.min(100, (spent / budget) * 100) : 0;
+  return (
+    <div style={{ marginBottom: 10 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12, marginBottom: 4 }}>
+        <span style={{ color: TEXT }}>{label}</span>
+        <span style={{ color: LEVEL_COLOR[level] }}>
+          {formatUsd(spent)}{budget ? ` of ${formatUsd(budget)}` : " — no budget"}
+          {level === "warning" && " · nearing limit"}
+          {level === "over" && " · over budget"}
+        </span>
+      </div>
+      {budget && (
+        <div style={{ height: 6, background: BG_SURFACE, borderRadius: 3, overflow: "hidden" }}>
+          <div style={{ width: `${pct}%`, height: "100%", background: LEVEL_COLOR[level] }}/>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ── Breakdown table (feature / user / workspace / model) ─────────
+function Breakdown({ title, rows }) {
+  return (
+    <div style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 12, padding: 16 }}>
+      <div style={{ fontSize: 14, fontWeight: 600, color: TEXT, marginBottom: 10 }}>{title}</div>
+      {rows.length === 0 ? (
+        <p style={{ fontSize: 12, color: TEXT_DIM, margin: 0 }}>No requests.</p>
+      ) : (
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+          <thead>
+            <tr>
+              {["", "Requests", "In", "Out", "Cost"].map(h => <th key={h} style={{ ...cellStyle, color: TEXT_DIM, fontWeight: 500, textAlign: h ? "right" : "left" }}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.key}>
+                <td style={{ ...cellStyle, color: TEXT }}>
+                  {r.label}
+                  {r.estimated > 0 && <span title={`${r.estimated} request(s) with estimated token counts`} style={{ color: TEXT_DIM }}> ≈</span>}
+                </td>
+                <td style={{ ...cellStyle, textAlign: "right" }}>{r.requests}</td>
+                <td style={{ ...cellStyle, textAlign: "right" }}>{tokens(r.input_tokens)}</td>
+                <td style={{ ...cellStyle, textAlign: "right" }}>{tokens(r.output_tokens)}</td>
+                <td style={{ ...cellStyle, textAlign: "right", color: TEXT }}>{formatUsd(r.cost)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+const RECENT_REDACTIONS = 20;
+
+const detectorLabel = (id) => PII_DETECTORS[id]?.label ?? id;
+
+// ── What was redacted from each request before it left the browser ─
+function RedactionAudit({ audit }) {
+  const { totals, entries } = audit;
+  return (
+    <div style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 12, padding: 16, marginTop: 12 }}>
+      <div style={{ fontSize: 14, fontWeight: 600, color: TEXT, marginBottom: 4 }}>Redaction audit</div>
+      <p style={{ fontSize: 12, color: TEXT_DIM, margin: "0 0 10px" }}>
+        {totals.requests} request(s) · {totals.redacted} had personal data replaced by pseudonyms
+        {totals.unredacted > 0 && <span style={{ color: AMBER }}> · {totals.unredacted} arrived without a redaction report</span>}
+      </p>
+      {Object.keys(totals.counts).length > 0 && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 10 }}>
+          {Object.entries(totals.counts).sort((a, b) => b[1] - a[1]).map(([id, n]) => (
+            <span key={id} style={{ fontSize: 11, padding: "3px 10px", borderRadius: 20, background: BG_SURFACE, color: TEXT }}>{detectorLabel(id)}: {n.toLocaleString()}</span>
+          ))}
+        </div>
+      )}
+      {entries.length === 0 ? (
+        <p style={{ fontSize: 12, color: TEXT_DIM, margin: 0 }}>No requests.</p>
+      ) : (
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+          <thead>
+            <tr>
+              {["When", "Person", "Feature", "Redacted"].map(h => <th key={h} style={{ ...cellStyle, color: TEXT_DIM, fontWeight: 500, textAlign: h === "Redacted" ? "right" : "left" }}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {entries.slice(0, RECENT_REDACTIONS).map((e, i) => (
+              <tr key={e.requestId ?? i}>
+                <td style={cellStyle}>{new Date(e.at).toLocaleString()}</td>
+                <td style={{ ...cellStyle, color: TEXT }}>{e.user}</td>
+                <td style={cellStyle}>{e.feature}</td>
+                <td style={{ ...cellStyle, textAlign: "right", color: e.redacted ? TEXT : AMBER }} title={Object.entries(e.counts).map(([id, n]) => `${detectorLabel(id)}: ${n}`).join("\n")}>
+                  {e.redacted ? e.total.toLocaleString() : "no report"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// ── Usage dashboard: tokens and cost of AI features, with budgets ─
+export default function UsageView({ canEditBudgets }) {
+  const [month, setMonth]       = useState(new Date().toISOString().slice(0, 7));
+  const [report, setReport]     = useState(null);
+  const [audit, setAudit]       = useState(null); // redaction audit for the month
+  const [errorMsg, setErrorMsg] = useState("");
+  const [draft, setDraft]       = useState(null); // budget form, as strings
+  const [saved, setSaved]       = useState(false);
+
+  useEffect(() => {
+    setErrorMsg("");
+    fetchUsage(month).then(setReport).catch(err => setErrorMsg(err.message));
+    fetchRedactions(month).then(setAudit).catch(err => setErrorMsg(err.message));
+  }, [month]);
+
+  const openBudgetForm = () => {
+    const { budgets, workspaces } = report;
+    setSaved(false);
+    setDraft({
+      workspaces: Object.fromEntries(workspaces.map(w => [w.id, budgets.workspaces[w.id] ?? ""])),
+      perUser: budgets.perUser ?? "",
+      warnAt: budgets.warnAt,
+    });
+  };
+
+  const submitBudgets = async () => {
+    setErrorMsg("");
+    const amount = (v) => (v === "" || v === null ? null : parseFloat(v));
+    try {
+      await saveBudgets({
+        workspaces: Object.fromEntries(Object.entries(draft.workspaces).map(([id, v]) => [id, amount(v)])),
+        perUser: amount(draft.perUser),
+        warnAt: parseInt(draft.warnAt),
+      });
+      setReport(await fetchUsage(month));
+      setDraft(null);
+      setSaved(true);
+    } catch (err) {
+      setErrorMsg(err.message);
+    }
+  };
+
+  const maxDay = Math.max(0, ...(report?.byDay ?? []).map(d => d.cost));
+
+  return (
+    <div style={{ flex: 1, overflowY: "auto", padding: 16, background: BG_DARK }}>
+      <div style={{ display: "flex", alignItems: "flex-start", justifyContent: "space-between", gap: 12, marginBottom: 16 }}>
+        <div>
+          <h2 style={{ fontSize: 20, fontWeight: 600, margin: "0 0 4px", color: TEXT }}>AI Usage</h2>
+          <p style={{ fontSize: 12, color: TEXT_DIM, margin: 0 }}>
+            Tokens and cost of every AI request, by feature, person and workspace. Budgets are soft limits — requests are never blocked.
+          </p>
+        </div>
+        <input type="month" value={month} onChange={e => e.target.value && setMonth(e.target.value)} style={{ ...inputStyle, width: 160 }}/>
+      </div>
+
+      {errorMsg && <p style={{ color: RED, fontSize: 13, margin: "0 0 12px" }}>⚠ {errorMsg}</p>}
+      {!report && !errorMsg && <p style={{ color: TEXT_DIM, fontSize: 13 }}>Loading usage…</p>}
+
+      {report && (
+        <>
+          {/* Totals */}
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(140px, 1fr))", gap: 12, marginBottom: 12 }}>
+            {[
+              ["Cost", formatUsd(report.totals.cost)],
+              ["Requests", report.totals.requests],
+              ["Input tokens", tokens(report.totals.input_tokens)],
+              ["Output tokens", tokens(report.totals.output_tokens)],
+            ].map(([label, value]) => (
+              <div key={label} style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 12, padding: 16 }}>
+                <div style={{ fontSize: 11, color: TEXT_DIM, marginBottom: 4 }}>{label}</div>
+                <div style={{ fontSize: 22, fontWeight: 700, color: TEXT, fontFamily: "'JetBrains Mono', monospace" }}>{value}</div>
+              </div>
+            ))}
+          </div>
+          {report.totals.estimated > 0 && (
+            <p style={{ fontSize: 11, color: TEXT_DIM, margin: "0 0 12px" }}>
+              ≈ {report.totals.estimated} of {report.totals.requests} request(s) came from a backend that does not report usage; their token counts are estimated from text length.
+            </p>
+          )}
+
+          {/* Daily spend */}
+          {report.byDay.length > 0 && (
+            <div style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 12, padding: 16, marginBottom: 12 }}>
+              <div style={{ fontSize: 14, fontWeight: 600, color: TEXT, marginBottom: 10 }}>Daily spend</div>
+              <div style={{ display: "flex", alignItems: "flex-end", gap: 4, height: 80 }}>
+                {report.byDay.map(d => (
+                  <div key={d.key} title={`${d.key}: ${formatUsd(d.cost)}, ${d.requests} request(s)`} style={{ flex: 1, minWidth: 4, height: `${maxDay ? Math.max(4, (d.cost / maxDay) * 100) : 4}%`, background: ACCENT, borderRadius: 2 }}/>
+                ))}
+              </div>
+              <div style={{ display: "flex", justifyContent: "space-between", fontSize: 10, color: TEXT_DIM, marginTop: 4 }}>
+                <span>{report.byDay[0].key}</span>
+                <span>{report.byDay[report.byDay.length - 1].key}</span>
+              </div>
+            </div>
+          )}
+
+          {/* Budgets */}
+          <div style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 12, padding: 16, marginBottom: 12 }}>
+            <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 10 }}>
+              <div style={{ fontSize: 14, fontWeight: 600, color: TEXT }}>Monthly budgets</div>
+              {canEditBudgets && !draft && <button onClick={openBudgetForm} style={btnSmall}>Edit budgets</button>}
+              {saved && !draft && <span style={{ fontSize: 12, color: GREEN }}>✓ Saved</span>}
+            </div>
+
+            {!draft && (
+              <>
+                {report.workspaces.map(w => {
+                  const row = report.byWorkspace.find(r => r.key === w.id);
+                  const budget = report.budgets.workspaces[w.id] ?? null;
+                  const spent = row?.cost ?? 0;
+                  const level = row?.level ?? (budget ? "ok" : "none");
+                  return <BudgetBar key={w.id} label={w.name} spent={spent} budget={budget} level={level}/>;
+                })}
+                {report.budgets.perUser && report.byUser.map(u => (
+                  <BudgetBar key={u.key} label={`${u.label} (per-person budget)`} spent={u.cost} budget={u.budget} level={u.level}/>
+                ))}
+                <p style={{ fontSize: 11, color: TEXT_DIM, margin: "8px 0 0" }}>Warnings start at {report.budgets.warnAt}% of a budget.</p>
+              </>
+            )}
+
+            {draft && (
+              <div>
+                {report.workspaces.map(w => (
+                  <label key={w.id} style={{ display: "grid", gridTemplateColumns: "1fr 160px", gap: 12, alignItems: "center", marginBottom: 8 }}>
+                    <span style={{ fontSize: 12, color: TEXT }}>{w.name}</span>
+                    <input type="number" min="0" step="1" placeholder="No budget" value={draft.workspaces[w.id]} onChange={e => setDraft(d => ({ ...d, workspaces: { ...d.workspaces, [w.id]: e.target.value } }))} style={inputStyle}/>
+                  </label>
+                ))}
+                <label style={{ display: "grid", gridTemplateColumns: "1fr 160px", gap: 12, alignItems: "center", marginBottom: 8 }}>
+                  <span style={{ fontSize: 12, color: TEXT }}>Each person, per month (USD)</span>
+                  <input type="number" min="0" step="1" placeholder="No budget" value={draft.perUser} onChange={e => setDraft(d => ({ ...d, perUser: e.target.value }))} style={inputStyle}/>
+                </label>
+                <label style={{ display: "grid", gridTemplateColumns: "1fr 160px", gap: 12, alignItems: "center", marginBottom: 12 }}>
+                  <span style={{ fontSize: 12, color: TEXT }}>Warn at (% of budget)</span>
+                  <input type="number" min="1" max="100" value={draft.warnAt} onChange={e => setDraft(d => ({ ...d, warnAt: e.target.value }))} style={inputStyle}/>
+                </label>
+                <div style={{ display: "flex", gap: 8 }}>
+                  <button onClick={submitBudgets} style={btnPrimary}>Save budgets</button>
+                  <button onClick={() => setDraft(null)} style={btnSmall}>Cancel</button>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(320px, 1fr))", gap: 12 }}>
+            <Breakdown title="By feature" rows={report.byFeature}/>
+            <Breakdown title="By person" rows={report.byUser}/>
+            <Breakdown title="By workspace" rows={report.byWorkspace}/>
+            <Breakdown title="By model" rows={report.byModel}/>
+          </div>
+
+          {audit && <RedactionAudit audit={audit}/>}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ── Local styles (no shared module available) ─────────────────────
+const inputStyle = {
+  width: "100%", padding: "8px 12px", background: BG_SURFACE, border: `1px solid ${BORDER}`,
+  borderRadius: 10, color: TEXT, fontSize: 13, outline: "none", fontFamily: "'DM Sans', sans-serif",
+  boxSizing: "border-box",
+};
+const btnPrimary = {
+  background: ACCENT, color: "#fff", border: "none", borderRadius: 10,
+  padding: "8px 18px", fontSize: 13, fontWeight: 600, cursor: "pointer",
+  fontFamily: "'DM Sans', sans-serif",
+};
+const btnSmall = {
+  background: BG_SURFACE, color: TEXT_DIM, border: `1px solid ${BORDER}`, borderRadius: 8,
+  padding: "6px 14px", fontSize: 12, fontWeight: 500, cursor: "pointer",
+  fontFamily: "'DM Sans', sans-serif",
+};
+const cellStyle = { padding: "6px 4px", borderBottom: `1px solid ${BORDER}`, color: TEXT_DIM };
@@ -0,0 +1,132 @@
+import { useState, useEffect } from "react";
+import { fetchUsers, createUser, updateUser } from "./session.js";
+import { ROLES } from "./roles.js";
+
+// ── Design tokens matching App.jsx ──────────────────────────────
+const ACCENT    = "#0EA5E9";
+const BG_DARK   = "#0B1120";
+const BG_CARD   = "#111827";
+const BG_SURFACE= "#1E293B";
+const BORDER    = "#1E3A5F";
+const TEXT      = "#E2E8F0";
+const TEXT_DIM  = "#94A3B8";
+const RED       = "#EF4444";
+
+const EMPTY_FORM = { username: "", name: "", role: "owner", password: "" };
+
+// ── Team management (CEO only) ───────────────────────────────────
+// `onChange` receives the refreshed user list so the rest of the app stays in step.
+export default function UsersView({ currentUser, onChange }) {
+  const [users, setUsers]     = useState(null);
+  const [form, setForm]       = useState(EMPTY_FORM);
+  const [errorMsg, setErrorMsg] = useState("");
+  const [resetFor, setResetFor] = useState(null);
+  const [newPassword, setNewPassword] = useState("");
+
+  const refresh = () => fetchUsers()
+    .then(list => { setUsers(list); onChange?.(list); })
+    .catch(err => setErrorMsg(err.message || "Could not load users"));
+
+  useEffect(() => { refresh(); }, []);
+
+  const run = async (action) => {
+    setErrorMsg("");
+    try {
+      await action();
+      await refresh();
+      return true;
+    } catch (err) {
+      setErrorMsg(err.message || "Request failed");
+      return false;
+    }
+  };
+
+  const addUser = async () => {
+    if (await run(() => createUser(form))) setForm(EMPTY_FORM);
+  };
+
+  const savePassword = async (id) => {
+    if (await run(() => updateUser(id, { password: newPassword }))) {
+      setResetFor(null);
+      setNewPassword("");
+    }
+  };
+
+  return (
+    <div style={{ flex: 1, overflowY: "auto", padding: 16, background: BG_DARK }}>
+      <h2 style={{ fontSize: 20, fontWeight: 600, margin: "0 0 4px", color: TEXT }}>Team</h2>
+      <p style={{ fontSize: 12, color: TEXT_DIM, margin: "0 0 16px" }}>Who can sign in, and what their role lets them do in the Decision Ledger</p>
+
+      {errorMsg && <p style={{ color: RED, fontSize: 13, margin: "0 0 12px" }}>⚠ {errorMsg}</p>}
+      {!users && !errorMsg && <p style={{ color: TEXT_DIM, fontSize: 13 }}>Loading team…</p>}
+
+      {users?.map(u => (
+        <div key={u.id} style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 10, padding: "10px 14px", marginBottom: 8, opacity: u.disabled ? 0.5 : 1 }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+            <div style={{ flex: 1, minWidth: 160 }}>
+              <div style={{ fontSize: 14, color: TEXT, fontWeight: 600 }}>{u.name}{u.id === currentUser?.id && <span style={{ color: TEXT_DIM, fontWeight: 400 }}> (you)</span>}</div>
+              <div style={{ fontSize: 12, color: TEXT_DIM, fontFamily: "'JetBrains Mono', monospace" }}>{u.username}</div>
+            </div>
+            <select value={u.role} onChange={e => run(() => updateUser(u.id, { role: e.target.value }))} style={{ ...inputStyle, width: "auto" }}>
+              {Object.entries(ROLES).map(([key, r]) => <option key={key} value={key}>{r.label}</option>)}
+            </select>
+            <button onClick={() => { setResetFor(resetFor === u.id ? null : u.id); setNewPassword(""); }} style={btnSmall}>Reset password</button>
+            <button onClick={() => run(() => updateUser(u.id, { disabled: !u.disabled }))} style={{ ...btnSmall, color: u.disabled ? ACCENT : RED }}>
+              {u.disabled ? "Re-enable" : "Disable"}
+            </button>
+          </div>
+          {resetFor === u.id && (
+            <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+              <input type="password" value={newPassword} onChange={e => setNewPassword(e.target.value)} placeholder="New password (8+ characters)" autoComplete="new-password" style={inputStyle}/>
+              <button onClick={() => savePassword(u.id)} disabled={newPassword.length < 8} style={{ ...btnPrimary, opacity: newPassword.length >= 8 ? 1 : 0.4 }}>Save</button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {/* Add a user */}
+      <div style={{ background: BG_CARD, border: `1px solid ${BORDER}`, borderRadius: 12, padding: 16, marginTop: 16 }}>
+        <div style={{ fontSize: 11, fontWeight: 700, letterSpacing: 1, color: ACCENT, marginBottom: 12 }}>ADD A TEAM MEMBER</div>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+          <label style={{ display: "block" }}>
+            <span style={labelText}>Full name</span>
+            <input value={form.name} onChange={e => setForm({...form, name: e.target.value})} style={inputStyle}/>
+          </label>
+          <label style={{ display: "block" }}>
+            <span style={labelText}>Username</span>
+            <input value={form.username} onChange={e => setForm({...form, username: e.target.value})} style={inputStyle}/>
+          </label>
+          <label style={{ display: "block" }}>
+            <span style={labelText}>Role</span>
+            <select value={form.role} onChange={e => setForm({...form, role: e.target.value})} style={inputStyle}>
+              {Object.entries(ROLES).map(([key, r]) => <option key={key} value={key}>{r.label}</option>)}
+            </select>
+          </label>
+          <label style={{ display: "block" }}>
+            <span style={labelText}>Initial password</span>
+            <input type="password" value={form.password} onChange={e => setForm({...form, password: e.target.value})} autoComplete="new-password" style={inputStyle}/>
+          </label>
+        </div>
+        <button onClick={addUser} disabled={!form.name || !form.username || form.password.length < 8} style={{ ...btnPrimary, marginTop: 12, opacity: form.name && form.username && form.password.length >= 8 ? 1 : 0.4 }}>Add user</button>
+      </div>
+    </div>
+  );
+}
+
+// ── Local styles (no shared module available) ─────────────────────
+const inputStyle = {
+  width: "100%", padding: "8px 12px", background: BG_SURFACE, border: `1px solid ${BORDER}`,
+  borderRadius: 10, color: TEXT, fontSize: 13, outline: "none", fontFamily: "'DM Sans', sans-serif",
+  boxSizing: "border-box",
+};
+const btnPrimary = {
+  background: ACCENT, color: "#fff", border: "none", borderRadius: 10,
+  padding: "8px 18px", fontSize: 13, fontWeight: 600, cursor: "pointer",
+  fontFamily: "'DM Sans', sans-serif",
+};
+const btnSmall = {
+  background: BG_SURFACE, color: TEXT_DIM, border: `1px solid ${BORDER}`, borderRadius: 8,
+  padding: "6px 14px", fontSize: 12, fontWeight: 500, cursor: "pointer",
+  fontFamily: "'DM Sans', sans-serif",
+};
+const labelText = { fontSize: 12, color: TEXT_DIM, display: "block", marginBottom: 4 };
@@ -0,0 +1,69 @@
+// Calls to /api/claude. The server queues, rate limits and retries them;
+// this tags each call with a request id and polls where it stands while
+// it waits, so screens can say "3rd in queue" instead of hanging.
+// Personal data in the prompt is pseudonymised first (redaction.js); the
+// server logs the redaction report, and callers reidentify what they show.
+import { authHeaders } from "./session.js";
+import { redactRequest } from "./redaction.js";
+
+const FIRST_POLL_MS = 400; // most calls start at once, so don't poll for those
+const POLL_MS = 1000;
+
+function newRequestId() {
+  return globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function ordinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : ({ 1: "st", 2: "nd", 3: "rd" }[n % 10] ?? "th");
+  return `${n}${suffix}`;
+}
+
+// Short text for a queue status, or null when there is nothing worth showing
+export function queueLabel(status) {
+  if (status?.state === "queued") return `${ordinal(status.position)} in queue`;
+  if (status?.state === "retrying") return `AI service busy — retrying in ${Math.ceil(status.retryIn / 1000)}s`;
+  return null;
+}
+
+// POSTs body to /api/claude and resolves to the Response. onQueue gets each
+// queue status while the call is pending, then null. The timeout only counts
+// time the server spends working on the call, not time spent in the queue.
+export async function postClaude(body, { onQueue, timeoutMs = 90000 } = {}) {
+  const requestId = newRequestId();
+  const { body: redacted, report } = redactRequest(body);
+  const controller = new AbortController();
+  let timeout = setTimeout(() => controller.abort(), timeoutMs);
+  let pending = true;
+  let pollTimer = null;
+
+  const poll = async () => {
+    try {
+      const status = await (await fetch(`/api/claude/queue/${requestId}`, { headers: authHeaders() })).json();
+      if (!pending) return;
+      if (status.state === "queued" || status.state === "retrying") {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => controller.abort(), timeoutMs);
+      }
+      onQueue?.(status);
+    } catch { /* the call itself will report any real failure */ }
+    if (pending) pollTimer = setTimeout(poll, POLL_MS);
+  };
+  pollTimer = setTimeout(poll, FIRST_POLL_MS);
+
+  try {
+    return await fetch("/api/claude", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...authHeaders() },
+      body: JSON.stringify({ ...redacted, redaction: report, requestId }),
+      signal: controller.signal,
+    });
+  } catch (err) {
+    if (err.name === "AbortError") throw new Error("Request timed out. Please try again.");
+    throw err;
+  } finally {
+    pending = false;
+    clearTimeout(pollTimer);
+    clearTimeout(timeout);
+    onQueue?.(null);
+  }
+}
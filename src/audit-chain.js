@@ -0,0 +1,77 @@
+// ═══════════════════════════════════════════════════════════════
+// Hash-chained audit records — shared by the browser and server/
+// Each record carries the SHA-256 of the entity snapshot and of the
+// record before it, so any edit, insert or deletion breaks the chain.
+// Uses Web Crypto, available in browsers and in Node 20+.
+// ═══════════════════════════════════════════════════════════════
+
+export const GENESIS_HASH = "0".repeat(64);
+
+// JSON with object keys sorted at every level, so equal data always hashes equally
+export function stableStringify(value) {
+  if (value === null || typeof value !== "object") return JSON.stringify(value ?? null);
+  if (Array.isArray(value)) return `[${value.map(v => stableStringify(v === undefined ? null : v)).join(",")}]`;
+  const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+  return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+}
+
+export async function sha256(text) {
+  const digest = await globalThis.crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// The import fields are undefined on ordinary records, and stableStringify
+// leaves undefined keys out, so adding them did not change existing hashes
+function hashedFields(record) {
+  const { seq, ts, actor, entityId, action, version, snapshotHash, prevHash, importedBy, importedAt, originalTs, originalActor } = record;
+  return { seq, ts, actor, entityId, action, version, snapshotHash, prevHash, importedBy, importedAt, originalTs, originalActor };
+}
+
+// Seal a new record onto the end of the chain whose last record is `prev`.
+// Records imported from a browser also carry who imported them and when,
+// beside the time and actor the browser claimed.
+export async function sealRecord(prev, { ts, actor, entityId, action, version, snapshot, importedBy, importedAt, originalTs, originalActor }) {
+  const record = {
+    seq: prev ? prev.seq + 1 : 1,
+    ts,
+    actor: actor ?? null,
+    entityId,
+    action,
+    version: version ?? null,
+    snapshot: snapshot ?? null,
+    snapshotHash: await sha256(stableStringify(snapshot ?? null)),
+    prevHash: prev ? prev.hash : GENESIS_HASH,
+    importedBy,
+    importedAt,
+    originalTs,
+    originalActor,
+  };
+  record.hash = await sha256(stableStringify(hashedFields(record)));
+  return record;
+}
+
+// Walk the chain and report every record that does not line up.
+// Returns { ok, checked, breaks: [{ index, seq, reason }] }
+export async function verifyChain(records) {
+  const breaks = [];
+  let prev = null;
+  let begun = false;
+  for (let i = 0; i < records.length; i++) {
+    const r = records[i];
+    const flag = (reason) => breaks.push({ index: i, seq: r.seq ?? null, reason });
+    if (r.hash || r.seq != null) begun = true;
+    if (!r.hash) {
+      // Records from before the chain are sealed on the first append; an
+      // unsealed one after that had its seal stripped
+      flag(begun ? "Seal was removed from a record after the chain began" : "Record is not sealed");
+    } else {
+      const expectedSeq = prev?.seq != null ? prev.seq + 1 : 1;
+      if (r.seq !== expectedSeq) flag(`Sequence jumps from ${expectedSeq - 1} to ${r.seq}`);
+      if (r.prevHash !== (prev ? prev.hash : GENESIS_HASH)) flag("Previous-record hash does not match");
+      if (r.snapshotHash !== await sha256(stableStringify(r.snapshot ?? null))) flag("Entity snapshot was altered");
+      if (r.hash !== await sha256(stableStringify(hashedFields(r)))) flag("Record contents were altered");
+    }
+    prev = r;
+  }
+  return { ok: breaks.length === 0, checked: records.length, breaks };
+}
@@ -0,0 +1,93 @@
+// ═══════════════════════════════════════════════════════════════
+// Column roles — what each column of an uploaded table stands for
+// The local detectors (detectors.js) need to know which column holds the
+// amount, the date or the status before they can apply a rule. Roles are
+// guessed from the column name and a sample of its values on upload, then
+// confirmed or corrected in the Data tab; confirmed mappings are reused
+// when the same export is uploaded again.
+// ═══════════════════════════════════════════════════════════════
+import { toNumber, toDate, dataTables } from "./data-tools.js";
+
+export const COLUMN_ROLES = {
+  date:        "Date",
+  amount:      "Currency amount",
+  days:        "Age in days",
+  utilisation: "Utilisation %",
+  id:          "Entity ID",
+  category:    "Category",
+  status:      "Status",
+};
+
+const ROLE_SAMPLE = 200; // values inspected per column
+
+const DATE_NAME = /date|time|created|opened|raised|issued|due|period|month|day$/i;
+const AMOUNT_NAME = /amount|value|cost|price|total|revenue|balance|spend|fee|sales|payable|receivable|invoice|paid|outstanding/i;
+const DAYS_NAME = /days|ageing|aging|(^|[\s_-])age($|[\s_-])/i;
+const UTIL_NAME = /util|capacity|load|occupancy/i;
+const ID_NAME = /(^|[\s_-])(id|no|num|number|ref|code)$|^id|#/i;
+const STATUS_NAME = /status|stage|state|outcome|resolution/i;
+
+// { [column]: role or null } for one table ({ headers, rows })
+export function inferColumnRoles(table) {
+  return Object.fromEntries(table.headers.map(h => [h, inferRole(table.rows, h)]));
+}
+
+function inferRole(rows, column) {
+  const values = [];
+  for (const r of rows) {
+    const v = r[column];
+    if (v !== null && v !== undefined && String(v).trim() !== "") values.push(v);
+    if (values.length >= ROLE_SAMPLE) break;
+  }
+  if (!values.length) return null;
+  const share = (test) => values.filter(test).length / values.length;
+  const numeric = share(v => toNumber(v) !== null) >= 0.8;
+  const distinct = new Set(values.map(v => String(v).trim().toLowerCase())).size / values.length;
+
+  // Excel serial dates are plain numbers, so a numeric column is only a date by name
+  if (share(v => toDate(v) !== null) >= 0.8 && (!numeric || DATE_NAME.test(column))) return "date";
+  if (numeric) {
+    if (UTIL_NAME.test(column) || share(v => /%\s*$/.test(String(v))) >= 0.5) return "utilisation";
+    if (DAYS_NAME.test(column)) return "days";
+    if (ID_NAME.test(column)) return "id";
+    if (AMOUNT_NAME.test(column) || share(v => /^\s*(RM|USD|AED|KES|SGD|\$|€|£)/i.test(String(v))) >= 0.5) return "amount";
+    return null;
+  }
+  if (ID_NAME.test(column) && distinct >= 0.9) return "id";
+  if (STATUS_NAME.test(column)) return "status";
+  if (distinct === 1 && values.length >= 10 && values.every(v => /^[A-Z]{1,6}[-/]?\d+$/i.test(String(v).trim()))) return "id";
+  if (distinct <= 0.5 || new Set(values.map(v => String(v).trim().toLowerCase())).size <= 20) return "category";
+  return null;
+}
+
+// First column with a role, preferring names that match `prefer`
+export function columnWithRole(roles, role, prefer) {
+  const columns = Object.keys(roles).filter(c => roles[c] === role);
+  return (prefer && columns.find(c => prefer.test(c))) || columns[0] || null;
+}
+
+// Saved mappings are keyed by table and columns, so a changed export is mapped afresh
+export function mappingKey(table) {
+  return `${table.name}|${table.headers.join("|")}`;
+}
+
+// The dataset with columnRoles ({ [table name]: { [column]: role } }) set:
+// a mapping saved for the same table wins, anything else is inferred.
+// rolesConfirmed is true when every table came from a saved mapping.
+export function withColumnRoles(ds, saved = {}) {
+  const tables = dataTables([{ ...ds, columnRoles: null }]);
+  if (!tables.length) return ds;
+  const columnRoles = {};
+  let rolesConfirmed = true;
+  for (const t of tables) {
+    columnRoles[t.name] = saved[mappingKey(t)] ?? inferColumnRoles(t);
+    if (!saved[mappingKey(t)]) rolesConfirmed = false;
+  }
+  return { ...ds, columnRoles, rolesConfirmed };
+}
+
+// "invoice_date = Date, amount = Currency amount" for a prompt; "" when nothing is mapped
+export function rolesLine(roles) {
+  const mapped = Object.entries(roles ?? {}).filter(([, role]) => role);
+  return mapped.length ? `Column roles: ${mapped.map(([c, role]) => `${c} = ${COLUMN_ROLES[role]}`).join(", ")}` : "";
+}
@@ -0,0 +1,66 @@
+// Saved database connections (server/connections.js) and the datasets their queries produce.
+import { authHeaders } from "./session.js";
+import { workspaceApiPath } from "./workspace.js";
+
+async function connectionsApi(path, method = "GET", body) {
+  const resp = await fetch(workspaceApiPath(`/connections${path}`), {
+    method,
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(data.error || `Connections API error (${resp.status})`);
+  return data;
+}
+
+export const DATABASE_KINDS = {
+  sqlite:   { label: "SQLite file" },
+  postgres: { label: "PostgreSQL" },
+};
+
+export function fetchConnections() {
+  return connectionsApi("");
+}
+
+// { name, kind, config, queries? } — the server checks it can connect first
+export function createConnection(connection) {
+  return connectionsApi("", "POST", connection);
+}
+
+// Any of { name, config, queries }; queries replace the saved list
+export function updateConnection(id, changes) {
+  return connectionsApi(`/${encodeURIComponent(id)}`, "PUT", changes);
+}
+
+export function deleteConnection(id) {
+  return connectionsApi(`/${encodeURIComponent(id)}`, "DELETE");
+}
+
+// { columns, rows, rowCount, truncated, syncedAt }
+export function runQuery(connectionId, queryId, params) {
+  return connectionsApi(`/${encodeURIComponent(connectionId)}/queries/${encodeURIComponent(queryId)}/run`, "POST", params ? { params } : {});
+}
+
+// Which saved query a dataset comes from; names are kept for labels and prompts
+export function querySource(connection, query) {
+  return { connectionId: connection.id, queryId: query.id, connection: connection.name, query: query.name };
+}
+
+// A query result in the same shape as an uploaded workbook with one sheet.
+// `source` is how a later sync finds the dataset to refresh.
+export function queryDataset(source, result) {
+  return {
+    name: `${source.connection} · ${source.query}`,
+    type: "database",
+    sheets: { [source.query]: { rows: result.rows, headers: result.columns, rowCount: result.rowCount } },
+    sheetNames: [source.query],
+    totalRows: result.rowCount,
+    source,
+    syncedAt: result.syncedAt,
+    warnings: result.truncated ? [`Only the first ${result.rowCount.toLocaleString()} rows were synced; narrow the query to see the rest`] : undefined,
+  };
+}
+
+export function sameSource(a, b) {
+  return !!a && !!b && a.connectionId === b.connectionId && a.queryId === b.queryId;
+}
@@ -1,12 +1,141 @@
+import { verifyChain } from "./audit-chain.js";
+import { authHeaders } from "./session.js";
+import { scopedKey, workspaceApiPath } from "./workspace.js";
+
 const LS_JOURNAL = "dao-journal";
-const LS_AUDIT = "dao-audit-log";
+const LS_AUDIT = "dao-audit-log";          // the audit log from before the server
+const LS_AUDIT_QUEUE = "dao-audit-queue";  // records waiting for the server
+const LS_MIGRATED = "dao-ledger-migrated";
 
 function lsGet(key) {
-  try { return JSON.parse(localStorage.getItem(key)); } catch { return null; }
+  try { return JSON.parse(localStorage.getItem(scopedKey(key))); } catch { return null; }
 }
 
 function lsSet(key, value) {
-  localStorage.setItem(key, JSON.stringify(value));
+  localStorage.setItem(scopedKey(key), JSON.stringify(value));
+}
+
+// Last server-confirmed copy of each entry, so saveJournal only sends what changed
+const synced = new Map();
+
+async function ledgerApi(path, method = "GET", body) {
+  const resp = await fetch(workspaceApiPath(path), {
+    method,
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  if (!resp.ok) {
+    let msg;
+    try { msg = (await resp.json()).error; } catch { msg = null; }
+    const err = new Error(msg || `Ledger API error (${resp.status})`);
+    err.status = resp.status;
+    throw err;
+  }
+  return resp.json();
+}
+
+function markSynced(entry) {
+  synced.set(entry.id, JSON.stringify(entry));
+}
+
+// ─── Decision lifecycle ───
+// Draft → Proposed → Approved → Implementing → Under Review → Closed / Reversed,
+// with Superseded reachable from any live stage via supersedeDecision().
+export const DECISION_STATUSES = ["Draft", "Proposed", "Approved", "Implementing", "Under Review", "Closed", "Reversed", "Superseded"];
+
+export const STATUS_TRANSITIONS = {
+  "Draft": ["Proposed"],
+  "Proposed": ["Approved", "Draft"],
+  "Approved": ["Implementing", "Under Review", "Superseded"],
+  "Implementing": ["Under Review", "Superseded"],
+  "Under Review": ["Closed", "Reversed", "Implementing", "Superseded"],
+  "Closed": [],
+  "Reversed": [],
+  "Superseded": [],
+};
+
+// Statuses written before the lifecycle existed
+const LEGACY_STATUSES = { pending: "Approved", in_progress: "Implementing", Reviewed: "Under Review", resolved: "Closed" };
+
+export function normalizeStatus(status) {
+  if (!status) return "Draft";
+  return LEGACY_STATUSES[status] ?? (DECISION_STATUSES.includes(status) ? status : "Draft");
+}
+
+export function canTransition(from, to) {
+  return STATUS_TRANSITIONS[normalizeStatus(from)].includes(to);
+}
+
+export function isFinalStatus(status) {
+  return STATUS_TRANSITIONS[normalizeStatus(status)].length === 0;
+}
+
+// Decided and in flight — what the review queue and overdue counts care about
+export function awaitsReview(entry) {
+  return ["Approved", "Implementing"].includes(normalizeStatus(entry.status));
+}
+
+// Moves this particular entry may make right now — the lifecycle plus any sign-off gate
+export function allowedTransitions(entry) {
+  const from = normalizeStatus(entry.status);
+  return STATUS_TRANSITIONS[from].filter(to => to !== "Approved" || !entry.approval || approvalState(entry).quorumMet);
+}
+
+// Returns the next version of the entry; throws if the lifecycle does not allow the move
+export function transitionDecision(entry, to, actor) {
+  const from = normalizeStatus(entry.status);
+  if (!canTransition(from, to)) {
+    throw new Error(`A decision cannot move from ${from} to ${to}`);
+  }
+  if (to === "Approved" && entry.approval && !approvalState(entry).quorumMet) {
+    throw new Error(`${entry.id} needs ${entry.approval.quorum} approval(s) before it can be Approved`);
+  }
+  return bumpVersion({
+    ...entry,
+    status: to,
+    status_history: [...(entry.status_history ?? []), { from, to, at: new Date().toISOString(), by: actor ?? null }],
+  });
+}
+
+// ─── Tier 3 sign-off ───
+// A named set of approvers and a quorum. Each approver's latest approve/reject counts;
+// comments are kept on record but do not change a vote.
+export const SIGNOFF_VERDICTS = ["approve", "reject", "comment"];
+
+export function createApproval(approvers, quorum) {
+  const required = [...new Set(approvers.map(a => a.trim()).filter(Boolean))];
+  if (required.length === 0) throw new Error("Tier 3 decisions need at least one named approver");
+  const q = parseInt(quorum);
+  if (!(q >= 1 && q <= required.length)) throw new Error(`Quorum must be between 1 and ${required.length}`);
+  return { required, quorum: q, signoffs: [] };
+}
+
+export function approvalState(entry) {
+  const { required = [], quorum = 0, signoffs = [] } = entry.approval ?? {};
+  const votes = {};
+  signoffs.forEach(s => { if (s.verdict !== "comment") votes[s.approver] = s.verdict; });
+  const approvals = required.filter(a => votes[a] === "approve");
+  const rejections = required.filter(a => votes[a] === "reject");
+  return {
+    votes,
+    approvals,
+    rejections,
+    pending: required.filter(a => !votes[a]),
+    quorumMet: approvals.length >= quorum,
+    // Too many rejections left for the quorum to ever be reached
+    blocked: required.length - rejections.length < quorum,
+  };
+}
+
+// Returns the next version of the entry with the sign-off appended
+export function recordSignoff(entry, approver, verdict, comment = "") {
+  if (!entry.approval) throw new Error(`${entry.id} does not require sign-off`);
+  if (!entry.approval.required.includes(approver)) throw new Error(`${approver} is not an approver on ${entry.id}`);
+  if (!SIGNOFF_VERDICTS.includes(verdict)) throw new Error(`Unknown sign-off verdict: ${verdict}`);
+  if (verdict === "comment" && !comment.trim()) throw new Error("A comment cannot be empty");
+  if (normalizeStatus(entry.status) !== "Proposed") throw new Error(`${entry.id} is no longer awaiting sign-off`);
+  const signoff = { approver, verdict, comment: comment.trim(), at: new Date().toISOString() };
+  return bumpVersion({ ...entry, approval: { ...entry.approval, signoffs: [...entry.approval.signoffs, signoff] } });
 }
 
 export function upgradedDecision(entry) {
@@ -16,7 +145,7 @@ export function upgradedDecision(entry) {
     owner: entry.owner ?? "",
     review_date: entry.review_date ?? "",
     expected_outcome: entry.expected_outcome ?? entry.expected ?? "",
-    status: entry.status ?? "Draft",
+    status: normalizeStatus(entry.status),
     version: entry.version ?? 1,
     reviews: entry.reviews ?? [],
   };
@@ -36,12 +165,125 @@ export function bumpVersion(entry) {
   return { ...entry, version: (entry.version ?? 1) + 1 };
 }
 
-export function logAudit(actor, entityId, action, version) {
-  const existing = lsGet(LS_AUDIT) ?? [];
-  existing.push({ ts: new Date().toISOString(), actor, entityId, action, version });
-  lsSet(LS_AUDIT, existing);
+// Fields compared in the Decision Ledger's version history
+export const VERSIONED_FIELDS = [
+  { field: "statement", label: "Statement" },
+  { field: "tier", label: "Tier" },
+  { field: "owner", label: "Owner" },
+  { field: "review_date", label: "Review date" },
+  { field: "expected_outcome", label: "Expected outcome" },
+  { field: "status", label: "Status" },
+];
+
+export function diffVersions(from, to) {
+  return VERSIONED_FIELDS
+    .filter(({ field }) => String(from?.[field] ?? "") !== String(to?.[field] ?? ""))
+    .map(({ field, label }) => ({ field, label, from: from?.[field] ?? "", to: to?.[field] ?? "" }));
+}
+
+// Every stored version of a decision, oldest first, ending with the current one
+export async function fetchVersions(id) {
+  return ledgerApi(`/decisions/${encodeURIComponent(id)}/versions`);
+}
+
+// The server seals each record into the hash chain together with the entity snapshot,
+// under the signed-in user's name and its own clock. Records that fail to reach the
+// server wait in localStorage and go out again, oldest first, with the same user's
+// next record; sends run one at a time so the queue keeps its order.
+let auditSending = Promise.resolve();
+
+export function logAudit(actor, entityId, action, version, snapshot) {
+  const run = auditSending.then(async () => {
+    const queue = lsGet(LS_AUDIT_QUEUE) ?? [];
+    const pending = [...queue.filter(r => r.actor === actor), { actor, entityId, action, version, snapshot }];
+    let sent = 0;
+    try {
+      for (const r of pending) {
+        await ledgerApi("/audit", "POST", { entityId: r.entityId, action: r.action, version: r.version, snapshot: r.snapshot });
+        sent++;
+      }
+    } catch (e) {
+      console.error("Audit log not saved to server, queued locally:", e);
+    }
+    lsSet(LS_AUDIT_QUEUE, [...queue.filter(r => r.actor !== actor), ...pending.slice(sent)]);
+  });
+  auditSending = run.catch(() => {});
+  return run;
+}
+
+export async function fetchAudit() {
+  return ledgerApi("/audit");
 }
 
-export function saveJournal(array) {
+// Re-checks the chain in the browser, independently of the server's own /audit/verify
+export async function verifyAuditLog(records) {
+  return verifyChain(records);
+}
+
+// localStorage keeps a working copy; the server is the system of record
+export async function saveJournal(array) {
   lsSet(LS_JOURNAL, array);
+  try {
+    for (const entry of [...array].reverse()) {
+      const prev = synced.get(entry.id);
+      if (prev === JSON.stringify(entry)) continue;
+      if (prev === undefined) {
+        try {
+          markSynced(await ledgerApi("/decisions", "POST", entry));
+          continue;
+        } catch (e) {
+          if (e.status !== 409) throw e;
+        }
+      }
+      // The server writes the status history itself when the status changes
+      const { status_history, ...changes } = entry;
+      markSynced(await ledgerApi(`/decisions/${encodeURIComponent(entry.id)}`, "PUT", changes));
+    }
+  } catch (e) {
+    console.error("Journal not saved to server, kept locally:", e);
+  }
+}
+
+export async function supersedeDecision(id, entry) {
+  const result = await ledgerApi(`/decisions/${encodeURIComponent(id)}/supersede`, "POST", { entry });
+  markSynced(result.superseded);
+  markSynced(result.entry);
+  return result;
+}
+
+export async function appendReview(id, review, changes = {}) {
+  const entry = await ledgerApi(`/decisions/${encodeURIComponent(id)}/reviews`, "POST", { ...changes, review });
+  markSynced(entry);
+  return entry;
+}
+
+// Push any browser-only ledger data to the server: the pre-server journal once, and
+// the audit log the browser kept before the server (or queued here in older builds).
+export async function migrateLocalLedger() {
+  const journal = lsGet(LS_MIGRATED) ? [] : (lsGet(LS_JOURNAL) ?? []);
+  const audit = lsGet(LS_AUDIT) ?? [];
+  if (journal.length || audit.length) {
+    await ledgerApi("/migrate", "POST", { journal, audit });
+    localStorage.removeItem(scopedKey(LS_AUDIT));
+  }
+  lsSet(LS_MIGRATED, true);
+}
+
+// Server copy of the journal, or null when the server cannot be reached
+export async function loadJournal() {
+  try {
+    // Read-only roles cannot import; keep their local copy for someone who can
+    const migrated = await migrateLocalLedger().then(() => true, e => {
+      if (e.status === 403) return false;
+      throw e;
+    });
+    const journal = await ledgerApi("/decisions");
+    synced.clear();
+    journal.forEach(markSynced);
+    if (migrated) lsSet(LS_JOURNAL, journal);
+    return journal;
+  } catch (e) {
+    console.error("Could not load journal from server:", e);
+    return null;
+  }
 }
@@ -0,0 +1,224 @@
+// ═══════════════════════════════════════════════════════════════
+// Data quality — can the rows be trusted before they are scanned?
+// Profiles every column of every table locally: blanks, duplicate IDs,
+// date ranges, outliers, values of the wrong type, mixed currencies and
+// how old the latest record is. The Data tab shows the report beside each
+// dataset, and the scan gets it as exact data gaps instead of guessing.
+// ═══════════════════════════════════════════════════════════════
+import { dataTables, toNumber, toDate } from "./data-tools.js";
+import { inferColumnRoles } from "./column-roles.js";
+
+const BLANK_NOTE = 0.05;   // share of blank values worth mentioning…
+const BLANK_WARN = 0.2;    // …and worth a warning
+const OUTLIER_FENCE = 3;   // interquartile ranges beyond the quartiles
+const OUTLIER_MIN_VALUES = 20;
+const STALE_DAYS = 60;     // latest record older than this
+const MAX_EXAMPLES = 3;
+
+const DAY = 86400000;
+
+const CURRENCY_PREFIX = /^\s*(RM|MYR|USD|AED|SAR|QAR|KES|UGX|TZS|SGD|IDR|THB|EUR|GBP|\$|€|£)\s*/i;
+const CURRENCY_SUFFIX = /\s(MYR|USD|AED|SAR|QAR|KES|UGX|TZS|SGD|IDR|THB|EUR|GBP)\s*$/i;
+const CURRENCY_COLUMN = /currency|(^|[\s_-])ccy($|[\s_-])/i;
+
+export const QUALITY_CHECKS = {
+  blanks:         "Blank values",
+  duplicate_keys: "Duplicate IDs",
+  duplicate_rows: "Duplicate rows",
+  outliers:       "Outliers",
+  mixed_types:    "Values of the wrong type",
+  currency_mix:   "Mixed currencies",
+  stale:          "Stale data",
+};
+
+function isBlank(v) {
+  return v === null || v === undefined || String(v).trim() === "";
+}
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function percent(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+function quote(values) {
+  return values.slice(0, MAX_EXAMPLES).map(v => `"${String(v).slice(0, 40)}"`).join(", ");
+}
+
+// "number", "date" or "text" for one value; a date column reads Excel serials as dates
+function valueType(v, role) {
+  if (role === "date") return toDate(v) ? "date" : toNumber(v) !== null ? "number" : "text";
+  if (toNumber(v) !== null) return "number";
+  return toDate(v) ? "date" : "text";
+}
+
+function quantile(sorted, q) {
+  const at = (sorted.length - 1) * q;
+  const lo = Math.floor(at);
+  return sorted[lo] + (sorted[Math.min(lo + 1, sorted.length - 1)] - sorted[lo]) * (at - lo);
+}
+
+function currencyOf(v) {
+  if (typeof v === "number") return null;
+  const s = String(v ?? "");
+  const code = (s.match(CURRENCY_PREFIX) || s.match(CURRENCY_SUFFIX))?.[1];
+  return code ? code.toUpperCase() : null;
+}
+
+function countsText(counts) {
+  return [...counts].sort((a, b) => b[1] - a[1]).map(([k, n]) => `${k} (${n.toLocaleString("en-US")})`).join(", ");
+}
+
+// ── One column ──────────────────────────────────────────────────
+// { column, role, type, blanks, blankRate, distinct, from, to, min, max, outliers }
+// plus the issues it raises
+function profileColumn(table, column, role, issues) {
+  const { rows } = table;
+  const values = rows.map(r => r[column]).filter(v => !isBlank(v));
+  const blanks = rows.length - values.length;
+  const profile = { column, role, type: "text", blanks, blankRate: rows.length ? blanks / rows.length : 0, distinct: new Set(values.map(v => String(v).trim())).size };
+  const issue = (check, severity, text) => issues.push({ check, severity, table: table.name, column, text });
+
+  if (!values.length) {
+    if (rows.length) issue("blanks", "warn", `${column} is empty in every row`);
+    return profile;
+  }
+  if (profile.blankRate >= BLANK_NOTE) {
+    issue("blanks", profile.blankRate >= BLANK_WARN ? "warn" : "note", `${column}: ${percent(profile.blankRate)} blank (${blanks.toLocaleString("en-US")} of ${rows.length.toLocaleString("en-US")} rows)`);
+  }
+
+  // The column's type is what most of its values are; numbers or dates
+  // written as something else cannot be summed, filtered or dated
+  const types = values.map(v => valueType(v, role));
+  const tally = { number: 0, date: 0, text: 0 };
+  types.forEach(t => { tally[t]++; });
+  profile.type = Object.keys(tally).reduce((a, b) => tally[b] > tally[a] ? b : a);
+  if (profile.type !== "text" && tally[profile.type] < values.length) {
+    const odd = values.filter((_, i) => types[i] !== profile.type);
+    issue("mixed_types", odd.length / values.length >= BLANK_WARN ? "warn" : "note", `${column}: ${odd.length.toLocaleString("en-US")} of ${values.length.toLocaleString("en-US")} values ${odd.length === 1 ? "is" : "are"} not ${profile.type === "number" ? "numbers" : "dates"} (e.g. ${quote(odd)})`);
+  }
+
+  if (profile.type === "date") {
+    const times = values.map(v => toDate(v)?.getTime()).filter(t => t !== undefined);
+    profile.from = new Date(times.reduce((a, b) => Math.min(a, b)));
+    profile.to = new Date(times.reduce((a, b) => Math.max(a, b)));
+  }
+
+  if (profile.type === "number" && role !== "id" && role !== "date") {
+    const numbers = values.map(toNumber).filter(n => n !== null).sort((a, b) => a - b);
+    profile.min = numbers[0];
+    profile.max = numbers[numbers.length - 1];
+    if (numbers.length >= OUTLIER_MIN_VALUES) {
+      const q1 = quantile(numbers, 0.25), q3 = quantile(numbers, 0.75);
+      const fence = (q3 - q1) * OUTLIER_FENCE;
+      if (fence > 0) {
+        const outliers = numbers.filter(n => n < q1 - fence || n > q3 + fence);
+        profile.outliers = outliers.length;
+        if (outliers.length) {
+          const extremes = [...new Set([outliers[0], outliers[outliers.length - 1]])].map(n => n.toLocaleString("en-US"));
+          issue("outliers", "note", `${column}: ${outliers.length.toLocaleString("en-US")} value${outliers.length === 1 ? "" : "s"} far outside the usual ${q1.toLocaleString("en-US")}–${q3.toLocaleString("en-US")} (e.g. ${extremes.join(", ")})`);
+        }
+      }
+    }
+  }
+
+  if (role === "id") {
+    const seen = new Map();
+    for (const v of values) {
+      const key = String(v).trim();
+      seen.set(key, (seen.get(key) ?? 0) + 1);
+    }
+    const repeated = [...seen].filter(([, n]) => n > 1);
+    if (repeated.length) {
+      const extra = repeated.reduce((s, [, n]) => s + n - 1, 0);
+      issue("duplicate_keys", "warn", `${column}: ${repeated.length.toLocaleString("en-US")} ID${repeated.length === 1 ? "" : "s"} appear more than once, ${extra.toLocaleString("en-US")} extra row${extra === 1 ? "" : "s"} (e.g. ${quote(repeated.map(([k]) => k))})`);
+    }
+  }
+
+  if (role === "amount") {
+    const currencies = new Map();
+    for (const v of values) {
+      const code = currencyOf(v);
+      if (code) currencies.set(code, (currencies.get(code) ?? 0) + 1);
+    }
+    if (currencies.size > 1) issue("currency_mix", "warn", `${column} mixes currencies: ${countsText(currencies)} — totals add them together unconverted`);
+  }
+  if (CURRENCY_COLUMN.test(column) && profile.distinct > 1 && profile.distinct <= 20) {
+    const codes = new Map();
+    values.forEach(v => { const k = String(v).trim().toUpperCase(); codes.set(k, (codes.get(k) ?? 0) + 1); });
+    issue("currency_mix", "warn", `${column} lists ${codes.size} currencies: ${countsText(codes)} — amounts in this table are not in one currency`);
+  }
+  return profile;
+}
+
+// ── One table ───────────────────────────────────────────────────
+function profileTable(table, now) {
+  const roles = table.roles ?? inferColumnRoles(table);
+  const issues = [];
+  const columns = table.headers.map(h => profileColumn(table, h, roles[h] ?? null, issues));
+
+  const rowTexts = new Set();
+  let duplicateRows = 0;
+  for (const r of table.rows) {
+    const text = JSON.stringify(table.headers.map(h => r[h] ?? ""));
+    if (rowTexts.has(text)) duplicateRows++;
+    else rowTexts.add(text);
+  }
+  if (duplicateRows) {
+    issues.push({ check: "duplicate_rows", severity: "warn", table: table.name, column: null, text: `${duplicateRows.toLocaleString("en-US")} row${duplicateRows === 1 ? " is an exact copy" : "s are exact copies"} of another` });
+  }
+
+  // Staleness from the latest past date in the record-date columns; due
+  // dates in the future say nothing about how fresh the export is
+  const dated = columns.filter(c => c.type === "date" && (c.role === "date" || !Object.values(roles).includes("date")));
+  const past = dated.flatMap(c => table.rows.map(r => toDate(r[c.column])?.getTime()).filter(t => t !== undefined && t <= now));
+  const latest = past.length ? new Date(past.reduce((a, b) => Math.max(a, b))) : null;
+  const ageDays = latest ? Math.floor((now - latest.getTime()) / DAY) : null;
+  if (ageDays !== null && ageDays > STALE_DAYS) {
+    issues.push({ check: "stale", severity: "warn", table: table.name, column: null, text: `The latest record is dated ${isoDay(latest)}, ${ageDays.toLocaleString("en-US")} days ago` });
+  }
+  return { name: table.name, sheet: table.sheet ?? null, rows: table.rows.length, columns, latest, ageDays, issues };
+}
+
+// ── Datasets ────────────────────────────────────────────────────
+// Profiles are cached per dataset object, so a re-render or a change to one
+// dataset does not re-read the others.
+const profiles = new WeakMap();
+
+// { tables, issues, warnings } for one dataset; no tables for text, or for
+// a dataset restored without its rows
+export function profileDataset(ds, now = Date.now()) {
+  const cached = profiles.get(ds);
+  if (cached && Math.abs(cached.at - now) < DAY) return cached.profile;
+  const tables = dataTables([ds]).map(t => profileTable(t, now));
+  const issues = tables.flatMap(t => t.issues);
+  const profile = { tables, issues, warnings: issues.filter(i => i.severity === "warn").length };
+  profiles.set(ds, { at: now, profile });
+  return profile;
+}
+
+// "2 warnings, 3 notes · records to 2026-09-30" for a dataset card
+export function qualitySummary(profile) {
+  if (!profile.tables.length) return null;
+  const notes = profile.issues.length - profile.warnings;
+  const counts = profile.issues.length
+    ? [profile.warnings && `${profile.warnings} warning${profile.warnings === 1 ? "" : "s"}`, notes && `${notes} note${notes === 1 ? "" : "s"}`].filter(Boolean).join(", ")
+    : "no issues found";
+  const latest = profile.tables.map(t => t.latest).filter(Boolean);
+  return latest.length ? `${counts} · records to ${isoDay(new Date(Math.max(...latest)))}` : counts;
+}
+
+// The profiles as a prompt block for the scan: exact data gaps, per table
+export function qualityPrompt(datasets, now = Date.now()) {
+  const tables = datasets.flatMap(ds => profileDataset(ds, now).tables);
+  if (!tables.length) return "";
+  return `DATA QUALITY PROFILE
+Computed locally over every row, so these are facts, not estimates. Put each warning in data_gaps in your own words, lower the confidence of any finding that rests on a flagged column or table, and do not report data-quality problems that are not listed here.
+${tables.map(t => {
+    const ranges = t.columns.filter(c => c.from).map(c => `${c.column} ${isoDay(c.from)} to ${isoDay(c.to)}`);
+    return `[${t.name}] ${t.rows.toLocaleString("en-US")} rows${ranges.length ? ` | ${ranges.join("; ")}` : ""}${t.ageDays !== null ? ` | latest record ${t.ageDays.toLocaleString("en-US")} days old` : ""}
+${t.issues.length ? t.issues.map(i => `- ${i.severity.toUpperCase()} ${QUALITY_CHECKS[i.check]}: ${i.text}`).join("\n") : "- No issues found"}`;
+  }).join("\n")}`;
+}
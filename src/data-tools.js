@@ -0,0 +1,333 @@
+// ═══════════════════════════════════════════════════════════════
+// Data tools — computations the chat model can ask for by tool call
+// They run here in the browser over every parsed row of the uploaded
+// datasets, so totals, averages, rankings and trends come from the full
+// data rather than the few sample rows the model sees in its prompt.
+// ═══════════════════════════════════════════════════════════════
+
+const MAX_ROWS = 100;     // rows a single tool result may return
+const DEFAULT_ROWS = 20;
+const TYPE_SAMPLE = 50;   // values inspected to guess a column's type
+
+const FILTER_OPS = ["=", "!=", ">", ">=", "<", "<=", "contains"];
+const METRIC_OPS = ["count", "sum", "avg", "min", "max"];
+const BUCKETS = ["day", "week", "month", "quarter", "year"];
+
+// ── Reading cell values ─────────────────────────────────────────
+// "RM 1,200", "45%" and "(300)" are numbers; codes like "INV-100" are not
+export function toNumber(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  let s = String(v ?? "").trim().replace(/^(RM|USD|AED|KES|SGD|\$|€|£)\s*/i, "").replace(/%$/, "");
+  const negative = /^\(.*\)$/.test(s);
+  if (negative) s = s.slice(1, -1);
+  if (!/^-?[\d,]*\.?\d+$/.test(s)) return null;
+  const n = Number(s.replace(/,/g, ""));
+  return negative ? -n : n;
+}
+
+// ISO dates, day-first dates (19/10/2026) and Excel serial numbers
+export function toDate(v) {
+  if (typeof v === "number") {
+    return v > 20000 && v < 80000 ? new Date(Math.round((v - 25569) * 86400000)) : null;
+  }
+  const s = String(v ?? "").trim();
+  if (!s) return null;
+  const dmy = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dmy) return new Date(Date.UTC(Number(dmy[3]), Number(dmy[2]) - 1, Number(dmy[1])));
+  // Otherwise only ISO dates or ones naming a month ("19 Oct 2026"); Date.parse accepts too much
+  if (!/^\d{4}-\d{2}-\d{2}/.test(s) && !(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i.test(s) && /\d{4}/.test(s))) return null;
+  const t = Date.parse(s);
+  return Number.isNaN(t) ? null : new Date(t);
+}
+
+function isBlank(v) {
+  return v === null || v === undefined || String(v).trim() === "";
+}
+
+function columnType(rows, column) {
+  const values = [];
+  for (const r of rows) {
+    if (!isBlank(r[column])) values.push(r[column]);
+    if (values.length >= TYPE_SAMPLE) break;
+  }
+  if (!values.length) return "text";
+  if (values.every(v => toNumber(v) !== null)) return "number";
+  if (values.every(v => toDate(v) !== null)) return "date";
+  return "text";
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function bucketOf(date, unit) {
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth();
+  if (unit === "year") return String(y);
+  if (unit === "quarter") return `${y}-Q${Math.floor(m / 3) + 1}`;
+  if (unit === "month") return `${y}-${String(m + 1).padStart(2, "0")}`;
+  if (unit === "week") {
+    // Weeks start on Monday and are labelled by that date
+    const monday = new Date(date);
+    monday.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return `week of ${monday.toISOString().slice(0, 10)}`;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// ── Tables: one per CSV, one per Excel sheet ────────────────────
+// Datasets restored from storage without their rows cannot be queried.
+// roles are the column roles confirmed or guessed on upload (column-roles.js).
+export function dataTables(datasets) {
+  return datasets.flatMap(ds => {
+    if (ds.type === "csv" && Array.isArray(ds.rows)) {
+      return [{ name: ds.name, datasetId: ds.id ?? null, headers: ds.headers || [], rows: ds.rows, roles: ds.columnRoles?.[ds.name] ?? null }];
+    }
+    // Excel workbooks, and the formats parsed into tables (file-parsers.js)
+    if (ds.sheets && ds.sheetNames) {
+      return ds.sheetNames.filter(sn => ds.sheets[sn]?.rows).map(sn => {
+        const name = ds.sheetNames.length === 1 ? ds.name : `${ds.name} / ${sn}`;
+        return { name, sheet: sn, datasetId: ds.id ?? null, headers: ds.sheets[sn].headers, rows: ds.sheets[sn].rows, roles: ds.columnRoles?.[name] ?? null };
+      });
+    }
+    return [];
+  });
+}
+
+function findTable(datasets, name) {
+  const tables = dataTables(datasets);
+  const table = tables.find(t => t.name === name) || tables.find(t => t.name.toLowerCase() === String(name ?? "").toLowerCase());
+  if (!table) throw new Error(`Unknown dataset "${name}". Available: ${tables.map(t => t.name).join(", ")}`);
+  return table;
+}
+
+function checkColumn(table, column) {
+  if (!table.headers.includes(column)) {
+    throw new Error(`Unknown column "${column}" in ${table.name}. Columns: ${table.headers.join(", ")}`);
+  }
+}
+
+// ── Tool definitions sent with each chat request ────────────────
+export function dataTools(datasets) {
+  const tables = dataTables(datasets);
+  if (!tables.length) return [];
+  const catalogue = tables.map(t =>
+    `- ${t.name} (${t.rows.length} rows): ${t.headers.map(h => `${h} (${columnType(t.rows, h)}${t.roles?.[h] ? `; role: ${t.roles[h]}` : ""})`).join(", ")}`
+  ).join("\n");
+  return [
+    {
+      name: "query_dataset",
+      description: `Filter, group and aggregate every row of an uploaded dataset. Use it for totals, averages, counts, rankings (top-N) and trends over time instead of estimating from sample rows. With no metrics and no grouping it returns the matching rows themselves.\nDatasets:\n${catalogue}`,
+      input_schema: {
+        type: "object",
+        properties: {
+          dataset: { type: "string", description: "Dataset name exactly as listed" },
+          filters: {
+            type: "array",
+            description: "Conditions every row must meet",
+            items: {
+              type: "object",
+              properties: {
+                column: { type: "string" },
+                op: { type: "string", enum: FILTER_OPS },
+                value: { type: ["string", "number"] },
+              },
+              required: ["column", "op", "value"],
+            },
+          },
+          group_by: { type: "array", items: { type: "string" }, description: "Columns to group by" },
+          date_bucket: {
+            type: "object",
+            description: "Group by a date column bucketed into periods, e.g. monthly trend",
+            properties: { column: { type: "string" }, unit: { type: "string", enum: BUCKETS } },
+            required: ["column", "unit"],
+          },
+          metrics: {
+            type: "array",
+            description: "Aggregates per group (or over all matching rows). Defaults to count.",
+            items: {
+              type: "object",
+              properties: { op: { type: "string", enum: METRIC_OPS }, column: { type: "string", description: "Not needed for count" } },
+              required: ["op"],
+            },
+          },
+          sort_by: { type: "string", description: "A metric name such as sum_amount, or a column" },
+          order: { type: "string", enum: ["asc", "desc"] },
+          limit: { type: "integer", description: `Rows to return, at most ${MAX_ROWS}` },
+        },
+        required: ["dataset"],
+      },
+    },
+    {
+      name: "describe_column",
+      description: "Profile one column of a dataset: type, blanks, distinct values with counts, and min / max / mean / sum for numbers or earliest / latest for dates. Use it to find the exact values to filter on.",
+      input_schema: {
+        type: "object",
+        properties: { dataset: { type: "string" }, column: { type: "string" } },
+        required: ["dataset", "column"],
+      },
+    },
+  ];
+}
+
+// ── query_dataset ───────────────────────────────────────────────
+function matches(row, { column, op, value }) {
+  const cell = row[column];
+  if (op === "contains") return String(cell ?? "").toLowerCase().includes(String(value).toLowerCase());
+  const a = toNumber(cell), b = toNumber(value);
+  let cmp;
+  if (a !== null && b !== null) cmp = a - b;
+  else {
+    const da = toDate(cell), db = toDate(value);
+    if (da && db) cmp = da - db;
+    else {
+      const sa = String(cell ?? "").trim().toLowerCase(), sb = String(value).trim().toLowerCase();
+      cmp = sa === sb ? 0 : sa < sb ? -1 : 1;
+    }
+  }
+  return { "=": cmp === 0, "!=": cmp !== 0, ">": cmp > 0, ">=": cmp >= 0, "<": cmp < 0, "<=": cmp <= 0 }[op];
+}
+
+function metricName({ op, column }) {
+  return op === "count" ? "count" : `${op}_${column}`;
+}
+
+function aggregate(rows, metrics) {
+  const out = {};
+  for (const m of metrics) {
+    if (m.op === "count") { out.count = rows.length; continue; }
+    const values = rows.map(r => toNumber(r[m.column])).filter(v => v !== null);
+    const sum = values.reduce((s, v) => s + v, 0);
+    out[metricName(m)] = !values.length ? null
+      : m.op === "sum" ? round(sum)
+      : m.op === "avg" ? round(sum / values.length)
+      : m.op === "min" ? values.reduce((a, b) => Math.min(a, b))
+      : values.reduce((a, b) => Math.max(a, b));
+  }
+  return out;
+}
+
+function queryDataset(datasets, input) {
+  const table = findTable(datasets, input.dataset);
+  const filters = input.filters ?? [];
+  const groupBy = input.group_by ?? [];
+  const bucket = input.date_bucket;
+  const metrics = input.metrics?.length ? input.metrics : [{ op: "count" }];
+  const limit = Math.min(MAX_ROWS, Math.max(1, parseInt(input.limit) || DEFAULT_ROWS));
+
+  for (const f of filters) {
+    checkColumn(table, f.column);
+    if (!FILTER_OPS.includes(f.op)) throw new Error(`Unknown filter op "${f.op}". Use one of ${FILTER_OPS.join(", ")}`);
+  }
+  groupBy.forEach(c => checkColumn(table, c));
+  if (bucket) {
+    checkColumn(table, bucket.column);
+    if (!BUCKETS.includes(bucket.unit)) throw new Error(`Unknown date bucket "${bucket.unit}". Use one of ${BUCKETS.join(", ")}`);
+  }
+  for (const m of metrics) {
+    if (!METRIC_OPS.includes(m.op)) throw new Error(`Unknown metric "${m.op}". Use one of ${METRIC_OPS.join(", ")}`);
+    if (m.op !== "count") checkColumn(table, m.column);
+  }
+
+  const rows = table.rows.filter(r => filters.every(f => matches(r, f)));
+  const grouped = groupBy.length > 0 || !!bucket;
+  const aggregated = grouped || !!input.metrics?.length;
+  let result;
+  let undated = 0;
+
+  if (!aggregated) {
+    result = [...rows];
+  } else if (!grouped) {
+    result = [aggregate(rows, metrics)];
+  } else {
+    const groups = new Map();
+    for (const r of rows) {
+      const key = {};
+      groupBy.forEach(c => { key[c] = isBlank(r[c]) ? "(blank)" : r[c]; });
+      if (bucket) {
+        const date = toDate(r[bucket.column]);
+        if (!date) { undated++; continue; }
+        key[`${bucket.column}_${bucket.unit}`] = bucketOf(date, bucket.unit);
+      }
+      const id = JSON.stringify(key);
+      if (!groups.has(id)) groups.set(id, { key, rows: [] });
+      groups.get(id).rows.push(r);
+    }
+    result = [...groups.values()].map(g => ({ ...g.key, ...aggregate(g.rows, metrics) }));
+  }
+
+  // Trends read oldest first; everything else biggest first
+  const bucketKey = bucket && `${bucket.column}_${bucket.unit}`;
+  const sortBy = input.sort_by ?? (bucket && !groupBy.length ? bucketKey : aggregated ? metricName(metrics[0]) : null);
+  if (sortBy) {
+    const order = input.order ?? (sortBy === bucketKey ? "asc" : "desc");
+    const dir = order === "asc" ? 1 : -1;
+    result.sort((x, y) => {
+      const a = toNumber(x[sortBy]), b = toNumber(y[sortBy]);
+      if (a !== null && b !== null) return (a - b) * dir;
+      if (a === null && b === null) return String(x[sortBy] ?? "").localeCompare(String(y[sortBy] ?? "")) * dir;
+      return a === null ? 1 : -1; // blanks last either way
+    });
+  }
+
+  return {
+    dataset: table.name,
+    rows_matched: rows.length,
+    ...(grouped ? { groups: result.length } : {}),
+    ...(undated ? { rows_without_date: undated } : {}),
+    result: result.slice(0, limit),
+    truncated: result.length > limit,
+  };
+}
+
+// ── describe_column ─────────────────────────────────────────────
+function describeColumn(datasets, { dataset, column }) {
+  const table = findTable(datasets, dataset);
+  checkColumn(table, column);
+  const type = columnType(table.rows, column);
+  const counts = new Map();
+  let blank = 0;
+  for (const r of table.rows) {
+    if (isBlank(r[column])) { blank++; continue; }
+    const v = String(r[column]).trim();
+    counts.set(v, (counts.get(v) || 0) + 1);
+  }
+  const out = {
+    dataset: table.name, column, type,
+    rows: table.rows.length, blank, distinct: counts.size,
+    top_values: [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 10).map(([value, count]) => ({ value, count })),
+  };
+  if (type === "number") {
+    const values = table.rows.map(r => toNumber(r[column])).filter(v => v !== null);
+    const sum = values.reduce((s, v) => s + v, 0);
+    Object.assign(out, { min: values.reduce((a, b) => Math.min(a, b)), max: values.reduce((a, b) => Math.max(a, b)), mean: round(sum / values.length), sum: round(sum) });
+  }
+  if (type === "date") {
+    const times = table.rows.map(r => toDate(r[column])?.getTime()).filter(t => t !== undefined);
+    Object.assign(out, { earliest: new Date(times.reduce((a, b) => Math.min(a, b))).toISOString().slice(0, 10), latest: new Date(times.reduce((a, b) => Math.max(a, b))).toISOString().slice(0, 10) });
+  }
+  return out;
+}
+
+// Runs one tool call; failures come back as { error } for the model to correct
+export function runDataTool(name, input, datasets) {
+  try {
+    if (name === "query_dataset") return queryDataset(datasets, input ?? {});
+    if (name === "describe_column") return describeColumn(datasets, input ?? {});
+    return { error: `Unknown tool ${name}` };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// One line for the computation trace, e.g. "sum of amount by vendor in invoices.csv where status = Disputed"
+export function describeToolCall(name, input = {}) {
+  if (name === "describe_column") return `Profile of ${input.column} in ${input.dataset}`;
+  if (name !== "query_dataset") return name;
+  const metrics = (input.metrics?.length ? input.metrics : [{ op: "count" }])
+    .map(m => m.op === "count" ? "count" : `${m.op} of ${m.column}`).join(", ");
+  const by = [...(input.group_by ?? []), ...(input.date_bucket ? [`${input.date_bucket.unit} of ${input.date_bucket.column}`] : [])];
+  const where = (input.filters ?? []).map(f => `${f.column} ${f.op} ${f.value}`).join(" and ");
+  const what = by.length || input.metrics?.length ? `${metrics}${by.length ? ` by ${by.join(", ")}` : ""}` : "Rows";
+  return `${what} in ${input.dataset}${where ? ` where ${where}` : ""}${input.limit ? ` (top ${input.limit})` : ""}`;
+}
@@ -0,0 +1,88 @@
+// ═══════════════════════════════════════════════════════════════
+// Uploaded datasets, kept in this browser's IndexedDB
+// Parsed rows are too large for localStorage, so each dataset is one
+// record in a per-workspace database. syncDatasets writes only what
+// changed since the last sync, the way saveJournal does for the ledger.
+// ═══════════════════════════════════════════════════════════════
+import { scopedKey } from "./workspace.js";
+
+const DB_VERSION = 1;
+const STORE = "datasets";
+
+// Datasets as last written, by id, so a sync can skip the unchanged ones
+const stored = new Map();
+
+export function newDatasetId() {
+  return globalThis.crypto?.randomUUID?.() ?? `ds-${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (!globalThis.indexedDB) return reject(storageError(new Error("This browser has no IndexedDB")));
+    const req = indexedDB.open(scopedKey("dao-datasets"), DB_VERSION);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "id" });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(storageError(req.error));
+  });
+}
+
+// Runs fn(objectStore) in one transaction; once it commits, resolves to
+// the result of the request fn returned, if any
+async function withStore(mode, fn) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const result = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(result?.result);
+      tx.onerror = () => reject(storageError(tx.error));
+      tx.onabort = () => reject(storageError(tx.error));
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// err.quota is set when the browser refused for lack of space
+function storageError(cause) {
+  const quota = cause?.name === "QuotaExceededError";
+  const err = new Error(quota
+    ? "Browser storage is full, so the latest upload will not survive a reload. Delete datasets you no longer need to free space."
+    : `Datasets could not be saved in this browser: ${cause?.message || "storage unavailable"}`);
+  err.quota = quota;
+  return err;
+}
+
+// Every stored dataset of the active workspace, oldest upload first
+export async function loadDatasets() {
+  const list = await withStore("readonly", s => s.getAll());
+  list.sort((a, b) => String(a.addedAt).localeCompare(String(b.addedAt)));
+  stored.clear();
+  list.forEach(ds => stored.set(ds.id, ds));
+  return list;
+}
+
+// Writes added and changed datasets and deletes removed ones. Datasets
+// without an id (names restored from before datasets were stored) are skipped.
+export async function syncDatasets(datasets) {
+  const current = datasets.filter(ds => ds.id);
+  const changed = current.filter(ds => stored.get(ds.id) !== ds);
+  const removed = [...stored.keys()].filter(id => !current.some(ds => ds.id === id));
+  if (!changed.length && !removed.length) return;
+  await withStore("readwrite", s => {
+    changed.forEach(ds => s.put(ds));
+    removed.forEach(id => s.delete(id));
+  });
+  changed.forEach(ds => stored.set(ds.id, ds));
+  removed.forEach(id => stored.delete(id));
+}
+
+// { usage, quota } in bytes for this site, or null when the browser won't say
+export async function storageUsage() {
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch {
+    return null;
+  }
+}
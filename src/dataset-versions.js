@@ -0,0 +1,179 @@
+// ═══════════════════════════════════════════════════════════════
+// Dataset versions — the same export uploaded again, month after month
+// An upload with the name of a connected dataset becomes its next version;
+// one with the same columns only does once the user says so. Each version keeps a small summary (rows, amount
+// totals, detector results) and a row-level diff against the version
+// before, so the scan can say whether a finding is getting better or worse.
+// Only the latest version's rows are kept.
+// ═══════════════════════════════════════════════════════════════
+import { dataTables, toNumber } from "./data-tools.js";
+import { runDetectors, DETECTOR_CATEGORIES } from "./detectors.js";
+import { columnWithRole } from "./column-roles.js";
+
+const MAX_DIFF_EXAMPLES = 5;
+
+function schemaOf(ds) {
+  return dataTables([ds]).map(t => `${t.sheet ?? ""}:${t.headers.join("|")}`).join("\n");
+}
+
+// The connected dataset an upload may be a new version of, as { index, by },
+// or null. `by: "name"` is the same file uploaded again; `by: "columns"` is
+// only a guess, since the exports of two regions share their columns too,
+// so the caller asks before treating it as a version.
+// Only tables are versioned, and only against datasets whose rows were kept.
+export function findPreviousVersion(datasets, upload) {
+  const schema = schemaOf(upload);
+  if (!schema) return null;
+  const candidate = (d) => d.id && d.type === upload.type && dataTables([d]).length > 0;
+  const byName = datasets.findIndex(d => candidate(d) && d.name === upload.name);
+  if (byName !== -1) return { index: byName, by: "name" };
+  const byColumns = datasets.findIndex(d => candidate(d) && schemaOf(d) === schema);
+  return byColumns !== -1 ? { index: byColumns, by: "columns" } : null;
+}
+
+// Summary kept for each version
+function versionSummary(ds, version) {
+  const tables = dataTables([ds]);
+  const amounts = {};
+  for (const t of tables) {
+    for (const col of Object.keys(t.roles ?? {}).filter(c => t.roles[c] === "amount")) {
+      amounts[`${t.sheet ? `${t.sheet} / ` : ""}${col}`] = t.rows.reduce((s, r) => s + (toNumber(r[col]) ?? 0), 0);
+    }
+  }
+  return {
+    version,
+    name: ds.name,
+    addedAt: ds.addedAt,
+    rows: tables.reduce((s, t) => s + t.rows.length, 0),
+    amounts,
+    detections: runDetectors([ds]).map(d => ({ key: d.key, category: d.category, count: d.count, amount: d.amount })),
+  };
+}
+
+// Row-level differences for one table. Rows are matched on the Entity ID
+// column when there is one; without it a changed row counts as one
+// removed and one added.
+function diffTable(before, after) {
+  const idCol = after.roles ? columnWithRole(after.roles, "id") : null;
+  const rowText = (r) => JSON.stringify(after.headers.map(h => r[h] ?? ""));
+  if (idCol && before.headers.includes(idCol)) {
+    const old = new Map(before.rows.map(r => [String(r[idCol] ?? "").trim(), rowText(r)]));
+    const seen = new Set();
+    const added = [], changed = [];
+    for (const r of after.rows) {
+      const id = String(r[idCol] ?? "").trim();
+      seen.add(id);
+      if (!old.has(id)) added.push(id);
+      else if (old.get(id) !== rowText(r)) changed.push(id);
+    }
+    const removed = [...old.keys()].filter(id => !seen.has(id));
+    return {
+      table: after.sheet ?? after.name, matchedOn: idCol,
+      added: added.length, removed: removed.length, changed: changed.length,
+      examples: { added: added.slice(0, MAX_DIFF_EXAMPLES), removed: removed.slice(0, MAX_DIFF_EXAMPLES), changed: changed.slice(0, MAX_DIFF_EXAMPLES) },
+    };
+  }
+  // Without IDs, compare the rows as multisets
+  const counts = new Map();
+  before.rows.forEach(r => { const k = rowText(r); counts.set(k, (counts.get(k) ?? 0) + 1); });
+  let added = 0;
+  for (const r of after.rows) {
+    const k = rowText(r);
+    if (counts.get(k)) counts.set(k, counts.get(k) - 1);
+    else added++;
+  }
+  const removed = [...counts.values()].reduce((s, n) => s + n, 0);
+  return { table: after.sheet ?? after.name, matchedOn: null, added, removed, changed: 0, examples: null };
+}
+
+function diffDatasets(before, after) {
+  const oldTables = dataTables([before]);
+  return dataTables([after]).map(t => {
+    const match = oldTables.find(o => (o.sheet ?? "") === (t.sheet ?? "")) ?? (oldTables.length === 1 ? oldTables[0] : null);
+    return match ? diffTable(match, t) : { table: t.sheet ?? t.name, matchedOn: null, added: t.rows.length, removed: 0, changed: 0, examples: null };
+  });
+}
+
+// The upload as the next version of `previous`: it takes over the id, the
+// version history and, where the columns are unchanged, the confirmed roles.
+export function asNewVersion(previous, upload) {
+  const oldTables = dataTables([previous]);
+  const columnRoles = { ...upload.columnRoles };
+  let rolesConfirmed = upload.rolesConfirmed;
+  if (!rolesConfirmed && previous.rolesConfirmed) {
+    rolesConfirmed = dataTables([upload]).every(t => {
+      const old = oldTables.find(o => (o.sheet ?? "") === (t.sheet ?? "") && o.headers.join("|") === t.headers.join("|"));
+      if (old?.roles) columnRoles[t.name] = old.roles;
+      return !!old?.roles;
+    });
+  }
+  const next = { ...upload, id: previous.id, columnRoles, rolesConfirmed };
+  const history = previous.versions ?? [versionSummary(previous, 1)];
+  const version = history[history.length - 1].version + 1;
+  return { ...next, versions: [...history, { ...versionSummary(next, version), diff: diffDatasets(previous, next) }] };
+}
+
+// A replacement file takes the place of the latest version; with the
+// earlier rows gone, that version has no diff any more.
+export function asReplacement(previous, upload) {
+  if (!previous.versions) return { ...upload, id: previous.id };
+  const history = previous.versions.slice(0, -1);
+  const version = previous.versions[previous.versions.length - 1].version;
+  return { ...upload, id: previous.id, versions: [...history, versionSummary({ ...upload, id: previous.id }, version)] };
+}
+
+// Each detection compared with the same check on the dataset's previous
+// version: trend is "worse", "better", "unchanged" or "new", with `previous`
+// holding the earlier figures. Datasets with one version are left as they are.
+export function withTrends(detections, datasets) {
+  return detections.map(d => {
+    const versions = datasets.find(ds => ds.id && ds.id === d.datasetId)?.versions;
+    if (!versions || versions.length < 2) return d;
+    const before = versions[versions.length - 2];
+    const prior = before.detections.find(p => p.key === d.key);
+    if (!prior) return { ...d, trend: "new", previous: { version: before.version, addedAt: before.addedAt } };
+    const [now, then] = d.amount !== null && prior.amount !== null ? [d.amount, prior.amount] : [d.count, prior.count];
+    return {
+      ...d,
+      trend: now > then ? "worse" : now < then ? "better" : "unchanged",
+      previous: { version: before.version, addedAt: before.addedAt, count: prior.count, amount: prior.amount },
+    };
+  });
+}
+
+// Checks that cleared since the previous version, for the scan to mention
+export function resolvedSincePrevious(detections, datasets) {
+  return datasets.flatMap(ds => {
+    if (!ds.versions || ds.versions.length < 2) return [];
+    const before = ds.versions[ds.versions.length - 2];
+    return before.detections
+      .filter(p => !detections.some(d => d.datasetId === ds.id && d.key === p.key))
+      .map(p => ({ ...p, source: ds.name, previous: { version: before.version, addedAt: before.addedAt } }));
+  });
+}
+
+// Prompt block on what changed in each versioned dataset since its
+// previous upload, including checks that no longer fire; "" when none has versions
+export function datasetChangesPrompt(datasets, detections) {
+  const versioned = datasets.filter(ds => ds.versions?.length > 1);
+  if (!versioned.length) return "";
+  const resolved = resolvedSincePrevious(detections, datasets);
+  const lines = versioned.map(ds => {
+    const [before, latest] = ds.versions.slice(-2);
+    const totals = Object.keys(latest.amounts)
+      .filter(col => col in before.amounts)
+      .map(col => `${col} ${Math.round(before.amounts[col]).toLocaleString()} → ${Math.round(latest.amounts[col]).toLocaleString()}`);
+    return `${ds.name}: v${latest.version} (${latest.addedAt?.slice(0, 10) ?? "?"}) against v${before.version} (${before.addedAt?.slice(0, 10) ?? "?"}) — ${latest.diff ? diffText(latest.diff) : "no row diff (the file was replaced)"}, ${before.rows.toLocaleString()} → ${latest.rows.toLocaleString()} rows${totals.length ? `. Totals: ${totals.join("; ")}` : ""}`;
+  });
+  return `DATASET CHANGES SINCE THE PREVIOUS UPLOAD
+${lines.join("\n")}${resolved.length ? `
+No longer breaching (report these as improvements):
+${resolved.map(p => `- ${DETECTOR_CATEGORIES[p.category]} | ${p.source} | was ${p.count.toLocaleString()} ${p.count === 1 ? "item" : "items"}${p.amount === null ? "" : `, amount ${Math.round(p.amount).toLocaleString()}`} in v${p.previous.version}`).join("\n")}` : ""}`;
+}
+
+// Short text of a version's diff: "+12 added, −4 removed, 7 changed"
+export function diffText(diff) {
+  if (!diff) return "";
+  const total = (field) => diff.reduce((s, t) => s + t[field], 0);
+  return `+${total("added").toLocaleString()} added, −${total("removed").toLocaleString()} removed, ${total("changed").toLocaleString()} changed`;
+}
@@ -0,0 +1,306 @@
+// ═══════════════════════════════════════════════════════════════
+// Local pattern detectors — the Enterprise Scan thresholds as fixed rules
+// Each detector runs over every row of the uploaded tables (and the
+// decision journal), reads columns by their mapped roles, and reports
+// exact counts and amounts. The scan sends these to the model to narrate,
+// so the exposure it reports can be reproduced from the same data.
+// ═══════════════════════════════════════════════════════════════
+import { toNumber, toDate, dataTables } from "./data-tools.js";
+import { inferColumnRoles, columnWithRole } from "./column-roles.js";
+import { normalizeStatus } from "./dal-storage.js";
+
+// Thresholds from SCAN_PROMPT
+const PENDING_DAYS = 30;      // cash traps
+const REPEAT_LIMIT = 3;       // process leaks and recurring failures: more than this…
+const REPEAT_WINDOW_DAYS = 90; // …within this many days
+const UTIL_HIGH = 95;         // capacity mismatches
+const UTIL_LOW = 60;
+const DISCUSSION_LIMIT = 3;   // decision stalls
+
+const DAY = 86400000;
+const MAX_EXAMPLES = 3;
+
+export const DETECTOR_CATEGORIES = {
+  cash_trap:         "Cash trap",
+  process_leak:      "Process leak",
+  capacity_mismatch: "Capacity mismatch",
+  recurring_failure: "Recurring failure",
+  decision_stall:    "Decision stall",
+};
+
+// Statuses that mean the item no longer holds cash or needs action
+const CLOSED_STATUS = /^(paid|closed|complete|completed|resolved|settled|cancell?ed|done|delivered|received|void|written off)$/i;
+// Values that mark rework, exceptions and workarounds
+const EXCEPTION_VALUE = /rework|redo|exception|manual|workaround|override|duplicate|dispute|reject|return|error|correction|adjust|credit note|resubmi|reopen|escalat|write.?off/i;
+// Tables (by name or column) that log incidents
+const INCIDENT_TABLE = /incident|failure|fault|defect|breakdown|downtime|outage|complaint|ticket|issue|claim|nonconform|ncr/i;
+const FAILURE_COLUMN = /type|category|incident|issue|fault|failure|defect|reason|cause|problem|asset|machine|equipment|component/i;
+// Amounts that are held (owed, outstanding), as opposed to costs incurred
+const HELD_AMOUNT = /outstanding|balance|due|amount|invoice|payable|receivable|value|total/i;
+const ENTITY_COLUMN = /vendor|supplier|customer|client|partner|account|resource|staff|employee|site|machine|asset|team|owner/i;
+
+function formatAmount(n) {
+  return Math.round(n).toLocaleString("en-US");
+}
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Most occurrences of the given dates inside any REPEAT_WINDOW_DAYS window
+function busiestWindow(dates) {
+  const sorted = [...dates].sort((a, b) => a - b);
+  let best = { count: 0 }, start = 0;
+  for (let end = 0; end < sorted.length; end++) {
+    while (sorted[end] - sorted[start] > REPEAT_WINDOW_DAYS * DAY) start++;
+    if (end - start + 1 > best.count) best = { count: end - start + 1, from: sorted[start], to: sorted[end] };
+  }
+  return best;
+}
+
+function periodOf(rows, dateCol) {
+  const times = dateCol ? rows.map(r => toDate(r[dateCol])?.getTime()).filter(t => t !== undefined) : [];
+  if (!times.length) return null;
+  // reduce, not Math.min(...times): large tables overflow the argument list
+  return { from: new Date(times.reduce((a, b) => Math.min(a, b))), to: new Date(times.reduce((a, b) => Math.max(a, b))) };
+}
+
+// Names what a detection measured without the file name or dates, so the same
+// check on a later upload of the dataset (a new version) has the same key
+function detectionKey(table, ...parts) {
+  return [table.sheet ?? "", ...parts].join("|");
+}
+
+function rowLabel(row, index, idCol) {
+  return idCol && String(row[idCol] ?? "").trim() ? String(row[idCol]).trim() : `row ${index + 2}`;
+}
+
+// Values of `col` repeating more than REPEAT_LIMIT times within a window
+// (or overall, when the table has no dates) → [{ value, count, rows, from, to }]
+function repeats(rows, col, dateCol, keep) {
+  const byValue = new Map();
+  rows.forEach((r, i) => {
+    const value = String(r[col] ?? "").trim();
+    if (!value || !keep(value)) return;
+    if (!byValue.has(value)) byValue.set(value, []);
+    byValue.get(value).push(i);
+  });
+  const found = [];
+  for (const [value, indexes] of byValue) {
+    const dates = dateCol ? indexes.map(i => toDate(rows[i][dateCol])).filter(Boolean) : [];
+    const window = dates.length ? busiestWindow(dates) : { count: indexes.length };
+    if (window.count > REPEAT_LIMIT) found.push({ value, count: window.count, total: indexes.length, rows: indexes, from: window.from, to: window.to });
+  }
+  return found.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+function windowText(r) {
+  return r.from
+    ? `${r.total} times in all, peaking at ${r.count} between ${isoDay(r.from)} and ${isoDay(r.to)} (within ${REPEAT_WINDOW_DAYS} days)`
+    : `${r.total} times (no dates, so the period is unknown)`;
+}
+
+// ── 1. Cash traps: open items pending more than PENDING_DAYS ─────
+function cashTraps(table, roles) {
+  if (INCIDENT_TABLE.test(table.name)) return [];
+  const amountCol = columnWithRole(roles, "amount", /outstanding|balance|due|amount/i);
+  if (!amountCol || !HELD_AMOUNT.test(amountCol)) return [];
+  const daysCol = columnWithRole(roles, "days", /outstanding|overdue|age/i);
+  const dateCol = daysCol ? null : columnWithRole(roles, "date", /invoice|due|issued|created|opened|date/i);
+  if (!daysCol && !dateCol) return [];
+  const statusCol = columnWithRole(roles, "status");
+  const idCol = columnWithRole(roles, "id");
+  const entityCol = columnWithRole(roles, "category", ENTITY_COLUMN);
+
+  // Ages from a date are counted to the latest date in the table, not today, so a re-run gives the same answer
+  const asOf = dateCol ? periodOf(table.rows, dateCol)?.to : null;
+  const ageOf = (r) => daysCol ? toNumber(r[daysCol]) : (toDate(r[dateCol]) && asOf ? Math.floor((asOf - toDate(r[dateCol])) / DAY) : null);
+  const trapped = [];
+  table.rows.forEach((r, i) => {
+    if (statusCol && CLOSED_STATUS.test(String(r[statusCol] ?? "").trim())) return;
+    const age = ageOf(r);
+    const amount = toNumber(r[amountCol]);
+    if (age !== null && age > PENDING_DAYS && amount) trapped.push({ i, age, amount });
+  });
+  if (!trapped.length) return [];
+
+  const amount = trapped.reduce((s, t) => s + t.amount, 0);
+  const oldest = trapped.reduce((max, t) => Math.max(max, t.age), 0);
+  const largest = [...trapped].sort((a, b) => b.amount - a.amount).slice(0, MAX_EXAMPLES)
+    .map(t => `${rowLabel(table.rows[t.i], t.i, idCol)} (${formatAmount(t.amount)}, ${t.age} days)`);
+  let concentration = "";
+  if (entityCol) {
+    const byEntity = {};
+    trapped.forEach(t => { const e = String(table.rows[t.i][entityCol] ?? "").trim() || "(blank)"; byEntity[e] = (byEntity[e] || 0) + t.amount; });
+    const [top, topAmount] = Object.entries(byEntity).sort((a, b) => b[1] - a[1])[0];
+    concentration = ` ${entityCol} with the most held: ${top} (${formatAmount(topAmount)}, ${Math.round(topAmount / amount * 100)}%).`;
+  }
+  return [{
+    category: "cash_trap",
+    key: detectionKey(table, "cash_trap", amountCol),
+    source: table.name,
+    count: trapped.length,
+    amount,
+    rule: `${statusCol ? `Open (${statusCol} not paid/closed) items` : "Items"} with ${daysCol ? `${daysCol}` : `age since ${dateCol} as of ${isoDay(asOf)}`} over ${PENDING_DAYS} days`,
+    evidence: `${formatAmount(trapped.length)} of ${formatAmount(table.rows.length)} rows, ${formatAmount(amount)} in ${amountCol}; oldest ${oldest} days. Largest: ${largest.join("; ")}.${concentration}`,
+  }];
+}
+
+// ── 2. Process leaks: exceptions and duplicates repeating ────────
+function processLeaks(table, roles) {
+  const dateCol = columnWithRole(roles, "date");
+  const amountCol = columnWithRole(roles, "amount");
+  const idCol = columnWithRole(roles, "id");
+  const found = [];
+  const sumOf = (indexes) => amountCol ? indexes.reduce((s, i) => s + (toNumber(table.rows[i][amountCol]) ?? 0), 0) : null;
+
+  for (const col of Object.keys(roles).filter(c => roles[c] === "status" || roles[c] === "category")) {
+    for (const r of repeats(table.rows, col, dateCol, v => EXCEPTION_VALUE.test(v)).slice(0, MAX_EXAMPLES)) {
+      found.push({
+        category: "process_leak",
+        key: detectionKey(table, "process_leak", col, r.value),
+        source: table.name,
+        count: r.total,
+        amount: sumOf(r.rows),
+        rule: `Exception value in ${col} repeating more than ${REPEAT_LIMIT} times in ${REPEAT_WINDOW_DAYS} days`,
+        evidence: `${col} = "${r.value}" ${windowText(r)}${amountCol ? `, worth ${formatAmount(sumOf(r.rows))} in ${amountCol}` : ""}.`,
+      });
+    }
+  }
+
+  // The same ID recorded more than once
+  if (idCol) {
+    const seen = new Map();
+    table.rows.forEach((r, i) => {
+      const id = String(r[idCol] ?? "").trim();
+      if (!id) return;
+      if (!seen.has(id)) seen.set(id, []);
+      seen.get(id).push(i);
+    });
+    const dupes = [...seen.entries()].filter(([, rows]) => rows.length > 1);
+    const extra = dupes.flatMap(([, rows]) => rows.slice(1));
+    if (extra.length > REPEAT_LIMIT) {
+      found.push({
+        category: "process_leak",
+        key: detectionKey(table, "duplicate", idCol),
+        source: table.name,
+        count: extra.length,
+        amount: sumOf(extra),
+        rule: `Duplicate ${idCol} values, more than ${REPEAT_LIMIT} extra records`,
+        evidence: `${dupes.length} ${idCol} value(s) appear more than once, ${extra.length} extra rows${amountCol ? ` worth ${formatAmount(sumOf(extra))}` : ""}. E.g. ${dupes.slice(0, MAX_EXAMPLES).map(([id, rows]) => `${id} ×${rows.length}`).join(", ")}.`,
+      });
+    }
+  }
+  return found;
+}
+
+// ── 3. Capacity mismatches: utilisation over UTIL_HIGH or under UTIL_LOW ──
+function capacityMismatches(table, roles) {
+  const utilCol = columnWithRole(roles, "utilisation");
+  if (!utilCol) return [];
+  const resourceCol = columnWithRole(roles, "id") || columnWithRole(roles, "category", ENTITY_COLUMN);
+  const values = table.rows.map(r => toNumber(r[utilCol]));
+  // 0.97 and 97% mean the same thing
+  const scale = values.every(v => v === null || v <= 1.5) ? 100 : 1;
+
+  // Several rows per resource (e.g. one per week) are averaged
+  const byResource = new Map();
+  table.rows.forEach((r, i) => {
+    if (values[i] === null) return;
+    const key = resourceCol ? String(r[resourceCol] ?? "").trim() || `row ${i + 2}` : `row ${i + 2}`;
+    if (!byResource.has(key)) byResource.set(key, []);
+    byResource.get(key).push(values[i] * scale);
+  });
+  const averages = [...byResource.entries()].map(([name, vs]) => ({ name, util: vs.reduce((s, v) => s + v, 0) / vs.length }));
+  const over = averages.filter(a => a.util > UTIL_HIGH).sort((a, b) => b.util - a.util);
+  const idle = averages.filter(a => a.util < UTIL_LOW).sort((a, b) => a.util - b.util);
+  if (!over.length && !idle.length) return [];
+  const list = (items) => items.slice(0, MAX_EXAMPLES).map(a => `${a.name} ${Math.round(a.util)}%`).join(", ");
+  const noun = resourceCol ? `${resourceCol} values` : "rows";
+  return [{
+    category: "capacity_mismatch",
+    key: detectionKey(table, "capacity_mismatch", utilCol),
+    source: table.name,
+    count: over.length + idle.length,
+    amount: null,
+    rule: `Average ${utilCol} above ${UTIL_HIGH}% or below ${UTIL_LOW}%${resourceCol ? ` per ${resourceCol}` : ""}`,
+    evidence: `${over.length} of ${averages.length} ${noun} overloaded${over.length ? ` (${list(over)})` : ""}; ${idle.length} under-used${idle.length ? ` (${list(idle)})` : ""}.`,
+  }];
+}
+
+// ── 4. Recurring failures: the same incident type repeating ──────
+function recurringFailures(table, roles) {
+  if (!INCIDENT_TABLE.test(table.name) && !table.headers.some(h => INCIDENT_TABLE.test(h))) return [];
+  const dateCol = columnWithRole(roles, "date");
+  const amountCol = columnWithRole(roles, "amount");
+  const found = [];
+  for (const col of Object.keys(roles).filter(c => roles[c] === "category" && FAILURE_COLUMN.test(c))) {
+    // Exception values are already reported as process leaks
+    for (const r of repeats(table.rows, col, dateCol, v => !EXCEPTION_VALUE.test(v)).slice(0, MAX_EXAMPLES)) {
+      const amount = amountCol ? r.rows.reduce((s, i) => s + (toNumber(table.rows[i][amountCol]) ?? 0), 0) : null;
+      found.push({
+        category: "recurring_failure",
+        key: detectionKey(table, "recurring_failure", col, r.value),
+        source: table.name,
+        count: r.total,
+        amount,
+        rule: `Same ${col} repeating more than ${REPEAT_LIMIT} times in ${REPEAT_WINDOW_DAYS} days`,
+        evidence: `${col} = "${r.value}" ${windowText(r)}${amount !== null ? `, costing ${formatAmount(amount)} in ${amountCol}` : ""}.`,
+      });
+    }
+  }
+  return found;
+}
+
+// ── 5. Decision stalls: decisions revisited without action ───────
+// A discussion is a revision or a review logged against the decision
+function decisionStalls(journal) {
+  const stalled = journal.filter(d => {
+    const discussions = Math.max(0, (d.version ?? 1) - 1) + (d.reviews?.length ?? 0);
+    return discussions > DISCUSSION_LIMIT && !["Implementing", "Closed", "Reversed", "Superseded"].includes(normalizeStatus(d.status));
+  });
+  if (!stalled.length) return [];
+  return [{
+    category: "decision_stall",
+    key: "decision_stall",
+    source: "Decision Ledger",
+    count: stalled.length,
+    amount: null,
+    rule: `Decisions discussed more than ${DISCUSSION_LIMIT} times (revisions + reviews) and not yet implementing or closed`,
+    evidence: stalled.slice(0, MAX_EXAMPLES).map(d => `${d.id} "${String(d.statement).slice(0, 60)}" — ${normalizeStatus(d.status)}, v${d.version ?? 1}, ${d.reviews?.length ?? 0} review(s)`).join("; ") + ".",
+  }];
+}
+
+// Runs every detector over every table and the journal, using each table's
+// mapped column roles (or inferred ones for a dataset that has none).
+// Returns [{ category, key, datasetId, source, count, amount (null when not monetary), rule, evidence }]
+export function runDetectors(datasets, { journal = [] } = {}) {
+  const detections = [];
+  for (const table of dataTables(datasets)) {
+    const roles = table.roles ?? inferColumnRoles(table);
+    const found = [...cashTraps(table, roles), ...processLeaks(table, roles), ...capacityMismatches(table, roles), ...recurringFailures(table, roles)];
+    detections.push(...found.map(d => ({ ...d, datasetId: table.datasetId })));
+  }
+  detections.push(...decisionStalls(journal));
+  return detections;
+}
+
+// The detections as a prompt block the model narrates from
+export function detectionsPrompt(detections) {
+  if (!detections.length) {
+    return `LOCAL DETECTOR RESULTS\nFixed-rule checks over every row found nothing above the thresholds (>${PENDING_DAYS} days pending, >${REPEAT_LIMIT} repeats in ${REPEAT_WINDOW_DAYS} days, utilisation >${UTIL_HIGH}% or <${UTIL_LOW}%, >${DISCUSSION_LIMIT} discussions). Do not report threshold breaches the checks did not find.`;
+  }
+  return `LOCAL DETECTOR RESULTS
+These were computed by fixed rules over every row, so their counts and amounts are exact. Report each as a finding (or fold it into a correlated one), quote its count and amount verbatim as evidence, and use the amount as impact_amount. Do not re-estimate them from the rows you see.
+${detections.some(d => d.trend) ? "Where a Trend line compares with the previous version of the dataset, say in the finding whether it is getting better or worse and by how much.\n" : ""}${detections.map((d, i) => `[D${i + 1}] ${DETECTOR_CATEGORIES[d.category].toUpperCase()} | ${d.source} | ${formatAmount(d.count)} ${d.count === 1 ? "item" : "items"} | ${d.amount === null ? "no amount" : `amount ${formatAmount(d.amount)}`}
+Rule: ${d.rule}
+Evidence: ${d.evidence}${d.trend ? `\nTrend: ${trendText(d)}` : ""}`).join("\n")}`;
+}
+
+// "worse than v2 (18 items, amount 41,200)" for a detection with a trend (dataset-versions.js)
+export function trendText(d) {
+  const p = d.previous;
+  if (d.trend === "new") return `new since v${p.version}`;
+  const figures = `${formatAmount(p.count)} ${p.count === 1 ? "item" : "items"}${p.amount === null ? "" : `, amount ${formatAmount(p.amount)}`}`;
+  return `${d.trend === "unchanged" ? "unchanged from" : `${d.trend} than`} v${p.version} (${figures})`;
+}
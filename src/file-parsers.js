@@ -0,0 +1,294 @@
+// ═══════════════════════════════════════════════════════════════
+// File parsers — uploads beyond CSV, Excel and plain text
+// Each parser returns the dataset shape the rest of the app reads:
+// tables go in `sheets` / `sheetNames` (as Excel workbooks do), prose in
+// `content`, so dataTables, the scan and the chat's data tools need no
+// per-format code. JSON and NDJSON are flattened into tables, PDFs give
+// their text, Word documents their paragraphs and tables, and .eml /
+// .mbox exports a table of messages. PDF.js and mammoth load on first use.
+// ═══════════════════════════════════════════════════════════════
+
+export const DOCUMENT_FORMATS = {
+  json:   { label: "JSON",  extensions: [".json"] },
+  ndjson: { label: "NDJSON", extensions: [".ndjson", ".jsonl"] },
+  pdf:    { label: "PDF",   extensions: [".pdf"] },
+  docx:   { label: "Word",  extensions: [".docx"] },
+  email:  { label: "Email", extensions: [".eml", ".mbox"] },
+};
+
+export const DOCUMENT_EXTENSIONS = Object.values(DOCUMENT_FORMATS).flatMap(f => f.extensions);
+
+const MAX_DEPTH = 6;           // nesting followed when flattening JSON
+const EMAIL_BODY_CHARS = 4000; // per message; longer bodies are cut
+
+// The DOCUMENT_FORMATS key for a file name, or null for the formats parseFile reads itself
+export function documentFormat(fileName) {
+  const name = fileName.toLowerCase();
+  return Object.keys(DOCUMENT_FORMATS).find(f => DOCUMENT_FORMATS[f].extensions.some(ext => name.endsWith(ext))) ?? null;
+}
+
+// "Text" for a plain text upload, "Text (PDF, 12 pages)" for extracted text
+export function textType(ds) {
+  const format = DOCUMENT_FORMATS[ds.type];
+  if (!format) return "Text";
+  return `Text (${format.label}${ds.pageCount ? `, ${ds.pageCount} page${ds.pageCount === 1 ? "" : "s"}` : ""})`;
+}
+
+export async function parseDocument(file) {
+  const format = documentFormat(file.name);
+  if (format === "json") return parseJson(file.name, await file.text());
+  if (format === "ndjson") return parseNdjson(file.name, await file.text());
+  if (format === "pdf") return parsePdf(file.name, await file.arrayBuffer());
+  if (format === "docx") return parseDocx(file.name, await file.arrayBuffer());
+  if (format === "email") return parseEmail(file.name, await file.text());
+  throw new Error(`No parser for ${file.name}`);
+}
+
+// { rows, headers, rowCount } with headers in first-seen order
+function sheetOf(rows) {
+  const headers = [];
+  const seen = new Set();
+  for (const r of rows) for (const k of Object.keys(r)) if (!seen.has(k)) { seen.add(k); headers.push(k); }
+  return { rows: rows.map(r => Object.fromEntries(headers.map(h => [h, r[h] ?? ""]))), headers, rowCount: rows.length };
+}
+
+function tablesDataset(name, type, tables, extra = {}) {
+  const sheetNames = Object.keys(tables).filter(sn => tables[sn].length);
+  const sheets = Object.fromEntries(sheetNames.map(sn => [sn, sheetOf(tables[sn])]));
+  return { name, type, sheets, sheetNames, totalRows: sheetNames.reduce((s, sn) => s + sheets[sn].rowCount, 0), ...extra };
+}
+
+// ── JSON / NDJSON ───────────────────────────────────────────────
+// Nested objects become dotted columns (customer.name), arrays of values
+// one "a; b" cell, and arrays of objects a table of their own whose rows
+// point back to their parent with a `<parent> row` column.
+function flattenRecords(records, tableName, tables, depth = 0) {
+  const rows = (tables[tableName] ??= []);
+  for (const record of records) {
+    const row = {};
+    const rowNumber = rows.length + 1;
+    const walk = (value, prefix, level) => {
+      if (Array.isArray(value)) {
+        if (value.some(v => v && typeof v === "object") && level < MAX_DEPTH) {
+          const child = `${tableName}.${prefix}`;
+          const objects = value.filter(v => v && typeof v === "object" && !Array.isArray(v));
+          flattenRecords(objects.map(v => ({ [`${tableName} row`]: rowNumber, ...v })), child, tables, level + 1);
+          row[prefix] = `${objects.length} in ${child}`;
+        } else {
+          row[prefix] = value.map(v => typeof v === "object" ? JSON.stringify(v) : String(v)).join("; ");
+        }
+      } else if (value && typeof value === "object" && level < MAX_DEPTH) {
+        for (const [k, v] of Object.entries(value)) walk(v, prefix ? `${prefix}.${k}` : k, level + 1);
+      } else {
+        row[prefix || "value"] = value === null || value === undefined ? "" : typeof value === "object" ? JSON.stringify(value) : value;
+      }
+    };
+    walk(record, "", depth);
+    rows.push(row);
+  }
+}
+
+// The arrays of records in a parsed document: the document itself when it
+// is an array, otherwise each array of objects found under its keys
+function recordArrays(doc, path = "", found = [], depth = 0) {
+  if (Array.isArray(doc)) {
+    found.push({ path: path || "Records", records: doc.map(v => v && typeof v === "object" && !Array.isArray(v) ? v : { value: v }) });
+  } else if (doc && typeof doc === "object" && depth < MAX_DEPTH) {
+    for (const [k, v] of Object.entries(doc)) {
+      if (v && typeof v === "object") recordArrays(v, path ? `${path}.${k}` : k, found, depth + 1);
+    }
+  }
+  return found;
+}
+
+export function parseJson(name, text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${name} is not valid JSON: ${e.message}`);
+  }
+  const tables = {};
+  const arrays = recordArrays(doc);
+  if (arrays.length) arrays.forEach(a => flattenRecords(a.records, a.path, tables));
+  else flattenRecords([doc && typeof doc === "object" ? doc : { value: doc }], "Records", tables);
+  return tablesDataset(name, "json", tables);
+}
+
+export function parseNdjson(name, text) {
+  const records = [];
+  let skipped = 0;
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const v = JSON.parse(line);
+      records.push(v && typeof v === "object" && !Array.isArray(v) ? v : { value: v });
+    } catch {
+      skipped++;
+    }
+  }
+  if (!records.length) throw new Error(`${name} has no JSON lines`);
+  const tables = {};
+  flattenRecords(records, "Records", tables);
+  return tablesDataset(name, "ndjson", tables, skipped ? { warnings: [`${skipped} line(s) were not valid JSON and were skipped`] } : {});
+}
+
+// ── PDF ─────────────────────────────────────────────────────────
+export async function parsePdf(name, data) {
+  const pdfjs = await import("pdfjs-dist");
+  const { default: workerSrc } = await import("pdfjs-dist/build/pdf.worker.min.mjs?url");
+  pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+  const doc = await pdfjs.getDocument({ data: new Uint8Array(data) }).promise;
+  const pageCount = doc.numPages;
+  const pages = [];
+  let blank = 0;
+  for (let p = 1; p <= pageCount; p++) {
+    const { items } = await (await doc.getPage(p)).getTextContent();
+    const text = items.map(it => `${it.str}${it.hasEOL ? "\n" : " "}`).join("").replace(/[ \t]+\n/g, "\n").trim();
+    if (!text) blank++;
+    pages.push(`[Page ${p}]\n${text}`);
+  }
+  await doc.destroy();
+  const content = pages.join("\n\n");
+  return {
+    name, type: "pdf", content, charCount: content.length, pageCount,
+    ...(blank && { warnings: [`${blank} of ${pageCount} page(s) have no text layer (scanned images are not read)`] }),
+  };
+}
+
+// ── Word (.docx) ────────────────────────────────────────────────
+// Paragraphs go to content, with "[Table n]" where each table stood; the
+// first row of a table is taken as its header.
+function tableRows(table) {
+  const cells = [...table.rows].map(tr => [...tr.cells].map(td => td.textContent.replace(/\s+/g, " ").trim()));
+  if (!cells.length) return [];
+  const headers = cells[0].map((h, i, all) => {
+    const base = h || `Column ${i + 1}`;
+    return all.slice(0, i).includes(h) ? `${base} (${i + 1})` : base;
+  });
+  return cells.slice(1).filter(r => r.some(Boolean)).map(r => Object.fromEntries(headers.map((h, i) => [h, r[i] ?? ""])));
+}
+
+export async function parseDocx(name, data) {
+  const { default: mammoth } = await import("mammoth");
+  const { value: html } = await mammoth.convertToHtml({ arrayBuffer: data });
+  const body = new DOMParser().parseFromString(html, "text/html").body;
+  const lines = [];
+  const tables = {};
+  for (const el of body.children) {
+    if (el.tagName === "TABLE") {
+      const sheet = `Table ${Object.keys(tables).length + 1}`;
+      tables[sheet] = tableRows(el);
+      lines.push(`[${sheet}]`);
+    } else if (/^(UL|OL)$/.test(el.tagName)) {
+      for (const li of el.querySelectorAll("li")) lines.push(`- ${li.textContent.trim()}`);
+    } else {
+      const text = el.textContent.trim();
+      if (text) lines.push(/^H\d$/.test(el.tagName) ? `\n${text.toUpperCase()}` : text);
+    }
+  }
+  const content = lines.join("\n").trim();
+  return tablesDataset(name, "docx", tables, { content, charCount: content.length });
+}
+
+// ── Email (.eml, .mbox) ─────────────────────────────────────────
+function decodeBytes(bytes, charset = "utf-8") {
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch {
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+}
+
+function base64Bytes(text) {
+  const bin = atob(text.replace(/[^A-Za-z0-9+/=]/g, ""));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+function quotedPrintableBytes(text) {
+  const soft = text.replace(/=\r?\n/g, "");
+  const bytes = [];
+  for (let i = 0; i < soft.length; i++) {
+    if (soft[i] === "=" && /^[0-9A-F]{2}$/i.test(soft.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(soft.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...new TextEncoder().encode(soft[i]));
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+// =?utf-8?B?...?= and =?iso-8859-1?Q?...?= words in headers
+function decodeHeader(value) {
+  return value.replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=(?:\s+(?==\?))?/gi, (_, charset, enc, text) =>
+    decodeBytes(enc.toUpperCase() === "B" ? base64Bytes(text) : quotedPrintableBytes(text.replace(/_/g, " ")), charset));
+}
+
+function splitMessage(raw) {
+  const at = raw.search(/\r?\n\r?\n/);
+  const head = at === -1 ? raw : raw.slice(0, at);
+  const body = at === -1 ? "" : raw.slice(at).replace(/^\r?\n\r?\n/, "");
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+    const colon = line.indexOf(":");
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] ??= line.slice(colon + 1).trim();
+  }
+  return { headers, body };
+}
+
+function headerParam(value, param) {
+  return value?.match(new RegExp(`${param}\\s*=\\s*"?([^";]+)"?`, "i"))?.[1] ?? null;
+}
+
+// The readable text of a MIME part (text/plain preferred over HTML) and
+// the names of any attachments under it
+function readPart({ headers, body }) {
+  const type = (headers["content-type"] ?? "text/plain").toLowerCase();
+  const filename = headerParam(headers["content-disposition"], "filename") ?? headerParam(headers["content-type"], "name");
+  if (type.startsWith("multipart/")) {
+    const boundary = headerParam(headers["content-type"], "boundary");
+    if (!boundary) return { text: body, html: false, attachments: [] };
+    const parts = body.split(`--${boundary}`).slice(1).filter(p => !p.startsWith("--")).map(p => readPart(splitMessage(p.replace(/^\r?\n/, ""))));
+    const plain = parts.find(p => p.text && !p.html) ?? parts.find(p => p.text);
+    return { text: plain?.text ?? "", html: plain?.html ?? false, attachments: parts.flatMap(p => p.attachments) };
+  }
+  if (filename && !/^text\/(plain|html)/.test(type) || /attachment/i.test(headers["content-disposition"] ?? "")) {
+    return { text: "", html: false, attachments: [decodeHeader(filename ?? "attachment")] };
+  }
+  const encoding = (headers["content-transfer-encoding"] ?? "").toLowerCase();
+  const charset = headerParam(headers["content-type"], "charset") ?? "utf-8";
+  let text = encoding === "base64" ? decodeBytes(base64Bytes(body), charset)
+    : encoding === "quoted-printable" ? decodeBytes(quotedPrintableBytes(body), charset)
+    : body;
+  const html = type.startsWith("text/html");
+  if (html) text = new DOMParser().parseFromString(text, "text/html").body.textContent;
+  return { text, html, attachments: [] };
+}
+
+function emailRow(raw) {
+  const message = splitMessage(raw);
+  const h = message.headers;
+  const { text, attachments } = readPart(message);
+  const body = text.replace(/\r\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+  const date = h.date ? new Date(h.date) : null;
+  return {
+    date: date && !isNaN(date) ? date.toISOString() : h.date ?? "",
+    from: decodeHeader(h.from ?? ""),
+    to: decodeHeader(h.to ?? ""),
+    cc: decodeHeader(h.cc ?? ""),
+    subject: decodeHeader(h.subject ?? ""),
+    body: body.length > EMAIL_BODY_CHARS ? `${body.slice(0, EMAIL_BODY_CHARS)}…` : body,
+    attachments: attachments.join("; "),
+  };
+}
+
+export function parseEmail(name, text) {
+  // mbox: messages start at "From " lines; quoted ">From " lines in bodies are unescaped
+  const raws = /^From /.test(text)
+    ? text.split(/^From .*\r?\n/m).filter(m => m.trim()).map(m => m.replace(/^>(>*From )/gm, "$1"))
+    : [text];
+  const rows = raws.map(emailRow);
+  const cut = rows.filter(r => r.body.endsWith("…")).length;
+  return tablesDataset(name, "email", { Messages: rows }, cut ? { warnings: [`${cut} message body(ies) were cut to ${EMAIL_BODY_CHARS.toLocaleString()} characters`] } : {});
+}
@@ -0,0 +1,189 @@
+// ═══════════════════════════════════════════════════════════════
+// Join keys — which columns link one table to another
+// Vendor IDs in the AP ageing and supplier codes in the incident log are
+// the same entities, but the model sees each table on its own. Columns of
+// different tables that share enough values are suggested as join keys;
+// once a relationship is confirmed in the Data tab, a joined view with one
+// row per key value is handed to the scan and chat beside the datasets,
+// so a finding can combine both sides of the same vendor, project or person.
+// ═══════════════════════════════════════════════════════════════
+import { dataTables, toNumber, toDate } from "./data-tools.js";
+import { inferColumnRoles } from "./column-roles.js";
+
+const MIN_SHARED = 3;         // key values both columns must contain…
+const MIN_COVERAGE = 0.3;     // …as a share of the smaller column's distinct values
+const MAX_SUGGESTIONS = 20;
+const MAX_EXAMPLES = 3;
+const MAX_SUMMARY_COLUMNS = 3; // most-common-value columns per side of a view
+
+const KEY_NAME = /vendor|supplier|customer|client|partner|project|employee|staff|account|asset|machine|site|contract|order|invoice|(^|[\s_-])(id|no|num|number|ref|code)$|^id|#/i;
+const NOT_KEY_ROLES = ["amount", "date", "days", "utilisation", "status"];
+
+// The same key written the same way: case, spacing and leading zeros ignored
+function keyOf(v) {
+  if (v === null || v === undefined) return null;
+  const s = String(v).trim().toUpperCase().replace(/\s+/g, " ");
+  if (!s) return null;
+  return /^\d+$/.test(s) ? s.replace(/^0+(?=\d)/, "") : s;
+}
+
+function relationshipId(left, right) {
+  return `${left.table}|${left.column}=${right.table}|${right.column}`;
+}
+
+// Columns that could hold a key, with their distinct key values and
+// whether each value names one row only
+function keyColumns(table) {
+  const roles = table.roles ?? inferColumnRoles(table);
+  return table.headers
+    .filter(h => !NOT_KEY_ROLES.includes(roles[h]) && (roles[h] === "id" || roles[h] === "category" || KEY_NAME.test(h)))
+    .map(column => {
+      const counts = new Map();
+      for (const r of table.rows) {
+        const k = keyOf(r[column]);
+        if (k !== null) counts.set(k, (counts.get(k) ?? 0) + 1);
+      }
+      return { column, counts, unique: [...counts.values()].every(n => n === 1) };
+    })
+    .filter(c => c.counts.size >= MIN_SHARED);
+}
+
+// ── Suggestions ─────────────────────────────────────────────────
+// Candidate join keys between every pair of tables (sheets of one workbook
+// included), best first, leaving out relationships already confirmed or
+// rejected. Each is { id, left, right, shared, coverage, examples } with
+// left/right = { table, column, keys, unique }.
+export function findJoinCandidates(datasets, relationships = []) {
+  const decided = new Set(relationships.map(r => r.id));
+  const tables = dataTables(datasets)
+    .map(t => ({ name: t.name, columns: keyColumns(t) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const candidates = [];
+  for (let i = 0; i < tables.length; i++) {
+    for (let j = i + 1; j < tables.length; j++) {
+      for (const a of tables[i].columns) {
+        for (const b of tables[j].columns) {
+          const [small, large] = a.counts.size <= b.counts.size ? [a, b] : [b, a];
+          const shared = [...small.counts.keys()].filter(k => large.counts.has(k));
+          const coverage = shared.length / small.counts.size;
+          if (shared.length < MIN_SHARED || coverage < MIN_COVERAGE) continue;
+          const left = { table: tables[i].name, column: a.column, keys: a.counts.size, unique: a.unique };
+          const right = { table: tables[j].name, column: b.column, keys: b.counts.size, unique: b.unique };
+          const id = relationshipId(left, right);
+          if (decided.has(id)) continue;
+          // Columns with the same name are more likely the same key
+          const score = coverage + (keyOf(a.column) === keyOf(b.column) ? 0.2 : 0);
+          candidates.push({ id, left, right, shared: shared.length, coverage, score, examples: shared.slice(0, MAX_EXAMPLES) });
+        }
+      }
+    }
+  }
+  return candidates.sort((a, b) => b.score - a.score || b.shared - a.shared).slice(0, MAX_SUGGESTIONS);
+}
+
+// What is stored once a suggestion is confirmed or rejected
+export function decideRelationship(candidate, status) {
+  return {
+    id: candidate.id,
+    left: { table: candidate.left.table, column: candidate.left.column },
+    right: { table: candidate.right.table, column: candidate.right.column },
+    status,
+    decidedAt: new Date().toISOString(),
+  };
+}
+
+// ── Joined views ────────────────────────────────────────────────
+// One side of a view: a table's rows grouped by key value, summarised as
+// a row count, amount totals, the highest age in days, latest dates and
+// the most common category. A side whose key names one row each (a vendor
+// master, say) brings its columns over as they are.
+function sideColumns(table, keyColumn) {
+  const roles = table.roles ?? inferColumnRoles(table);
+  const label = (text) => `${table.name}: ${text}`;
+  const rowsBy = new Map();
+  const display = new Map(); // each key as first written
+  for (const r of table.rows) {
+    const k = keyOf(r[keyColumn]);
+    if (k === null) continue;
+    if (!rowsBy.has(k)) {
+      rowsBy.set(k, []);
+      display.set(k, String(r[keyColumn]).trim());
+    }
+    rowsBy.get(k).push(r);
+  }
+  const unique = [...rowsBy.values()].every(rows => rows.length === 1);
+  const others = table.headers.filter(h => h !== keyColumn);
+  if (unique) {
+    return { rowsBy, display, columns: others.map(h => ({ name: label(h), role: roles[h] ?? null, value: rows => rows[0][h] ?? "" })) };
+  }
+  const columns = [{ name: label("rows"), role: null, value: rows => rows.length, none: 0 }];
+  for (const h of others.filter(c => roles[c] === "amount")) {
+    columns.push({ name: label(`${h} total`), role: "amount", value: rows => Math.round(rows.reduce((s, r) => s + (toNumber(r[h]) ?? 0), 0) * 100) / 100 });
+  }
+  for (const h of others.filter(c => roles[c] === "days")) {
+    columns.push({ name: label(`highest ${h}`), role: "days", value: rows => rows.reduce((m, r) => Math.max(m, toNumber(r[h]) ?? -Infinity), -Infinity) });
+  }
+  for (const h of others.filter(c => roles[c] === "date")) {
+    columns.push({ name: label(`latest ${h}`), role: "date", value: rows => {
+      const times = rows.map(r => toDate(r[h])?.getTime()).filter(t => t !== undefined);
+      return times.length ? new Date(times.reduce((a, b) => Math.max(a, b))).toISOString().slice(0, 10) : "";
+    } });
+  }
+  for (const h of others.filter(c => roles[c] === "category" || roles[c] === "status").slice(0, MAX_SUMMARY_COLUMNS)) {
+    columns.push({ name: label(`most common ${h}`), role: "category", value: rows => {
+      const counts = new Map();
+      rows.forEach(r => { const v = String(r[h] ?? "").trim(); if (v) counts.set(v, (counts.get(v) ?? 0) + 1); });
+      return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] ?? "";
+    } });
+  }
+  return { rowsBy, display, columns };
+}
+
+// A dataset per confirmed relationship whose tables are both connected,
+// shaped like a one-sheet workbook so the scan, summaries and data tools
+// read it like any other. Every key value found on either side gets a row;
+// `join` says what was joined, for relationshipsPrompt.
+export function joinedViews(datasets, relationships) {
+  const tables = dataTables(datasets);
+  return relationships.filter(r => r.status === "confirmed").flatMap(rel => {
+    const left = tables.find(t => t.name === rel.left.table);
+    const right = tables.find(t => t.name === rel.right.table);
+    if (!left?.headers.includes(rel.left.column) || !right?.headers.includes(rel.right.column)) return [];
+    const a = sideColumns(left, rel.left.column);
+    const b = sideColumns(right, rel.right.column);
+    const keyName = rel.left.column === rel.right.column ? rel.left.column : `${rel.left.column} / ${rel.right.column}`;
+    const columns = [...a.columns, ...b.columns];
+    const keys = [...new Set([...a.rowsBy.keys(), ...b.rowsBy.keys()])];
+    const rows = keys.map(k => {
+      const row = { [keyName]: a.display.get(k) ?? b.display.get(k), "In both": a.rowsBy.has(k) && b.rowsBy.has(k) ? "yes" : a.rowsBy.has(k) ? `only ${left.name}` : `only ${right.name}` };
+      for (const [side, cols] of [[a, a.columns], [b, b.columns]]) {
+        const matched = side.rowsBy.get(k);
+        for (const c of cols) {
+          const v = matched ? c.value(matched) : c.none ?? "";
+          row[c.name] = v === -Infinity ? "" : v;
+        }
+      }
+      return row;
+    });
+    const name = `${left.name} ↔ ${right.name}`;
+    const headers = [keyName, "In both", ...columns.map(c => c.name)];
+    return [{
+      name,
+      type: "joined",
+      sheets: { [name]: { rows, headers, rowCount: rows.length } },
+      sheetNames: [name],
+      totalRows: rows.length,
+      columnRoles: { [name]: Object.fromEntries([[keyName, "id"], ["In both", "category"], ...columns.map(c => [c.name, c.role])]) },
+      rolesConfirmed: true,
+      join: { ...rel, shared: rows.filter(r => r["In both"] === "yes").length, leftKeys: a.rowsBy.size, rightKeys: b.rowsBy.size },
+    }];
+  });
+}
+
+// The confirmed relationships as a prompt block, so the scan correlates across them
+export function relationshipsPrompt(views) {
+  if (!views.length) return "";
+  return `CONFIRMED RELATIONSHIPS BETWEEN DATASETS
+These join keys were confirmed by the CEO's team. Each has a joined view among the data sources above, with one row per key value and each side's row count, totals and latest dates, so the same vendor, project or person can be followed across datasets. Where findings from two linked datasets concern the same entities, report one correlated finding that quotes both sides' figures from the joined view, rather than two separate ones.
+${views.map(v => `- ${v.join.left.table}.${v.join.left.column} = ${v.join.right.table}.${v.join.right.column}: ${v.join.shared.toLocaleString("en-US")} shared values (${v.join.leftKeys.toLocaleString("en-US")} in ${v.join.left.table}, ${v.join.rightKeys.toLocaleString("en-US")} in ${v.join.right.table}) → joined view "${v.name}"`).join("\n")}`;
+}
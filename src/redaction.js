@@ -0,0 +1,208 @@
+// ═══════════════════════════════════════════════════════════════
+// Redaction — personal data is replaced before a request leaves the browser
+// Every /api/claude body passes through redactRequest (ai-request.js).
+// Matches become stable pseudonyms such as [PERSON_12]: the same value
+// always gets the same one, kept in a per-workspace vault in this browser,
+// so the model can still count and group by them and cached answers stay
+// valid. reidentify turns them back into the real values for display.
+// Pattern detectors find formats anywhere in the text; column detectors
+// take every value of matching columns (names, accounts, ID numbers) from
+// the uploaded tables. Regional ID formats follow the onboarding region.
+// ═══════════════════════════════════════════════════════════════
+import { scopedKey } from "./workspace.js";
+import { dataTables } from "./data-tools.js";
+
+export const REDACTION_REGIONS = {
+  asean:       "ASEAN",
+  gulf:        "Gulf",
+  east_africa: "East Africa",
+};
+
+// Luhn check digit, as on Saudi national IDs and Iqamas
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2) d = d * 2 > 9 ? d * 2 - 9 : d * 2;
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// region null applies everywhere; pattern detectors match text, column
+// detectors match column headers and redact those columns' values.
+// Formats that ordinary amounts and PO numbers share need a check digit
+// (`valid`) or a label in front of them.
+export const PII_DETECTORS = {
+  email:       { label: "Email addresses", region: null, token: "EMAIL", pattern: /\b[\w.%+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  phone:       { label: "Phone numbers", region: null, token: "PHONE", pattern: /(?<![\w+])(?:\+\d{1,3}[\s-]?\(?\d{1,4}\)?|\(?0\d{1,3}\)?)[\s-]?\d{3,4}[\s-]?\d{3,4}\b/g },
+  card:        { label: "Payment card numbers", region: null, token: "CARD", pattern: /\b\d{4}(?:[\s-]?\d{4}){3}\b/g },
+  iban:        { label: "IBANs", region: null, token: "ACCOUNT", pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){3,7}(?: ?[A-Z0-9]{1,3})?\b/g },
+  passport:    { label: "Passport numbers next to a passport label", region: null, token: "ID", pattern: /(?<=\bpassport\b[^\n\d]{0,20})\b[A-Z]{1,2}\d{7,8}\b/gi },
+  my_nric:     { label: "Malaysian MyKad (IC) numbers", region: "asean", token: "ID", pattern: /\b\d{6}-\d{2}-\d{4}\b/g },
+  sg_nric:     { label: "Singapore NRIC / FIN", region: "asean", token: "ID", pattern: /\b[STFGM]\d{7}[A-Z]\b/g },
+  id_nik:      { label: "Indonesian NIK", region: "asean", token: "ID", pattern: /\b\d{16}\b/g },
+  th_id:       { label: "Thai national ID", region: "asean", token: "ID", pattern: /\b\d-\d{4}-\d{5}-\d{2}-\d\b/g },
+  ae_eid:      { label: "UAE Emirates ID", region: "gulf", token: "ID", pattern: /\b784-?\d{4}-?\d{7}-?\d\b/g },
+  sa_id:       { label: "Saudi national ID / Iqama", region: "gulf", token: "ID", pattern: /\b[12]\d{9}\b/g, valid: luhnValid },
+  qa_qid:      { label: "Qatar ID", region: "gulf", token: "ID", pattern: /\b[23]\d{10}\b/g },
+  tz_nida:     { label: "Tanzania NIDA number", region: "east_africa", token: "ID", pattern: /\b\d{8}-\d{5}-\d{5}-\d{2}\b/g },
+  ug_nin:      { label: "Uganda NIN", region: "east_africa", token: "ID", pattern: /\bC[MF][A-Z0-9]{12}\b/g },
+  ke_pin:      { label: "Kenya KRA PIN", region: "east_africa", token: "ID", pattern: /\b[AP]\d{9}[A-Z]\b/g },
+  name_cols:   { label: "Values in name and contact columns", region: null, token: "PERSON",
+                 column: /(^|[\s_-])((full[\s_-]?)?name|contact|employee|staff|driver|patient|student|tenant|requester|requestor|assignee|approver|technician|agent)([\s_-]|$)/i,
+                 except: /(company|product|item|vendor|supplier|branch|site|project|file|sheet|plant|department|machine|asset|account|category|business)[\s_-]?name/i },
+  account_cols:{ label: "Values in bank account columns", region: null, token: "ACCOUNT", column: /(^|[\s_-])(bank|acct|account[\s_-]?(no|number|#)|iban)([\s_-]|$)/i },
+  id_cols:     { label: "Values in ID and passport number columns", region: null, token: "ID",
+                 column: /^(ic|nric|mykad|passport|national[\s_-]?id|id[\s_-]?(no|number)|nida|nin|iqama|emirates[\s_-]?id|ktp|nik|kra[\s_-]?pin)([\s_-]?(no|number|#))?$/i },
+};
+
+const TOKEN = /\[(PERSON|EMAIL|PHONE|CARD|ACCOUNT|ID)_(\d+)\]/g;
+const MIN_NAME_LENGTH = 3;   // shorter values in name columns ("A", "-") are left alone
+const MIN_NUMBER_LENGTH = 5; // and shorter account or ID values would catch ordinary figures
+const MAX_COLUMN_VALUES = 20000;
+
+// ── Settings: which detectors run, per workspace ────────────────
+// Stored overrides only; anything not overridden is on when it applies
+// everywhere or to the workspace's region.
+function readJson(key) {
+  try { return JSON.parse(localStorage.getItem(scopedKey(key))); } catch { return null; }
+}
+
+function writeJson(key, value) {
+  try {
+    localStorage.setItem(scopedKey(key), JSON.stringify(value));
+  } catch (e) {
+    console.error(`Could not save ${key}:`, e);
+  }
+}
+
+let region = "";
+let columnValues = null; // [{ value, detector }] from the uploaded tables
+let literalCache = null;
+
+export function redactionSettings() {
+  const enabled = readJson("dao-redaction")?.enabled ?? {};
+  return Object.fromEntries(Object.entries(PII_DETECTORS).map(([id, d]) => [id, enabled[id] ?? (!d.region || d.region === region)]));
+}
+
+export function setDetectorEnabled(id, on) {
+  const saved = readJson("dao-redaction") ?? {};
+  writeJson("dao-redaction", { ...saved, enabled: { ...saved.enabled, [id]: on } });
+  literalCache = null;
+}
+
+// Called by the app whenever the region or the uploaded datasets change
+export function configureRedaction({ region: nextRegion, datasets }) {
+  region = nextRegion || "";
+  columnValues = [];
+  for (const t of dataTables(datasets)) {
+    for (const h of t.headers) {
+      const id = Object.keys(PII_DETECTORS).find(k => PII_DETECTORS[k].column?.test(h) && !PII_DETECTORS[k].except?.test(h));
+      if (!id) continue;
+      const seen = new Set();
+      for (const r of t.rows) {
+        const v = String(r[h] ?? "").trim();
+        if (id === "name_cols" ? v.length >= MIN_NAME_LENGTH && !/^[\d.,\s-]+$/.test(v) : v.length >= MIN_NUMBER_LENGTH) seen.add(v);
+      }
+      seen.forEach(value => columnValues.length < MAX_COLUMN_VALUES && columnValues.push({ value, detector: id }));
+    }
+  }
+  literalCache = null;
+}
+
+// ── Pseudonym vault ─────────────────────────────────────────────
+let vault = null;
+let vaultKey = null;
+
+function openVault() {
+  if (vault && vaultKey === scopedKey("dao-pii-vault")) return vault;
+  vaultKey = scopedKey("dao-pii-vault");
+  const saved = readJson("dao-pii-vault") ?? { tokens: {}, next: {} };
+  vault = { ...saved, originals: Object.fromEntries(Object.entries(saved.tokens).map(([v, t]) => [t, v])), dirty: false };
+  return vault;
+}
+
+function pseudonymFor(value, prefix) {
+  const v = openVault();
+  if (v.tokens[value]) return v.tokens[value];
+  v.next[prefix] = (v.next[prefix] ?? 0) + 1;
+  const token = `[${prefix}_${v.next[prefix]}]`;
+  v.tokens[value] = token;
+  v.originals[token] = value;
+  v.dirty = true;
+  return token;
+}
+
+function saveVault() {
+  if (!vault?.dirty) return;
+  writeJson("dao-pii-vault", { tokens: vault.tokens, next: vault.next });
+  vault.dirty = false;
+}
+
+// ── Redaction ───────────────────────────────────────────────────
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// One alternation over every enabled column value, longest first
+function literalMatcher(enabled) {
+  if (literalCache) return literalCache;
+  const list = (columnValues ?? []).filter(c => enabled[c.detector]).sort((a, b) => b.value.length - a.value.length);
+  const detectorOf = new Map(list.map(c => [c.value, c.detector]));
+  literalCache = list.length
+    ? { regex: new RegExp(`(?<![\\w])(?:${list.map(c => escapeRegex(c.value)).join("|")})(?![\\w])`, "g"), detectorOf }
+    : { regex: null, detectorOf };
+  return literalCache;
+}
+
+function redactString(text, enabled, counts) {
+  if (typeof text !== "string" || !text) return text;
+  const replace = (id) => (match) => {
+    counts[id] = (counts[id] ?? 0) + 1;
+    return pseudonymFor(match, PII_DETECTORS[id].token);
+  };
+  const literals = literalMatcher(enabled);
+  let out = literals.regex ? text.replace(literals.regex, m => replace(literals.detectorOf.get(m))(m)) : text;
+  for (const [id, d] of Object.entries(PII_DETECTORS)) {
+    if (d.pattern && enabled[id]) out = out.replace(d.pattern, m => !d.valid || d.valid(m) ? replace(id)(m) : m);
+  }
+  return out;
+}
+
+function redactDeep(value, enabled, counts) {
+  if (typeof value === "string") return redactString(value, enabled, counts);
+  if (Array.isArray(value)) return value.map(v => redactDeep(v, enabled, counts));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, k === "type" || k === "id" || k === "tool_use_id" || k === "name" ? v : redactDeep(v, enabled, counts)]));
+  }
+  return value;
+}
+
+// The body with its system prompt and messages redacted, and a report for
+// the audit log: { counts: { [detector]: matches }, total, detectors }.
+// The report never holds the original values.
+export function redactRequest(body) {
+  const enabled = redactionSettings();
+  const counts = {};
+  const redacted = {
+    ...body,
+    ...(body.systemPrompt !== undefined && { systemPrompt: redactString(body.systemPrompt, enabled, counts) }),
+    ...(body.system !== undefined && { system: redactString(body.system, enabled, counts) }),
+    messages: redactDeep(body.messages, enabled, counts),
+  };
+  saveVault();
+  const total = Object.values(counts).reduce((s, n) => s + n, 0);
+  return { body: redacted, report: { counts, total, detectors: Object.keys(enabled).filter(id => enabled[id]) } };
+}
+
+// Pseudonyms in a reply (a string, or any JSON value) back to the real values
+export function reidentify(value) {
+  if (typeof value === "string") {
+    const { originals } = openVault();
+    return value.includes("[") ? value.replace(TOKEN, t => originals[t] ?? t) : value;
+  }
+  if (Array.isArray(value)) return value.map(reidentify);
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, reidentify(v)]));
+  return value;
+}
@@ -0,0 +1,30 @@
+// ═══════════════════════════════════════════════════════════════
+// User roles and what each may do — shared by the browser and server/
+// The UI hides what a role cannot do; the server enforces it.
+// ═══════════════════════════════════════════════════════════════
+
+// decide             log new decisions and supersede existing ones
+// edit               change decisions and move them through the lifecycle
+// review             record post-decision reviews
+// signoff            approve / reject Tier 3 decisions they are named on
+// manage_users       create users and change roles
+// manage_workspaces  add client workspaces and edit their details
+// manage_settings    choose which model each feature uses and set AI budgets
+// view_usage         see AI token usage and cost across users and workspaces
+// manage_connections save database connections and the queries run on them
+export const ROLES = {
+  ceo:       { label: "CEO",                 can: ["decide", "edit", "review", "signoff", "manage_users", "manage_workspaces", "manage_settings", "view_usage", "manage_connections"] },
+  executive: { label: "Executive",           can: ["decide", "edit", "review", "signoff", "manage_workspaces", "view_usage", "manage_connections"] },
+  owner:     { label: "Decision Owner",      can: ["decide", "edit", "review"] },
+  reviewer:  { label: "Reviewer",            can: ["review", "signoff"] },
+  board:     { label: "Board Member (read-only)", can: [] },
+};
+
+export function can(user, action) {
+  if (!user) return false;
+  return ROLES[user.role]?.can.includes(action) ?? false;
+}
+
+export function canAny(user, actions) {
+  return actions.some(a => can(user, a));
+}
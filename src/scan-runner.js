@@ -0,0 +1,217 @@
+// ═══════════════════════════════════════════════════════════════
+// Full-data scans — map every row of every upload, then reduce
+// Each dataset is cut into slices small enough for one request; small
+// files share a request. Every part is scanned on its own (map), and the
+// partial findings are consolidated into one result (reduce), in rounds
+// when there are too many to consolidate at once.
+// ═══════════════════════════════════════════════════════════════
+import { dataTables } from "./data-tools.js";
+import { rolesLine } from "./column-roles.js";
+import { textType } from "./file-parsers.js";
+
+const PART_CHARS = 40000;    // data per map request (~10k tokens)
+const REDUCE_CHARS = 60000;  // partial results per consolidation request
+const PARALLEL = 3;          // map requests in flight; the server queues the rest
+const PARTIAL_TEXT = 6000;   // text kept from a part whose reply was not JSON
+
+const PART_PROMPT = `PARTIAL SCAN
+The data below is one part of a larger upload. Every part of every file is analysed separately and the results are consolidated afterwards.
+- Report only what these rows evidence, with exact counts and amounts for this part.
+- Name the IDs, counterparties and dates involved so the consolidation can match them with other parts.
+- Do not extrapolate to rows you have not seen.`;
+
+const CONSOLIDATION_PROMPT = `CONSOLIDATION
+The partial results below were each produced from one part of the uploaded data. Merge them into a single result for the whole upload:
+- Combine results that describe the same pattern into one, adding up counts and amounts across parts.
+- Connect patterns that share an ID, counterparty or period across different files.
+- Count an amount once: only add figures from parts that cover different rows.
+- Number from 1, rank by impact, and recompute the summary totals from the merged results.
+- Keep only the data gaps that still apply to the whole upload.`;
+
+// ── Slicing ─────────────────────────────────────────────────────
+// Rows are sent as arrays in column order, which is about half the size of objects
+function rowSlices(rows, headers) {
+  const slices = [];
+  let start = 0, size = 0;
+  rows.forEach((row, i) => {
+    const line = JSON.stringify(headers.map(h => row[h] ?? ""));
+    if (size + line.length > PART_CHARS && i > start) {
+      slices.push({ from: start, to: i });
+      start = i;
+      size = 0;
+    }
+    size += line.length + 2;
+  });
+  if (rows.length > start) slices.push({ from: start, to: rows.length });
+  return slices;
+}
+
+function rowsBlock(rows, headers) {
+  return `Rows (values in column order):\n[\n${rows.map(r => JSON.stringify(headers.map(h => r[h] ?? ""))).join(",\n")}\n]`;
+}
+
+// One entry per slice: { file, fileIndex, label, header, body, size }. Datasets restored from storage
+// without their rows have nothing to slice and are reported as skipped.
+function datasetSlices(ds, fileIndex) {
+  const tables = dataTables([ds]);
+  const pieces = [];
+  if (typeof ds.content === "string") {
+    for (let at = 0; at < ds.content.length; at += PART_CHARS) {
+      pieces.push({ range: `characters ${at + 1}–${Math.min(at + PART_CHARS, ds.content.length)} of ${ds.content.length}`,
+        body: `Type: ${textType(ds)} | Length: ${ds.charCount ?? ds.content.length} chars\n${ds.content.slice(at, at + PART_CHARS)}` });
+    }
+  }
+  for (const t of tables) {
+    for (const { from, to } of rowSlices(t.rows, t.headers)) {
+      const columns = t.headers.join(", ");
+      const roles = rolesLine(t.roles);
+      pieces.push({
+        range: `${t.sheet ? `sheet "${t.sheet}" ` : ""}rows ${from + 1}–${to} of ${t.rows.length}`,
+        body: `${t.sheet ? `Sheet "${t.sheet}": ${to - from} rows | Columns: ${columns}` : `Type: CSV | Rows: ${to - from} | Columns: ${columns}`}\n${roles ? `${roles}\n` : ""}${rowsBlock(t.rows.slice(from, to), t.headers)}`,
+      });
+    }
+  }
+  // Query results say how fresh they are, so findings can be dated
+  const synced = ds.source ? `Live query on ${ds.source.connection}, last synced ${ds.syncedAt}\n` : "";
+  return pieces.map((p, i) => ({
+    file: ds.name,
+    fileIndex,
+    label: pieces.length > 1 ? `${ds.name} (part ${i + 1} of ${pieces.length})` : ds.name,
+    header: `${synced}${pieces.length > 1 ? `Part ${i + 1} of ${pieces.length} — ${p.range}\n` : ""}`,
+    body: p.body,
+    size: p.body.length,
+  }));
+}
+
+// Consecutive slices packed into requests of up to PART_CHARS
+function packParts(slices) {
+  const parts = [];
+  for (const slice of slices) {
+    const last = parts[parts.length - 1];
+    if (last && last.size + slice.size <= PART_CHARS) {
+      last.slices.push(slice);
+      last.size += slice.size;
+    } else {
+      parts.push({ slices: [slice], size: slice.size });
+    }
+  }
+  return parts.map(p => ({
+    ...p,
+    label: p.slices.map(s => s.label).join(", "),
+    text: p.slices.map((s, i) => `\n--- DATA SOURCE ${i + 1}: ${s.file} ---\n${s.header}${s.body}\n`).join(""),
+  }));
+}
+
+// ── Reduce ──────────────────────────────────────────────────────
+function partialText(result, listKey) {
+  return result.data
+    ? JSON.stringify({ [listKey]: result.data[listKey], data_gaps: result.data.data_gaps })
+    : result.text.slice(0, PARTIAL_TEXT);
+}
+
+// Groups of at least two partials (so every round shrinks), up to REDUCE_CHARS each
+function reduceGroups(partials) {
+  const groups = [];
+  let group = [], size = 0;
+  for (const p of partials) {
+    if (group.length >= 2 && size + p.text.length > REDUCE_CHARS) {
+      groups.push(group);
+      group = [];
+      size = 0;
+    }
+    group.push(p);
+    size += p.text.length;
+  }
+  if (group.length === 1 && groups.length) groups[groups.length - 1].push(group[0]);
+  else if (group.length) groups.push(group);
+  return groups;
+}
+
+// Runs fn over items with at most `limit` in flight, in order of start
+async function inParallel(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+// Scans every row of every dataset.
+//   ask(systemPrompt, userContent) → { text, data, cached, generatedAt } (one /api/claude call)
+//   listKey: "findings" or "opportunities" — the list the schema returns
+//   instruction: the user message that introduces the data
+//   facts: optional text for the request that produces the final result (e.g. detector results)
+//   onProgress({ phase, parts, done, files: [{ name, parts, done, failed, skipped }] })
+// Resolves to the consolidated { text, data, cached, generatedAt }.
+export async function runFullScan({ datasets, systemPrompt, instruction, facts, listKey, ask, onProgress }) {
+  const files = datasets.map((ds, i) => ({ name: ds.name, slices: datasetSlices(ds, i) }));
+  const progress = {
+    phase: "map",
+    parts: 0,
+    done: 0,
+    files: files.map(f => ({ name: f.name, parts: f.slices.length, done: 0, failed: 0, skipped: f.slices.length === 0 })),
+  };
+  const report = () => onProgress?.({ ...progress, files: progress.files.map(f => ({ ...f })) });
+  const parts = packParts(files.flatMap(f => f.slices));
+  if (parts.length === 0) throw new Error("No rows to scan. Upload the files again — rows are not kept after a reload.");
+  progress.parts = parts.length;
+  report();
+
+  // ── Map ──
+  const single = parts.length === 1;
+  const results = new Array(parts.length);
+  const failures = [];
+  let allCached = true;
+  await inParallel(parts, PARALLEL, async (part, i) => {
+    const count = (field) => part.slices.forEach(s => { progress.files[s.fileIndex][field]++; });
+    try {
+      results[i] = single
+        ? await ask(systemPrompt, `${instruction}\n${part.text}${facts ? `\n${facts}` : ""}`)
+        : await ask(`${systemPrompt}\n\n${PART_PROMPT}`, `${instruction}\n${part.text}`);
+      allCached = allCached && results[i].cached;
+      count("done");
+    } catch (e) {
+      failures.push({ part, error: e });
+      count("failed");
+    }
+    progress.done++;
+    report();
+  });
+  if (failures.length === parts.length) throw failures[0].error;
+  const gaps = [
+    ...failures.map(f => `${f.part.label} could not be analysed (${f.error.message})`),
+    ...progress.files.filter(f => f.skipped).map(f => `${f.name} has no rows in this session — upload it again to include it`),
+  ];
+  if (single) return withGaps(results[0], gaps);
+
+  // ── Reduce ──
+  progress.phase = "reduce";
+  report();
+  let partials = parts
+    .map((part, i) => results[i] && { label: part.label, text: partialText(results[i], listKey) })
+    .filter(Boolean);
+  let final = null;
+  while (!final) {
+    const groups = reduceGroups(partials);
+    const merged = [];
+    for (const group of groups) {
+      const last = groups.length === 1 && facts ? `\n${facts}` : "";
+      const content = `${instruction}\n\nPartial results from ${group.length} parts. Consolidate them into one result.\n${group.map((p, i) => `\n--- PART ${i + 1}: ${p.label} ---\n${p.text}\n`).join("")}${last}`;
+      const result = await ask(`${systemPrompt}\n\n${CONSOLIDATION_PROMPT}`, content);
+      allCached = allCached && result.cached;
+      merged.push({ label: group.map(p => p.label).join(", "), text: partialText(result, listKey), result });
+    }
+    if (merged.length === 1) final = merged[0].result;
+    else partials = merged;
+  }
+  return withGaps({ ...final, cached: allCached }, gaps);
+}
+
+function withGaps(result, gaps) {
+  if (!gaps.length) return result;
+  if (result.data) return { ...result, data: { ...result.data, data_gaps: [...result.data.data_gaps, ...gaps] } };
+  return { ...result, text: `${result.text}\n\nNot analysed:\n${gaps.map(g => `- ${g}`).join("\n")}` };
+}
@@ -0,0 +1,58 @@
+// Signed-in user session — the bearer token lives in localStorage,
+// the user record comes back from the server on every load.
+const LS_SESSION = "dao-session";
+
+export function authHeaders() {
+  const token = localStorage.getItem(LS_SESSION);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+async function authApi(path, method = "GET", body) {
+  const resp = await fetch(`/api${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) {
+    const err = new Error(data.error || `Request failed (${resp.status})`);
+    err.status = resp.status;
+    throw err;
+  }
+  return data;
+}
+
+// { setupRequired, user } — user is null when signed out or the token expired
+export function fetchSession() {
+  return authApi("/auth/status");
+}
+
+export async function signIn(username, password) {
+  const { token, user } = await authApi("/auth/login", "POST", { username, password });
+  localStorage.setItem(LS_SESSION, token);
+  return user;
+}
+
+// Creates the first account (always the CEO) on a fresh server
+export async function setupFirstUser(fields) {
+  const { token, user } = await authApi("/auth/setup", "POST", fields);
+  localStorage.setItem(LS_SESSION, token);
+  return user;
+}
+
+export async function signOut() {
+  try { await authApi("/auth/logout", "POST"); } catch { /* token is dropped either way */ }
+  localStorage.removeItem(LS_SESSION);
+}
+
+export function fetchUsers() {
+  return authApi("/users");
+}
+
+export function createUser(fields) {
+  return authApi("/users", "POST", fields);
+}
+
+export function updateUser(id, changes) {
+  return authApi(`/users/${encodeURIComponent(id)}`, "PUT", changes);
+}
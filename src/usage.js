@@ -0,0 +1,42 @@
+// AI usage and budgets — what the server has metered on /api/claude calls.
+import { authHeaders } from "./session.js";
+import { currentWorkspaceId } from "./workspace.js";
+
+async function usageApi(path, method = "GET", body) {
+  const resp = await fetch(`/api/usage${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(data.error || `Usage API error (${resp.status})`);
+  return data;
+}
+
+// Totals and breakdowns for one month ("2026-10"); defaults to this month
+export function fetchUsage(month) {
+  return usageApi(month ? `?month=${encodeURIComponent(month)}` : "");
+}
+
+// { month, workspace: {spent, budget, level}, user: {spent, budget, level} }
+// for the signed-in user and the open workspace
+export function fetchBudgetStatus() {
+  return usageApi(`/status?workspace=${encodeURIComponent(currentWorkspaceId())}`);
+}
+
+// { workspaces: {id: usd|null}, perUser: usd|null, warnAt: percent }
+export function saveBudgets(budgets) {
+  return usageApi("/budgets", "PUT", budgets);
+}
+
+// Redaction audit for one month: { month, totals, entries } (server/redactions.js)
+export async function fetchRedactions(month) {
+  const resp = await fetch(`/api/redactions${month ? `?month=${encodeURIComponent(month)}` : ""}`, { headers: authHeaders() });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(data.error || `Redaction audit error (${resp.status})`);
+  return data;
+}
+
+export function formatUsd(amount) {
+  return amount < 0.01 && amount > 0 ? "< $0.01" : `$${amount.toFixed(2)}`;
+}
@@ -0,0 +1,78 @@
+// Active workspace — one per client organisation. Every dao-* localStorage key and
+// every ledger request is scoped to it. The "default" workspace keeps the unscoped
+// keys written before workspaces existed, so nothing needs migrating.
+import { authHeaders } from "./session.js";
+
+const LS_CURRENT = "dao-workspace";
+const LS_LIST = "dao-workspaces";
+export const DEFAULT_WORKSPACE = "default";
+
+export function currentWorkspaceId() {
+  return localStorage.getItem(LS_CURRENT) || DEFAULT_WORKSPACE;
+}
+
+// Switching reloads the app so no state from the previous client can leak across
+export function switchWorkspace(id) {
+  localStorage.setItem(LS_CURRENT, id);
+  window.location.reload();
+}
+
+export function scopedKey(key) {
+  const ws = currentWorkspaceId();
+  return ws === DEFAULT_WORKSPACE ? key : `${key}@${ws}`;
+}
+
+// Ledger API root for the active workspace
+export function workspaceApiPath(path) {
+  return `/api/workspaces/${encodeURIComponent(currentWorkspaceId())}${path}`;
+}
+
+function cachedList() {
+  try { return JSON.parse(localStorage.getItem(LS_LIST)) || []; } catch { return []; }
+}
+
+function cacheList(list) {
+  localStorage.setItem(LS_LIST, JSON.stringify(list));
+  return list;
+}
+
+async function workspaceApi(path, method = "GET", body) {
+  const resp = await fetch(`/api/workspaces${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) {
+    const err = new Error(data.error || `Workspace API error (${resp.status})`);
+    err.status = resp.status;
+    throw err;
+  }
+  return data;
+}
+
+// Without a server (offline) the list lives only in this browser
+export async function fetchWorkspaces({ offline = false } = {}) {
+  if (offline) {
+    const list = cachedList();
+    return list.length ? list : cacheList([{ id: DEFAULT_WORKSPACE, name: "My organisation", org: "", industry: "", region: "" }]);
+  }
+  return cacheList(await workspaceApi(""));
+}
+
+export async function createWorkspace(fields, { offline = false } = {}) {
+  const ws = offline
+    ? { id: `WS-${Date.now().toString(36).toUpperCase()}`, org: "", industry: "", region: "", ...fields, createdAt: new Date().toISOString() }
+    : await workspaceApi("", "POST", fields);
+  cacheList([...cachedList().filter(w => w.id !== ws.id), ws]);
+  return ws;
+}
+
+export async function updateWorkspace(id, fields, { offline = false } = {}) {
+  const current = cachedList().find(w => w.id === id) || { id };
+  const ws = offline
+    ? { ...current, ...fields }
+    : await workspaceApi(`/${encodeURIComponent(id)}`, "PUT", fields);
+  cacheList(cachedList().map(w => (w.id === id ? ws : w)));
+  return ws;
+}